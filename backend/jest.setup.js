@@ -29,3 +29,11 @@ process.env.SMTP_HOST = '';
 
 // Belt and braces: nothing in a test run should be talking to a real service.
 process.env.NODE_ENV = 'test';
+
+// The extracted-text store defaults to a directory under backend/temp, which would carry
+// one test's extraction into the next run. Tests that exercise it pass their own backend.
+process.env.EXTRACTED_TEXT_STORE = 'none';
+
+// Extraction runs in-process, as it did before the sandbox; forking a worker per test
+// file would only slow the suite. The sandbox's own tests construct one explicitly.
+process.env.EXTRACTION_SANDBOX = 'off';
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { reportTypeValidator } = require('../services/reportTypes');
 
 const customerSchema = new mongoose.Schema({
   name: {
@@ -27,9 +28,10 @@ const customerSchema = new mongoose.Schema({
     trim: true,
     uppercase: true
   },
+  // Any type in the report-type taxonomy (services/reportTypes.js, ReportType)
   reportTypes: [{
     type: String,
-    enum: ['acoustic', 'transport', 'ecological', 'flood', 'heritage', 'arboricultural', 'waste', 'lighting'],
+    validate: reportTypeValidator,
     required: true
   }],
   // Subscription filters - determines which matches the customer receives
@@ -43,6 +45,14 @@ const customerSchema = new mongoose.Schema({
       trim: true
     }]
   },
+  // Calibrated confidence (services/matchCalibration.js) a match needs to be emailed;
+  // weaker ones wait in the review queue. Unset falls back to MATCH_MIN_CONFIDENCE.
+  // A job can override it per customer (ScanJob.customers.minConfidence).
+  minMatchConfidence: {
+    type: Number,
+    min: 0,
+    max: 1
+  },
   isActive: {
     type: Boolean,
     default: true
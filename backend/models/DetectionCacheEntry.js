@@ -0,0 +1,55 @@
+const mongoose = require('mongoose');
+
+/**
+ * One cached detection result, shared by every process that talks to this database.
+ *
+ * fiDetectionService and docfilesService each kept their results in an in-memory Map,
+ * which PM2 threw away on every restart and which the two cluster forks and worker.js
+ * could not see across. A scan resumed after a crash paid the model again for every
+ * document it had already judged.
+ *
+ * As with JobLock, expiry is enforced by the reader (services/detectionCache.js checks
+ * expiresAt); the TTL index only reclaims the rows eventually.
+ */
+const detectionCacheEntrySchema = new mongoose.Schema({
+  // `${namespace}:${key}` - unique so a concurrent write from another fork upserts
+  // rather than duplicating.
+  cacheKey: {
+    type: String,
+    required: true,
+    unique: true
+  },
+
+  // Which cache the entry belongs to, e.g. 'fi-result', 'ai-step', 'docfiles'.
+  namespace: {
+    type: String,
+    required: true
+  },
+
+  // Detector version the value was computed under. A value from an older prompt or
+  // vocabulary is never served, and invalidate() deletes it.
+  version: {
+    type: String,
+    required: true
+  },
+
+  value: mongoose.Schema.Types.Mixed,
+
+  hits: {
+    type: Number,
+    default: 0
+  },
+
+  expiresAt: {
+    type: Date,
+    required: true,
+    index: { expireAfterSeconds: 0 }
+  }
+}, {
+  timestamps: true,
+  collection: 'detection_cache'
+});
+
+detectionCacheEntrySchema.index({ namespace: 1, version: 1 });
+
+module.exports = mongoose.model('DetectionCacheEntry', detectionCacheEntrySchema);
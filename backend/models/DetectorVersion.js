@@ -0,0 +1,30 @@
+const mongoose = require('mongoose');
+
+/**
+ * One detector version as seen in production: the hash stamped on matches and vetoes,
+ * and the per-component hashes it was built from (services/detectorVersion.js).
+ *
+ * Kept so that comparing two versions can say which part moved - the prompts, the
+ * marker lists or the vocabulary - rather than only that something did.
+ */
+const detectorVersionSchema = new mongoose.Schema({
+  version: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  // { componentName: hash }, e.g. { 'fi-prompts': '3f1c…', vocabulary: '9a0b…' }
+  components: mongoose.Schema.Types.Mixed,
+  // Optional note added by hand, e.g. "tightened acoustic quote terms"
+  label: String,
+  firstSeenAt: {
+    type: Date,
+    default: Date.now
+  },
+  lastSeenAt: Date
+}, {
+  timestamps: true,
+  collection: 'detector_versions'
+});
+
+module.exports = mongoose.model('DetectorVersion', detectorVersionSchema);
@@ -0,0 +1,34 @@
+const mongoose = require('mongoose');
+
+// Which document holds an LSH band key (services/nearDuplicates.js) as canonical. A
+// document with no existing canonical claims its bands one at a time, in band order,
+// with an atomic upsert; the first band it finds held by a near-duplicate makes it that
+// document's duplicate. Two copies scanned at the same moment therefore meet on the
+// first band they share, and only one of them wins it. The holder's signature is kept
+// here because its DocumentSignature entry may not be written yet when a rival reads
+// the claim. Claims expire with the holder's signature.
+const DocumentBandClaimSchema = new mongoose.Schema({
+  // "band:hash", as in DocumentSignature.bands
+  band: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  filePath: {
+    type: String,
+    required: true,
+    index: true
+  },
+  fileName: String,
+  projectId: String,
+  signature: [Number],
+  expiresAt: {
+    type: Date,
+    index: { expireAfterSeconds: 0 }
+  }
+}, {
+  timestamps: true,
+  collection: 'document_band_claims'
+});
+
+module.exports = mongoose.model('DocumentBandClaim', DocumentBandClaimSchema);
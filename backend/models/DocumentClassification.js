@@ -0,0 +1,41 @@
+const mongoose = require('mongoose');
+
+// The document type services/documentClassifier.js last gave a file: FI request letter,
+// consultee report, decision notice, drawing, consultant report, application form,
+// correspondence or unknown. One entry per S3 key, replaced on each scan, so the label
+// reflects the current rules.
+const DocumentClassificationSchema = new mongoose.Schema({
+  filePath: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  projectId: {
+    type: String,
+    index: true
+  },
+  fileName: String,
+  label: {
+    type: String,
+    required: true,
+    index: true
+  },
+  confidence: Number,
+  // 'filename' when there was no text to read, 'content' otherwise
+  basis: {
+    type: String,
+    enum: ['filename', 'content']
+  },
+  // Rules that fired, as "class:source"
+  signals: [String],
+  classifierVersion: Number,
+  classifiedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true,
+  collection: 'document_classifications'
+});
+
+module.exports = mongoose.model('DocumentClassification', DocumentClassificationSchema);
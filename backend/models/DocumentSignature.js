@@ -0,0 +1,50 @@
+const mongoose = require('mongoose');
+const duplicateOfSchema = require('./schemas/duplicateOf');
+
+// The MinHash signature of a document's extracted text (services/nearDuplicates.js) and
+// the cluster it belongs to. One entry per S3 key. A canonical document - the first of
+// its cluster to reach the AI layers, decided by the band claims in
+// models/DocumentBandClaim.js - has no duplicateOf and keeps the verdicts the AI gave
+// it, per report type; a near-duplicate names its canonical and takes those verdicts
+// instead of being sent to the model again. Entries expire after
+// NEAR_DUPLICATE_RETENTION_DAYS.
+const DocumentSignatureSchema = new mongoose.Schema({
+  filePath: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  projectId: {
+    type: String,
+    index: true
+  },
+  fileName: String,
+  signature: [Number],
+  // Locality-sensitive hashing bands of the signature, "band:hash". Documents sharing
+  // one are candidates for comparison.
+  bands: {
+    type: [String],
+    index: true
+  },
+  chars: Number,
+  duplicateOf: {
+    type: duplicateOfSchema,
+    default: undefined
+  },
+  // { [reportType]: verdict } as scanJobProcessor.detectDocument returned it
+  verdicts: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  // Detector version the verdicts were reached under; verdicts from another are not reused
+  detectorVersion: String,
+  expiresAt: {
+    type: Date,
+    index: { expireAfterSeconds: 0 }
+  }
+}, {
+  timestamps: true,
+  collection: 'document_signatures'
+});
+
+module.exports = mongoose.model('DocumentSignature', DocumentSignatureSchema);
@@ -0,0 +1,49 @@
+const mongoose = require('mongoose');
+
+/**
+ * The path one document took through a scan: which layer judged it, with what input
+ * and what answer, and - for matches - what delivery later did with it.
+ *
+ * Written by services/documentTrace.js, one row per document per ScanJob run. Answers
+ * "why was project X (not) sent?" without grepping debug logs, which only keep three
+ * days anyway. Rows expire after DOCUMENT_TRACE_RETENTION_DAYS.
+ */
+const traceStepSchema = new mongoose.Schema({
+  // e.g. 'filename-veto', 'quick-filter', 'fi-detect', 'type-match', 'evidence-check',
+  // 'delivery-veto', 'metadata'
+  step: { type: String, required: true },
+  // Report type the step was about; absent for steps shared by every type
+  reportType: String,
+  // Short verdict: 'pass', 'reject', 'veto', 'match', 'held', ...
+  outcome: String,
+  detail: mongoose.Schema.Types.Mixed,
+  at: { type: Date, default: Date.now }
+}, { _id: false });
+
+const documentTraceSchema = new mongoose.Schema({
+  jobId: { type: String, required: true },
+  // runContext runId of the scan (SCAN-YYYYMMDD-xxxx), grouping one run's documents
+  runId: String,
+  projectId: String,
+  fileName: String,
+  filePath: String,
+  // Report types judged in this pass; more than one in multi-label mode
+  reportTypes: [String],
+  detectorVersion: String,
+  // Final verdict for the job's own type
+  stage: String,
+  isMatch: Boolean,
+  steps: [traceStepSchema],
+  expiresAt: {
+    type: Date,
+    index: { expireAfterSeconds: 0 }
+  }
+}, {
+  timestamps: true,
+  collection: 'document_traces'
+});
+
+documentTraceSchema.index({ jobId: 1, projectId: 1, createdAt: -1 });
+documentTraceSchema.index({ jobId: 1, runId: 1 });
+
+module.exports = mongoose.model('DocumentTrace', documentTraceSchema);
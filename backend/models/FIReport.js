@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const fiRequestSchema = require('./schemas/fiRequest');
 
 const fiReportSchema = new mongoose.Schema({
   // Report identification
@@ -68,6 +69,10 @@ const fiReportSchema = new mongoose.Schema({
     fiIndicators: [String],
     matchedKeywords: [String],
     confidence: Number,
+    // Detector version (services/detectorVersion.js) that produced the match
+    detectorVersion: String,
+    // Numbered FI items, deadline and statutory basis (models/schemas/fiRequest.js)
+    fiRequest: fiRequestSchema,
     metadata: mongoose.Schema.Types.Mixed
   }],
 
@@ -142,6 +147,7 @@ fiReportSchema.index({ customerId: 1, generatedAt: -1 });
 fiReportSchema.index({ status: 1, generatedAt: -1 });
 fiReportSchema.index({ reportType: 1, customerId: 1 });
 fiReportSchema.index({ 'projectsFound.projectId': 1 });
+fiReportSchema.index({ 'projectsFound.detectorVersion': 1 });
 fiReportSchema.index({ archived: 1, generatedAt: -1 });
 
 // Virtual for total delivery attempts
@@ -202,6 +208,10 @@ fiReportSchema.statics.findByCustomer = function(customerId, options = {}) {
     query.reportType = options.reportType;
   }
 
+  if (options.detectorVersion) {
+    query['projectsFound.detectorVersion'] = options.detectorVersion;
+  }
+
   if (options.dateFrom || options.dateTo) {
     query.generatedAt = {};
     if (options.dateFrom) query.generatedAt.$gte = new Date(options.dateFrom);
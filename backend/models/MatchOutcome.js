@@ -0,0 +1,48 @@
+const mongoose = require('mongoose');
+
+// A reviewed outcome for one match: an admin resent it or left it out of a resend,
+// approved or rejected it in the review queue, its project was vetoed, or its quote
+// failed the evidence check. services/matchCalibration.js turns these into the
+// confidence each evidence band is worth.
+const MatchOutcomeSchema = new mongoose.Schema({
+  projectId: {
+    type: String,
+    required: true
+  },
+  fileName: String,
+  // Canonical report type, as produced by services/reportTypes.normalizeReportType
+  reportType: {
+    type: String,
+    required: true
+  },
+  // evidenceBand() of the validation quote: 'request' | 'mention' | 'topic' | 'placeholder'
+  band: {
+    type: String,
+    required: true
+  },
+  outcome: {
+    type: String,
+    enum: ['confirmed', 'rejected'],
+    required: true
+  },
+  // 'resend' | 'resend-excluded' | 'review' | 'veto' | 'weak-evidence'
+  source: {
+    type: String,
+    required: true
+  },
+  // Set for per-customer outcomes (resends, reviews); null for the detector's own
+  customerId: String,
+  detectorVersion: String,
+  recordedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true,
+  collection: 'match_outcomes'
+});
+
+MatchOutcomeSchema.index({ projectId: 1, fileName: 1, reportType: 1, source: 1, customerId: 1 }, { unique: true });
+MatchOutcomeSchema.index({ recordedAt: -1 });
+
+module.exports = mongoose.model('MatchOutcome', MatchOutcomeSchema);
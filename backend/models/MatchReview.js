@@ -0,0 +1,64 @@
+const mongoose = require('mongoose');
+const fiRequestSchema = require('./schemas/fiRequest');
+const evidenceSourceSchema = require('./schemas/evidenceSource');
+
+// A match held back from one customer because its calibrated confidence was below
+// that customer's threshold (services/matchCalibration.js). An admin approves it -
+// which emails it to the customer - or rejects it; either way the decision is recorded
+// as a MatchOutcome and feeds the next calibration.
+const MatchReviewSchema = new mongoose.Schema({
+  jobId: {
+    type: String,
+    required: true,
+    index: true
+  },
+  customerId: {
+    type: String,
+    required: true
+  },
+  customerEmail: String,
+  customerName: String,
+  projectId: {
+    type: String,
+    required: true
+  },
+  fileName: {
+    type: String,
+    required: true
+  },
+  // S3 key of the document, for the highlighted evidence page in the email
+  documentPath: String,
+  reportType: {
+    type: String,
+    required: true
+  },
+  validationQuote: String,
+  evidenceSource: evidenceSourceSchema,
+  // Calibrated confidence, its evidence band, and the threshold it fell short of
+  confidence: Number,
+  band: String,
+  threshold: Number,
+  detectorVersion: String,
+  fiRequest: fiRequestSchema,
+  // BuildingInfo metadata as it was at delivery, so approving does not refetch it
+  projectMetadata: mongoose.Schema.Types.Mixed,
+  status: {
+    type: String,
+    enum: ['PENDING', 'APPROVED', 'REJECTED'],
+    default: 'PENDING',
+    index: true
+  },
+  reviewedBy: String,
+  reviewedAt: Date,
+  note: String,
+  // FIReport written when an approved match was sent
+  reportId: String
+}, {
+  timestamps: true,
+  collection: 'match_reviews'
+});
+
+MatchReviewSchema.index({ customerId: 1, projectId: 1, fileName: 1, reportType: 1 }, { unique: true });
+MatchReviewSchema.index({ status: 1, createdAt: -1 });
+
+module.exports = mongoose.model('MatchReview', MatchReviewSchema);
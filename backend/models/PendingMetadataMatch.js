@@ -1,4 +1,7 @@
 const mongoose = require('mongoose');
+const fiRequestSchema = require('./schemas/fiRequest');
+const evidenceSourceSchema = require('./schemas/evidenceSource');
+const duplicateOfSchema = require('./schemas/duplicateOf');
 
 // Matches whose project metadata could not be found in the BuildingInfo API.
 // Held back from delivery and retried on subsequent delivery runs until
@@ -20,7 +23,12 @@ const PendingMetadataMatchSchema = new mongoose.Schema({
   filePath: String,
   fiType: String,
   validationQuote: String,
+  evidenceSource: evidenceSourceSchema,
   confidence: Number,
+  detectorVersion: String,
+  fiRequest: fiRequestSchema,
+  // The document this match was copied from, for a near-duplicate (models/schemas/duplicateOf.js)
+  duplicateOf: duplicateOfSchema,
   // Original match timestamp
   timestamp: Date,
   firstSeenAt: {
@@ -19,7 +19,15 @@ const projectSchema = new mongoose.Schema({
   applicant: {
     name: String,
     email: String,
-    address: String
+    address: String,
+    phone: String
+  },
+  // The applicant's agent (architect, planning consultant), from the application form
+  agent: {
+    name: String,
+    email: String,
+    address: String,
+    phone: String
   },
   location: {
     type: String,
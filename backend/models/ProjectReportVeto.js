@@ -26,7 +26,8 @@ const ProjectReportVetoSchema = new mongoose.Schema({
     type: String,
     required: true
   },
-  // Which layer of classifyFIResponse fired: 'filename' | 'hard-marker' | 'contextual-marker' | 'ai'
+  // Which layer of classifyFIResponse fired: 'filename' | 'hard-marker' | 'contextual-marker' | 'ai',
+  // or 'decision-notice' when services/documentClassifier.js labelled the document one
   source: String,
   // Human-readable explanation, shown in audits
   reason: String,
@@ -40,7 +41,9 @@ const ProjectReportVetoSchema = new mongoose.Schema({
   },
   // Job that observed the response, for traceability. Not part of the key: a veto
   // applies to the project regardless of which job found it.
-  detectedByJobId: String
+  detectedByJobId: String,
+  // Detector version (services/detectorVersion.js) that classified the response
+  detectorVersion: String
 }, {
   timestamps: true
 });
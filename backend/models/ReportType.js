@@ -0,0 +1,49 @@
+const mongoose = require('mongoose');
+
+/**
+ * An admin-defined report type, or an admin override of a built-in one.
+ *
+ * The built-in taxonomy lives in services/reportTypes.js. A document here either adds
+ * a new type (air quality, daylight/sunlight, ...) or overrides a built-in by key; see
+ * setReportTypeOverrides() there for how the two merge. Types are retired with
+ * `active: false` rather than deleted, because Customer.reportTypes and
+ * ScanJob.documentType rows still name them.
+ */
+const reportTypeSchema = new mongoose.Schema({
+  // Canonical key stored on customers, jobs and matches: lowercase, hyphenated.
+  key: {
+    type: String,
+    required: true,
+    unique: true,
+    lowercase: true,
+    trim: true,
+    match: /^[a-z][a-z0-9-]*$/
+  },
+  label: {
+    type: String,
+    trim: true
+  },
+  icon: String,
+
+  // Other spellings that resolve to this type, e.g. 'air quality', 'aqa'
+  aliases: [String],
+
+  // See the vocabulary notes in services/reportTypes.js: broad document gate,
+  // high-precision quote validation, filename-only terms, and the type in Irish.
+  documentTerms: [String],
+  quoteTerms: [String],
+  filenameTerms: [String],
+  irishTerms: [String],
+
+  active: {
+    type: Boolean,
+    default: true
+  },
+
+  updatedBy: String
+}, {
+  timestamps: true,
+  collection: 'report_types'
+});
+
+module.exports = mongoose.model('ReportType', reportTypeSchema);
@@ -0,0 +1,40 @@
+const mongoose = require('mongoose');
+
+// One listing of planning-docs/ into the S3 manifest (services/s3Manifest.js). A build
+// answers for any range that ends before its listing began (listedFrom). Kept 30 days.
+const S3ManifestBuildSchema = new mongoose.Schema({
+  buildId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  status: {
+    type: String,
+    enum: ['building', 'complete', 'failed'],
+    default: 'building'
+  },
+  // When the listing started: every object modified before this was in it
+  listedFrom: {
+    type: Date,
+    required: true
+  },
+  completedAt: Date,
+  // Objects listed, and how the manifest changed against the previous build
+  objects: Number,
+  added: Number,
+  changed: Number,
+  removed: Number,
+  seconds: Number,
+  error: String,
+  expiresAt: {
+    type: Date,
+    index: { expireAfterSeconds: 0 }
+  }
+}, {
+  timestamps: true,
+  collection: 's3_manifest_builds'
+});
+
+S3ManifestBuildSchema.index({ status: 1, listedFrom: -1 });
+
+module.exports = mongoose.model('S3ManifestBuild', S3ManifestBuildSchema);
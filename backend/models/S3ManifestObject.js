@@ -0,0 +1,37 @@
+const mongoose = require('mongoose');
+
+// One object under planning-docs/ as of the last manifest build (services/s3Manifest.js):
+// key, size, ETag and LastModified, partitioned by the local day it was last modified.
+// Scanners ask this collection for a date range instead of listing the bucket.
+const S3ManifestObjectSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  projectId: String,
+  fileName: String,
+  // Lower-case extension with its dot, as textExtractionService.supportedExtensions()
+  ext: String,
+  // A planning document rather than a folder, dotfile, baseline marker or docfiles.txt
+  document: Boolean,
+  size: Number,
+  etag: String,
+  lastModified: {
+    type: Date,
+    required: true
+  },
+  // YYYY-MM-DD of lastModified, local time, as scan days are
+  day: {
+    type: String,
+    index: true
+  }
+}, {
+  collection: 's3_manifest'
+});
+
+S3ManifestObjectSchema.index({ lastModified: 1 });
+// A project's earliest document (s3Manifest.firstDay)
+S3ManifestObjectSchema.index({ projectId: 1, lastModified: 1 });
+
+module.exports = mongoose.model('S3ManifestObject', S3ManifestObjectSchema);
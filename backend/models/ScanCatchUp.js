@@ -0,0 +1,79 @@
+const mongoose = require('mongoose');
+
+// A one-off historical re-scan of a ScanJob for customers newly added to it
+// (services/catchUpScan.js): what was asked for, what the run found, and who was sent
+// the catch-up digest. Its matches never enter ScanJobDailyResult, so the job's
+// existing customers are not sent them on their next delivery.
+const ScanCatchUpSchema = new mongoose.Schema({
+  catchUpId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  jobId: {
+    type: String,
+    required: true,
+    index: true
+  },
+  // The only customers the digest goes to; each must be on the job
+  customerIds: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Customer'
+  }],
+  scope: {
+    // Local days, inclusive
+    startDate: { type: Date, required: true },
+    endDate: { type: Date, required: true },
+    // Empty for every project
+    projectIds: [String],
+    // Building Info planning_county; empty for every county
+    county: String
+  },
+  status: {
+    type: String,
+    enum: ['QUEUED', 'RUNNING', 'COMPLETED', 'FAILED'],
+    default: 'QUEUED'
+  },
+  // YYYY-MM-DD: days whose stored nightly matches were reused, and days judged afresh
+  // because the job has no result for them (scanJobProcessor.findCoverageGaps)
+  reusedDays: [String],
+  scannedDays: [String],
+  counts: {
+    documents: { type: Number, default: 0 },
+    judged: { type: Number, default: 0 },
+    outOfScope: { type: Number, default: 0 },
+    baselineSkipped: { type: Number, default: 0 },
+    failed: { type: Number, default: 0 },
+    matches: { type: Number, default: 0 },
+    vetoed: { type: Number, default: 0 },
+    alreadySent: { type: Number, default: 0 }
+  },
+  // Matches that went to delivery, one per project
+  matches: [{
+    projectId: String,
+    fileName: String,
+    filePath: String,
+    validationQuote: String,
+    confidence: Number,
+    detectorVersion: String,
+    scanDate: String
+  }],
+  requestedBy: {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    email: String,
+    name: String
+  },
+  startedAt: Date,
+  finishedAt: Date,
+  error: String
+}, {
+  timestamps: true,
+  collection: 'scan_catchups'
+});
+
+ScanCatchUpSchema.index({ jobId: 1, createdAt: -1 });
+
+module.exports = mongoose.model('ScanCatchUp', ScanCatchUpSchema);
@@ -1,4 +1,8 @@
 const mongoose = require('mongoose');
+const { reportTypeValidator } = require('../services/reportTypes');
+const fiRequestSchema = require('./schemas/fiRequest');
+const evidenceSourceSchema = require('./schemas/evidenceSource');
+const duplicateOfSchema = require('./schemas/duplicateOf');
 
 const ScanJobSchema = new mongoose.Schema({
   jobId: {
@@ -10,16 +14,27 @@ const ScanJobSchema = new mongoose.Schema({
     type: String,
     required: true
   },
+  // Any type in the report-type taxonomy. Older jobs store the `ecology` spelling,
+  // which normalizeReportType resolves.
   documentType: {
     type: String,
     required: true,
-    enum: ['acoustic', 'transport', 'flood', 'contamination', 'ecology', 'arboricultural', 'other']
+    validate: reportTypeValidator
   },
   status: {
     type: String,
     enum: ['ACTIVE', 'PAUSED', 'STOPPED', 'RUNNING', 'CANCELLING'],
     default: 'PAUSED'
   },
+  // Shadow (dry-run) mode, for trialling a report type, prompt or threshold before
+  // customers see it. The job scans, vetoes and partitions as usual, but sends no email:
+  // each delivery run is stored in shadow_deliveries instead, and its vetoes go to
+  // shadow_project_report_vetoes rather than the live collection. Compared with the live
+  // jobs of its type by GET /api/document-scan/jobs/:jobId/shadow-comparison.
+  shadow: {
+    type: Boolean,
+    default: false
+  },
   config: {
     autoProcess: {
       type: Boolean,
@@ -68,7 +83,14 @@ const ScanJobSchema = new mongoose.Schema({
       filePath: String,
       fiType: String,
       validationQuote: String,
+      // Page and native/OCR provenance of the quote (models/schemas/evidenceSource.js)
+      evidenceSource: evidenceSourceSchema,
       confidence: Number,
+      detectorVersion: String,
+      // Numbered FI items, deadline and statutory basis (models/schemas/fiRequest.js)
+      fiRequest: fiRequestSchema,
+      // The document this match was copied from, for a near-duplicate (models/schemas/duplicateOf.js)
+      duplicateOf: duplicateOfSchema,
       timestamp: Date
     }],
     // Boundaries of the window being scanned, so a resume continues the same day.
@@ -114,7 +136,13 @@ const ScanJobSchema = new mongoose.Schema({
       ref: 'Customer'
     },
     email: String,
-    company: String
+    company: String,
+    // Overrides the customer's minMatchConfidence for this job only
+    minConfidence: {
+      type: Number,
+      min: 0,
+      max: 1
+    }
   }],
   schedule: {
     type: {
@@ -1,4 +1,7 @@
 const mongoose = require('mongoose');
+const fiRequestSchema = require('./schemas/fiRequest');
+const evidenceSourceSchema = require('./schemas/evidenceSource');
+const duplicateOfSchema = require('./schemas/duplicateOf');
 
 const ScanJobDailyResultSchema = new mongoose.Schema({
   jobId: {
@@ -21,7 +24,16 @@ const ScanJobDailyResultSchema = new mongoose.Schema({
     filePath: String,
     fiType: String,
     validationQuote: String,
+    // Page and native/OCR provenance of the quote (models/schemas/evidenceSource.js)
+    evidenceSource: evidenceSourceSchema,
     confidence: Number,
+    // services/detectorVersion.js hash of the prompts, markers and vocabulary that
+    // produced this match. Absent on matches saved before versioning.
+    detectorVersion: String,
+    // Numbered FI items, deadline and statutory basis (models/schemas/fiRequest.js)
+    fiRequest: fiRequestSchema,
+    // The document this match was copied from, for a near-duplicate (models/schemas/duplicateOf.js)
+    duplicateOf: duplicateOfSchema,
     timestamp: Date
   }],
   processedCount: {
@@ -62,5 +74,6 @@ const ScanJobDailyResultSchema = new mongoose.Schema({
 
 // Prevent duplicate daily records per job
 ScanJobDailyResultSchema.index({ jobId: 1, scanDate: 1 }, { unique: true });
+ScanJobDailyResultSchema.index({ 'matches.detectorVersion': 1 });
 
 module.exports = mongoose.model('ScanJobDailyResult', ScanJobDailyResultSchema);
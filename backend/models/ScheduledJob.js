@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { reportTypeValidator } = require('../services/reportTypes');
 
 const scheduledJobSchema = new mongoose.Schema({
   // Job identification
@@ -109,7 +110,7 @@ const scheduledJobSchema = new mongoose.Schema({
     // Report types to generate
     reportTypes: [{
       type: String,
-      enum: ['acoustic', 'transport', 'ecological', 'flood', 'heritage', 'arboricultural', 'waste', 'lighting']
+      validate: reportTypeValidator
     }],
     // Project IDs to process
     projectIds: [String],
@@ -0,0 +1,60 @@
+const mongoose = require('mongoose');
+
+// What a shadow ScanJob (ScanJob.shadow) would have delivered on one delivery run,
+// in place of the emails it does not send: the matches left after vetoes, dedupe and
+// metadata partitioning, and what each of its customers would have received after their
+// filters and confidence thresholds. services/shadowJobs.js compares these with what
+// the live jobs of the same report type actually sent. Kept 90 days.
+const ShadowDeliverySchema = new mongoose.Schema({
+  jobId: {
+    type: String,
+    required: true
+  },
+  reportType: String,
+  deliveredAt: {
+    type: Date,
+    default: Date.now
+  },
+  windowStart: Date,
+  windowEnd: Date,
+  // One per project, as delivery sends them
+  matches: [{
+    projectId: String,
+    fileName: String,
+    confidence: Number,
+    detectorVersion: String
+  }],
+  vetoedProjects: [String],
+  // Held back until Building Info has the project's metadata
+  heldForMetadata: {
+    type: Number,
+    default: 0
+  },
+  customers: [{
+    customerId: String,
+    email: String,
+    projects: [{
+      projectId: String,
+      documentName: String,
+      confidence: Number,
+      evidenceBand: String
+    }],
+    // Below the customer's threshold: would have gone to the review queue
+    heldForReview: {
+      type: Number,
+      default: 0
+    }
+  }],
+  expiresAt: {
+    type: Date,
+    default: () => new Date(Date.now() + 90 * 24 * 60 * 60 * 1000),
+    index: { expireAfterSeconds: 0 }
+  }
+}, {
+  timestamps: true,
+  collection: 'shadow_deliveries'
+});
+
+ShadowDeliverySchema.index({ jobId: 1, deliveredAt: -1 });
+
+module.exports = mongoose.model('ShadowDelivery', ShadowDeliverySchema);
@@ -0,0 +1,10 @@
+const mongoose = require('mongoose');
+const ProjectReportVeto = require('./ProjectReportVeto');
+
+// The vetoes shadow ScanJobs record (ScanJob.shadow), in ProjectReportVeto's shape but a
+// collection of their own, so a job on trial can never suppress a live customer's lead.
+// A shadow job's delivery reads these together with the live vetoes.
+const ShadowProjectReportVetoSchema = ProjectReportVeto.schema.clone();
+ShadowProjectReportVetoSchema.set('collection', 'shadow_project_report_vetoes');
+
+module.exports = mongoose.model('ShadowProjectReportVeto', ShadowProjectReportVetoSchema);
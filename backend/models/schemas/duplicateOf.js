@@ -0,0 +1,18 @@
+const mongoose = require('mongoose');
+
+/**
+ * The canonical document a match was copied from. Councils republish an FI letter's text
+ * in planner and consultee reports, and services/nearDuplicates.js sends only the first
+ * document of such a cluster to the model; a near-duplicate in another project takes its
+ * verdict and records here which document was actually judged, and how alike the two
+ * texts are (estimated Jaccard similarity of their word shingles, 0-1). Absent on
+ * matches the model judged directly.
+ */
+const duplicateOfSchema = new mongoose.Schema({
+  filePath: String,
+  fileName: String,
+  projectId: String,
+  similarity: Number
+}, { _id: false });
+
+module.exports = duplicateOfSchema;
@@ -0,0 +1,31 @@
+const mongoose = require('mongoose');
+
+/**
+ * Where a match's validation quote sits in its document: the page, whether that page's
+ * text came from the PDF's text layer or from OCR of a scanned page, and the quote's
+ * character offsets [start, end) in that page's extracted text - which is what
+ * services/evidenceExcerptService.js highlights. Stored on every copy of a match
+ * alongside fiRequest. Absent when the quote could not be found in the extracted text,
+ * and on matches found before pages were tracked; offsets are absent on matches found
+ * before they were. A quote inside a table (an FI letter listing its items as rows)
+ * also records the row: its table and row numbers, 1-based, and the row's cells.
+ */
+const evidenceSourceSchema = new mongoose.Schema({
+  page: Number,
+  source: {
+    type: String,
+    enum: ['native', 'ocr']
+  },
+  start: Number,
+  end: Number,
+  tableRow: {
+    type: new mongoose.Schema({
+      table: Number,
+      row: Number,
+      cells: [String]
+    }, { _id: false }),
+    default: undefined
+  }
+}, { _id: false });
+
+module.exports = evidenceSourceSchema;
@@ -0,0 +1,33 @@
+const mongoose = require('mongoose');
+
+/**
+ * Structured breakdown of an FI request, stored on every copy of a match: ScanJob
+ * checkpoint, ScanJobDailyResult, PendingMetadataMatch and FIReport.projectsFound.
+ * Built by services/fiRequestItems.normaliseFIRequest; absent on matches found before
+ * item extraction, and on matches whose extraction failed.
+ */
+const fiRequestItemSchema = new mongoose.Schema({
+  // As numbered in the letter: "1", "2(a)", "iii"
+  itemNumber: String,
+  // Canonical report type, or null for items that are not a report (drawings, fees)
+  reportType: String,
+  request: String,
+  // Officer or department the item comes from, e.g. "Environment Section"
+  requestedBy: String,
+  // Verbatim wording, e.g. "within 6 months of the date of this notice"
+  deadline: String,
+  // The date that works out to, when the letter's date is known
+  deadlineDate: Date,
+  statutoryReference: String
+}, { _id: false });
+
+const fiRequestSchema = new mongoose.Schema({
+  requestingAuthority: String,
+  requestDate: Date,
+  responseDeadline: String,
+  responseDueBy: Date,
+  statutoryReference: String,
+  items: [fiRequestItemSchema]
+}, { _id: false });
+
+module.exports = fiRequestSchema;
@@ -9,8 +9,10 @@ delete require.cache[require.resolve('../services/fiDetectionService')];
 const buildingInfoService = require('../services/buildingInfoService');
 const dropdownDataService = require('../services/dropdownDataService');
 const fiDetectionService = require('../services/fiDetectionService');
+const docfilesService = require('../services/docfilesService');
 
 const logger = require('../utils/logger');
+const { authenticate, requireAdmin } = require('../middleware/auth');
 
 /**
  * GET /api/api-filtering/dropdown-data
@@ -310,7 +312,7 @@ router.post('/process-fi-with-filters', async (req, res) => {
  */
 router.get('/cache-stats', async (req, res) => {
   try {
-    const fiCacheStats = fiDetectionService.getCacheStats();
+    const fiCacheStats = await fiDetectionService.getCacheStats();
     const buildingInfoCacheStats = buildingInfoService.getCacheStats();
 
     res.json({
@@ -331,6 +333,43 @@ router.get('/cache-stats', async (req, res) => {
   }
 });
 
+/**
+ * POST /api/api-filtering/cache-invalidate
+ * Drop cached detection results. By default only those computed under an older
+ * detector version; with { all: true } everything, for every process sharing the cache.
+ */
+router.post('/cache-invalidate', authenticate, requireAdmin, async (req, res) => {
+  try {
+    const all = req.body?.all === true;
+    let removed;
+    if (all) {
+      await fiDetectionService.clearCache();
+      await docfilesService.clearCache();
+      removed = 'all';
+    } else {
+      removed = {
+        ...(await fiDetectionService.invalidateStaleCache()),
+        docfiles: await docfilesService.invalidateStaleCache()
+      };
+    }
+
+    logger.info('cache: invalidated via API', { all, user: req.user?.email });
+    res.json({
+      success: true,
+      message: all ? 'Detection caches cleared' : 'Stale detection cache entries removed',
+      data: { removed, detectorVersion: fiDetectionService.detectorVersion }
+    });
+
+  } catch (error) {
+    logger.error('Error invalidating detection cache:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to invalidate detection cache',
+      message: error.message
+    });
+  }
+});
+
 /**
  * POST /api/api-filtering/check-filter-impact
  * Check how many documents would be processed with given filters (diagnostic)
@@ -5,6 +5,15 @@ const Customer = require('../models/Customer');
 const emailService = require('../services/emailService');
 const Joi = require('joi');
 const { authenticate } = require('../middleware/auth');
+const { normalizeReportType, isKnownReportType, isActiveReportType } = require('../services/reportTypes');
+
+// Report types come from the live taxonomy (GET /api/report-types), so they are checked
+// at validation time rather than listed here. Stored in canonical spelling. New
+// subscriptions must use an active type; an existing customer on a retired type can
+// still be edited.
+const reportTypeField = (isAllowed) => Joi.string().trim().custom((value, helpers) => (
+  isAllowed(value) ? normalizeReportType(value) : helpers.error('any.invalid')
+));
 
 // Validation schemas
 const customerSchema = Joi.object({
@@ -13,13 +22,13 @@ const customerSchema = Joi.object({
   company: Joi.string().trim().max(200),
   phone: Joi.string().trim().max(20),
   projectId: Joi.string().trim().uppercase().max(50),
-  reportTypes: Joi.array().items(
-    Joi.string().valid('acoustic', 'transport', 'ecological', 'flood', 'heritage', 'arboricultural', 'waste', 'lighting')
-  ).min(1).required(),
+  reportTypes: Joi.array().items(reportTypeField(isActiveReportType)).min(1).required(),
   filters: Joi.object({
     allowedCounties: Joi.array().items(Joi.string().trim()),
     allowedSectors: Joi.array().items(Joi.string().trim())
   }),
+  // Null clears it, falling back to MATCH_MIN_CONFIDENCE
+  minMatchConfidence: Joi.number().min(0).max(1).allow(null),
   emailPreferences: Joi.object({
     instantNotification: Joi.boolean(),
     dailyDigest: Joi.boolean(),
@@ -33,13 +42,12 @@ const updateCustomerSchema = Joi.object({
   company: Joi.string().trim().max(200),
   phone: Joi.string().trim().max(20),
   projectId: Joi.string().trim().uppercase().max(50),
-  reportTypes: Joi.array().items(
-    Joi.string().valid('acoustic', 'transport', 'ecological', 'flood', 'heritage', 'arboricultural', 'waste', 'lighting')
-  ).min(1),
+  reportTypes: Joi.array().items(reportTypeField(isKnownReportType)).min(1),
   filters: Joi.object({
     allowedCounties: Joi.array().items(Joi.string().trim()),
     allowedSectors: Joi.array().items(Joi.string().trim())
   }),
+  minMatchConfidence: Joi.number().min(0).max(1).allow(null),
   isActive: Joi.boolean(),
   emailPreferences: Joi.object({
     instantNotification: Joi.boolean(),
@@ -338,12 +346,10 @@ router.post('/:id/toggle-status', async (req, res) => {
  */
 router.get('/by-report-type/:reportType', async (req, res) => {
   try {
-    const { reportType } = req.params;
+    const reportType = normalizeReportType(req.params.reportType);
     const { isActive = true } = req.query;
 
-    const validReportTypes = ['acoustic', 'transport', 'ecological', 'flood', 'heritage', 'arboricultural', 'waste', 'lighting'];
-
-    if (!validReportTypes.includes(reportType)) {
+    if (!isKnownReportType(reportType)) {
       return res.status(400).json({
         success: false,
         error: 'Invalid report type'
@@ -7,6 +7,10 @@ const scheduledJobManager = require('../services/scheduledJobManager');
 
 const logger = require('../utils/logger');
 const { enqueueScanJob } = require('../services/scanJobQueue');
+const { getReportTypes } = require('../services/reportTypes');
+const { getTraces } = require('../services/documentTrace');
+const catchUpScan = require('../services/catchUpScan');
+const shadowJobs = require('../services/shadowJobs');
 
 /**
  * GET /api/document-scan/jobs
@@ -15,7 +19,7 @@ const { enqueueScanJob } = require('../services/scanJobQueue');
 router.get('/jobs', authenticate, async (req, res) => {
   try {
     const jobs = await ScanJob.find()
-      .populate('customers.customerId', 'company email projectId filters')
+      .populate('customers.customerId', 'company email projectId filters minMatchConfidence')
       .sort({ createdAt: -1 });
 
     res.json({
@@ -40,7 +44,7 @@ router.get('/jobs', authenticate, async (req, res) => {
  */
 router.post('/jobs', authenticate, requireAdmin, async (req, res) => {
   try {
-    const { name, documentType, customers, config, schedule } = req.body;
+    const { name, documentType, customers, config, schedule, shadow } = req.body;
     const normalizedSchedule = schedule
       ? {
           ...schedule,
@@ -51,12 +55,14 @@ router.post('/jobs', authenticate, requireAdmin, async (req, res) => {
     logger.info('📝 Creating new scan job', {
       name,
       documentType,
+      shadow: !!shadow,
       user: req.user.email
     });
 
     const job = new ScanJob({
       name,
       documentType,
+      shadow: !!shadow,
       customers: customers || [],
       config: config || {},
       schedule: normalizedSchedule,
@@ -127,6 +133,7 @@ router.put('/jobs/:jobId', authenticate, requireAdmin, async (req, res) => {
     if (updates.config) job.config = { ...job.config, ...updates.config };
     if (normalizedSchedule) job.schedule = { ...job.schedule, ...normalizedSchedule };
     if (updates.customers) job.customers = updates.customers;
+    if (updates.shadow !== undefined) job.shadow = !!updates.shadow;
 
     job.lastModifiedBy = {
       userId: req.user._id,
@@ -219,7 +226,7 @@ router.post('/jobs/:jobId/run-now', authenticate, requireAdmin, async (req, res)
     });
 
     const job = await ScanJob.findOne({ jobId })
-      .populate('customers.customerId', 'email company name projectId filters');
+      .populate('customers.customerId', 'email company name projectId filters minMatchConfidence');
 
     if (!job) {
       return res.status(404).json({
@@ -563,6 +570,163 @@ router.delete('/jobs/:jobId', authenticate, requireAdmin, async (req, res) => {
   }
 });
 
+/**
+ * GET /api/document-scan/jobs/:jobId/trace?projectId=&fileName=&runId=&limit=
+ * How each document of a job's runs was judged: the filename and content vetoes,
+ * structural rejects, quick filter, each AI step, the evidence check, and what
+ * delivery did with a match. Newest first; kept for DOCUMENT_TRACE_RETENTION_DAYS.
+ */
+router.get('/jobs/:jobId/trace', authenticate, async (req, res) => {
+  try {
+    const { jobId } = req.params;
+    const { projectId, fileName, runId } = req.query;
+    const limit = parseInt(req.query.limit, 10) || 50;
+
+    const job = await ScanJob.exists({ jobId });
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        error: 'Scan job not found'
+      });
+    }
+
+    const traces = await getTraces({ jobId, projectId, fileName, runId, limit });
+
+    res.json({
+      success: true,
+      data: {
+        traces,
+        count: traces.length
+      }
+    });
+  } catch (error) {
+    logger.error('Failed to get document traces:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/document-scan/jobs/:jobId/catch-up
+ * Re-scan a range of past days for customers newly added to the job and send them one
+ * catch-up digest (services/catchUpScan.js). Body: { customerIds, startDate, endDate,
+ * projectIds?, county? }, dates YYYY-MM-DD. The job's other customers are not sent
+ * anything, and the chosen ones are not sent documents they have already had.
+ */
+router.post('/jobs/:jobId/catch-up', authenticate, requireAdmin, async (req, res) => {
+  try {
+    const { jobId } = req.params;
+
+    const job = await ScanJob.findOne({ jobId });
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        error: 'Scan job not found'
+      });
+    }
+
+    const { error, catchUp } = await catchUpScan.request(job, req.body, req.user);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error
+      });
+    }
+
+    res.json({
+      success: true,
+      data: catchUp,
+      message: `Catch-up ${catchUp.catchUpId} queued for ${catchUp.customerIds.length} customer(s).`
+    });
+  } catch (error) {
+    logger.error('Failed to queue catch-up:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/document-scan/jobs/:jobId/catch-up
+ * The job's catch-ups, newest first: scope, status, counts and what was delivered
+ */
+router.get('/jobs/:jobId/catch-up', authenticate, async (req, res) => {
+  try {
+    const limit = parseInt(req.query.limit, 10) || 20;
+    const catchUps = await catchUpScan.list(req.params.jobId, limit);
+
+    res.json({
+      success: true,
+      data: {
+        catchUps,
+        count: catchUps.length
+      }
+    });
+  } catch (error) {
+    logger.error('Failed to get catch-ups:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/document-scan/jobs/:jobId/shadow-comparison
+ * What a shadow job would have sent against what the live jobs of its report type sent
+ * (services/shadowJobs.js). Query: from, to (YYYY-MM-DD, default the last 7 days),
+ * liveJobId to compare with one live job only.
+ */
+router.get('/jobs/:jobId/shadow-comparison', authenticate, async (req, res) => {
+  try {
+    const { from, to, liveJobId } = req.query;
+    if ((from && !/^\d{4}-\d{2}-\d{2}$/.test(from)) || (to && !/^\d{4}-\d{2}-\d{2}$/.test(to))) {
+      return res.status(400).json({
+        success: false,
+        error: 'from and to must be in YYYY-MM-DD format'
+      });
+    }
+
+    const job = await ScanJob.findOne({ jobId: req.params.jobId });
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        error: 'Scan job not found'
+      });
+    }
+    if (!job.shadow) {
+      return res.status(400).json({
+        success: false,
+        error: 'Only a shadow job can be compared with the live jobs'
+      });
+    }
+
+    const end = to ? new Date(`${to}T00:00:00`) : new Date();
+    end.setHours(23, 59, 59, 999);
+    const start = from ? new Date(`${from}T00:00:00`) : new Date(end);
+    if (!from) {
+      start.setDate(start.getDate() - 6);
+      start.setHours(0, 0, 0, 0);
+    }
+
+    const comparison = await shadowJobs.compare(job, { from: start, to: end, liveJobId });
+
+    res.json({
+      success: true,
+      data: comparison
+    });
+  } catch (error) {
+    logger.error('Failed to compare shadow job:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
 /**
  * POST /api/document-scan/jobs/:jobId/customers
  * Add customers to a scan job
@@ -626,6 +790,66 @@ router.post('/jobs/:jobId/customers', authenticate, requireAdmin, async (req, re
   }
 });
 
+/**
+ * PUT /api/document-scan/jobs/:jobId/customers/:customerId
+ * Set this customer's minimum match confidence on this job only. Body:
+ * { minConfidence: 0..1 }, or null to fall back to the customer's own threshold.
+ */
+router.put('/jobs/:jobId/customers/:customerId', authenticate, requireAdmin, async (req, res) => {
+  try {
+    const { jobId, customerId } = req.params;
+    const { minConfidence } = req.body;
+
+    if (minConfidence !== null && !(typeof minConfidence === 'number' && minConfidence >= 0 && minConfidence <= 1)) {
+      return res.status(400).json({
+        success: false,
+        error: 'minConfidence must be a number between 0 and 1, or null'
+      });
+    }
+
+    const job = await ScanJob.findOne({ jobId });
+
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        error: 'Scan job not found'
+      });
+    }
+
+    const link = job.customers.find(c => c.customerId?.toString() === customerId);
+    if (!link) {
+      return res.status(404).json({
+        success: false,
+        error: 'Customer is not on this scan job'
+      });
+    }
+
+    link.minConfidence = minConfidence === null ? undefined : minConfidence;
+    job.lastModifiedBy = {
+      userId: req.user._id,
+      email: req.user.email,
+      name: req.user.name,
+      timestamp: new Date()
+    };
+
+    await job.save();
+
+    logger.info('scan job customer threshold set', { job: jobId, customerId, minConfidence, user: req.user.email });
+
+    res.json({
+      success: true,
+      data: job
+    });
+
+  } catch (error) {
+    logger.error('Failed to update scan job customer:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
 /**
  * DELETE /api/document-scan/jobs/:jobId/customers/:customerId
  * Remove a customer from a scan job
@@ -684,15 +908,15 @@ router.delete('/jobs/:jobId/customers/:customerId', authenticate, requireAdmin,
  * Get available document types
  */
 router.get('/document-types', authenticate, (req, res) => {
-  const documentTypes = [
-    { value: 'acoustic', label: 'Acoustic Reports', icon: '🔊' },
-    { value: 'transport', label: 'Transport Assessment', icon: '🚗' },
-    { value: 'flood', label: 'Flood Risk Assessment', icon: '🌊' },
-    { value: 'contamination', label: 'Contamination Reports', icon: '⚠️' },
-    { value: 'ecology', label: 'Ecology Reports', icon: '🌿' },
-    { value: 'arboricultural', label: 'Arboricultural Reports', icon: '🌳' },
-    { value: 'other', label: 'Other Documents', icon: '📄' }
-  ];
+  // Active types from the report-type taxonomy, so an admin-added type can be scanned
+  // for without a deploy. Manage them through /api/report-types.
+  const documentTypes = getReportTypes().map(type => ({
+    value: type.key,
+    label: type.label,
+    icon: type.icon,
+    // Older jobs store other spellings (e.g. `ecology`); lets the UI label them
+    aliases: type.aliases
+  }));
 
   res.json({
     success: true,
@@ -1148,18 +1148,15 @@ async function simulateLocalFIDetection(documents, reportTypes) {
     try {
       logger.info(`Processing local document: ${doc.fileName}`);
 
-      // Step 1: OCR if needed
-      const ocrPath = await detector.ocrIfNeeded(doc.filePath);
-
-      // Step 2: Extract text
-      const text = await detector.extractPdfText(ocrPath);
+      // Step 1: Extract text (OCR fallback included)
+      const text = await detector.extractDocumentText(doc.filePath, { fileName: doc.fileName });
 
       if (!text || text.trim().length === 0) {
         logger.warn(`No text extracted from ${doc.fileName}`);
         continue;
       }
 
-      // Step 3: Process each report type
+      // Step 2: Process each report type
       for (const reportType of reportTypes) {
         // Quick pre-filter
         if (!detector.quickKeywordFilter(text, reportType)) {
@@ -1380,11 +1377,8 @@ async function simulateFIDetection(documents, reportTypes) {
         continue;
       }
 
-      // Step 1: OCR if needed
-      const ocrPath = await detector.ocrIfNeeded(documentPath);
-
-      // Step 2: Extract text
-      const text = await detector.extractPdfText(ocrPath);
+      // Step 1: Extract text (OCR fallback included)
+      const text = await detector.extractDocumentText(documentPath, { fileName: doc.fileName });
 
       if (!text || text.trim().length === 0) {
         logger.warn(`No text extracted from ${doc.fileName}`);
@@ -1393,7 +1387,7 @@ async function simulateFIDetection(documents, reportTypes) {
         continue;
       }
 
-      // Step 3: Process each report type
+      // Step 2: Process each report type
       for (const reportType of reportTypes) {
         // Quick pre-filter
         if (!detector.quickKeywordFilter(text, reportType)) {
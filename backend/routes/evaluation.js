@@ -0,0 +1,114 @@
+const express = require('express');
+const router = express.Router();
+const fs = require('fs');
+const path = require('path');
+const logger = require('../utils/logger');
+const { authenticate, requireAdmin } = require('../middleware/auth');
+const { evaluateGoldSet, loadManifest } = require('../services/goldSetEvaluator');
+
+// Corpora live under one root so the API cannot be pointed at arbitrary paths.
+const goldSetRoot = path.resolve(process.env.GOLD_SET_DIR || path.join(__dirname, '../gold-set'));
+
+// Run state is written to disk rather than held in memory: the API runs as two PM2
+// forks, and the status request may land on the fork that did not start the run.
+const runDir = path.join(__dirname, '../services/outputs/gold-set');
+
+function runFilePath(runId) {
+  return path.join(runDir, `${runId}.json`);
+}
+
+function writeRunFile(run) {
+  fs.mkdirSync(runDir, { recursive: true });
+  fs.writeFileSync(runFilePath(run.runId), JSON.stringify(run, null, 2));
+}
+
+function resolveCorpus(name) {
+  const corpusDir = path.resolve(goldSetRoot, name || '.');
+  if (corpusDir !== goldSetRoot && !corpusDir.startsWith(goldSetRoot + path.sep)) {
+    return null;
+  }
+  return corpusDir;
+}
+
+/**
+ * Start a gold-set evaluation
+ * POST /api/evaluation/gold-set
+ * Body: { corpus: 'acoustic-2026-08', reportTypes: ['acoustic'] } (both optional)
+ */
+router.post('/gold-set', authenticate, requireAdmin, async (req, res) => {
+  try {
+    const corpusDir = resolveCorpus(req.body.corpus);
+    if (!corpusDir) {
+      return res.status(400).json({ success: false, message: 'Corpus must be inside the gold set directory' });
+    }
+
+    // Validate up front so a bad manifest is a 400 now, not a failed run later.
+    let manifest;
+    try {
+      manifest = loadManifest(corpusDir);
+    } catch (error) {
+      return res.status(400).json({ success: false, message: error.message });
+    }
+
+    const run = {
+      runId: `GOLD-${Date.now()}`,
+      status: 'running',
+      corpus: req.body.corpus || '.',
+      reportTypes: req.body.reportTypes || manifest.reportTypes,
+      documentCount: manifest.documents.length,
+      processed: 0,
+      startedBy: req.user?.email || null,
+      startedAt: new Date().toISOString()
+    };
+    writeRunFile(run);
+
+    setImmediate(async () => {
+      try {
+        const report = await evaluateGoldSet(corpusDir, {
+          reportTypes: req.body.reportTypes,
+          onProgress: (done) => {
+            // Throttled: one write per ten documents is plenty for a progress bar.
+            if (done % 10 === 0) writeRunFile({ ...run, processed: done });
+          }
+        });
+        writeRunFile({ ...run, status: 'completed', processed: run.documentCount, completedAt: new Date().toISOString(), report });
+      } catch (error) {
+        logger.error(`❌ Gold set run ${run.runId} failed:`, error);
+        writeRunFile({ ...run, status: 'failed', error: error.message, completedAt: new Date().toISOString() });
+      }
+    });
+
+    res.status(202).json({
+      success: true,
+      runId: run.runId,
+      statusUrl: `/api/evaluation/gold-set/${run.runId}`
+    });
+  } catch (error) {
+    logger.error('❌ Error starting gold set evaluation:', error);
+    res.status(500).json({ success: false, message: 'Failed to start gold set evaluation', error: error.message });
+  }
+});
+
+/**
+ * Gold-set run status and, once completed, the full report
+ * GET /api/evaluation/gold-set/:runId
+ */
+router.get('/gold-set/:runId', authenticate, requireAdmin, async (req, res) => {
+  try {
+    if (!/^GOLD-\d+$/.test(req.params.runId)) {
+      return res.status(400).json({ success: false, message: 'Invalid run id' });
+    }
+
+    const filePath = runFilePath(req.params.runId);
+    if (!fs.existsSync(filePath)) {
+      return res.status(404).json({ success: false, message: 'Gold set run not found' });
+    }
+
+    res.json({ success: true, data: JSON.parse(fs.readFileSync(filePath, 'utf8')) });
+  } catch (error) {
+    logger.error('❌ Error reading gold set run:', error);
+    res.status(500).json({ success: false, message: 'Failed to read gold set run', error: error.message });
+  }
+});
+
+module.exports = router;
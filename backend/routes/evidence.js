@@ -0,0 +1,66 @@
+const express = require('express');
+const router = express.Router();
+const Joi = require('joi');
+const logger = require('../utils/logger');
+const { authenticate, requireAdmin } = require('../middleware/auth');
+const evidenceExcerptService = require('../services/evidenceExcerptService');
+
+const { EvidenceExcerptError } = evidenceExcerptService;
+
+const linkSchema = Joi.object({
+  documentPath: Joi.string().trim().required(),
+  page: Joi.number().integer().min(1).required(),
+  start: Joi.number().integer().min(0),
+  end: Joi.number().integer().min(0),
+  format: Joi.string().valid('pdf', 'png').default('pdf')
+});
+
+/**
+ * GET /api/evidence/link?documentPath=&page=&start=&end=&format=
+ * A signed excerpt link for a match's evidence, as the batch email carries - for the
+ * dashboard and the review queue, which hold the same evidenceSource.
+ */
+router.get('/link', authenticate, requireAdmin, (req, res) => {
+  const { error, value } = linkSchema.validate(req.query);
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation error',
+      details: error.details.map(d => d.message)
+    });
+  }
+
+  const { documentPath, format, ...evidenceSource } = value;
+  const url = evidenceExcerptService.linkFor({ documentPath, evidenceSource }, format);
+  if (!url) {
+    return res.status(422).json({ success: false, error: 'No excerpt available for this document' });
+  }
+  res.json({ success: true, data: { url } });
+});
+
+/**
+ * GET /api/evidence/:token?format=pdf|png
+ * The page of a match's evidence with its quote highlighted. Public: the signed token
+ * (services/evidenceExcerptService.js) is the authorisation, as customers following a
+ * link from their email have no login.
+ */
+router.get('/:token', async (req, res) => {
+  try {
+    const format = String(req.query.format || 'pdf').toLowerCase();
+    const excerpt = await evidenceExcerptService.renderLink(req.params.token, format);
+    res.set({
+      'Content-Type': excerpt.contentType,
+      'Content-Disposition': `inline; filename="${excerpt.fileName.replace(/"/g, '')}"`,
+      'Cache-Control': 'private, max-age=3600'
+    });
+    res.send(excerpt.body);
+  } catch (error) {
+    if (error instanceof EvidenceExcerptError) {
+      return res.status(error.status).json({ success: false, error: error.message });
+    }
+    logger.error('evidence: excerpt failed', { err: error.message });
+    res.status(500).json({ success: false, error: 'Could not render the evidence page' });
+  }
+});
+
+module.exports = router;
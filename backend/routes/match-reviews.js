@@ -0,0 +1,148 @@
+const express = require('express');
+const router = express.Router();
+const Joi = require('joi');
+const logger = require('../utils/logger');
+const { authenticate, requireAdmin } = require('../middleware/auth');
+const matchReviewService = require('../services/matchReviewService');
+const { loadCalibration } = require('../services/matchCalibration');
+
+const decisionSchema = Joi.object({
+  note: Joi.string().trim().max(1000).allow('')
+});
+
+function validationError(res, error) {
+  return res.status(400).json({
+    success: false,
+    error: 'Validation error',
+    details: error.details.map(d => d.message)
+  });
+}
+
+/**
+ * Load the review named in the URL, answering 404 / 409 itself when it cannot be
+ * decided. Returns null when a response has been sent.
+ */
+async function loadPendingReview(req, res) {
+  const review = await matchReviewService.getReview(req.params.reviewId).catch(() => null);
+  if (!review) {
+    res.status(404).json({ success: false, error: 'Review not found' });
+    return null;
+  }
+  if (review.status !== 'PENDING') {
+    res.status(409).json({ success: false, error: `Review already ${review.status.toLowerCase()}` });
+    return null;
+  }
+  return review;
+}
+
+/**
+ * GET /api/match-reviews?status=PENDING&jobId=&customerId=&limit=
+ * Matches held back because their confidence was below the customer's threshold
+ */
+router.get('/', authenticate, async (req, res) => {
+  try {
+    const { status = 'PENDING', jobId, customerId } = req.query;
+    const limit = parseInt(req.query.limit, 10) || 100;
+
+    const reviews = await matchReviewService.listReviews({
+      status: status === 'ALL' ? null : status,
+      jobId,
+      customerId,
+      limit
+    });
+
+    res.json({
+      success: true,
+      data: {
+        reviews,
+        count: reviews.length
+      }
+    });
+  } catch (error) {
+    logger.error('Failed to list match reviews:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/match-reviews/calibration
+ * Confidence per evidence band and report type, with the outcome counts behind it
+ */
+router.get('/calibration', authenticate, async (req, res) => {
+  try {
+    const calibration = await loadCalibration({ refresh: req.query.refresh === 'true' });
+    res.json({
+      success: true,
+      data: calibration
+    });
+  } catch (error) {
+    logger.error('Failed to load match calibration:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/match-reviews/:reviewId/approve
+ * Email the match to its customer and record it as a confirmed outcome
+ */
+router.post('/:reviewId/approve', authenticate, requireAdmin, async (req, res) => {
+  try {
+    const { error, value } = decisionSchema.validate(req.body || {});
+    if (error) return validationError(res, error);
+
+    const review = await loadPendingReview(req, res);
+    if (!review) return;
+
+    const { sendResult } = await matchReviewService.approveReview(review, req.user.email, value.note);
+
+    res.json({
+      success: true,
+      message: sendResult.skipped
+        ? `Approved, but no email was sent: ${sendResult.reason}`
+        : `Match sent to ${review.customerEmail}`,
+      data: review
+    });
+  } catch (error) {
+    logger.error('Failed to approve match review:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/match-reviews/:reviewId/reject
+ * Drop the match for this customer and record it as a rejected outcome
+ */
+router.post('/:reviewId/reject', authenticate, requireAdmin, async (req, res) => {
+  try {
+    const { error, value } = decisionSchema.validate(req.body || {});
+    if (error) return validationError(res, error);
+
+    const review = await loadPendingReview(req, res);
+    if (!review) return;
+
+    await matchReviewService.rejectReview(review, req.user.email, value.note);
+
+    res.json({
+      success: true,
+      message: 'Match rejected',
+      data: review
+    });
+  } catch (error) {
+    logger.error('Failed to reject match review:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
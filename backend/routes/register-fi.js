@@ -2,19 +2,47 @@ const express = require('express');
 const router = express.Router();
 const registerFiService = require('../services/registerFiService');
 const documentFilterService = require('../services/documentFilterService');
+const { getDeliverableReportTypes } = require('../services/deliverableProfiles');
 const ScheduledJob = require('../models/ScheduledJob');
 const { authenticate, requireAdmin } = require('../middleware/auth');
 const logger = require('../utils/logger');
 
 /**
- * POST /api/register-fi/scan/acoustic/trigger
- * Trigger a manual acoustic report scan
+ * Resolve :reportType to a type with a deliverable profile, or answer 400.
+ * The /scan/acoustic/... paths predate the other types and resolve through here too.
  */
-router.post('/scan/acoustic/trigger', authenticate, requireAdmin, async (req, res) => {
+function resolveReportType(req, res, next) {
+  try {
+    req.reportType = documentFilterService.profileFor(req.params.reportType).reportType;
+    next();
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      error: `Unknown report type "${req.params.reportType}". Expected one of: ${getDeliverableReportTypes().join(', ')}`
+    });
+  }
+}
+
+/**
+ * GET /api/register-fi/scan/types
+ * Report types a deliverable scan can run for
+ */
+router.get('/scan/types', authenticate, (req, res) => {
+  res.json({
+    success: true,
+    data: getDeliverableReportTypes()
+  });
+});
+
+/**
+ * POST /api/register-fi/scan/:reportType/trigger
+ * Trigger a manual deliverable scan for one report type (acoustic, transport, flood, ...)
+ */
+router.post('/scan/:reportType/trigger', authenticate, requireAdmin, resolveReportType, async (req, res) => {
   try {
     const { from, to, projectIds } = req.body;
 
-    logger.info('🚀 Manual acoustic scan triggered', {
+    logger.info(`🚀 Manual ${req.reportType} scan triggered`, {
       user: req.user.email,
       from,
       to,
@@ -27,7 +55,7 @@ router.post('/scan/acoustic/trigger', authenticate, requireAdmin, async (req, re
     if (to) options.to = new Date(to);
     if (projectIds && projectIds.length > 0) options.projectIds = projectIds;
 
-    const result = await registerFiService.scanForAcousticReports(options);
+    const result = await registerFiService.scanForDeliverables(req.reportType, options);
 
     res.json({
       success: true,
@@ -35,7 +63,7 @@ router.post('/scan/acoustic/trigger', authenticate, requireAdmin, async (req, re
     });
 
   } catch (error) {
-    logger.error('Failed to trigger acoustic scan:', error);
+    logger.error(`Failed to trigger ${req.reportType} scan:`, error);
     res.status(500).json({
       success: false,
       error: error.message
@@ -44,16 +72,16 @@ router.post('/scan/acoustic/trigger', authenticate, requireAdmin, async (req, re
 });
 
 /**
- * POST /api/register-fi/scan/acoustic/daily
- * Trigger daily scan (scans yesterday's documents)
+ * POST /api/register-fi/scan/:reportType/daily
+ * Trigger daily scan for one report type (scans yesterday's documents)
  */
-router.post('/scan/acoustic/daily', authenticate, requireAdmin, async (req, res) => {
+router.post('/scan/:reportType/daily', authenticate, requireAdmin, resolveReportType, async (req, res) => {
   try {
-    logger.info('📅 Daily acoustic scan triggered', {
+    logger.info(`📅 Daily ${req.reportType} scan triggered`, {
       user: req.user.email
     });
 
-    const result = await registerFiService.runDailyScan();
+    const result = await registerFiService.runDailyScan(req.reportType);
 
     res.json({
       success: true,
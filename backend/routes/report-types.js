@@ -0,0 +1,195 @@
+const express = require('express');
+const router = express.Router();
+const Joi = require('joi');
+const logger = require('../utils/logger');
+const ReportType = require('../models/ReportType');
+const { authenticate, requireAdmin } = require('../middleware/auth');
+const {
+  BUILT_IN_REPORT_TYPES,
+  getReportTypes,
+  normalizeReportType,
+  isKnownReportType
+} = require('../services/reportTypes');
+const { loadReportTypes } = require('../services/reportTypeStore');
+
+const terms = Joi.array().items(Joi.string().trim().lowercase().min(1).max(100)).max(200);
+
+const createReportTypeSchema = Joi.object({
+  key: Joi.string().trim().lowercase().pattern(/^[a-z][a-z0-9-]*$/).max(50).required(),
+  label: Joi.string().trim().min(1).max(100).required(),
+  icon: Joi.string().trim().max(10).allow(''),
+  aliases: terms,
+  documentTerms: terms,
+  // New types need at least one precise term, or no quote could ever validate.
+  quoteTerms: terms.min(1).required(),
+  filenameTerms: terms,
+  irishTerms: terms,
+  active: Joi.boolean()
+});
+
+const updateReportTypeSchema = Joi.object({
+  label: Joi.string().trim().min(1).max(100),
+  icon: Joi.string().trim().max(10).allow(''),
+  aliases: terms,
+  documentTerms: terms,
+  quoteTerms: terms,
+  filenameTerms: terms,
+  irishTerms: terms,
+  active: Joi.boolean()
+});
+
+/**
+ * Aliases may not name another type or another type's alias - either would make
+ * normalizeReportType ambiguous.
+ */
+function findAliasConflicts(key, aliases = []) {
+  const taken = getReportTypes({ includeInactive: true });
+  return aliases.filter(alias => taken.some(type =>
+    type.key !== key && (type.key === alias || type.aliases.includes(alias))
+  ));
+}
+
+function validationError(res, error) {
+  return res.status(400).json({
+    success: false,
+    error: 'Validation error',
+    details: error.details.map(d => d.message)
+  });
+}
+
+/**
+ * GET /api/report-types
+ * The taxonomy for pickers and filters. ?includeInactive=true also lists retired types.
+ */
+router.get('/', authenticate, (req, res) => {
+  const includeInactive = req.query.includeInactive === 'true';
+  res.json({
+    success: true,
+    data: getReportTypes({ includeInactive })
+  });
+});
+
+/**
+ * POST /api/report-types
+ * Add a new report type
+ */
+router.post('/', authenticate, requireAdmin, async (req, res) => {
+  try {
+    const { error, value } = createReportTypeSchema.validate(req.body);
+    if (error) return validationError(res, error);
+
+    if (isKnownReportType(value.key)) {
+      return res.status(409).json({
+        success: false,
+        error: `Report type ${normalizeReportType(value.key)} already exists`
+      });
+    }
+
+    const conflicts = findAliasConflicts(value.key, value.aliases);
+    if (conflicts.length > 0) {
+      return res.status(409).json({
+        success: false,
+        error: `Aliases already in use: ${conflicts.join(', ')}`
+      });
+    }
+
+    const reportType = await ReportType.create({ ...value, updatedBy: req.user?.email });
+    await loadReportTypes();
+
+    logger.info('report types: created', { key: reportType.key, by: req.user?.email });
+    res.status(201).json({
+      success: true,
+      data: getReportTypes({ includeInactive: true }).find(type => type.key === reportType.key),
+      message: 'Report type created successfully'
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({ success: false, error: 'Report type already exists' });
+    }
+    logger.error('Error creating report type:', error);
+    res.status(500).json({ success: false, error: 'Failed to create report type' });
+  }
+});
+
+/**
+ * PUT /api/report-types/:key
+ * Edit a type. For a built-in type this stores an override; see
+ * services/reportTypes.setReportTypeOverrides for how it merges.
+ */
+router.put('/:key', authenticate, requireAdmin, async (req, res) => {
+  try {
+    const key = normalizeReportType(req.params.key);
+    if (!isKnownReportType(key)) {
+      return res.status(404).json({ success: false, error: 'Report type not found' });
+    }
+
+    const { error, value } = updateReportTypeSchema.validate(req.body);
+    if (error) return validationError(res, error);
+
+    const conflicts = findAliasConflicts(key, value.aliases);
+    if (conflicts.length > 0) {
+      return res.status(409).json({
+        success: false,
+        error: `Aliases already in use: ${conflicts.join(', ')}`
+      });
+    }
+
+    await ReportType.findOneAndUpdate(
+      { key },
+      { $set: { ...value, updatedBy: req.user?.email }, $setOnInsert: { key } },
+      { upsert: true, new: true, runValidators: true }
+    );
+    await loadReportTypes();
+
+    logger.info('report types: updated', { key, fields: Object.keys(value), by: req.user?.email });
+    res.json({
+      success: true,
+      data: getReportTypes({ includeInactive: true }).find(type => type.key === key),
+      message: 'Report type updated successfully'
+    });
+  } catch (error) {
+    logger.error('Error updating report type:', error);
+    res.status(500).json({ success: false, error: 'Failed to update report type' });
+  }
+});
+
+/**
+ * DELETE /api/report-types/:key
+ * Retire a type. Customers and jobs already using it keep working; it is only hidden
+ * from pickers. For a built-in type with ?reset=true, drops the override instead and
+ * restores the built-in definition.
+ */
+router.delete('/:key', authenticate, requireAdmin, async (req, res) => {
+  try {
+    const key = normalizeReportType(req.params.key);
+    if (!isKnownReportType(key)) {
+      return res.status(404).json({ success: false, error: 'Report type not found' });
+    }
+
+    const reset = req.query.reset === 'true';
+    if (reset) {
+      if (!BUILT_IN_REPORT_TYPES.includes(key)) {
+        return res.status(400).json({ success: false, error: 'Only built-in report types can be reset' });
+      }
+      await ReportType.deleteOne({ key });
+    } else {
+      await ReportType.findOneAndUpdate(
+        { key },
+        { $set: { active: false, updatedBy: req.user?.email }, $setOnInsert: { key } },
+        { upsert: true }
+      );
+    }
+    await loadReportTypes();
+
+    logger.info(`report types: ${reset ? 'reset' : 'retired'}`, { key, by: req.user?.email });
+    res.json({
+      success: true,
+      message: reset ? 'Report type reset to its built-in definition' : 'Report type retired'
+    });
+  } catch (error) {
+    logger.error('Error removing report type:', error);
+    res.status(500).json({ success: false, error: 'Failed to remove report type' });
+  }
+});
+
+module.exports = router;
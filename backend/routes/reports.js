@@ -4,6 +4,7 @@ const fiReportService = require('../services/fiReportService');
 const emailService = require('../services/emailService');
 const Customer = require('../models/Customer');
 const logger = require('../utils/logger');
+const { recordOutcomes } = require('../services/matchCalibration');
 
 const resolveRecipientName = async (recipientList, fallbackName) => {
   if (!Array.isArray(recipientList) || recipientList.length === 0) {
@@ -46,6 +47,7 @@ router.get('/customer/:customerId', validateCustomerId, async (req, res) => {
     const {
       status,
       reportType,
+      detectorVersion,
       dateFrom,
       dateTo,
       limit = 50,
@@ -55,6 +57,7 @@ router.get('/customer/:customerId', validateCustomerId, async (req, res) => {
     const options = {
       status,
       reportType,
+      detectorVersion,
       dateFrom,
       dateTo,
       limit: parseInt(limit),
@@ -105,6 +108,7 @@ router.get('/', async (req, res) => {
     const {
       status,
       reportType,
+      detectorVersion,
       dateFrom,
       dateTo,
       search,
@@ -116,6 +120,7 @@ router.get('/', async (req, res) => {
     const options = {
       status,
       reportType,
+      detectorVersion,
       dateFrom,
       dateTo,
       search,
@@ -201,6 +206,28 @@ const selectProjectsForResend = (projectsFound, { includedMatchIds, includedProj
   return entries;
 };
 
+/**
+ * Calibration outcomes (services/matchCalibration.js) implied by a resend: every entry
+ * sent is confirmed; entries left out are rejected only when some were picked.
+ */
+const resendOutcomes = (projectsFound, projectsSent, customerId) => {
+  const sent = new Set(projectsSent);
+  const narrowed = projectsSent.length < (projectsFound || []).length;
+
+  return (projectsFound || [])
+    .filter(entry => sent.has(entry) || narrowed)
+    .map(entry => ({
+      projectId: entry.projectId,
+      fileName: entry.metadata?.documentName,
+      reportType: (entry.fiIndicators && entry.fiIndicators[0]) || 'other',
+      validationQuote: entry.metadata?.validationQuote,
+      outcome: sent.has(entry) ? 'confirmed' : 'rejected',
+      source: sent.has(entry) ? 'resend' : 'resend-excluded',
+      customerId,
+      detectorVersion: entry.detectorVersion
+    }));
+};
+
 /**
  * Build a plain-text audit document for a set of reports.
  * Full-detail format: report header + every match with its matching quote.
@@ -247,6 +274,7 @@ const buildAuditText = (reports) => {
         if (p.planningValue) meta.push(`Value: €${p.planningValue}`);
         if (meta.length) parts.push(`    ${meta.join('  |  ')}`);
         if (p.fiIndicators?.length) parts.push(`    FI indicators: ${p.fiIndicators.join(', ')}`);
+        if (p.detectorVersion) parts.push(`    Detector:     ${p.detectorVersion}`);
         if (p.metadata?.documentName) parts.push(`    Document:     ${p.metadata.documentName}`);
         if (p.biiUrl) parts.push(`    URL:          ${p.biiUrl}`);
         if (p.metadata?.summary) parts.push(`    Summary:      ${p.metadata.summary}`);
@@ -256,6 +284,16 @@ const buildAuditText = (reports) => {
         } else {
           parts.push(`    Matching quote: (none recorded)`);
         }
+        const fiRequest = p.fiRequest;
+        if (fiRequest?.items?.length) {
+          parts.push(`    FI items:     ${fiRequest.items.length}`);
+          if (fiRequest.responseDeadline) parts.push(`    Deadline:     ${fiRequest.responseDeadline}`);
+          if (fiRequest.statutoryReference) parts.push(`    Under:        ${fiRequest.statutoryReference}`);
+          fiRequest.items.forEach(item => {
+            const from = item.requestedBy ? ` (${item.requestedBy})` : '';
+            parts.push(`      ${item.itemNumber}. [${item.reportType || '-'}] ${item.request}${from}`);
+          });
+        }
         parts.push('');
       });
     }
@@ -313,6 +351,59 @@ router.post('/export', async (req, res) => {
   }
 });
 
+/**
+ * GET /api/reports/detector-versions
+ * Detector versions with the matches, vetoes and reported matches each produced
+ * Query: dateFrom, dateTo (scan dates), jobId
+ */
+router.get('/detector-versions', async (req, res) => {
+  try {
+    const { dateFrom, dateTo, jobId } = req.query;
+    const summary = await fiReportService.getDetectorVersionSummary({ dateFrom, dateTo, jobId });
+
+    res.json({
+      success: true,
+      data: summary
+    });
+  } catch (error) {
+    logger.error('Error retrieving detector versions:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve detector versions'
+    });
+  }
+});
+
+/**
+ * GET /api/reports/detector-versions/compare?from=<version>&to=<version>
+ * Which components changed between two detector versions, and which matches only
+ * one of them produced. Restrict dateFrom/dateTo to days both versions scanned.
+ */
+router.get('/detector-versions/compare', async (req, res) => {
+  try {
+    const { from, to, dateFrom, dateTo, jobId } = req.query;
+    if (!from || !to) {
+      return res.status(400).json({
+        success: false,
+        error: 'Both from and to detector versions are required'
+      });
+    }
+
+    const comparison = await fiReportService.compareDetectorVersions(from, to, { dateFrom, dateTo, jobId });
+
+    res.json({
+      success: true,
+      data: comparison
+    });
+  } catch (error) {
+    logger.error('Error comparing detector versions:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to compare detector versions'
+    });
+  }
+});
+
 /**
  * GET /api/reports/:reportId
  * Get detailed information about a specific report
@@ -496,6 +587,10 @@ router.post('/:reportId/resend', async (req, res) => {
         emailResult.messageId
       );
 
+      // An admin choosing to resend a match confirms it; one left out of a narrowed
+      // resend counts against it. Both feed the confidence calibration.
+      await recordOutcomes(resendOutcomes(storedProjects, projectsToSend, report.customerId));
+
       res.json({
         success: true,
         message: 'Report resent successfully',
@@ -833,4 +928,5 @@ router.delete('/:reportId', async (req, res) => {
 
 module.exports = router;
 // Exported for unit testing - pure, no express or mongoose involved.
-module.exports.selectProjectsForResend = selectProjectsForResend;
\ No newline at end of file
+module.exports.selectProjectsForResend = selectProjectsForResend;
+module.exports.resendOutcomes = resendOutcomes;
\ No newline at end of file
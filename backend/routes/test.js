@@ -191,7 +191,7 @@ router.get('/status', async (req, res) => {
       status: allGood ? 'All systems ready' : 'Some configuration missing',
       checks,
       cacheStats: {
-        fiDetection: fiDetectionService.getCacheStats(),
+        fiDetection: await fiDetectionService.getCacheStats(),
         buildingInfo: buildingInfoService.cache?.size || 0
       }
     });
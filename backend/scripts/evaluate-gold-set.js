@@ -0,0 +1,94 @@
+/**
+ * Score FI detection against a labelled gold set.
+ *
+ * Runs processFIRequest and the response veto over every document in a corpus directory
+ * and prints precision, recall and the confusion matrix per report type and per
+ * detectionMethod stage. See services/goldSetEvaluator.js for the manifest format.
+ *
+ * Run it before and after any change to the marker lists or the reportTypes vocabulary.
+ * With DETECTION_RECORD_MODE=replay the model's answers come from recordings, so the
+ * two runs differ only by the code change.
+ *
+ * Usage:
+ *   node scripts/evaluate-gold-set.js ./gold-set
+ *   node scripts/evaluate-gold-set.js ./gold-set --types acoustic,flood
+ *   node scripts/evaluate-gold-set.js ./gold-set --out report.json
+ *   node scripts/evaluate-gold-set.js ./gold-set --errors        # list every wrong call
+ */
+
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const { evaluateGoldSet } = require('../services/goldSetEvaluator');
+
+const corpusArg = process.argv[2];
+const typesArg = process.argv.indexOf('--types');
+const TYPES = typesArg !== -1 ? process.argv[typesArg + 1].split(',').map(t => t.trim()) : null;
+const outArg = process.argv.indexOf('--out');
+const OUT = outArg !== -1 ? process.argv[outArg + 1] : null;
+const SHOW_ERRORS = process.argv.includes('--errors');
+
+const fmt = (value) => (value === null ? '   -  ' : value.toFixed(3).padStart(6));
+
+function printTable(title, rows) {
+  console.log(`\n${title}`);
+  console.log(`${'name'.padEnd(34)}    tp    fp    fn    tn  precision  recall`);
+  for (const [name, m] of rows) {
+    console.log(
+      `${name.padEnd(34)} ${String(m.tp).padStart(5)} ${String(m.fp).padStart(5)} ` +
+      `${String(m.fn).padStart(5)} ${String(m.tn).padStart(5)}     ${fmt(m.precision)}  ${fmt(m.recall)}`
+    );
+  }
+}
+
+async function main() {
+  if (!corpusArg || corpusArg.startsWith('--')) {
+    console.error('Usage: node scripts/evaluate-gold-set.js <corpusDir> [--types a,b] [--out file.json] [--errors]');
+    process.exit(1);
+  }
+
+  const corpusDir = path.resolve(corpusArg);
+  const report = await evaluateGoldSet(corpusDir, {
+    reportTypes: TYPES,
+    onProgress: (done, total) => process.stdout.write(`\r   ${done}/${total} documents`)
+  });
+  process.stdout.write('\n');
+
+  console.log('='.repeat(78));
+  console.log(`Gold set: ${corpusDir}`);
+  console.log(`Model: ${report.model}   record mode: ${report.recordMode}   documents: ${report.documentCount}`);
+  console.log('='.repeat(78));
+
+  printTable('Overall', [
+    ['customer match (all types)', report.overall],
+    ['is FI request', report.fiDetection],
+    ['response veto', report.veto]
+  ]);
+  printTable('By report type', Object.entries(report.byReportType));
+  printTable('By detection stage (where each decision ended)', Object.entries(report.byStage));
+
+  if (SHOW_ERRORS) {
+    console.log('\nWrong calls');
+    for (const doc of report.documents) {
+      for (const [type, result] of Object.entries(doc.results)) {
+        if (result.correct) continue;
+        const kind = result.expected ? 'FN' : 'FP';
+        console.log(`  ${kind}  ${type.padEnd(14)} ${result.stage.padEnd(32)} ${doc.file}`);
+      }
+      if (!doc.vetoCorrect) {
+        console.log(`  ${doc.expected.veto ? 'FN' : 'FP'}  ${'veto'.padEnd(14)} ${''.padEnd(32)} ${doc.file}`);
+      }
+      for (const error of doc.errors) console.log(`  ERR ${error}  ${doc.file}`);
+    }
+  }
+
+  if (OUT) {
+    fs.writeFileSync(OUT, JSON.stringify(report, null, 2));
+    console.log(`\nFull report written to ${OUT}`);
+  }
+}
+
+main().catch(error => {
+  console.error('❌ Gold set evaluation failed:', error.message);
+  process.exit(1);
+});
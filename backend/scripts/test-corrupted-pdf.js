@@ -1,12 +1,12 @@
-// Test script to verify pdfjs-dist handles corrupted PDFs gracefully
+// Test script to verify a corrupted PDF cannot take the extracting process down
 require('dotenv').config();
 const AWS = require('aws-sdk');
-const pdfjsLib = require('pdfjs-dist/legacy/build/pdf.js');
+const extractionSandbox = require('../services/extractionSandbox');
 const { getBucket, getRegion } = require('../utils/awsConfig');
 
 async function testCorruptedPDF() {
     try {
-        console.log('🧪 Testing PDF parsing with pdfjs-dist...\n');
+        console.log('🧪 Testing PDF extraction in the sandbox...\n');
         
         // The problematic file that crashed the system
         const testFile = 'planning-docs/383529/a2--307-proposed-elevations.pdf';
@@ -25,46 +25,23 @@ async function testCorruptedPDF() {
         const fileBuffer = s3Response.Body;
         console.log(`✅ Downloaded ${fileBuffer.length} bytes\n`);
         
-        // Try to parse with pdfjs-dist
-        console.log('🔍 Attempting to parse PDF with pdfjs-dist...');
-        
-        try {
-            // Convert Buffer to Uint8Array (required by pdfjs-dist)
-            const uint8Array = new Uint8Array(fileBuffer);
-            
-            const loadingTask = pdfjsLib.getDocument({
-                data: uint8Array,
-                useSystemFonts: true,
-                standardFontDataUrl: null
-            });
-            
-            const pdfDocument = await loadingTask.promise;
-            const numPages = pdfDocument.numPages;
-            
-            console.log(`✅ PDF loaded successfully!`);
-            console.log(`📄 Pages: ${numPages}`);
-            
-            // Try to extract text from first page
-            const page = await pdfDocument.getPage(1);
-            const textContent = await page.getTextContent();
-            const text = textContent.items.map(item => item.str).join(' ');
-            
-            console.log(`✅ Text extracted from page 1: ${text.substring(0, 200)}...\n`);
-            
-            await pdfDocument.destroy();
-            
-            console.log('✅ SUCCESS: pdfjs-dist handled the PDF without crashing!');
-            console.log('✅ The corrupted PDF issue is FIXED!\n');
-            
-        } catch (pdfError) {
-            console.log('❌ PDF parsing failed (expected for corrupted PDFs):');
-            console.log(`   Error: ${pdfError.message}`);
-            console.log(`   Type: ${pdfError.name}\n`);
-            
-            console.log('✅ SUCCESS: pdfjs-dist caught the error gracefully without crashing!');
-            console.log('✅ The system will now skip corrupted PDFs instead of crashing.\n');
+        // Extract in the sandbox, as the scans do: a PDF that loops or runs away with
+        // memory comes back 'unresolved' instead of taking this process down
+        console.log('🔍 Extracting in the extraction sandbox...');
+        const result = await extractionSandbox.extract({ fileName: testFile.split('/').pop(), buffer: fileBuffer });
+        await extractionSandbox.shutdown();
+
+        if (result.outcome === 'extracted') {
+            console.log(`✅ Extracted ${result.text.length} chars from ${result.diagnostics.pagesExtracted}/${result.diagnostics.pageCount} pages`);
+            console.log(`   ${result.text.substring(0, 200)}...\n`);
+        } else if (result.outcome === 'unresolved') {
+            console.log(`⚠️  Unresolved: ${result.unresolved.reason}`, result.unresolved);
+            console.log('✅ The sandbox contained it; a scan would record the document and move on.\n');
+        } else {
+            console.log(`❌ Extraction failed (expected for corrupted PDFs): ${result.error}`);
+            console.log('✅ The failure was caught without crashing.\n');
         }
-        
+
         process.exit(0);
         
     } catch (error) {
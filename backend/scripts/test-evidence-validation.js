@@ -6,6 +6,9 @@
  * 2. Acoustic matches require BOTH request verb AND acoustic term
  * 3. matchFIRequestType enforces evidence-validity before customer emit
  * 4. DAA consultee-to-authority patterns are rejected
+ *
+ * Test 2 calls the model. Record it once with DETECTION_RECORD_MODE=record, then rerun
+ * with DETECTION_RECORD_MODE=replay to check validator changes offline.
  */
 
 require('dotenv').config();
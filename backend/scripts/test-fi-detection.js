@@ -1,3 +1,13 @@
+/**
+ * Layer-by-layer FI detection check against known production files.
+ *
+ * Needs S3 access. The model calls need a live API key unless run against recordings:
+ *
+ *   DETECTION_RECORD_MODE=record node scripts/test-fi-detection.js   # once, live
+ *   DETECTION_RECORD_MODE=replay node scripts/test-fi-detection.js   # offline, deterministic
+ *
+ * See services/detectionRecorder.js.
+ */
 require('dotenv').config();
 const fiDetectionService = require('../services/fiDetectionService');
 const s3Service = require('../services/s3Service');
@@ -159,7 +169,7 @@ async function testWithS3Files() {
 
       // Extract text
       console.log('📝 Extracting text...');
-      const documentText = await fiDetectionService.extractPdfText(downloadResult.localPath);
+      const documentText = await fiDetectionService.extractDocumentText(downloadResult.localPath);
       console.log(`   Extracted ${documentText.length} characters`);
 
       // Truncate to 32k
@@ -30,9 +30,14 @@ const documentRegisterRoutes = require('./routes/document-register');
 const registerFiRoutes = require('./routes/register-fi');
 const documentScanRoutes = require('./routes/document-scan');
 const runsRoutes = require('./routes/runs');
+const evaluationRoutes = require('./routes/evaluation');
+const reportTypeRoutes = require('./routes/report-types');
+const matchReviewRoutes = require('./routes/match-reviews');
+const evidenceRoutes = require('./routes/evidence');
 
 // Services and schedulers
 const documentRegisterScheduler = require('./services/documentRegisterScheduler');
+const s3Manifest = require('./services/s3Manifest');
 // NOTE: ingestionScheduler moved to ingestion-worker.js
 // NOTE: scanJobProcessor moved to worker.js - backend only enqueues jobs
 const dailyRunService = require('./services/dailyRunService');
@@ -160,6 +165,10 @@ app.use('/api/document-register', documentRegisterRoutes);
 app.use('/api/register-fi', registerFiRoutes);
 app.use('/api/document-scan', documentScanRoutes);
 app.use('/api/runs', runsRoutes);
+app.use('/api/evaluation', evaluationRoutes);
+app.use('/api/report-types', reportTypeRoutes);
+app.use('/api/match-reviews', matchReviewRoutes);
+app.use('/api/evidence', evidenceRoutes);
 
 // Error handling middleware
 app.use((err, req, res, next) => {
@@ -195,6 +204,9 @@ mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/fi-email-
 .then(() => {
   logger.info('Connected to MongoDB');
 
+  // Admin-defined report types; every fork keeps its own copy in sync
+  require('./services/reportTypeStore').startReportTypeSync();
+
   // Ensure primary admin exists (idempotent - safe to run on every startup)
   const User = require('./models/User');
   User.ensurePrimaryAdmin()
@@ -216,6 +228,13 @@ mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/fi-email-
       .then(() => logger.info('Scheduled job manager initialized successfully'))
       .catch(error => logger.error('Failed to initialize scheduled job manager:', error));
 
+    // Nightly S3 manifest at 00:01, read by the register and every scan after it
+    try {
+      s3Manifest.initialize();
+    } catch (error) {
+      logger.error('Failed to initialize s3 manifest build:', error);
+    }
+
     // Initialize document register scheduler after DB connection
     try {
       documentRegisterScheduler.initialize();
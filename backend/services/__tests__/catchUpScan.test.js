@@ -0,0 +1,263 @@
+/**
+ * Historical catch-ups (services/catchUpScan.js): days the job scanned reuse their stored
+ * matches, days it never scanned are judged, baselines and scope are respected, and only
+ * the chosen customers are sent what they have not already had.
+ *
+ * No mongo, S3 or email: the models, scanner and delivery are spied on.
+ */
+
+jest.mock('../scanJobQueue', () => ({
+  enqueueScanJob: jest.fn(),
+  enqueueCatchUpScan: jest.fn(),
+  getScanQueue: jest.fn()
+}));
+
+const ScanJob = require('../../models/ScanJob');
+const ScanCatchUp = require('../../models/ScanCatchUp');
+const ScanJobDailyResult = require('../../models/ScanJobDailyResult');
+const FIReport = require('../../models/FIReport');
+const PendingMetadataMatch = require('../../models/PendingMetadataMatch');
+const fastS3Scanner = require('../fastS3Scanner');
+const s3Service = require('../s3Service');
+const s3Manifest = require('../s3Manifest');
+const scanJobProcessor = require('../scanJobProcessor');
+const fiDetectionService = require('../fiDetectionService');
+const scanJobQueue = require('../scanJobQueue');
+const catchUpScan = require('../catchUpScan');
+
+/** YYYY-MM-DD of the local day `daysAgo` before today. */
+function dayKey(daysAgo) {
+  const day = new Date();
+  day.setDate(day.getDate() - daysAgo);
+  return scanJobProcessor.toLocalDateKey(day);
+}
+
+function localMidnight(key) {
+  const [y, m, d] = key.split('-').map(Number);
+  return new Date(y, m - 1, d);
+}
+
+const ACME = { customerId: { _id: 'cust-acme', email: 'leads@acme.ie', name: 'Acme' } };
+const NEWCO = { customerId: { _id: 'cust-newco', email: 'bids@newco.ie', name: 'Newco' } };
+const JOB = { jobId: 'SCAN-ACOUSTIC-1', documentType: 'acoustic', customers: [ACME, NEWCO] };
+
+const lean = value => ({ lean: jest.fn().mockResolvedValue(value) });
+
+describe('parseRequest', () => {
+  const valid = { customerIds: ['cust-newco'], startDate: dayKey(10), endDate: dayKey(2) };
+
+  test('accepts a range of past days for customers on the job', () => {
+    const parsed = catchUpScan.parseRequest(JOB, { ...valid, projectIds: [403501, ' 389003 '], county: ' Cork ' });
+
+    expect(parsed.error).toBeUndefined();
+    expect(parsed.customerIds).toEqual(['cust-newco']);
+    expect(parsed.scope).toMatchObject({ projectIds: ['403501', '389003'], county: 'Cork' });
+    expect(parsed.scope.startDate).toEqual(localMidnight(valid.startDate));
+  });
+
+  test('rejects customers not on the job, bad or future dates, and over-long ranges', () => {
+    expect(catchUpScan.parseRequest(JOB, { ...valid, customerIds: ['cust-other'] }).error).toMatch(/cust-other/);
+    expect(catchUpScan.parseRequest(JOB, { ...valid, customerIds: [] }).error).toMatch(/customerIds/);
+    expect(catchUpScan.parseRequest(JOB, { ...valid, startDate: '2026-02-30' }).error).toMatch(/YYYY-MM-DD/);
+    expect(catchUpScan.parseRequest(JOB, { ...valid, startDate: valid.endDate, endDate: valid.startDate }).error).toMatch(/after/);
+    expect(catchUpScan.parseRequest(JOB, { ...valid, endDate: dayKey(0) }).error).toMatch(/before today/);
+    expect(catchUpScan.parseRequest(JOB, { ...valid, startDate: dayKey(200) }).error).toMatch(/at most 90 days/);
+  });
+
+  test('request records the catch-up and queues it', async () => {
+    const create = jest.spyOn(ScanCatchUp, 'create').mockImplementation(async doc => doc);
+
+    const { catchUp } = await catchUpScan.request(JOB, valid, { _id: 'user-1', email: 'ops@example.ie' });
+
+    expect(create).toHaveBeenCalledWith(expect.objectContaining({ jobId: JOB.jobId, customerIds: ['cust-newco'] }));
+    expect(scanJobQueue.enqueueCatchUpScan).toHaveBeenCalledWith(catchUp.catchUpId);
+    create.mockRestore();
+  });
+});
+
+describe('run', () => {
+  // Three days: the job scanned the middle one; the first and last are gaps
+  const days = [dayKey(4), dayKey(3), dayKey(2)];
+  let catchUp;
+  let sendMatchEmails;
+
+  beforeEach(() => {
+    catchUp = new ScanCatchUp({
+      catchUpId: 'CATCHUP-1',
+      jobId: JOB.jobId,
+      customerIds: ['64b000000000000000000001'],
+      scope: { startDate: localMidnight(days[0]), endDate: localMidnight(days[2]), projectIds: ['100', '200', '300'] }
+    });
+    // Customer ids as the job populates them
+    const newco = { customerId: { ...NEWCO.customerId, _id: catchUp.customerIds[0] } };
+    const job = { ...JOB, customers: [ACME, newco] };
+
+    jest.spyOn(ScanCatchUp.prototype, 'save').mockResolvedValue();
+    jest.spyOn(ScanCatchUp, 'findOne').mockResolvedValue(catchUp);
+    jest.spyOn(ScanJob, 'findOne').mockReturnValue({ populate: jest.fn().mockResolvedValue(job) });
+    jest.spyOn(scanJobProcessor, 'findCoverageGaps').mockResolvedValue([days[0], days[2]]);
+    jest.spyOn(ScanJobDailyResult, 'find').mockReturnValue(lean([{
+      scanDate: localMidnight(days[1]),
+      matches: [
+        { projectId: '100', fileName: 'fi-request.pdf', fiType: 'acoustic', validationQuote: 'submit a noise impact assessment', confidence: 0.9 },
+        { projectId: '999', fileName: 'other.pdf', fiType: 'acoustic', validationQuote: 'submit a noise survey', confidence: 0.9 }
+      ]
+    }]));
+    jest.spyOn(fastS3Scanner, 'streamDocumentsSince').mockImplementation(async (since, end, onDocument) => {
+      const documents = [
+        { projectId: '200', fileName: 'further-info.pdf', lastModified: since },
+        { projectId: '300', fileName: 'back-catalogue.pdf', lastModified: since },
+        { projectId: '999', fileName: 'out-of-scope.pdf', lastModified: since }
+      ];
+      for (const document of documents) {
+        await onDocument({ ...document, filePath: `planning-docs/${document.projectId}/${document.fileName}` });
+      }
+      return { totalMatched: documents.length };
+    });
+    // Project 300 was first copied into planning-docs on the oldest day, and baselined
+    // again since: its marker is still there
+    jest.spyOn(s3Manifest, 'firstDay').mockImplementation(async projectId => (projectId === '300' ? days[0] : null));
+    jest.spyOn(s3Service, 'hasBaselineMarker').mockImplementation(async projectId => projectId === '300');
+    jest.spyOn(scanJobProcessor, 'processDocument').mockImplementation(async document => ({
+      isMatch: true,
+      validationQuote: `Please submit a noise impact assessment (${document.fileName})`,
+      confidence: 0.92
+    }));
+    jest.spyOn(scanJobProcessor, 'sweepProjectsForResponses').mockResolvedValue();
+    jest.spyOn(scanJobProcessor, 'loadVetoKeys').mockResolvedValue(new Set());
+    // Newco has already been sent project 100's request
+    jest.spyOn(FIReport, 'find').mockReturnValue({
+      select: jest.fn().mockReturnValue(lean([{
+        customerId: String(catchUp.customerIds[0]),
+        searchCriteria: { projectTypes: ['acoustic'] },
+        projectsFound: [{ projectId: '100', fiIndicators: ['acoustic'], metadata: { documentName: 'fi-request.pdf' } }]
+      }]))
+    });
+    sendMatchEmails = jest.spyOn(scanJobProcessor, 'sendMatchEmails').mockResolvedValue();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('reuses scanned days, judges the rest, and sends the chosen customer only what is new to them', async () => {
+    await catchUpScan.run('CATCHUP-1');
+
+    expect(catchUp.status).toBe('COMPLETED');
+    expect(catchUp.reusedDays).toEqual([days[1]]);
+    expect(catchUp.scannedDays).toEqual([days[0], days[2]]);
+    // One stream per run of gap days, never the day already scanned
+    expect(fastS3Scanner.streamDocumentsSince).toHaveBeenCalledTimes(2);
+    expect(scanJobProcessor.processDocument.mock.calls.map(([document]) => document.fileName))
+      .toEqual(['further-info.pdf', 'further-info.pdf']);
+    expect(catchUp.counts.toObject()).toMatchObject({ baselineSkipped: 2, outOfScope: 3, judged: 2, alreadySent: 1 });
+
+    expect(sendMatchEmails).toHaveBeenCalledTimes(1);
+    const [delivery, , , options] = sendMatchEmails.mock.calls[0];
+    expect(delivery.map(m => m.document.fileName)).toEqual(['further-info.pdf']);
+    expect(delivery[0].customers.map(c => c.customerId.email)).toEqual(['bids@newco.ie']);
+    // A judged match is stamped with the detector that judged it, as a nightly one is
+    expect(fiDetectionService.detectorVersion).toEqual(expect.any(String));
+    expect(delivery[0].result.detectorVersion).toBe(fiDetectionService.detectorVersion);
+    expect(catchUp.matches.find(m => m.projectId === '200').detectorVersion).toBe(fiDetectionService.detectorVersion);
+    expect(options).toMatchObject({ source: 'MANUAL', reportFilters: { catchUpId: 'CATCHUP-1' } });
+    expect(options.subject).toMatch(/^Catch-up/);
+  });
+
+  test('a project already sent for the type through another document is not sent again', async () => {
+    FIReport.find.mockReturnValue({
+      select: jest.fn().mockReturnValue(lean([{
+        customerId: String(catchUp.customerIds[0]),
+        searchCriteria: { projectTypes: ['acoustic'] },
+        projectsFound: [
+          { projectId: '100', fiIndicators: ['acoustic'], metadata: { documentName: 'fi-request.pdf' } },
+          // Same request, delivered the night its covering letter was uploaded
+          { projectId: '200', fiIndicators: ['noise'], metadata: { documentName: 'cover-letter.pdf' } }
+        ]
+      }]))
+    });
+
+    await catchUpScan.run('CATCHUP-1');
+
+    expect(catchUp.counts.alreadySent).toBe(2);
+    expect(sendMatchEmails).not.toHaveBeenCalled();
+  });
+
+  test('a project sent for another report type is still sent for this one', async () => {
+    FIReport.find.mockReturnValue({
+      select: jest.fn().mockReturnValue(lean([{
+        customerId: String(catchUp.customerIds[0]),
+        searchCriteria: { projectTypes: ['flood'] },
+        projectsFound: [{ projectId: '200', metadata: { documentName: 'further-info.pdf' } }]
+      }]))
+    });
+
+    await catchUpScan.run('CATCHUP-1');
+
+    const [delivery] = sendMatchEmails.mock.calls[0];
+    expect(delivery.map(m => m.document.projectId).sort()).toEqual(['100', '200']);
+  });
+
+  test('the regular delivery of a reused day does not send again what the catch-up sent', async () => {
+    // FIReports as sendMatchEmails stores them, one per customer
+    const reports = [];
+    FIReport.find.mockImplementation(query => ({
+      select: jest.fn().mockReturnValue(lean(reports.filter(report =>
+        !query['searchCriteria.customFilters.catchUpId'] || report.searchCriteria.customFilters.catchUpId)))
+    }));
+    sendMatchEmails.mockImplementation(async (delivery, job, metadata, { reportFilters = {} } = {}) => {
+      for (const { customerId } of job.customers) {
+        const projectsFound = delivery
+          .filter(m => m.customers.some(c => c.customerId === customerId))
+          .map(m => ({ projectId: m.document.projectId, fiIndicators: [job.documentType] }));
+        if (projectsFound.length === 0) continue;
+        reports.push({
+          customerId: String(customerId._id),
+          searchCriteria: { projectTypes: [job.documentType], customFilters: { jobId: job.jobId, ...reportFilters } },
+          projectsFound
+        });
+      }
+    });
+
+    await catchUpScan.run('CATCHUP-1');
+    expect(catchUp.counts.alreadySent).toBe(0);
+
+    // The reused day has not gone out yet: the job's next delivery sends it
+    const job = await ScanJob.findOne({ jobId: JOB.jobId }).populate();
+    ScanJobDailyResult.find.mockResolvedValue([{
+      scanDate: localMidnight(days[1]),
+      matches: [
+        { projectId: '100', fileName: 'fi-request.pdf', fiType: 'acoustic', validationQuote: 'submit a noise impact assessment', confidence: 0.9 },
+        { projectId: '999', fileName: 'other.pdf', fiType: 'acoustic', validationQuote: 'submit a noise survey', confidence: 0.9 }
+      ]
+    }]);
+    jest.spyOn(ScanJobDailyResult, 'updateMany').mockResolvedValue({});
+    jest.spyOn(PendingMetadataMatch, 'find').mockResolvedValue([]);
+    jest.spyOn(scanJobProcessor, 'partitionMatchesByMetadata').mockImplementation(async matches =>
+      ({ deliverable: matches, held: [], metadataMap: new Map() }));
+
+    await scanJobProcessor.deliverResultsForJob(job, localMidnight(days[1]));
+
+    expect(sendMatchEmails).toHaveBeenCalledTimes(2);
+    const recipients = Object.fromEntries(sendMatchEmails.mock.calls[1][0].map(m =>
+      [m.document.projectId, m.customers.map(c => c.customerId.email)]));
+    expect(recipients).toEqual({ 100: ['leads@acme.ie'], 999: ['leads@acme.ie', 'bids@newco.ie'] });
+  });
+
+  test('a vetoed project is not sent', async () => {
+    scanJobProcessor.loadVetoKeys.mockResolvedValue(new Set(['200::acoustic']));
+
+    await catchUpScan.run('CATCHUP-1');
+
+    expect(catchUp.counts.vetoed).toBe(2);
+    expect(sendMatchEmails).not.toHaveBeenCalled();
+  });
+
+  test('a failure is recorded on the catch-up', async () => {
+    scanJobProcessor.findCoverageGaps.mockRejectedValue(new Error('mongo down'));
+
+    await expect(catchUpScan.run('CATCHUP-1')).resolves.toBe(catchUp);
+    expect(catchUp.status).toBe('FAILED');
+    expect(catchUp.error).toBe('mongo down');
+  });
+});
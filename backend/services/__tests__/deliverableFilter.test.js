@@ -0,0 +1,110 @@
+/**
+ * The register filter and vision check, parameterised by report type through the
+ * deliverable profiles (services/deliverableProfiles.js).
+ */
+
+const documentFilterService = require('../documentFilterService');
+const aiVisionService = require('../aiVisionService');
+const { getDeliverableProfile, getDeliverableReportTypes } = require('../deliverableProfiles');
+const { setReportTypeOverrides } = require('../reportTypes');
+
+const FLOOD_REPORT = `Site-Specific Flood Risk Assessment prepared by JBA Consulting.
+The site lies within Flood Zone C. The Justification Test is not required. Surface water
+will be attenuated in a SuDS system sized for the 1 in 100 year event plus a 20% climate
+change allowance, limiting discharge to the greenfield runoff rate of 2.1 l/s, in accordance
+with The Planning System and Flood Risk Management Guidelines and CIRIA C753.`;
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  setReportTypeOverrides([]);
+  documentFilterService.resetStats();
+});
+
+describe('deliverable profiles', () => {
+  test('every built-in type except other has one, and aliases resolve', () => {
+    expect(getDeliverableReportTypes()).toEqual(expect.arrayContaining(['acoustic', 'transport', 'flood', 'ecological']));
+    expect(getDeliverableReportTypes()).not.toContain('other');
+    expect(getDeliverableProfile('ecology').reportType).toBe('ecological');
+    expect(getDeliverableProfile('other')).toBeNull();
+    expect(getDeliverableProfile('nonsense')).toBeNull();
+  });
+
+  test('an admin-defined type gets a profile from its vocabulary', () => {
+    setReportTypeOverrides([{ key: 'air-quality', label: 'Air Quality', filenameTerms: ['air quality', 'aqa'], documentTerms: ['dust', 'no2', 'air quality assessment'] }]);
+    const profile = getDeliverableProfile('air-quality');
+    expect(profile.label).toBe('Air Quality');
+    expect(profile.filenamePatterns.some(p => p.test('Air_Quality_Assessment.pdf'))).toBe(true);
+    expect(profile.filenamePatterns.some(p => p.test('Plan.pdf'))).toBe(false);
+    // Terms too short to count in body text are left out
+    expect(profile.keywords).toEqual(['dust', 'air quality assessment']);
+  });
+});
+
+describe('documentFilterService by report type', () => {
+  test('acoustic keeps its filename rules', () => {
+    expect(documentFilterService.stage1FilenameFilter('Noise Impact Assessment.pdf')).toMatchObject({ pass: true, confidence: 0.8 });
+    expect(documentFilterService.stage1FilenameFilter('AWN invoice.pdf').reject).toBe(true);
+    expect(documentFilterService.stage1FilenameFilter('Construction Noise Management Plan.pdf').reject).toBe(true);
+  });
+
+  test('filename rules follow the report type', () => {
+    expect(documentFilterService.stage1FilenameFilter('Traffic and Transport Assessment.pdf', 'transport'))
+      .toMatchObject({ pass: true, confidence: 0.8 });
+    expect(documentFilterService.stage1FilenameFilter('Traffic and Transport Assessment.pdf', 'acoustic').pass).toBe(false);
+    expect(documentFilterService.stage1FilenameFilter('Construction Traffic Management Plan.pdf', 'transport').reject).toBe(true);
+    expect(() => documentFilterService.stage1FilenameFilter('x.pdf', 'other')).toThrow(/No deliverable profile/);
+  });
+
+  test('content scoring uses the type keywords, consultants, standards and data', async () => {
+    const flood = await documentFilterService.stage2ContentFilter(FLOOD_REPORT, 'report.pdf', 'flood');
+    expect(flood.confidence).toBeGreaterThanOrEqual(0.8);
+    expect(flood.consultants).toContain('JBA');
+
+    const asAcoustic = await documentFilterService.stage2ContentFilter(FLOOD_REPORT, 'report.pdf', 'acoustic');
+    expect(asAcoustic.confidence).toBeLessThan(0.5);
+  });
+
+  test('a confident content match settles at stage 2 with the type on the verdict', async () => {
+    const vision = jest.spyOn(aiVisionService, 'analyzeDocumentType');
+    const result = await documentFilterService.filterDocument({ fileName: 'SSFRA.pdf', projectId: 'P1' }, FLOOD_REPORT, 'flood');
+    expect(result).toMatchObject({ isMatch: true, isAcoustic: false, reportType: 'flood', stage: 'stage2' });
+    expect(vision).not.toHaveBeenCalled();
+  });
+
+  test('uncertain documents go to the vision check for the same type', async () => {
+    const vision = jest.spyOn(aiVisionService, 'analyzeDocumentType').mockResolvedValue(
+      aiVisionService.parseVisionResponse('{"classification": "REPORT", "confidence": 0.9, "reasoning": "TTA cover page"}', 'transport')
+    );
+    const loadBuffer = jest.fn(async () => Buffer.from('%PDF'));
+    const result = await documentFilterService.filterDocument({ fileName: 'Traffic study.pdf', projectId: 'P1', loadBuffer }, null, 'traffic');
+
+    expect(vision).toHaveBeenCalledWith(expect.any(Buffer), 'Traffic study.pdf', 'transport');
+    expect(result).toMatchObject({ isMatch: true, reportType: 'transport', stage: 'stage3_vision', documentKind: 'report' });
+    expect(documentFilterService.getStats().visionApiCalls).toBe(1);
+  });
+});
+
+describe('aiVisionService by report type', () => {
+  test('builds the prompt from the profile', () => {
+    const prompt = aiVisionService.buildDetectionPrompt('eco.pdf', getDeliverableProfile('ecological'));
+    expect(prompt).toContain('AN ECOLOGICAL REPORT');
+    expect(prompt).toContain('CIEEM');
+    expect(prompt).not.toMatch(/acoustic/i);
+    expect(aiVisionService.buildAcousticDetectionPrompt('nia.pdf')).toContain('BS 4142');
+  });
+
+  test('parses the generic and the old acoustic labels', () => {
+    expect(aiVisionService.parseVisionResponse('{"classification": "FI_REQUEST", "confidence": 0.7}', 'flood'))
+      .toMatchObject({ isMatch: true, isAcoustic: false, documentKind: 'fi_request', reportType: 'flood' });
+    expect(aiVisionService.parseVisionResponse('{"classification": "ACOUSTIC_REPORT", "confidence": 0.9}'))
+      .toMatchObject({ isMatch: true, isAcoustic: true, documentKind: 'report', reportType: 'acoustic' });
+    expect(aiVisionService.parseVisionResponse('{"classification": "OTHER", "confidence": 0.9}', 'heritage'))
+      .toMatchObject({ isMatch: false, documentKind: null });
+  });
+
+  test('refuses types without a profile without calling the model', async () => {
+    const result = await aiVisionService.analyzeDocumentType(Buffer.from('%PDF'), 'x.pdf', 'other');
+    expect(result).toMatchObject({ isMatch: false, confidence: 0 });
+    expect(result.reason).toMatch(/No deliverable profile/);
+  });
+});
@@ -0,0 +1,144 @@
+/**
+ * Tests for backend/services/detectionCache.js
+ *
+ * Runs against the memory backend; the Mongo and Redis backends share the same
+ * record shape and are exercised by the expiry and version checks in DetectionCache.
+ */
+
+const { DetectionCache, MemoryCacheBackend, resolveBackendName } = require('../detectionCache');
+const fiDetectionService = require('../fiDetectionService');
+const { FixtureChatClient } = require('../llmProvider');
+
+describe('DetectionCache', () => {
+  let backend;
+
+  beforeEach(() => {
+    backend = new MemoryCacheBackend({ maxEntries: 3 });
+  });
+
+  test('returns a stored value and counts hits and misses', async () => {
+    const cache = new DetectionCache({ namespace: 'test', version: 'v1', backend });
+    expect(await cache.get('a')).toBeNull();
+    await cache.set('a', { verdict: true });
+    expect(await cache.get('a')).toEqual({ verdict: true });
+
+    const stats = await cache.getStats();
+    expect(stats).toMatchObject({ hits: 1, misses: 1, saves: 1, size: 1, hitRate: 50, version: 'v1' });
+  });
+
+  test('never serves an entry from another detector version', async () => {
+    let version = 'v1';
+    const cache = new DetectionCache({ namespace: 'test', version: () => version, backend });
+    await cache.set('a', { verdict: true });
+
+    version = 'v2';
+    expect(await cache.get('a')).toBeNull();
+    expect(cache.stats.stale).toBe(1);
+
+    await cache.set('b', { verdict: false });
+    expect(await cache.invalidate()).toBe(1);
+    expect(await cache.get('b')).toEqual({ verdict: false });
+  });
+
+  test('treats an expired entry as a miss and deletes it', async () => {
+    const cache = new DetectionCache({ namespace: 'test', version: 'v1', backend, ttlMs: 1 });
+    await cache.set('a', { verdict: true });
+    await new Promise(resolve => setTimeout(resolve, 5));
+
+    expect(await cache.get('a')).toBeNull();
+    expect(cache.stats.expired).toBe(1);
+    expect(await backend.size('test')).toBe(0);
+  });
+
+  test('invalidate({ all }) only touches its own namespace', async () => {
+    const results = new DetectionCache({ namespace: 'results', version: 'v1', backend });
+    const steps = new DetectionCache({ namespace: 'steps', version: 'v1', backend });
+    await results.set('a', 1);
+    await steps.set('a', 2);
+
+    expect(await results.invalidate({ all: true })).toBe(1);
+    expect(await steps.get('a')).toBe(2);
+  });
+
+  test('the memory backend evicts the oldest entry once full', async () => {
+    const cache = new DetectionCache({ namespace: 'test', version: 'v1', backend });
+    for (const key of ['a', 'b', 'c', 'd']) await cache.set(key, key);
+
+    expect(await cache.get('a')).toBeNull();
+    expect(await cache.get('d')).toBe('d');
+    expect((await cache.getStats()).evictions).toBe(1);
+  });
+
+  test('the memory backend caps each namespace on its own', async () => {
+    const verdicts = new DetectionCache({ namespace: 'doc-verdict', version: 'v1', backend });
+    const steps = new DetectionCache({ namespace: 'ai-step', version: 'v1', backend });
+    await verdicts.set('doc-1', { acoustic: true });
+    for (const key of ['s1', 's2', 's3', 's4', 's5']) await steps.set(key, key);
+
+    expect(await verdicts.get('doc-1')).toEqual({ acoustic: true });
+    expect(await steps.get('s1')).toBeNull();
+    expect(await steps.get('s5')).toBe('s5');
+    expect(await backend.size('ai-step')).toBe(3);
+    expect((await steps.getStats()).evictions).toBe(2);
+    expect((await verdicts.getStats()).evictions).toBe(0);
+  });
+
+  test('a backend error is a miss, never a thrown error', async () => {
+    const broken = {
+      name: 'broken',
+      get: async () => { throw new Error('connection refused'); },
+      set: async () => { throw new Error('connection refused'); },
+      size: async () => null
+    };
+    const cache = new DetectionCache({ namespace: 'test', version: 'v1', backend: broken });
+
+    await expect(cache.set('a', 1)).resolves.toBeUndefined();
+    expect(await cache.get('a')).toBeNull();
+    expect(cache.stats.errors).toBe(2);
+  });
+
+  test('rejects an unknown backend name', () => {
+    expect(resolveBackendName({})).toBe('memory');
+    expect(() => resolveBackendName({ DETECTION_CACHE_BACKEND: 'memcached' })).toThrow(/memcached/);
+  });
+});
+
+describe('fiDetectionService caching', () => {
+  const originalClient = fiDetectionService._client;
+
+  afterEach(async () => {
+    fiDetectionService.client = originalClient;
+    await fiDetectionService.clearCache();
+  });
+
+  test('documents sharing their first 1000 characters do not share a verdict', async () => {
+    const coverSheet = 'Planning Department. Re: Planning Application Reference 24/1234. '.repeat(20);
+    const client = new FixtureChatClient({
+      functions: { detect_fi_request: { isFIRequest: false } }
+    });
+    client.respondText('YES');
+    fiDetectionService.client = client;
+
+    await fiDetectionService.processFIRequest(`${coverSheet} The applicant is requested to submit a noise survey.`, 'acoustic', 'letter.pdf');
+    const second = await fiDetectionService.processFIRequest(`${coverSheet} The applicant is requested to submit a noise impact assessment.`, 'acoustic', 'letter.pdf');
+
+    expect(second.detectionMethod).not.toMatch(/_cached$/);
+    expect(client.calls.filter(call => call.function_call?.name === 'detect_fi_request')).toHaveLength(2);
+    expect((await fiDetectionService.getCacheStats()).hits).toBe(0);
+  });
+
+  test('a repeated document is answered from the cache', async () => {
+    const client = new FixtureChatClient({
+      functions: { detect_fi_request: { isFIRequest: false } }
+    });
+    client.respondText('YES');
+    fiDetectionService.client = client;
+    const text = 'The applicant is requested to submit a noise survey for the site. '.repeat(5);
+
+    const first = await fiDetectionService.processFIRequest(text, 'acoustic', 'letter.pdf');
+    const second = await fiDetectionService.processFIRequest(text, 'acoustic', 'letter.pdf');
+
+    expect(second.detectionMethod).toBe(`${first.detectionMethod}_cached`);
+    expect(client.calls.filter(call => call.function_call?.name === 'detect_fi_request')).toHaveLength(1);
+  });
+});
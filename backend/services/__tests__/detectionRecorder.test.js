@@ -0,0 +1,140 @@
+/**
+ * Tests for backend/services/detectionRecorder.js
+ *
+ * The end-to-end case records a processFIRequest run against the fixture provider, then
+ * replays it with a client that throws on any call - the replay must reach the same
+ * verdict without touching the provider, which is what lets marker-list changes be
+ * regression-tested against a past night offline.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { DetectionRecorder, ReplayMissError, documentHash } = require('../detectionRecorder');
+const { FixtureChatClient } = require('../llmProvider');
+const fiDetectionService = require('../fiDetectionService');
+
+const REQUEST_TEXT =
+  'Further Information Request. Planning Authority ref 25/1234. ' +
+  'The applicant is requested to submit a noise impact assessment prepared by a ' +
+  'competent acoustic consultant, addressing noise from the proposed plant. '.repeat(3);
+
+let dir;
+
+beforeEach(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'recordings-'));
+});
+
+afterEach(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+describe('DetectionRecorder', () => {
+  test('off mode calls straight through and writes nothing', async () => {
+    const recorder = new DetectionRecorder({ mode: 'off', dir });
+    await expect(recorder.intercept({ step: 's', documentText: 'x' }, async () => ({ ok: 1 }))).resolves.toEqual({ ok: 1 });
+    expect(fs.readdirSync(dir)).toHaveLength(0);
+  });
+
+  test('record then replay returns the recorded arguments', async () => {
+    const call = {
+      step: 'match_fi_request',
+      documentText: REQUEST_TEXT,
+      targetReportType: 'acoustic',
+      messages: [{ role: 'system', content: 'prompt v1' }, { role: 'user', content: 'Target report type: acoustic' }],
+      model: 'gpt-4o-mini'
+    };
+
+    const recorder = new DetectionRecorder({ mode: 'record', dir });
+    await recorder.intercept(call, async () => ({ requestsReportType: true }));
+
+    const [file] = fs.readdirSync(dir);
+    const entry = JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8').trim());
+    expect(entry.documentHash).toBe(documentHash(REQUEST_TEXT));
+    expect(entry.prompt.system).toBe('prompt v1');
+    expect(entry.model).toBe('gpt-4o-mini');
+
+    const replay = new DetectionRecorder({ mode: 'replay', dir });
+    const live = jest.fn();
+    await expect(replay.intercept(call, live)).resolves.toEqual({ requestsReportType: true });
+    expect(live).not.toHaveBeenCalled();
+    expect(replay.stats.promptDrift).toBe(0);
+  });
+
+  test('replay keys on report type, so one document answers per type', async () => {
+    const recorder = new DetectionRecorder({ mode: 'record', dir });
+    await recorder.intercept({ step: 'match_fi_request', documentText: 'doc', targetReportType: 'acoustic' }, async () => ({ v: 'a' }));
+
+    const replay = new DetectionRecorder({ mode: 'replay', dir });
+    await expect(replay.intercept({ step: 'match_fi_request', documentText: 'doc', targetReportType: 'flood' }, jest.fn()))
+      .rejects.toBeInstanceOf(ReplayMissError);
+    expect(replay.stats.misses).toBe(1);
+  });
+
+  test('a changed prompt still replays but is counted as drift', async () => {
+    const recorder = new DetectionRecorder({ mode: 'record', dir });
+    await recorder.intercept({ step: 's', documentText: 'doc', messages: [{ role: 'system', content: 'old' }] }, async () => ({ v: 1 }));
+
+    const replay = new DetectionRecorder({ mode: 'replay', dir });
+    await replay.intercept({ step: 's', documentText: 'doc', messages: [{ role: 'system', content: 'new' }] }, jest.fn());
+    expect(replay.stats.promptDrift).toBe(1);
+  });
+
+  test('skips a torn line instead of refusing the whole directory', async () => {
+    const recorder = new DetectionRecorder({ mode: 'record', dir });
+    await recorder.intercept({ step: 's', documentText: 'doc' }, async () => ({ v: 1 }));
+    fs.appendFileSync(path.join(dir, fs.readdirSync(dir)[0]), '{"key": "trunc');
+
+    const replay = new DetectionRecorder({ mode: 'replay', dir });
+    await expect(replay.intercept({ step: 's', documentText: 'doc' }, jest.fn())).resolves.toEqual({ v: 1 });
+  });
+});
+
+describe('processFIRequest under record and replay', () => {
+  const originalClient = fiDetectionService._client;
+  const originalRecorder = fiDetectionService.recorder;
+
+  afterEach(async () => {
+    fiDetectionService.client = originalClient;
+    fiDetectionService.recorder = originalRecorder;
+    await fiDetectionService.clearCache();
+  });
+
+  test('a replayed run reaches the recorded verdict without calling the provider', async () => {
+    fiDetectionService.client = new FixtureChatClient({
+      functions: {
+        detect_fi_request: { isFIRequest: true },
+        match_fi_request: { requestsReportType: true },
+        extract_fi_request: {
+          Summary: 'Noise impact assessment requested',
+          SpecificRequests: "Quote: 'The applicant is requested to submit a noise impact assessment' - Requesting: noise impact assessment"
+        }
+      }
+    });
+    fiDetectionService.recorder = new DetectionRecorder({ mode: 'record', dir });
+    const recorded = await fiDetectionService.processFIRequest(REQUEST_TEXT, 'acoustic', 'fi-request-letter.pdf');
+    expect(recorded.matchesTargetType).toBe(true);
+    expect(fiDetectionService.recorder.stats.recorded).toBe(3);
+
+    await fiDetectionService.clearCache();
+    fiDetectionService.client = {
+      chat: { completions: { create: () => { throw new Error('provider must not be called during replay'); } } }
+    };
+    fiDetectionService.recorder = new DetectionRecorder({ mode: 'replay', dir });
+
+    const replayed = await fiDetectionService.processFIRequest(REQUEST_TEXT, 'acoustic', 'fi-request-letter.pdf');
+    expect(replayed.matchesTargetType).toBe(true);
+    expect(replayed.detectionMethod).toBe(recorded.detectionMethod);
+    expect(fiDetectionService.recorder.stats.replayed).toBe(3);
+  });
+
+  test('a missing recording fails the cheap filter instead of passing it', async () => {
+    fiDetectionService.client = {
+      chat: { completions: { create: () => { throw new Error('provider must not be called during replay'); } } }
+    };
+    fiDetectionService.recorder = new DetectionRecorder({ mode: 'replay', dir });
+
+    await expect(fiDetectionService.cheapFIFilter(REQUEST_TEXT)).rejects.toBeInstanceOf(ReplayMissError);
+  });
+});
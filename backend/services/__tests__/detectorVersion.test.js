@@ -0,0 +1,67 @@
+/**
+ * Tests for backend/services/detectorVersion.js and the version comparison in
+ * fiReportService.
+ */
+
+const {
+  registerDetectorComponent,
+  getDetectorVersion,
+  getVersionManifest,
+  diffManifests,
+  hashMaterial
+} = require('../detectorVersion');
+const fiDetectionService = require('../fiDetectionService');
+const fiReportService = require('../fiReportService');
+
+describe('detector version registry', () => {
+  afterEach(() => {
+    registerDetectorComponent('test-component', () => null);
+  });
+
+  test('covers the prompts, markers and vocabulary, and is what the services report', () => {
+    const { components, version } = getVersionManifest();
+    expect(Object.keys(components)).toEqual(expect.arrayContaining(['fi-prompts', 'fi-markers', 'vocabulary', 'docfiles-prompt']));
+    expect(fiDetectionService.detectorVersion).toBe(version);
+    expect(version).toMatch(/^[0-9a-f]{12}$/);
+  });
+
+  test('changes when any component changes, and only that component hash moves', () => {
+    registerDetectorComponent('test-component', () => ({ terms: ['noise'] }));
+    const before = getVersionManifest();
+
+    registerDetectorComponent('test-component', () => ({ terms: ['noise', 'vibration'] }));
+    const after = getVersionManifest();
+
+    expect(after.version).not.toBe(before.version);
+    expect(diffManifests(before, after)).toEqual({ changed: ['test-component'], added: [], removed: [] });
+  });
+
+  test('is stable for unchanged material', () => {
+    registerDetectorComponent('test-component', () => ({ terms: ['noise'] }));
+    const first = getDetectorVersion();
+    registerDetectorComponent('test-component', () => ({ terms: ['noise'] }));
+    expect(getDetectorVersion()).toBe(first);
+  });
+
+  test('distinguishes regular expressions', () => {
+    expect(hashMaterial([/noise/i])).not.toBe(hashMaterial([/acoustic/i]));
+  });
+});
+
+describe('compareVersionMatches', () => {
+  const match = (projectId, fiType = 'acoustic') => ({ projectId, fileName: `${projectId}.pdf`, fiType });
+
+  test('splits matches into shared and version-only, with per-type counts', () => {
+    const result = fiReportService.compareVersionMatches(
+      [match('1'), match('2'), match('3', 'transport')],
+      [match('1'), match('4'), match('4', 'transport')]
+    );
+
+    expect(result.inBoth).toBe(1);
+    expect(result.onlyFrom.map(m => m.projectId)).toEqual(['2', '3']);
+    expect(result.onlyTo.map(m => m.projectId)).toEqual(['4', '4']);
+    expect(result.from).toEqual({ matches: 3, projects: 3 });
+    expect(result.to).toEqual({ matches: 3, projects: 2 });
+    expect(result.byType).toEqual({ acoustic: { from: 2, to: 2 }, transport: { from: 1, to: 1 } });
+  });
+});
@@ -0,0 +1,146 @@
+const { PDFDocument, StandardFonts } = require('pdf-lib');
+const textExtractionService = require('../textExtractionService');
+const DocumentClassification = require('../../models/DocumentClassification');
+const { classifyDocument, isDecidedApplication, recordClassification, DOCUMENT_CLASSES } = require('../documentClassifier');
+const { getComponentVersion } = require('../detectorVersion');
+const extractedTextStore = require('../extractedTextStore');
+const fiDetectionService = require('../fiDetectionService');
+const scanPools = require('../scanPools');
+const scanJobProcessor = require('../scanJobProcessor');
+
+const extraction = (text, diagnostics = {}) => textExtractionService.buildResult('pdf', [text], { diagnostics });
+
+/** An A1 landscape sheet with a title block, as drawing PDFs come out of CAD. */
+async function buildDrawingSheet() {
+  const pdf = await PDFDocument.create();
+  const font = await pdf.embedFont(StandardFonts.Helvetica);
+  const page = pdf.addPage([2384, 1684]);
+  const labels = ['Bedroom 1', 'Kitchen', 'Living', 'WC', 'Hall', 'Store', 'Utility', 'Bath', 'Landing',
+    'Bedroom 2', 'Study', 'Porch', 'Patio', 'Garden', 'Drive', 'Shed', 'Boundary wall'];
+  labels.forEach((label, i) => page.drawText(label, { x: 200 + (i % 6) * 300, y: 1200 - Math.floor(i / 6) * 300, size: 14, font }));
+  ['Drawing No: 2301-PL-101', 'Scale 1:100 @ A1', 'Drawn: JB', 'Checked: MK', 'Rev A', 'Do not scale'].forEach((line, i) =>
+    page.drawText(line, { x: 2000, y: 300 - i * 30, size: 12, font }));
+  return Buffer.from(await pdf.save());
+}
+
+describe('documentClassifier', () => {
+  afterEach(() => jest.restoreAllMocks());
+
+  test('labels each class from its text', () => {
+    const cases = {
+      'fi-request-letter': 'Dear Sir, Re: Planning Ref 24/123. Request for Further Information under Article 33. You are requested to submit a noise impact assessment.',
+      'decision-notice': 'Notification of decision to grant permission subject to the conditions set out in the schedule.',
+      'consultee-report': 'To: Senior Planner. From: Environmental Health Officer. Report of the Environmental Health section. I recommend that further information be sought.',
+      'consultant-report': 'Table of Contents. Executive Summary. 1.1 Introduction. This report has been prepared by Acme Acoustics on behalf of the applicant.',
+      'application-form': 'Planning Application Form. Name and address of applicant: ... Please tick the appropriate box.',
+      correspondence: 'From: agent@example.com\nSent: Monday\nSubject: Site visit\nThanks for meeting us. Kind regards, Jo'
+    };
+    for (const [label, text] of Object.entries(cases)) {
+      expect(classifyDocument('document.pdf', extraction(text)).label).toBe(label);
+    }
+    expect(DOCUMENT_CLASSES).toEqual(expect.arrayContaining(Object.keys(cases)));
+  });
+
+  test('a drawing sheet is recognised from its layout and title block', async () => {
+    const result = await textExtractionService.extract({ fileName: '2301-PL-101.pdf', buffer: await buildDrawingSheet() });
+    expect(result.diagnostics.layout).toMatchObject({ width: 2384, height: 1684 });
+
+    const classification = classifyDocument('2301-PL-101.pdf', result);
+    expect(classification.label).toBe('drawing');
+    expect(classification.confidence).toBeGreaterThanOrEqual(0.75);
+    expect(classification.signals).toEqual(expect.arrayContaining(['drawing:layout', 'drawing:text']));
+  });
+
+  test('competing signals lower the confidence instead of flipping the label', () => {
+    // Named like a drawing, reads like an FI letter
+    const mixed = classifyDocument('Site Layout.pdf', extraction('Request for further information. You are requested to submit a revised site layout plan.'));
+    expect(mixed.label).toBe('fi-request-letter');
+    expect(mixed.confidence).toBeLessThan(0.75);
+
+    // An FI letter that quotes the grant it follows is not confidently a decision
+    const quoting = classifyDocument('letter.pdf', extraction('Request for further information. Permission has been granted for phase 1; in respect of phase 2 you are requested to submit...'));
+    expect(quoting.label === 'decision-notice' && quoting.confidence >= 0.75).toBe(false);
+  });
+
+  test('nothing to go on is unknown; without text only the name counts', () => {
+    expect(classifyDocument('scan0001.pdf', extraction('lorem ipsum'))).toMatchObject({ label: 'unknown', confidence: 0 });
+    expect(classifyDocument('Proposed Elevations.pdf')).toMatchObject({ label: 'drawing', basis: 'filename' });
+    expect(classifyDocument('Section 34 request.pdf').label).not.toBe('drawing');
+    expect(classifyDocument('Re planning.msg').label).toBe('correspondence');
+  });
+
+  test('the rules are part of the detector version', () => {
+    expect(getComponentVersion('document-classes')).toMatch(/^[0-9a-f]{12}$/);
+  });
+
+  test('records the latest label per document and swallows write failures', async () => {
+    const updateOne = jest.spyOn(DocumentClassification, 'updateOne').mockResolvedValue({});
+    const doc = { filePath: 'planning-docs/1/a.pdf', projectId: '1', fileName: 'a.pdf' };
+    await recordClassification(doc, { label: 'drawing', confidence: 0.8, basis: 'content', signals: ['drawing:layout'] });
+    expect(updateOne).toHaveBeenCalledWith(
+      { filePath: 'planning-docs/1/a.pdf' },
+      { $set: expect.objectContaining({ label: 'drawing', confidence: 0.8, projectId: '1' }) },
+      { upsert: true }
+    );
+
+    updateOne.mockRejectedValue(new Error('not connected'));
+    await expect(recordClassification(doc, { label: 'drawing', confidence: 0.8 })).resolves.toBeUndefined();
+  });
+});
+
+describe('decision notices', () => {
+  afterEach(() => jest.restoreAllMocks());
+
+  const REFUSE_NAMES = ['Refuse Storage Details.pdf', 'Waste and Refuse Management.pdf'];
+  const BIN_STORE = 'Refuse storage details. The bin store is located to the rear of the site and holds ' +
+    'four 1100 litre wheeled bins, screened by a timber enclosure. Collection is weekly from the lane.';
+  const NOTICE = 'Notification of decision to refuse permission. The planning authority has decided to ' +
+    'refuse permission for the reasons set out in the schedule to this notice.';
+
+  test('a file name alone is never grounds to treat the application as decided', () => {
+    for (const name of REFUSE_NAMES) {
+      expect(classifyDocument(name).label).not.toBe('decision-notice');
+      expect(isDecidedApplication(classifyDocument(name, extraction(BIN_STORE)))).toBe(false);
+    }
+    // Even a notice-like name needs the notice's words in the body
+    const named = classifyDocument('Decision Notice.pdf');
+    expect(named).toMatchObject({ label: 'decision-notice', confidence: 0.75 });
+    expect(isDecidedApplication(named)).toBe(false);
+
+    expect(isDecidedApplication(classifyDocument('Decision Notice.pdf', extraction(NOTICE)))).toBe(true);
+  });
+
+  describe('in the scan', () => {
+    const job = { jobId: 'job-acoustic', documentType: 'acoustic' };
+    let recordProjectVeto;
+
+    const detect = (fileName, text) => {
+      jest.spyOn(extractedTextStore, 'extract').mockResolvedValue(extraction(text));
+      const document = { projectId: '403501', fileName, filePath: `planning-docs/403501/${fileName}` };
+      return scanJobProcessor.detectDocument(document, job, fileName, ['acoustic']);
+    };
+
+    beforeEach(() => {
+      // No S3 here: the size check fails and the scan carries on without it
+      jest.spyOn(scanPools, 'download').mockRejectedValue(new Error('offline'));
+      jest.spyOn(DocumentClassification, 'updateOne').mockResolvedValue({});
+      jest.spyOn(fiDetectionService, 'classifyFIResponse').mockResolvedValue({ isResponse: false });
+      jest.spyOn(fiDetectionService, 'cheapFIFilter').mockResolvedValue(false);
+      recordProjectVeto = jest.spyOn(scanJobProcessor, 'recordProjectVeto').mockResolvedValue();
+    });
+
+    test.each(REFUSE_NAMES)('"%s" does not veto its project', async fileName => {
+      const verdicts = await detect(fileName, BIN_STORE);
+
+      expect(recordProjectVeto).not.toHaveBeenCalled();
+      expect(verdicts.acoustic.stage).not.toBe('fi-response-veto');
+    });
+
+    test('a notice that says so in its body does', async () => {
+      const verdicts = await detect('Refuse Storage Details.pdf', NOTICE);
+
+      expect(recordProjectVeto).toHaveBeenCalledWith(expect.objectContaining({ projectId: '403501', source: 'decision-notice' }));
+      expect(verdicts.acoustic.stage).toBe('fi-response-veto');
+    });
+  });
+});
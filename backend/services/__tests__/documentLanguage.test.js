@@ -0,0 +1,109 @@
+/**
+ * Language detection (services/documentLanguage.js), the Irish vocabulary in
+ * reportTypes, and how Irish-language letters pass or are excluded from FI detection.
+ */
+
+const {
+  detectLanguage,
+  documentLanguage,
+  languageGate,
+  findIrishRequest
+} = require('../documentLanguage');
+const { getIrishTerms, textMentionsIrishTerm, setReportTypeOverrides } = require('../reportTypes');
+const textExtractionService = require('../textExtractionService');
+const fiDetectionService = require('../fiDetectionService');
+
+const ENGLISH = 'Further information request. The applicant is requested to submit a noise impact ' +
+  'assessment for the proposed development. Please submit this information within six months.';
+
+const IRISH = 'Iarratas ar eolas breise. Maidir leis an iarratas pleanála thuas, iarrtar ar an ' +
+  'iarratasóir measúnú torainn a chur isteach don fhorbairt atá beartaithe. Ní mór an t-eolas ' +
+  'breise a chur isteach laistigh de shé mhí.';
+
+afterEach(() => {
+  setReportTypeOverrides();
+});
+
+describe('detectLanguage', () => {
+  test('tells English, Irish and bilingual text apart', () => {
+    expect(detectLanguage(ENGLISH).language).toBe('en');
+    expect(detectLanguage(IRISH)).toMatchObject({ language: 'ga', irishShare: 1 });
+    expect(detectLanguage(`${ENGLISH}\n${IRISH}`).language).toBe('mixed');
+  });
+
+  test('is unknown with too few words to tell', () => {
+    expect(detectLanguage('Scale 1:100 @ A1  Drg No. 2207-PL-101 Rev C').language).toBe('unknown');
+    expect(detectLanguage('')).toEqual({ language: 'unknown', irishShare: null, words: 0 });
+  });
+
+  test('reads Irish without its fadas, as OCR often returns it', () => {
+    expect(detectLanguage('Iarrtar ar an iarratasoir measunu torainn a chur isteach maidir leis an bhforbairt ata beartaithe').language).toBe('ga');
+  });
+});
+
+describe('extraction', () => {
+  test('labels each page and the document', () => {
+    const result = textExtractionService.buildResult('pdf', [ENGLISH, IRISH, 'Drg 101']);
+
+    expect(result.pages.map(p => p.language)).toEqual(['en', 'ga', 'unknown']);
+    expect(result.diagnostics).toMatchObject({ language: 'mixed', languages: { en: 1, ga: 1, unknown: 1 } });
+    expect(documentLanguage([{ language: 'ga' }, { language: 'unknown' }])).toBe('ga');
+    expect(documentLanguage([])).toBe('unknown');
+  });
+});
+
+describe('Irish vocabulary', () => {
+  test('every built-in type but other has Irish terms, found with or without fadas', () => {
+    expect(getIrishTerms('noise')).toContain('measúnú torainn');
+    expect(getIrishTerms('other')).toEqual([]);
+    expect(textMentionsIrishTerm('measunu torainn a chur isteach', 'acoustic')).toBe(true);
+    expect(textMentionsIrishTerm(IRISH, 'flood')).toBe(false);
+  });
+
+  test('admin types take Irish terms, and have none by default', () => {
+    setReportTypeOverrides([
+      { key: 'air-quality', quoteTerms: ['air quality'] },
+      { key: 'daylight', quoteTerms: ['daylight'], irishTerms: ['solas an lae'] }
+    ]);
+    expect(getIrishTerms('air-quality')).toEqual([]);
+    expect(getIrishTerms('daylight')).toEqual(['solas an lae']);
+  });
+});
+
+describe('language gate', () => {
+  test('reads Irish for types with Irish terms and excludes the rest with a reason', () => {
+    setReportTypeOverrides([{ key: 'air-quality', quoteTerms: ['air quality'] }]);
+
+    expect(languageGate('ga', 'acoustic')).toEqual({ readIrish: true, excluded: false, reason: null });
+    expect(languageGate('ga', 'air-quality')).toEqual({
+      readIrish: false,
+      excluded: true,
+      reason: 'Irish-language document; no Irish terms for air-quality'
+    });
+    expect(languageGate('mixed', 'air-quality')).toMatchObject({ excluded: false, reason: expect.stringMatching(/^Irish portions not read/) });
+    expect(languageGate('en', 'air-quality')).toEqual({ readIrish: false, excluded: false, reason: null });
+    expect(fiDetectionService.languageGateFor(IRISH, 'air-quality')).toMatchObject({ language: 'ga', excluded: true });
+  });
+
+  test('an Irish FI letter passes the keyword filter for a type it names in Irish', () => {
+    expect(fiDetectionService.quickKeywordFilter(IRISH, 'acoustic')).toBe(true);
+    expect(fiDetectionService.quickKeywordFilter(IRISH, 'flood')).toBe(false);
+    expect(fiDetectionService.quickKeywordFilter(ENGLISH, 'acoustic')).toBe(true);
+  });
+
+  test('an Irish response to a request is not a lead', () => {
+    const response = `Freagra ar iarratas ar eolas breise. ${IRISH}`;
+    expect(fiDetectionService.quickKeywordFilter(response, 'acoustic')).toBe(false);
+  });
+
+  test('the Irish request is quoted and accepted as evidence', () => {
+    const quote = fiDetectionService.extractValidationQuote(IRISH, 'acoustic');
+    expect(quote).toBe(findIrishRequest(IRISH, 'acoustic'));
+    expect(quote).toContain('iarrtar ar an iarratasóir measúnú torainn a chur isteach');
+    expect(fiDetectionService.evaluateCustomerEvidence(quote, 'acoustic')).toEqual({
+      valid: true,
+      reason: 'Irish request + acoustic term'
+    });
+    expect(fiDetectionService.evaluateCustomerEvidence(quote, 'transport')).toMatchObject({ valid: false });
+  });
+});
@@ -0,0 +1,142 @@
+/**
+ * Tests for backend/services/documentTrace.js and the steps the detection pipeline
+ * records into it.
+ */
+
+const {
+  DocumentTrace,
+  withTrace,
+  currentTrace,
+  traceStep,
+  saveTrace,
+  flushTraces
+} = require('../documentTrace');
+const fiDetectionService = require('../fiDetectionService');
+const scanJobProcessor = require('../scanJobProcessor');
+const { DetectionCache, MemoryCacheBackend } = require('../detectionCache');
+const { FixtureChatClient } = require('../llmProvider');
+
+const FI_LETTER =
+  'Further Information Request. Planning Application Reference 24/1234. ' +
+  'The applicant is requested to submit a noise impact assessment for the proposed plant. ' +
+  'Please provide revised site layout drawings showing the bin store.';
+
+const newTrace = () => new DocumentTrace({ jobId: 'job-acoustic', projectId: '403501', fileName: 'fi-request.pdf' });
+const stepNames = trace => trace.steps.map(s => `${s.step}:${s.outcome}`);
+
+describe('DocumentTrace', () => {
+  test('traceStep outside a traced document does nothing', () => {
+    expect(currentTrace()).toBeNull();
+    expect(() => traceStep('quick-filter', 'pass')).not.toThrow();
+  });
+
+  test('collects steps from everything the traced call awaits', async () => {
+    const trace = newTrace();
+
+    await withTrace(trace, async () => {
+      traceStep('quick-filter', 'pass');
+      await new Promise(resolve => setImmediate(resolve));
+      traceStep('evidence-check', 'reject', { quote: 'x'.repeat(2000), err: undefined }, 'acoustic');
+    });
+    traceStep('outside', 'ignored');
+
+    expect(stepNames(trace)).toEqual(['quick-filter:pass', 'evidence-check:reject']);
+    expect(trace.steps[1].reportType).toBe('acoustic');
+    expect(trace.steps[1].detail.quote.length).toBeLessThan(600);
+    expect(trace.steps[1].detail).not.toHaveProperty('err');
+  });
+
+  test('records the verdict and expires after the retention period', () => {
+    const original = process.env.DOCUMENT_TRACE_RETENTION_DAYS;
+    process.env.DOCUMENT_TRACE_RETENTION_DAYS = '3';
+    try {
+      const trace = newTrace();
+      trace.finish({ isMatch: true, stage: 'fi-detection' });
+      const record = trace.toRecord(Date.UTC(2026, 9, 1));
+
+      expect(record).toMatchObject({ jobId: 'job-acoustic', stage: 'fi-detection', isMatch: true });
+      expect(record.expiresAt.toISOString()).toBe('2026-10-04T00:00:00.000Z');
+    } finally {
+      if (original === undefined) delete process.env.DOCUMENT_TRACE_RETENTION_DAYS;
+      else process.env.DOCUMENT_TRACE_RETENTION_DAYS = original;
+    }
+  });
+
+  test('without a database connection saving is skipped rather than failing', async () => {
+    await saveTrace(newTrace());
+    expect(await flushTraces()).toBe(0);
+  });
+});
+
+describe('pipeline steps', () => {
+  const originalClient = fiDetectionService._client;
+
+  afterEach(async () => {
+    fiDetectionService.client = originalClient;
+    await fiDetectionService.clearCache();
+  });
+
+  test('the evidence check records which rule decided it', () => {
+    expect(fiDetectionService.evaluateCustomerEvidence('The applicant is requested to submit a noise impact assessment.', 'acoustic'))
+      .toEqual({ valid: true, reason: 'request pattern + acoustic term' });
+    expect(fiDetectionService.evaluateCustomerEvidence('The site is close to a busy road.', 'acoustic'))
+      .toEqual({ valid: false, reason: 'no acoustic term' });
+    expect(fiDetectionService.evaluateCustomerEvidence('No specific quote extracted', 'flood'))
+      .toEqual({ valid: false, reason: 'placeholder quote' });
+  });
+
+  test('the type match records the model answer and the evidence quote', async () => {
+    fiDetectionService.client = new FixtureChatClient({
+      functions: { match_fi_request: { requestsReportType: true } }
+    });
+    const trace = newTrace();
+
+    const result = await withTrace(trace, () => fiDetectionService.matchFIRequestType(FI_LETTER, 'acoustic'));
+
+    expect(result.matches).toBe(true);
+    expect(stepNames(trace)).toEqual(['type-match:yes', 'evidence-check:pass']);
+    expect(trace.steps[1].detail.quote).toMatch(/noise impact assessment/i);
+  });
+
+  test('a response gate rejection is recorded with its marker', async () => {
+    const trace = newTrace();
+    const text = `${FI_LETTER} A noise impact assessment has been submitted with the application.`;
+
+    await withTrace(trace, () => fiDetectionService.matchFIRequestType(text, 'acoustic'));
+
+    expect(stepNames(trace)).toEqual(['match-gate:reject']);
+    expect(trace.steps[0].detail.kind).toBe('contextual');
+  });
+
+  test('processDocumentInternal closes the trace with each type\'s verdict', async () => {
+    scanJobProcessor.documentVerdicts = new DetectionCache({
+      namespace: 'doc-verdict',
+      version: 'v1',
+      backend: new MemoryCacheBackend()
+    });
+    const detectDocument = jest.spyOn(scanJobProcessor, 'detectDocument').mockResolvedValue({
+      acoustic: { isMatch: false, stage: 'cheap-ai-reject', confidence: 0, reasoning: 'unlikely' },
+      transport: { isMatch: false, stage: 'cheap-ai-reject', confidence: 0, reasoning: 'unlikely' }
+    });
+    const document = { projectId: '403501', fileName: 'fi-request.pdf', filePath: '2026/10/18/403501/fi-request.pdf' };
+    const coveredTypes = ['acoustic', 'transport'];
+
+    try {
+      const first = newTrace();
+      await withTrace(first, () => scanJobProcessor.processDocumentInternal(
+        document, { jobId: 'job-acoustic', documentType: 'acoustic' }, document.fileName, 'acoustic', { coveredTypes }
+      ));
+      const second = newTrace();
+      await withTrace(second, () => scanJobProcessor.processDocumentInternal(
+        document, { jobId: 'job-transport', documentType: 'transport' }, document.fileName, 'transport', { coveredTypes }
+      ));
+
+      expect(first.steps.map(s => `${s.step}:${s.reportType}:${s.outcome}`))
+        .toEqual(['verdict:acoustic:cheap-ai-reject', 'verdict:transport:cheap-ai-reject']);
+      expect(stepNames(second)).toEqual(['shared-verdict:cheap-ai-reject']);
+      expect(second.steps[0].detail.by).toBe('job-acoustic');
+    } finally {
+      detectDocument.mockRestore();
+    }
+  });
+});
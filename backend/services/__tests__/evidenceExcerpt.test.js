@@ -0,0 +1,107 @@
+const { PDFDocument, StandardFonts } = require('pdf-lib');
+const jwt = require('jsonwebtoken');
+const evidenceExcerptService = require('../evidenceExcerptService');
+const textExtractionService = require('../textExtractionService');
+const s3Service = require('../s3Service');
+
+const { EvidenceExcerptError } = evidenceExcerptService;
+
+const QUOTE = 'The applicant is requested to submit a noise impact assessment';
+
+/** A two-page PDF; the quote wraps across two lines of page 2. */
+async function buildPdf() {
+  const pdf = await PDFDocument.create();
+  const font = await pdf.embedFont(StandardFonts.Helvetica);
+  pdf.addPage([612, 792]).drawText('Cover letter from the planning authority.', { x: 72, y: 700, size: 12, font });
+  const page = pdf.addPage([612, 792]);
+  page.drawText('Item 1. The applicant is requested', { x: 72, y: 700, size: 12, font });
+  page.drawText('to submit a noise impact assessment.', { x: 72, y: 684, size: 12, font });
+  return Buffer.from(await pdf.save());
+}
+
+describe('evidenceExcerptService', () => {
+  const env = { ...process.env };
+  let pdfBuffer;
+
+  beforeAll(async () => {
+    pdfBuffer = await buildPdf();
+  });
+
+  beforeEach(() => {
+    process.env.JWT_SECRET = 'test-secret';
+    process.env.FRONTEND_URL = 'https://fi.example.com/';
+  });
+
+  afterEach(() => {
+    process.env = { ...env };
+    jest.restoreAllMocks();
+  });
+
+  test('links only PDFs whose quote was located, with a token that round-trips', () => {
+    const evidenceSource = { page: 2, source: 'native', start: 8, end: 71 };
+    const url = evidenceExcerptService.linkFor({ documentPath: 'planning-docs/123/fi.pdf', evidenceSource });
+
+    expect(url).toMatch(/^https:\/\/fi\.example\.com\/api\/evidence\/[\w-]+\.[\w-]+\.[\w-]+$/);
+    const token = url.split('/').pop();
+    expect(evidenceExcerptService.verifyToken(token)).toEqual({ key: 'planning-docs/123/fi.pdf', page: 2, start: 8, end: 71 });
+
+    expect(evidenceExcerptService.linkFor({ documentPath: 'planning-docs/123/fi.docx', evidenceSource })).toBeNull();
+    expect(evidenceExcerptService.linkFor({ documentPath: 'planning-docs/123/fi.pdf' })).toBeNull();
+  });
+
+  test('rejects tampered, foreign and expired tokens', () => {
+    const token = evidenceExcerptService.signToken({ key: 'a.pdf', page: 1 });
+    const [header, , signature] = token.split('.');
+    const forged = `${header}.${Buffer.from(JSON.stringify({ k: 'other.pdf', p: 1 })).toString('base64url')}.${signature}`;
+    expect(() => evidenceExcerptService.verifyToken(forged)).toThrow(EvidenceExcerptError);
+
+    // A login token signed with JWT_SECRET itself is not an evidence link, nor the reverse
+    const login = jwt.sign({ k: 'a.pdf', p: 1 }, process.env.JWT_SECRET);
+    expect(() => evidenceExcerptService.verifyToken(login)).toThrow('Evidence link not found');
+    expect(() => jwt.verify(token, process.env.JWT_SECRET)).toThrow();
+
+    process.env.EVIDENCE_LINK_TTL_DAYS = '-1';
+    const expired = evidenceExcerptService.signToken({ key: 'a.pdf', page: 1 });
+    expect(() => evidenceExcerptService.verifyToken(expired)).toThrow(expect.objectContaining({ status: 410 }));
+  });
+
+  test('highlights the text items the extracted offsets cover', async () => {
+    const extraction = await textExtractionService.extract({ fileName: 'fi.pdf', buffer: pdfBuffer });
+    const found = textExtractionService.quoteSource(extraction, QUOTE);
+    expect(found).toMatchObject({ page: 2, source: 'native' });
+
+    const pdfjsLib = require('pdfjs-dist/legacy/build/pdf.js');
+    const pdfDocument = await pdfjsLib.getDocument({ data: new Uint8Array(pdfBuffer) }).promise;
+    try {
+      const boxes = await evidenceExcerptService.highlightBoxes(await pdfDocument.getPage(2), found.start, found.end);
+
+      // One box per line: the first starts after "Item 1. ", the second at the margin
+      expect(boxes).toHaveLength(2);
+      expect(boxes[0].x).toBeGreaterThan(100);
+      expect(boxes[0].y).toBeGreaterThan(boxes[1].y);
+      expect(boxes[1].x).toBeCloseTo(72);
+      expect(boxes[1].width).toBeGreaterThan(150);
+    } finally {
+      await pdfDocument.destroy();
+    }
+  });
+
+  test('renders the evidence page alone as a PDF', async () => {
+    jest.spyOn(s3Service, 'getDocumentBuffer').mockResolvedValue({ buffer: pdfBuffer });
+    const token = evidenceExcerptService.signToken({ key: 'planning-docs/123/fi.pdf', page: 2, start: 8, end: 71 });
+
+    const excerpt = await evidenceExcerptService.renderLink(token);
+
+    expect(s3Service.getDocumentBuffer).toHaveBeenCalledWith('planning-docs/123/fi.pdf');
+    expect(excerpt).toMatchObject({ contentType: 'application/pdf', fileName: 'fi-page-2.pdf', highlighted: 2 });
+    const rendered = await PDFDocument.load(excerpt.body);
+    expect(rendered.getPageCount()).toBe(1);
+  });
+
+  test('a page the document does not have is a 404', async () => {
+    await expect(evidenceExcerptService.renderPage(pdfBuffer, { page: 9 }))
+      .rejects.toMatchObject({ status: 404 });
+    await expect(evidenceExcerptService.renderPage(pdfBuffer, { page: 1, format: 'gif' }))
+      .rejects.toMatchObject({ status: 400 });
+  });
+});
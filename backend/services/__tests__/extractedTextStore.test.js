@@ -0,0 +1,157 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const textExtractionService = require('../textExtractionService');
+const ocrService = require('../ocrService');
+const {
+  ExtractedTextStore,
+  DiskTextStoreBackend,
+  resolveBackendName
+} = require('../extractedTextStore');
+
+const html = body => Buffer.from(`<html><body><p>${body}</p></body></html>`);
+
+function memoryBackend() {
+  const records = new Map();
+  return {
+    name: 'memory',
+    records,
+    get: jest.fn(async key => records.get(key) || null),
+    set: jest.fn(async (key, body) => { records.set(key, body); }),
+    prune: jest.fn(async () => 0)
+  };
+}
+
+describe('extractedTextStore', () => {
+  afterEach(() => jest.restoreAllMocks());
+
+  test('an ETag hit skips the download, a content hit skips the extraction', async () => {
+    const store = new ExtractedTextStore({ backend: memoryBackend() });
+    const load = jest.fn(async () => ({ buffer: html('Further information request item 1') }));
+    const extract = jest.spyOn(textExtractionService, 'extract');
+
+    const first = await store.extract({ fileName: 'fi.html', etag: '"abc123"', load });
+    expect(first.success).toBe(true);
+    expect(first.stored).toBeUndefined();
+
+    const byEtag = await store.extract({ fileName: 'fi.html', etag: 'abc123', load });
+    expect(byEtag.stored).toBe('etag');
+    expect(byEtag.text).toBe(first.text);
+    expect(byEtag.pages).toEqual(first.pages);
+
+    // Same bytes under a new ETag (re-uploaded): downloaded, but not extracted again
+    const byHash = await store.extract({ fileName: 'copy.html', etag: 'def456', load });
+    expect(byHash.stored).toBe('sha256');
+
+    expect(load).toHaveBeenCalledTimes(2);
+    expect(extract).toHaveBeenCalledTimes(1);
+    expect(store.getStats()).toMatchObject({ etagHits: 1, hashHits: 1, misses: 1 });
+
+    // ...and the new ETag now resolves without a download
+    expect((await store.extract({ fileName: 'copy.html', etag: 'def456', load })).stored).toBe('etag');
+    expect(load).toHaveBeenCalledTimes(2);
+  });
+
+  test('callers reaching an ETag being extracted wait for it rather than download it again', async () => {
+    for (const backend of [memoryBackend(), null]) {
+      const store = new ExtractedTextStore({ backend });
+      const load = jest.fn(async () => ({ buffer: html('Further information request item 1') }));
+      const extract = jest.spyOn(textExtractionService, 'extract');
+
+      const [first, second] = await Promise.all([
+        store.extract({ fileName: 'fi.html', etag: 'abc123', load }),
+        store.extract({ fileName: 'fi.html', etag: 'abc123', load })
+      ]);
+
+      expect(second.text).toBe(first.text);
+      expect(load).toHaveBeenCalledTimes(1);
+      expect(extract).toHaveBeenCalledTimes(1);
+      expect(store.getStats()).toMatchObject({ joined: 1, misses: 1 });
+      extract.mockRestore();
+    }
+  });
+
+  test('serves a shorter budget from a longer record but re-extracts for a longer one', async () => {
+    const store = new ExtractedTextStore({ backend: memoryBackend() });
+    const body = 'planning '.repeat(200);
+    const load = jest.fn(async () => ({ buffer: html(body) }));
+
+    const full = await store.extract({ fileName: 'a.html', etag: 'e1', maxChars: 5000, load });
+    const narrow = await store.extract({ fileName: 'a.html', etag: 'e1', maxChars: 100, load });
+    expect(narrow.stored).toBe('etag');
+    expect(narrow.text).toBe(full.text.slice(0, 100));
+    expect(narrow.diagnostics.truncated).toBe(true);
+
+    const store2 = new ExtractedTextStore({ backend: memoryBackend() });
+    await store2.extract({ fileName: 'a.html', etag: 'e1', maxChars: 100, load });
+    const wider = await store2.extract({ fileName: 'a.html', etag: 'e1', maxChars: 5000, load });
+    expect(wider.stored).toBeUndefined();
+    expect(wider.text.length).toBeGreaterThan(100);
+  });
+
+  test('ignores records from another extractor version, past the TTL or missing OCR', async () => {
+    const backend = memoryBackend();
+    const store = new ExtractedTextStore({ backend });
+    const load = async () => ({ buffer: html('Response to further information') });
+    await store.extract({ fileName: 'a.html', etag: 'e1', load });
+
+    const record = { version: textExtractionService.EXTRACTION_VERSION, maxChars: 32000, storedAt: new Date().toISOString(), result: { success: true, text: '', pages: [], diagnostics: {} } };
+    expect(store.usable(record, 32000)).toBe(true);
+    expect(store.usable({ ...record, version: record.version - 1 }, 32000)).toBe(false);
+    expect(store.usable({ ...record, storedAt: new Date(Date.now() - 40 * 86400000).toISOString() }, 32000)).toBe(false);
+
+    const shortOfOcr = { ...record, result: { ...record.result, diagnostics: { ocrUnavailable: 3 } } };
+    jest.spyOn(ocrService, 'canOCR').mockReturnValue(false);
+    expect(store.usable(shortOfOcr, 32000)).toBe(true);
+    ocrService.canOCR.mockReturnValue(true);
+    expect(store.usable(shortOfOcr, 32000)).toBe(false);
+  });
+
+  test('does not store failures, and backend errors fall through to extraction', async () => {
+    const backend = memoryBackend();
+    const store = new ExtractedTextStore({ backend });
+    const failed = await store.extract({ fileName: 'broken.pdf', etag: 'e1', load: async () => ({ buffer: Buffer.from('not a pdf') }) });
+    expect(failed.success).toBe(false);
+    expect(backend.set).not.toHaveBeenCalled();
+
+    backend.get.mockRejectedValue(new Error('bucket unreachable'));
+    backend.set.mockRejectedValue(new Error('bucket unreachable'));
+    const result = await store.extract({ fileName: 'a.html', etag: 'e2', load: async () => ({ buffer: html('Still extracted') }) });
+    expect(result.success).toBe(true);
+    expect(result.text).toContain('Still extracted');
+    expect(store.getStats().errors).toBeGreaterThan(0);
+  });
+
+  test('runs the loader cleanup whether or not the text was stored', async () => {
+    const store = new ExtractedTextStore({ backend: memoryBackend() });
+    const cleanup = jest.fn(async () => {});
+    const load = async () => ({ buffer: html('Cleanup check'), cleanup });
+    await store.extract({ fileName: 'a.html', load });
+    await store.extract({ fileName: 'a.html', load });
+    expect(cleanup).toHaveBeenCalledTimes(2);
+  });
+
+  test('disk backend round-trips records and prunes expired ones', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'extracted-text-'));
+    try {
+      const backend = new DiskTextStoreBackend({ dir });
+      const store = new ExtractedTextStore({ backend });
+      const load = jest.fn(async () => ({ buffer: html('Stored on disk') }));
+      await store.extract({ fileName: 'a.html', etag: 'e1', load });
+      expect((await store.extract({ fileName: 'a.html', etag: 'e1', load })).stored).toBe('etag');
+      expect(load).toHaveBeenCalledTimes(1);
+
+      expect(await backend.prune(60000)).toBe(0);
+      expect(await backend.prune(-1)).toBe(2); // the etag and sha256 records
+      expect(await backend.get('etag-e1')).toBeNull();
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  test('resolveBackendName validates EXTRACTED_TEXT_STORE', () => {
+    expect(resolveBackendName({})).toBe('disk');
+    expect(resolveBackendName({ EXTRACTED_TEXT_STORE: 'S3' })).toBe('s3');
+    expect(() => resolveBackendName({ EXTRACTED_TEXT_STORE: 'ftp' })).toThrow(/Unknown EXTRACTED_TEXT_STORE/);
+  });
+});
@@ -0,0 +1,193 @@
+/**
+ * Extraction sandbox: real worker processes, real limits. The misbehaving workers are
+ * written here so each test can choose how a document goes wrong - spin, allocate,
+ * hang, exit, or leave a subprocess behind - by its file name.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { PDFDocument, StandardFonts } = require('pdf-lib');
+const { ExtractionSandbox, readLimits, extractionBudgetMs } = require('../extractionSandbox');
+
+const WORKER_SOURCE = `
+const { spawn } = require('child_process');
+const fs = require('fs');
+process.on('message', ({ id, input }) => {
+  const name = input.fileName;
+  if (name === 'spin.pdf') for (;;) {}
+  if (name === 'grow.pdf') { const held = []; for (;;) held.push(new Array(1e5).fill(held.length)); }
+  if (name === 'hang.pdf') return setTimeout(() => {}, 60000);
+  if (name === 'exit.pdf') process.exit(3);
+  if (name === 'spawn.pdf') {
+    const child = spawn('sleep', ['30'], { stdio: 'ignore' });
+    fs.writeFileSync(input.filePath, String(child.pid));
+    return;
+  }
+  process.send({ id, result: { success: true, outcome: 'extracted', text: name, pid: process.pid } });
+});
+process.on('disconnect', () => process.exit(0));
+`;
+
+const LIMITS = { timeoutMs: 10000, cpuMs: 5000, memoryMb: 200, workers: 1, recycleAfter: 100 };
+
+let dir;
+let workerPath;
+const sandboxes = [];
+
+function sandbox(limits = {}, options = {}) {
+  const created = new ExtractionSandbox({ enabled: true, workerPath, limits: { ...LIMITS, ...limits }, ...options });
+  sandboxes.push(created);
+  return created;
+}
+
+function gone(pid) {
+  try {
+    process.kill(pid, 0);
+  } catch (error) {
+    return true;
+  }
+  // Killed but not yet reaped
+  try {
+    return /^\d+ \(.*\) Z/.test(fs.readFileSync(`/proc/${pid}/stat`, 'utf8'));
+  } catch (error) {
+    return true;
+  }
+}
+
+beforeAll(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'extraction-sandbox-'));
+  workerPath = path.join(dir, 'worker.js');
+  fs.writeFileSync(workerPath, WORKER_SOURCE);
+});
+
+afterEach(async () => {
+  await Promise.all(sandboxes.splice(0).map(s => s.shutdown()));
+});
+
+afterAll(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+describe('extractionSandbox', () => {
+  test('extracts through the real worker, buffers included', async () => {
+    const real = sandbox({}, { workerPath: undefined });
+    const result = await real.extract({
+      fileName: 'letter.html',
+      buffer: Buffer.from('<html><body><p>Further information is requested</p></body></html>')
+    });
+    expect(result).toMatchObject({ success: true, outcome: 'extracted', format: 'html' });
+    expect(result.text).toContain('Further information is requested');
+  }, 20000);
+
+  test('a worker spinning past its CPU time is killed and the document is unresolved', async () => {
+    const s = sandbox({ cpuMs: 500 });
+    const result = await s.extract({ fileName: 'spin.pdf' });
+    expect(result).toMatchObject({ success: false, outcome: 'unresolved', format: 'pdf' });
+    expect(result.unresolved).toMatchObject({ reason: 'cpu-limit', limit: 0.5 });
+  }, 20000);
+
+  test('a worker growing past its memory limit is unresolved as memory-limit', async () => {
+    const s = sandbox({ memoryMb: 100 });
+    const result = await s.extract({ fileName: 'grow.pdf' });
+    expect(result.outcome).toBe('unresolved');
+    expect(result.unresolved.reason).toBe('memory-limit');
+  }, 20000);
+
+  test('a document past the wall clock is unresolved as timeout', async () => {
+    const s = sandbox({ timeoutMs: 500 });
+    const result = await s.extract({ fileName: 'hang.pdf' });
+    expect(result.unresolved).toMatchObject({ reason: 'timeout', limit: 0.5 });
+  }, 20000);
+
+  test('a crash is unresolved and the next document gets a fresh worker', async () => {
+    const s = sandbox();
+    const crashed = await s.extract({ fileName: 'exit.pdf' });
+    expect(crashed.unresolved).toMatchObject({ reason: 'crashed', exitCode: 3 });
+
+    const next = await s.extract({ fileName: 'fine.pdf' });
+    expect(next).toMatchObject({ success: true, text: 'fine.pdf' });
+    expect(s.getStats()).toMatchObject({ extracted: 1, unresolved: 1, workersStarted: 2, byReason: { crashed: 1 } });
+  }, 20000);
+
+  test('a kill takes the subprocesses the worker started with it', async () => {
+    const s = sandbox({ timeoutMs: 1000 });
+    const pidFile = path.join(dir, 'grandchild.pid');
+    await s.extract({ fileName: 'spawn.pdf', filePath: pidFile });
+    const pid = parseInt(fs.readFileSync(pidFile, 'utf8'), 10);
+
+    const deadline = Date.now() + 3000;
+    while (!gone(pid) && Date.now() < deadline) await new Promise(resolve => setTimeout(resolve, 50));
+    expect(gone(pid)).toBe(true);
+  }, 20000);
+
+  describe('a long scanned PDF', () => {
+    let ocrWorkerPath;
+
+    // Stand-ins for poppler and tesseract: rasterising is instant, reading a page takes
+    // a second, so OCR of every page would run well past the sandbox's limits. The
+    // worker is the real one, started with them first on its PATH.
+    beforeAll(() => {
+      const bin = path.join(dir, 'bin');
+      fs.mkdirSync(bin, { recursive: true });
+      fs.writeFileSync(path.join(bin, 'pdftoppm'), '#!/bin/sh\n[ "$1" = "-v" ] && exit 0\nfor last; do :; done\n: > "$last.png"\n', { mode: 0o755 });
+      fs.writeFileSync(path.join(bin, 'tesseract'), '#!/bin/sh\nsleep 1\necho "Scanned page: the applicant is requested to submit a noise survey."\n', { mode: 0o755 });
+      ocrWorkerPath = path.join(dir, 'ocr-worker.js');
+      fs.writeFileSync(ocrWorkerPath, [
+        `process.env.PATH = ${JSON.stringify(bin)} + ':' + process.env.PATH;`,
+        `process.env.TESSERACT_PATH = ${JSON.stringify(path.join(bin, 'tesseract'))};`,
+        `require(${JSON.stringify(require.resolve('../extractionWorker'))});`
+      ].join('\n'));
+    });
+
+    async function scannedPdf(scannedPages) {
+      const pdf = await PDFDocument.create();
+      const font = await pdf.embedFont(StandardFonts.Helvetica);
+      pdf.addPage().drawText('Cover letter: please find enclosed the planning authority correspondence.', { x: 40, y: 700, size: 11, font });
+      for (let i = 0; i < scannedPages; i++) pdf.addPage();
+      return Buffer.from(await pdf.save());
+    }
+
+    test('comes back with the pages read before the budget ran out, not killed empty', async () => {
+      const s = sandbox({ timeoutMs: 8000, cpuMs: 8000 }, { workerPath: ocrWorkerPath });
+      const started = Date.now();
+      const result = await s.extract({ fileName: 'scanned.pdf', buffer: await scannedPdf(12) });
+
+      expect(Date.now() - started).toBeLessThan(8000);
+      expect(result).toMatchObject({ success: true, outcome: 'extracted' });
+      expect(result.text).toContain('Cover letter');
+      expect(result.text).toContain('Scanned page');
+      expect(result.diagnostics.ocrPages.length).toBeGreaterThan(0);
+      expect(result.diagnostics.ocrPages.length).toBeLessThan(12);
+      expect(result.diagnostics).toMatchObject({ ocrOutOfTime: true });
+      expect(s.getStats().unresolved).toBe(0);
+    }, 30000);
+  });
+
+  test('queues documents beyond the pool and recycles workers', async () => {
+    const s = sandbox({ recycleAfter: 2 });
+    const results = await Promise.all(['a.pdf', 'b.pdf', 'c.pdf'].map(fileName => s.extract({ fileName })));
+    expect(results.map(r => r.text)).toEqual(['a.pdf', 'b.pdf', 'c.pdf']);
+    expect(results[0].pid).toBe(results[1].pid);
+    expect(results[2].pid).not.toBe(results[0].pid);
+    expect(s.getStats().workersStarted).toBe(2);
+  }, 20000);
+
+  test('runs in-process when disabled', async () => {
+    const s = sandbox({}, { enabled: false });
+    const result = await s.extract({ fileName: 'a.html', buffer: Buffer.from('<p>In process</p>') });
+    expect(result.text).toContain('In process');
+    expect(s.getStats().workersStarted).toBe(0);
+  });
+
+  test('the time budget sits inside both time limits', () => {
+    expect(extractionBudgetMs(readLimits({}))).toBe(135000);
+    expect(extractionBudgetMs({ timeoutMs: 20000, cpuMs: 60000 })).toBe(15000);
+  });
+
+  test('readLimits reads the environment and ignores nonsense', () => {
+    expect(readLimits({})).toEqual({ timeoutMs: 300000, cpuMs: 180000, memoryMb: 1024, workers: 1, recycleAfter: 200 });
+    expect(readLimits({ EXTRACTION_CPU_SECONDS: '30', EXTRACTION_MEMORY_MB: 'lots' }))
+      .toMatchObject({ cpuMs: 30000, memoryMb: 1024 });
+  });
+});
@@ -0,0 +1,167 @@
+/**
+ * Tests for backend/services/fiRequestItems.js, fiDetectionService.extractFIRequestItems
+ * and the FI item list in the batch email.
+ */
+
+const {
+  normaliseFIRequest,
+  findDeadlineWording,
+  findStatutoryReference,
+  parseDocumentDate,
+  resolveDeadlineDate,
+  resolveItemReportType
+} = require('../fiRequestItems');
+const fiDetectionService = require('../fiDetectionService');
+const emailService = require('../emailService');
+const { FixtureChatClient } = require('../llmProvider');
+
+const FI_LETTER = `
+Further Information Request - Planning Reference 24/1234 - 12 March 2026
+
+Further to your application, you are requested to submit the following further
+information under Article 33 of the Planning and Development Regulations 2001 (as amended).
+
+1. Environment Section: the applicant is requested to submit a noise impact assessment
+   of the proposed extraction plant.
+2. Roads Design: please submit a Traffic and Transport Assessment.
+3. Submit revised site layout drawings showing the bin store.
+
+The further information must be received within 6 months of the date of this notice,
+otherwise the application will be declared withdrawn.
+`;
+
+describe('deadline and statutory reference wording', () => {
+  test('finds relative and absolute deadlines verbatim', () => {
+    expect(findDeadlineWording(FI_LETTER)).toMatch(/^within 6 months of the date of this notice/);
+    expect(findDeadlineWording('to be received within a period of six (6) months beginning on the date of this notice'))
+      .toMatch(/^within a period of six \(6\) months/);
+    expect(findDeadlineWording('Please respond no later than 15th November 2026.')).toBe('no later than 15th November 2026');
+    expect(findDeadlineWording('No deadline here.')).toBeNull();
+  });
+
+  test('finds the statutory basis', () => {
+    expect(findStatutoryReference(FI_LETTER))
+      .toBe('Article 33 of the Planning and Development Regulations 2001 (as amended)');
+    expect(findStatutoryReference('pursuant to Section 34(4) of the Planning and Development Act, 2000 the'))
+      .toBe('Section 34(4) of the Planning and Development Act, 2000');
+  });
+
+  test('parses letter dates day-first and resolves a window from them', () => {
+    expect(parseDocumentDate('12 March 2026').toISOString()).toBe('2026-03-12T00:00:00.000Z');
+    expect(parseDocumentDate('03/04/2026').toISOString()).toBe('2026-04-03T00:00:00.000Z');
+    expect(parseDocumentDate('31/02/2026')).toBeNull();
+
+    expect(resolveDeadlineDate('within 6 months of the date of this notice', '12 March 2026').toISOString())
+      .toBe('2026-09-12T00:00:00.000Z');
+    expect(resolveDeadlineDate('within four weeks', '12 March 2026').toISOString()).toBe('2026-04-09T00:00:00.000Z');
+    expect(resolveDeadlineDate('within 6 months', null)).toBeNull();
+    expect(resolveDeadlineDate('by 15 November 2026').toISOString()).toBe('2026-11-15T00:00:00.000Z');
+  });
+});
+
+describe('normaliseFIRequest', () => {
+  test('fills the letter-wide deadline and reference into every item', () => {
+    const fiRequest = normaliseFIRequest({
+      requestingAuthority: 'Kildare County Council',
+      requestDate: '12 March 2026',
+      items: [
+        { itemNumber: '1', reportType: 'noise', request: 'Submit a noise impact assessment of the extraction plant.', requestedBy: 'Environment Section' },
+        { itemNumber: '2', reportType: 'Traffic and Transport Assessment', request: 'Submit a Traffic and Transport Assessment.', requestedBy: 'Roads Design' },
+        { itemNumber: '3', reportType: '', request: 'Submit revised site layout drawings.', requestedBy: 'N/A', deadline: 'within 4 weeks' },
+        { itemNumber: '4', request: '' }
+      ]
+    }, FI_LETTER);
+
+    expect(fiRequest.requestingAuthority).toBe('Kildare County Council');
+    expect(fiRequest.responseDeadline).toMatch(/^within 6 months/);
+    expect(fiRequest.responseDueBy.toISOString()).toBe('2026-09-12T00:00:00.000Z');
+    expect(fiRequest.items.map(item => item.reportType)).toEqual(['acoustic', 'transport', null]);
+    expect(fiRequest.items[0]).toMatchObject({
+      requestedBy: 'Environment Section',
+      statutoryReference: 'Article 33 of the Planning and Development Regulations 2001 (as amended)'
+    });
+    expect(fiRequest.items[1].deadline).toMatch(/^within 6 months/);
+    expect(fiRequest.items[2]).toMatchObject({ requestedBy: null, deadline: 'within 4 weeks' });
+    expect(fiRequest.items[2].deadlineDate.toISOString()).toBe('2026-04-09T00:00:00.000Z');
+  });
+
+  test('numbers unnumbered items and tolerates a missing list', () => {
+    expect(normaliseFIRequest({ items: [{ request: 'Submit a flood risk assessment.' }] }).items[0].itemNumber).toBe('1');
+    expect(normaliseFIRequest({}).items).toEqual([]);
+  });
+
+  test('item report types resolve from keys, aliases and descriptions', () => {
+    expect(resolveItemReportType('acoustic')).toBe('acoustic');
+    expect(resolveItemReportType('', 'Submit a flood risk assessment')).toBe('flood');
+    expect(resolveItemReportType('other', 'Pay the outstanding fee')).toBeNull();
+  });
+});
+
+describe('fiDetectionService.extractFIRequestItems', () => {
+  const originalClient = fiDetectionService._client;
+
+  afterEach(async () => {
+    fiDetectionService.client = originalClient;
+    await fiDetectionService.clearCache();
+  });
+
+  test('asks once with the report-type list and returns the normalised breakdown', async () => {
+    const client = new FixtureChatClient({
+      functions: {
+        extract_fi_items: {
+          requestingAuthority: 'Kildare County Council',
+          requestDate: '12 March 2026',
+          items: [{ itemNumber: '1', reportType: 'acoustic', request: 'Submit a noise impact assessment.' }]
+        }
+      }
+    });
+    fiDetectionService.client = client;
+
+    const fiRequest = await fiDetectionService.extractFIRequestItems(FI_LETTER);
+
+    expect(client.calls).toHaveLength(1);
+    expect(client.calls[0].messages.find(m => m.role === 'user').content).toMatch(/^Report types: .*acoustic/);
+    expect(fiRequest.items).toHaveLength(1);
+    expect(fiRequest.statutoryReference).toMatch(/^Article 33/);
+  });
+});
+
+describe('batch email FI items', () => {
+  const originalTransporter = emailService.transporter;
+
+  afterEach(() => {
+    emailService.transporter = originalTransporter;
+  });
+
+  test('lists each item, with the shared deadline shown once', async () => {
+    await emailService.loadTemplates();
+    const sendMail = jest.fn(async () => ({ messageId: 'test' }));
+    emailService.transporter = { sendMail };
+
+    const fiRequest = normaliseFIRequest({
+      requestingAuthority: 'Kildare County Council',
+      items: [
+        { itemNumber: '1', reportType: 'acoustic', request: 'Submit a noise impact assessment.', requestedBy: 'Environment Section' },
+        { itemNumber: '2', reportType: 'transport', request: 'Submit a Traffic and Transport Assessment.', deadline: 'within 4 weeks' }
+      ]
+    }, FI_LETTER);
+
+    await emailService.sendBatchFINotification('customer@example.com', 'Customer', {
+      matches: [{
+        reportType: 'acoustic',
+        projectId: '403501',
+        documentName: 'fi-request.pdf',
+        validationQuote: 'the applicant is requested to submit a noise impact assessment',
+        fiRequest,
+        projectMetadata: { planning_title: 'Quarry extension, Naas' }
+      }]
+    });
+
+    const html = sendMail.mock.calls[0][0].html;
+    expect(html).toContain('2 FI items');
+    expect(html).toContain('Kildare County Council · Respond within 6 months');
+    expect(html).toContain('Submit a noise impact assessment. <span class="fi-item-from">(Environment Section)</span>');
+    expect(html).toContain('Due: within 4 weeks');
+    expect(html.match(/Due:/g)).toHaveLength(1);
+  });
+});
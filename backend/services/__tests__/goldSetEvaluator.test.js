@@ -0,0 +1,124 @@
+/**
+ * Tests for backend/services/goldSetEvaluator.js
+ *
+ * Builds a three-document corpus of .txt extracts and answers the model with the fixture
+ * provider, so the scoring - per type, per stage, and the veto - is checked against
+ * known outcomes without a network call.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { evaluateGoldSet, loadManifest, scoreMatrix, stageOf } = require('../goldSetEvaluator');
+const { FixtureChatClient } = require('../llmProvider');
+const fiDetectionService = require('../fiDetectionService');
+
+const NOISE_REQUEST =
+  'Further Information Request. The applicant is requested to submit a noise impact ' +
+  'assessment prepared by a competent acoustic consultant. '.repeat(4);
+const TRANSPORT_REQUEST =
+  'Further Information Request. The applicant is requested to submit a transport ' +
+  'assessment addressing traffic generation and parking on the public road. '.repeat(4);
+const NOISE_RESPONSE =
+  'This report responds to items relating to noise within the request for further ' +
+  'information. The noise impact assessment follows. '.repeat(4);
+
+let dir;
+
+function writeCorpus(documents, reportTypes = ['acoustic', 'transport']) {
+  for (const [file, text] of Object.entries({
+    'noise-request.txt': NOISE_REQUEST,
+    'transport-request.txt': TRANSPORT_REQUEST,
+    'noise-response.txt': NOISE_RESPONSE
+  })) {
+    fs.writeFileSync(path.join(dir, file), text);
+  }
+  fs.writeFileSync(path.join(dir, 'manifest.json'), JSON.stringify({ reportTypes, documents }));
+}
+
+beforeEach(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'gold-set-'));
+});
+
+afterEach(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+describe('loadManifest', () => {
+  test('normalises report type spellings and accepts a single reportType', () => {
+    writeCorpus([{ file: 'noise-request.txt', isFIRequest: true, reportType: 'noise' }], ['noise', 'ecology']);
+    const manifest = loadManifest(dir);
+    expect(manifest.reportTypes).toEqual(['acoustic', 'ecological']);
+    expect(manifest.documents[0].reportTypes).toEqual(['acoustic']);
+  });
+
+  test('rejects a manifest naming a file that is not in the corpus', () => {
+    writeCorpus([{ file: 'missing.pdf', isFIRequest: true }]);
+    expect(() => loadManifest(dir)).toThrow(/missing\.pdf/);
+  });
+});
+
+describe('scoreMatrix', () => {
+  test('computes precision and recall, null where undefined', () => {
+    expect(scoreMatrix({ tp: 3, fp: 1, fn: 1, tn: 5 })).toMatchObject({ precision: 0.75, recall: 0.75 });
+    expect(scoreMatrix({ tp: 0, fp: 0, fn: 0, tn: 4 })).toMatchObject({ precision: null, recall: null });
+  });
+
+  test('stageOf strips the cache suffix', () => {
+    expect(stageOf({ detectionMethod: 'quick_filter_reject_cached' })).toBe('quick_filter_reject');
+  });
+});
+
+describe('evaluateGoldSet', () => {
+  const originalClient = fiDetectionService._client;
+
+  afterEach(async () => {
+    fiDetectionService.client = originalClient;
+    await fiDetectionService.clearCache();
+  });
+
+  test('scores per report type, per stage and for the veto', async () => {
+    writeCorpus([
+      { file: 'noise-request.txt', isFIRequest: true, reportTypes: ['acoustic'], veto: false },
+      { file: 'transport-request.txt', isFIRequest: true, reportTypes: ['transport'], veto: false },
+      { file: 'noise-response.txt', isFIRequest: false, reportTypes: ['acoustic'], veto: true }
+    ]);
+
+    // The model says yes to everything it is asked about, so any precision loss below
+    // is the deterministic gates doing - or failing to do - their job.
+    fiDetectionService.client = new FixtureChatClient({
+      functions: {
+        detect_fi_request: { isFIRequest: true },
+        match_fi_request: { requestsReportType: true },
+        extract_fi_request: (params) => ({
+          Summary: 'request',
+          SpecificRequests: `Quote: 'the applicant is ${params.messages[1].content.match(/requested to submit an? [a-z ]+?assessment/)[0]}'`
+        })
+      }
+    });
+
+    const report = await evaluateGoldSet(dir);
+
+    expect(report.documentCount).toBe(3);
+    expect(report.byReportType.acoustic).toMatchObject({ tp: 1, fn: 0 });
+    expect(report.byReportType.transport).toMatchObject({ tp: 1, fn: 0 });
+    // The model said yes, but the hard response marker inside matchFIRequestType held.
+    expect(report.byStage.ai_wrong_report_type.tn).toBeGreaterThanOrEqual(1);
+    expect(report.veto).toMatchObject({ tp: 1, fp: 0, fn: 0 });
+
+    const response = report.documents.find(doc => doc.file === 'noise-response.txt');
+    expect(response.results.acoustic).toMatchObject({ predicted: false, stage: 'ai_wrong_report_type' });
+    expect(response.vetoCorrect).toBe(true);
+  });
+
+  test('an evaluation error is recorded against the document, not thrown', async () => {
+    writeCorpus([{ file: 'noise-request.txt', isFIRequest: true, reportTypes: ['acoustic'] }], ['acoustic']);
+    fiDetectionService.client = new FixtureChatClient();
+
+    const report = await evaluateGoldSet(dir);
+
+    expect(report.byStage.error).toMatchObject({ fn: 1 });
+    expect(report.documents[0].errors[0]).toMatch(/acoustic/);
+  });
+});
@@ -0,0 +1,115 @@
+/**
+ * Tests for backend/services/llmProvider.js
+ *
+ * The services used to construct `new OpenAI()` at require time, so any test that so
+ * much as required scanJobProcessor failed without OPENAI_API_KEY. These cover provider
+ * selection from an injected env and the fixture client that lets the detection
+ * pipeline run offline through the real runFunctionChat path.
+ */
+
+const {
+  createChatClient,
+  resolveProviderName,
+  getModel,
+  getVisionModel,
+  FixtureChatClient,
+  FixtureMissError,
+  DEFAULT_MODEL
+} = require('../llmProvider');
+const { runFunctionChat } = require('../openaiChat');
+
+const silentLogger = { warn: () => {}, info: () => {}, debug: () => {} };
+
+describe('resolveProviderName', () => {
+  test('defaults to openai so existing deployments are unchanged', () => {
+    expect(resolveProviderName({})).toBe('openai');
+    expect(resolveProviderName({ LLM_PROVIDER: '  ' })).toBe('openai');
+  });
+
+  test('accepts the common spellings of a local server', () => {
+    expect(resolveProviderName({ LLM_PROVIDER: 'ollama' })).toBe('openai-compatible');
+    expect(resolveProviderName({ LLM_PROVIDER: 'vLLM' })).toBe('openai-compatible');
+    expect(resolveProviderName({ LLM_PROVIDER: 'Azure-OpenAI' })).toBe('azure');
+  });
+
+  test('rejects an unknown provider instead of falling back to the paid API', () => {
+    expect(() => resolveProviderName({ LLM_PROVIDER: 'opnai' })).toThrow(/Unknown LLM_PROVIDER/);
+  });
+});
+
+describe('getModel', () => {
+  test('LLM_MODEL wins over the legacy OPENAI_MODEL', () => {
+    expect(getModel({ LLM_MODEL: 'llama3.1:8b', OPENAI_MODEL: 'gpt-4o' })).toBe('llama3.1:8b');
+    expect(getModel({ OPENAI_MODEL: 'gpt-4o' })).toBe('gpt-4o');
+  });
+
+  test('azure uses the deployment name when no model is set', () => {
+    expect(getModel({ LLM_PROVIDER: 'azure', AZURE_OPENAI_DEPLOYMENT: 'fi-detect' })).toBe('fi-detect');
+  });
+
+  test('defaults to the model the pipeline has always used', () => {
+    expect(getModel({})).toBe(DEFAULT_MODEL);
+    expect(DEFAULT_MODEL).toBe('gpt-4o-mini');
+  });
+
+  test('vision model can differ from the text model', () => {
+    expect(getVisionModel({ LLM_MODEL: 'llama3.1:8b', LLM_VISION_MODEL: 'llava' })).toBe('llava');
+    expect(getVisionModel({ LLM_MODEL: 'llama3.1:8b' })).toBe('llama3.1:8b');
+  });
+});
+
+describe('createChatClient', () => {
+  test('builds without credentials for the fixture provider', () => {
+    const client = createChatClient({ env: { LLM_PROVIDER: 'fixture' } });
+    expect(client).toBeInstanceOf(FixtureChatClient);
+  });
+
+  test('openai-compatible requires a base URL', () => {
+    expect(() => createChatClient({ env: { LLM_PROVIDER: 'local' } })).toThrow(/LLM_BASE_URL/);
+  });
+
+  test('openai-compatible builds without an API key', () => {
+    const client = createChatClient({ env: { LLM_PROVIDER: 'local', LLM_BASE_URL: 'http://localhost:11434/v1' } });
+    expect(client.baseURL).toBe('http://localhost:11434/v1');
+    expect(typeof client.chat.completions.create).toBe('function');
+  });
+});
+
+describe('FixtureChatClient through runFunctionChat', () => {
+  const run = (client, functionName = 'detect_fi_request') => runFunctionChat({
+    client,
+    messages: [{ role: 'user', content: 'The applicant is requested to submit a noise impact assessment.' }],
+    functions: [{ name: functionName, parameters: { type: 'object' } }],
+    functionName,
+    model: 'fixture-model',
+    temperature: 0,
+    topP: 0,
+    maxMsgChars: 1000,
+    maxAttempts: 1,
+    logger: silentLogger
+  });
+
+  test('returns static arguments for a function call', async () => {
+    const client = new FixtureChatClient({ functions: { detect_fi_request: { isFIRequest: true } } });
+    await expect(run(client)).resolves.toEqual({ isFIRequest: true });
+    expect(client.calls).toHaveLength(1);
+    expect(client.calls[0].model).toBe('fixture-model');
+  });
+
+  test('a responder function can answer from the prompt', async () => {
+    const client = new FixtureChatClient().respond('detect_fi_request', (params) => ({
+      isFIRequest: params.messages[0].content.includes('is requested to')
+    }));
+    await expect(run(client)).resolves.toEqual({ isFIRequest: true });
+  });
+
+  test('a missing fixture is an error, not a silent non-match', async () => {
+    await expect(run(new FixtureChatClient())).rejects.toBeInstanceOf(FixtureMissError);
+  });
+
+  test('answers plain completions from the text responder', async () => {
+    const client = new FixtureChatClient({ text: 'YES' });
+    const response = await client.chat.completions.create({ model: 'm', messages: [] });
+    expect(response.choices[0].message.content).toBe('YES');
+  });
+});
@@ -0,0 +1,141 @@
+/**
+ * Tests for backend/services/matchCalibration.js, the resend outcomes it learns from,
+ * and the per-customer threshold in scanJobProcessor.sendMatchEmails.
+ */
+
+const {
+  evidenceBand,
+  calibrate,
+  confidenceFor,
+  resolveThreshold,
+  BAND_PRIORS
+} = require('../matchCalibration');
+const { resendOutcomes } = require('../../routes/reports');
+const scanJobProcessor = require('../scanJobProcessor');
+const emailService = require('../emailService');
+const fiReportService = require('../fiReportService');
+const matchReviewService = require('../matchReviewService');
+const Customer = require('../../models/Customer');
+
+const REQUEST_QUOTE = 'The applicant is requested to submit a noise impact assessment of the plant.';
+const MENTION_QUOTE = 'A noise impact assessment of the extraction plant accompanies the drawings.';
+
+describe('evidence bands', () => {
+  test('sort quotes by how directly they ask for the report', () => {
+    expect(evidenceBand(REQUEST_QUOTE, 'acoustic')).toBe('request');
+    expect(evidenceBand(MENTION_QUOTE, 'acoustic')).toBe('mention');
+    expect(evidenceBand('The applicant is requested to submit revised drawings.', 'acoustic')).toBe('topic');
+    expect(evidenceBand('No specific quote extracted', 'acoustic')).toBe('placeholder');
+    expect(evidenceBand(null, 'acoustic')).toBe('placeholder');
+  });
+});
+
+describe('calibrate', () => {
+  test('with no outcomes every band sits at its prior', () => {
+    const table = calibrate([]);
+    expect(table.bands.request.confidence).toBe(BAND_PRIORS.request);
+    expect(confidenceFor(table, 'acoustic', 'mention')).toBe(BAND_PRIORS.mention);
+  });
+
+  test('outcomes move a band, shrunk towards its prior', () => {
+    const table = calibrate([
+      { reportType: 'acoustic', band: 'mention', outcome: 'rejected', count: 20 },
+      { reportType: 'transport', band: 'mention', outcome: 'confirmed', count: 2 }
+    ]);
+
+    // 20 rejections against a prior worth 20 outcomes halve the band's confidence
+    expect(table.bands.mention).toMatchObject({ confirmed: 2, rejected: 20 });
+    expect(table.bands.mention.confidence).toBeCloseTo((2 + 0.7 * 20) / 42, 3);
+    // A type is shrunk towards its band, so acoustic sits below the band and
+    // transport's two confirmations barely lift it
+    expect(confidenceFor(table, 'acoustic', 'mention')).toBeLessThan(table.bands.mention.confidence);
+    expect(confidenceFor(table, 'noise', 'mention')).toBe(table.types.acoustic.mention.confidence);
+    expect(confidenceFor(table, 'transport', 'mention')).toBeLessThan(0.5);
+    // Types without outcomes of their own use the band
+    expect(confidenceFor(table, 'flood', 'mention')).toBe(table.bands.mention.confidence);
+  });
+});
+
+describe('resolveThreshold', () => {
+  test('the job link wins, then the customer, then MATCH_MIN_CONFIDENCE, then 0', () => {
+    const customer = { minMatchConfidence: 0.6 };
+    expect(resolveThreshold({ minConfidence: 0.8, customerId: customer }, undefined, {})).toBe(0.8);
+    expect(resolveThreshold({ customerId: customer }, undefined, {})).toBe(0.6);
+    expect(resolveThreshold({ customerId: { minMatchConfidence: null } }, undefined, { MATCH_MIN_CONFIDENCE: '0.5' })).toBe(0.5);
+    expect(resolveThreshold({ customerId: {} }, undefined, {})).toBe(0);
+  });
+});
+
+describe('resendOutcomes', () => {
+  const entries = () => [
+    { projectId: '404436', fiIndicators: ['acoustic'], metadata: { documentName: 'a.pdf', validationQuote: REQUEST_QUOTE } },
+    { projectId: '389003', fiIndicators: ['acoustic'], metadata: { documentName: 'b.pdf', validationQuote: MENTION_QUOTE } }
+  ];
+
+  test('a full resend confirms every entry', () => {
+    const all = entries();
+    expect(resendOutcomes(all, all, 'c1').map(o => o.outcome)).toEqual(['confirmed', 'confirmed']);
+  });
+
+  test('a narrowed resend rejects what was left out', () => {
+    const all = entries();
+    const outcomes = resendOutcomes(all, [all[0]], 'c1');
+    expect(outcomes.map(o => `${o.projectId}:${o.source}:${o.outcome}`))
+      .toEqual(['404436:resend:confirmed', '389003:resend-excluded:rejected']);
+  });
+});
+
+describe('sendMatchEmails thresholds', () => {
+  let spies;
+
+  beforeEach(() => {
+    spies = [
+      jest.spyOn(emailService, 'sendBatchFINotification').mockResolvedValue({ success: true, messageId: 'm1' }),
+      jest.spyOn(fiReportService, 'createReport').mockResolvedValue({ reportId: 'FI_1' }),
+      jest.spyOn(matchReviewService, 'queueReviews').mockResolvedValue(1),
+      jest.spyOn(Customer, 'findById').mockResolvedValue(null)
+    ];
+  });
+
+  afterEach(() => {
+    spies.forEach(spy => spy.mockRestore());
+  });
+
+  test('matches below the customer threshold are queued for review, not emailed', async () => {
+    const customer = { _id: 'c1', email: 'a@example.com', name: 'A', filters: {}, minMatchConfidence: 0.8 };
+    const job = {
+      jobId: 'job-acoustic',
+      documentType: 'acoustic',
+      statistics: {},
+      customers: [{ customerId: customer }],
+      save: jest.fn()
+    };
+    const match = (projectId, quote) => ({
+      document: { projectId, fileName: `${projectId}.pdf` },
+      result: { isMatch: true, validationQuote: quote },
+      customers: job.customers
+    });
+    const metadata = new Map([
+      ['403501', { planning_title: 'Quarry extension' }],
+      ['403502', { planning_title: 'Warehouse' }]
+    ]);
+
+    await scanJobProcessor.sendMatchEmails(
+      [match('403501', REQUEST_QUOTE), match('403502', MENTION_QUOTE)],
+      job,
+      metadata
+    );
+
+    const sent = emailService.sendBatchFINotification.mock.calls[0][2].matches;
+    expect(sent.map(m => m.projectId)).toEqual(['403501']);
+    expect(sent[0]).toMatchObject({ evidenceBand: 'request', confidence: BAND_PRIORS.request });
+
+    const [, queuedFor, queued] = matchReviewService.queueReviews.mock.calls[0];
+    expect(queuedFor.email).toBe('a@example.com');
+    expect(queued).toHaveLength(1);
+    expect(queued[0]).toMatchObject({ projectId: '403502', evidenceBand: 'mention', threshold: 0.8 });
+
+    const report = fiReportService.createReport.mock.calls[0][0];
+    expect(report.projectsFound[0]).toMatchObject({ confidence: BAND_PRIORS.request });
+  });
+});
@@ -0,0 +1,142 @@
+/**
+ * Tests for multi-label detection: fiDetectionService.matchFIRequestTypes and the
+ * per-document verdict sharing in scanJobProcessor (SCAN_DETECTION_MODE=multi).
+ */
+
+const fiDetectionService = require('../fiDetectionService');
+const scanJobProcessor = require('../scanJobProcessor');
+const { DetectionCache, MemoryCacheBackend } = require('../detectionCache');
+const { FixtureChatClient } = require('../llmProvider');
+
+const FI_LETTER =
+  'Further Information Request. Planning Application Reference 24/1234. ' +
+  'The applicant is requested to submit a noise impact assessment for the proposed plant. ' +
+  'The applicant is requested to submit a flood risk assessment for the site. ' +
+  'Please provide revised site layout drawings showing the bin store.';
+
+const matchCalls = client => client.calls.filter(call => call.function_call?.name === 'match_fi_request_types');
+
+describe('matchFIRequestTypes', () => {
+  const originalClient = fiDetectionService._client;
+
+  afterEach(async () => {
+    fiDetectionService.client = originalClient;
+    await fiDetectionService.clearCache();
+  });
+
+  test('one model call answers every type, each with its own evidence quote', async () => {
+    const client = new FixtureChatClient({
+      functions: { match_fi_request_types: { requestedReportTypes: ['noise', 'flood'] } }
+    });
+    fiDetectionService.client = client;
+
+    const results = await fiDetectionService.matchFIRequestTypes(FI_LETTER, ['acoustic', 'transport', 'flood']);
+
+    expect(matchCalls(client)).toHaveLength(1);
+    expect(Object.keys(results).sort()).toEqual(['acoustic', 'flood', 'transport']);
+    expect(results.acoustic).toMatchObject({ matches: true, hasValidEvidence: true });
+    expect(results.acoustic.validationQuote).toMatch(/noise impact assessment/i);
+    expect(results.flood).toMatchObject({ matches: true, hasValidEvidence: true });
+    expect(results.flood.validationQuote).toMatch(/flood risk assessment/i);
+    expect(results.transport).toMatchObject({ matches: false, aiConfirmedMatchButWeakEvidence: false });
+  });
+
+  test('types caught by the response gate are not put to the model', async () => {
+    const client = new FixtureChatClient({
+      functions: { match_fi_request_types: { requestedReportTypes: ['flood'] } }
+    });
+    fiDetectionService.client = client;
+    const text = `${FI_LETTER} A noise impact assessment has been submitted with the application.`;
+
+    const results = await fiDetectionService.matchFIRequestTypes(text, ['acoustic', 'flood']);
+
+    expect(results.acoustic.rejectionReason).toMatch(/contextual response marker/);
+    expect(results.flood.matches).toBe(true);
+    const question = matchCalls(client)[0].messages.find(m => m.role === 'user').content;
+    expect(question).toMatch(/^Target report types: flood\n/);
+  });
+});
+
+describe('scanJobProcessor multi-label verdict sharing', () => {
+  const document = { projectId: '403501', fileName: 'fi-request.pdf', filePath: '2026/10/18/403501/fi-request.pdf' };
+  const acousticJob = { jobId: 'job-acoustic', documentType: 'acoustic' };
+  const transportJob = { jobId: 'job-transport', documentType: 'transport' };
+  const coveredTypes = ['acoustic', 'transport'];
+
+  let detectDocument;
+
+  beforeEach(() => {
+    scanJobProcessor.documentVerdicts = new DetectionCache({
+      namespace: 'doc-verdict',
+      version: 'v1',
+      backend: new MemoryCacheBackend()
+    });
+    detectDocument = jest.spyOn(scanJobProcessor, 'detectDocument');
+  });
+
+  afterEach(() => {
+    detectDocument.mockRestore();
+  });
+
+  test('the first job judges the document for every covered type; the next reuses it', async () => {
+    detectDocument.mockResolvedValue({
+      acoustic: scanJobProcessor.matchVerdict('acoustic', {
+        matches: true,
+        hasValidEvidence: true,
+        validationQuote: 'The applicant is requested to submit a noise impact assessment.'
+      }),
+      transport: scanJobProcessor.matchVerdict('transport', { matches: false, hasValidEvidence: false })
+    });
+
+    const acoustic = await scanJobProcessor.processDocumentInternal(
+      document, acousticJob, document.fileName, 'acoustic', { coveredTypes }
+    );
+    const transport = await scanJobProcessor.processDocumentInternal(
+      document, transportJob, document.fileName, 'transport', { coveredTypes }
+    );
+
+    expect(detectDocument).toHaveBeenCalledTimes(1);
+    expect(detectDocument.mock.calls[0][3]).toEqual(['acoustic', 'transport']);
+    expect(acoustic).toMatchObject({ isMatch: true, stage: 'fi-detection' });
+    expect(transport).toMatchObject({ isMatch: false, stage: 'wrong-report-type', sharedVerdict: true, detectedByJobId: 'job-acoustic' });
+  });
+
+  test('a transient failure is not shared, so the next job tries again', async () => {
+    detectDocument.mockResolvedValue({
+      acoustic: { isMatch: false, stage: 'download-error', confidence: 0 },
+      transport: { isMatch: false, stage: 'download-error', confidence: 0 }
+    });
+
+    await scanJobProcessor.processDocumentInternal(document, acousticJob, document.fileName, 'acoustic', { coveredTypes });
+    await scanJobProcessor.processDocumentInternal(document, transportJob, document.fileName, 'transport', { coveredTypes });
+
+    expect(detectDocument).toHaveBeenCalledTimes(2);
+  });
+
+  test('a job reaching the document while it is being judged waits for that verdict', async () => {
+    let settle;
+    detectDocument.mockImplementation(() => new Promise(resolve => { settle = resolve; }));
+
+    const acoustic = scanJobProcessor.processDocumentInternal(document, acousticJob, document.fileName, 'acoustic', { coveredTypes });
+    const transport = scanJobProcessor.processDocumentInternal(document, transportJob, document.fileName, 'transport', { coveredTypes });
+    await new Promise(resolve => setImmediate(resolve));
+    settle({
+      acoustic: { isMatch: false, stage: 'not-fi-request', confidence: 0 },
+      transport: { isMatch: false, stage: 'not-fi-request', confidence: 0 }
+    });
+
+    await expect(acoustic).resolves.toMatchObject({ stage: 'not-fi-request' });
+    await expect(transport).resolves.toMatchObject({ stage: 'not-fi-request', sharedVerdict: true });
+    expect(detectDocument).toHaveBeenCalledTimes(1);
+  });
+
+  test('single-type mode judges only the job\'s own type and shares nothing', async () => {
+    detectDocument.mockResolvedValue({ acoustic: { isMatch: false, stage: 'not-fi-request', confidence: 0 } });
+
+    const result = await scanJobProcessor.processDocumentInternal(document, acousticJob, document.fileName, 'acoustic');
+
+    expect(detectDocument.mock.calls[0][3]).toEqual(['acoustic']);
+    expect(result.stage).toBe('not-fi-request');
+    expect((await scanJobProcessor.documentVerdicts.getStats()).saves).toBe(0);
+  });
+});
@@ -0,0 +1,248 @@
+/**
+ * Near-duplicate clustering (services/nearDuplicates.js) and how scanJobProcessor
+ * sends only a cluster's canonical document to the model.
+ */
+
+const AWS = require('aws-sdk');
+const mongoose = require('mongoose');
+const DocumentSignature = require('../../models/DocumentSignature');
+const DocumentBandClaim = require('../../models/DocumentBandClaim');
+const DocumentClassification = require('../../models/DocumentClassification');
+const nearDuplicates = require('../nearDuplicates');
+const fiDetectionService = require('../fiDetectionService');
+const extractedTextStore = require('../extractedTextStore');
+const textExtractionService = require('../textExtractionService');
+const scanJobProcessor = require('../scanJobProcessor');
+
+const { minhashSignature, similarity, shingleHashes } = nearDuplicates;
+
+const LETTER =
+  'Further Information Request. Planning Application Reference 24/1234. Proposed ' +
+  'extension to existing warehouse with rooftop plant at Ballyalla, Ennis. Having ' +
+  'considered the application, the Planning Authority requires the following further ' +
+  'information. 1. The applicant is requested to submit a noise impact assessment for ' +
+  'the proposed rooftop plant, prepared by a suitably qualified acoustic consultant, ' +
+  'having regard to the nearest noise sensitive locations. 2. The applicant is requested ' +
+  'to submit revised drawings showing the location of the bin store and bicycle parking. ' +
+  'The further information should be submitted within six months of the date of this letter.';
+
+// The same request, repeated in another document with its own heading and sign-off
+const REPUBLISHED =
+  `ENVIRONMENT SECTION REPORT\n${LETTER.replace(/\s+/g, '  ')}\nSigned: Senior Executive Engineer`;
+
+const UNRELATED =
+  'Planning Report. The site is located within the development boundary of Ennis and is ' +
+  'zoned for industrial use. The proposed development is considered acceptable in principle ' +
+  'subject to the conditions set out below regarding hours of construction, surface water ' +
+  'drainage and the protection of the adjoining hedgerow during the works period.';
+
+/** document_signatures and document_band_claims in memory, answering the queries nearDuplicates makes. */
+function fakeSignatureStore() {
+  const rows = new Map();
+  const claims = new Map();
+  const lean = value => ({ select: () => lean(value), lean: async () => JSON.parse(JSON.stringify(value)) });
+  jest.spyOn(DocumentSignature, 'findOne').mockImplementation(({ filePath }) => lean(rows.get(filePath) || null));
+  // Each claim reads and writes in one step, as the upsert does
+  jest.spyOn(DocumentBandClaim, 'findOneAndUpdate').mockImplementation(({ band }, update) => {
+    if (!claims.has(band)) claims.set(band, { ...update.$setOnInsert });
+    return lean(claims.get(band));
+  });
+  jest.spyOn(DocumentBandClaim, 'deleteMany').mockImplementation(async ({ band, filePath }) => {
+    for (const key of band.$in) {
+      if (claims.get(key)?.filePath === filePath) claims.delete(key);
+    }
+    return {};
+  });
+  jest.spyOn(DocumentBandClaim, 'updateMany').mockResolvedValue({});
+  jest.spyOn(DocumentSignature, 'find').mockImplementation(filter => {
+    const found = [...rows.values()].filter(row =>
+      row.filePath !== filter.filePath.$ne &&
+      !row.duplicateOf &&
+      row.bands.some(band => filter.bands.$in.includes(band)));
+    const query = { select: () => query, limit: () => query, lean: async () => JSON.parse(JSON.stringify(found)) };
+    return query;
+  });
+  jest.spyOn(DocumentSignature, 'updateOne').mockImplementation(async ({ filePath }, update) => {
+    const row = rows.get(filePath) || { filePath, verdicts: {} };
+    for (const key of Object.keys(update.$unset || {})) delete row[key];
+    for (const [key, value] of Object.entries(update.$set || {})) {
+      if (key.startsWith('verdicts.')) row.verdicts = { ...row.verdicts, [key.slice(9)]: value };
+      else row[key] = value;
+    }
+    rows.set(filePath, row);
+    return {};
+  });
+  return rows;
+}
+
+beforeEach(() => {
+  // Clustering is skipped while Mongo is down; default to "up"
+  Object.defineProperty(mongoose.connection, 'readyState', { value: 1, configurable: true });
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  delete process.env.NEAR_DUPLICATE_DETECTION;
+});
+
+describe('MinHash signatures', () => {
+  test('a republished letter is a near-duplicate; an unrelated report is not', () => {
+    const letter = minhashSignature(LETTER);
+
+    expect(letter).toHaveLength(64);
+    expect(similarity(letter, minhashSignature(REPUBLISHED))).toBeGreaterThanOrEqual(0.85);
+    expect(similarity(letter, minhashSignature(UNRELATED))).toBeLessThan(0.2);
+    expect(similarity(letter, minhashSignature(LETTER.toUpperCase()))).toBe(1);
+  });
+
+  test('texts too short to sign have no signature', () => {
+    expect(minhashSignature('Drawing No. 101 Rev C')).toBeNull();
+    expect(shingleHashes('one two three four five six').size).toBe(2);
+  });
+});
+
+describe('clusterDocument', () => {
+  const first = { filePath: 'a/1/letter.pdf', fileName: 'letter.pdf', projectId: '1' };
+  const second = { filePath: 'a/2/report.pdf', fileName: 'report.pdf', projectId: '2' };
+
+  test('the first document is canonical and the next joins its cluster', async () => {
+    const rows = fakeSignatureStore();
+
+    const canonical = await nearDuplicates.clusterDocument(first, LETTER);
+    expect(canonical).toMatchObject({ filePath: first.filePath, canonical: null, duplicateOf: null });
+
+    const duplicate = await nearDuplicates.clusterDocument(second, REPUBLISHED);
+    expect(duplicate.duplicateOf).toMatchObject({ filePath: first.filePath, fileName: 'letter.pdf', projectId: '1' });
+    expect(rows.get(second.filePath).duplicateOf.filePath).toBe(first.filePath);
+
+    expect(await nearDuplicates.clusterDocument({ ...second, filePath: 'a/3/x.pdf' }, UNRELATED))
+      .toMatchObject({ duplicateOf: null });
+  });
+
+  test('of two copies clustered at the same moment, only one becomes canonical', async () => {
+    const rows = fakeSignatureStore();
+
+    const [a, b] = await Promise.all([
+      nearDuplicates.clusterDocument(first, LETTER),
+      nearDuplicates.clusterDocument(second, REPUBLISHED)
+    ]);
+
+    expect([a, b].filter(cluster => cluster.duplicateOf === null)).toHaveLength(1);
+    const [canonical, duplicate] = a.duplicateOf ? [b, a] : [a, b];
+    expect(duplicate.duplicateOf.filePath).toBe(canonical.filePath);
+    expect(rows.get(duplicate.filePath).duplicateOf.filePath).toBe(canonical.filePath);
+    expect(rows.get(canonical.filePath).duplicateOf).toBeUndefined();
+    // Only the winner keeps its bands
+    expect(DocumentBandClaim.updateMany).toHaveBeenCalledTimes(1);
+    expect(DocumentBandClaim.updateMany.mock.calls[0][0].filePath).toBe(canonical.filePath);
+  });
+
+  test('keeps only a canonical\'s AI verdicts, and shares only this detector version\'s', async () => {
+    const rows = fakeSignatureStore();
+    const cluster = await nearDuplicates.clusterDocument(first, LETTER);
+
+    await nearDuplicates.recordVerdicts(cluster, {
+      acoustic: { isMatch: true, stage: 'fi-detection', validationQuote: 'noise impact assessment' },
+      flood: { isMatch: false, stage: 'fi-response-veto' }
+    }, 'v1');
+    expect(Object.keys(rows.get(first.filePath).verdicts)).toEqual(['acoustic']);
+
+    const duplicate = await nearDuplicates.clusterDocument(second, REPUBLISHED);
+    expect(nearDuplicates.sharedVerdicts(duplicate, ['acoustic', 'flood'], 'v1')).toEqual({
+      acoustic: { isMatch: true, stage: 'fi-detection', validationQuote: 'noise impact assessment' }
+    });
+    expect(nearDuplicates.sharedVerdicts(duplicate, ['acoustic'], 'v2')).toEqual({});
+  });
+
+  test('off, or with the store down, nothing is clustered', async () => {
+    const rows = fakeSignatureStore();
+    process.env.NEAR_DUPLICATE_DETECTION = 'off';
+    expect(await nearDuplicates.clusterDocument(first, LETTER)).toBeNull();
+
+    delete process.env.NEAR_DUPLICATE_DETECTION;
+    DocumentSignature.find.mockImplementation(() => { throw new Error('connection reset'); });
+    expect(await nearDuplicates.clusterDocument(first, LETTER)).toBeNull();
+    expect(rows.size).toBe(0);
+  });
+});
+
+describe('scanJobProcessor', () => {
+  const job = { jobId: 'job-acoustic', documentType: 'acoustic' };
+  const QUOTE = 'The applicant is requested to submit a noise impact assessment for the proposed rooftop plant';
+  const texts = {
+    'letter.pdf': LETTER,
+    'environment-report.pdf': REPUBLISHED,
+    'planner-report.pdf': REPUBLISHED
+  };
+
+  let matchFIRequestType;
+
+  let signatures;
+
+  beforeEach(() => {
+    signatures = fakeSignatureStore();
+    jest.spyOn(AWS, 'S3').mockImplementation(() => ({
+      headObject: () => ({ promise: async () => ({ ContentLength: 2000, ETag: '"etag"' }) })
+    }));
+    jest.spyOn(extractedTextStore, 'extract').mockImplementation(async ({ fileName }) =>
+      textExtractionService.buildResult('pdf', [texts[fileName]]));
+    jest.spyOn(DocumentClassification, 'updateOne').mockResolvedValue({});
+    jest.spyOn(fiDetectionService, 'classifyFIResponse').mockResolvedValue({ isResponse: false });
+    jest.spyOn(fiDetectionService, 'cheapFIFilter').mockResolvedValue(true);
+    jest.spyOn(fiDetectionService, 'detectFIRequest').mockResolvedValue(true);
+    jest.spyOn(fiDetectionService, 'extractFIRequestItems').mockResolvedValue({ items: [] });
+    matchFIRequestType = jest.spyOn(fiDetectionService, 'matchFIRequestType').mockResolvedValue({
+      matches: true,
+      hasValidEvidence: true,
+      validationQuote: QUOTE
+    });
+  });
+
+  const detect = (projectId, fileName, scanJob = job) => scanJobProcessor.detectDocument(
+    { projectId, fileName, filePath: `planning-docs/${projectId}/${fileName}` }, scanJob, fileName, ['acoustic']
+  );
+
+  test('only the canonical goes to the model; a copy in another project takes its match', async () => {
+    const canonical = await detect('403501', 'letter.pdf');
+    expect(canonical.acoustic).toMatchObject({ isMatch: true, stage: 'fi-detection' });
+    expect(canonical.acoustic.duplicateOf).toBeUndefined();
+
+    const copy = await detect('403502', 'environment-report.pdf');
+    expect(matchFIRequestType).toHaveBeenCalledTimes(1);
+    expect(copy.acoustic).toMatchObject({
+      isMatch: true,
+      stage: 'fi-detection',
+      validationQuote: QUOTE,
+      evidenceSource: { page: 1 },
+      duplicateOf: { filePath: 'planning-docs/403501/letter.pdf', projectId: '403501' }
+    });
+    expect(copy.acoustic.evidenceSource.start).toBeGreaterThan(canonical.acoustic.evidenceSource.start);
+  });
+
+  test('a copy in the canonical\'s own project is linked, not matched again', async () => {
+    await detect('403501', 'letter.pdf');
+    const copy = await detect('403501', 'planner-report.pdf');
+
+    expect(matchFIRequestType).toHaveBeenCalledTimes(1);
+    expect(copy.acoustic).toMatchObject({
+      isMatch: false,
+      stage: 'near-duplicate',
+      duplicateOf: { fileName: 'letter.pdf' }
+    });
+  });
+
+  test('a shadow job registers no canonical, so a live job never sees its verdict', async () => {
+    const shadowJob = { jobId: 'job-acoustic-shadow', documentType: 'acoustic', shadow: true };
+    // The detector on trial turns the letter down
+    matchFIRequestType.mockResolvedValueOnce({ matches: false, hasValidEvidence: false });
+
+    const shadow = await detect('403501', 'letter.pdf', shadowJob);
+    expect(shadow.acoustic.isMatch).toBe(false);
+    expect(signatures.size).toBe(0);
+
+    const live = await detect('403502', 'environment-report.pdf');
+    expect(matchFIRequestType).toHaveBeenCalledTimes(2);
+    expect(live.acoustic).toMatchObject({ isMatch: true, stage: 'fi-detection' });
+    expect(live.acoustic.duplicateOf).toBeUndefined();
+  });
+});
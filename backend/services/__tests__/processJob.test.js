@@ -0,0 +1,164 @@
+/**
+ * One scan run end to end (scanJobProcessor.processJob) over a stubbed document stream:
+ * what it leaves behind when it fails or is cancelled, and where its checkpoint stands
+ * while documents finish out of order.
+ *
+ * No mongo, S3 or email: the job is a plain object whose saves are recorded, and
+ * processDocument, the scanner, baseline checks and senders are spied on.
+ */
+
+// scanJobProcessor destructures these at require time, so they are mocked on the module
+jest.mock('../documentTrace', () => ({
+  ...jest.requireActual('../documentTrace'),
+  saveTrace: jest.fn().mockResolvedValue(),
+  flushTraces: jest.fn().mockResolvedValue(0)
+}));
+
+const ScanJob = require('../../models/ScanJob');
+const fastS3Scanner = require('../fastS3Scanner');
+const documentIngestionService = require('../documentIngestionService');
+const diskCleanupService = require('../diskCleanupService');
+const emailService = require('../emailService');
+const scanJobProcessor = require('../scanJobProcessor');
+const { saveTrace, flushTraces } = require('../documentTrace');
+
+const documents = ['a', 'b', 'c', 'd'].map(name => ({
+  projectId: '403501',
+  fileName: `${name}.pdf`,
+  filePath: `planning-docs/403501/${name}.pdf`
+}));
+
+const noMatch = { isMatch: false, stage: 'quick-filter' };
+
+/** A stream of the given documents, as fastS3Scanner.streamDocumentsSince delivers them. */
+const streamOf = docs => async (since, end, onDocument) => {
+  for (const document of docs) {
+    await onDocument({ ...document });
+  }
+  return { totalMatched: docs.length };
+};
+
+/**
+ * A job whose every save is recorded as a copy of its checkpoint and status, in the
+ * order the saves complete; saveMs keeps each one in flight for a while, as mongo does.
+ */
+function makeJob({ saveMs = 0 } = {}) {
+  const saves = [];
+  const job = {
+    jobId: 'SCAN-ACOUSTIC-1',
+    name: 'Acoustic',
+    documentType: 'acoustic',
+    status: 'RUNNING',
+    customers: [{ customerId: { _id: 'c1', email: 'leads@acme.ie' } }],
+    config: { autoProcess: false },
+    statistics: {},
+    checkpoint: {},
+    save: jest.fn(async () => {
+      const saved = { status: job.status, ...job.checkpoint };
+      if (saveMs) await new Promise(resolve => setTimeout(resolve, saveMs));
+      saves.push(saved);
+    })
+  };
+  return { job, saves };
+}
+
+/** processDocument answering each document only when the test says so. */
+function deferredDocuments() {
+  const pending = new Map();
+  jest.spyOn(scanJobProcessor, 'processDocument').mockImplementation(document =>
+    new Promise(resolve => pending.set(document.fileName, resolve)));
+  return {
+    dispatched: () => [...pending.keys()],
+    finish: fileName => pending.get(fileName)(noMatch)
+  };
+}
+
+const settle = () => new Promise(resolve => setTimeout(resolve, 20));
+
+
+beforeEach(() => {
+  process.env.SCAN_DOCUMENT_CONCURRENCY = '3';
+  process.env.SCAN_CANCEL_CHECK_MS = '0';
+  jest.spyOn(scanJobProcessor, 'resolveCoveredReportTypes').mockResolvedValue(null);
+  jest.spyOn(fastS3Scanner, 'countDocumentsSince').mockResolvedValue(documents.length);
+  jest.spyOn(documentIngestionService, 'shouldSkipFIScan').mockResolvedValue(false);
+  jest.spyOn(ScanJob, 'exists').mockResolvedValue(null);
+  jest.spyOn(emailService, 'sendScanSummaryEmail').mockResolvedValue();
+  jest.spyOn(emailService, 'sendScanProgressEmail').mockResolvedValue();
+  jest.spyOn(scanJobProcessor, 'saveDailyScanResult').mockResolvedValue();
+  jest.spyOn(diskCleanupService, 'runCleanup').mockResolvedValue();
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  jest.clearAllMocks();
+  delete process.env.SCAN_DOCUMENT_CONCURRENCY;
+  delete process.env.SCAN_CANCEL_CHECK_MS;
+});
+
+describe('a failed scan', () => {
+  test('writes its buffered traces, the failing document\'s among them', async () => {
+    jest.spyOn(scanJobProcessor, 'processDocument').mockImplementation(async document => {
+      if (document.fileName === 'b.pdf') throw new Error('extraction crashed');
+      return noMatch;
+    });
+    const { job, saves } = makeJob();
+
+    await expect(scanJobProcessor.processJob(job, null, { stream: streamOf(documents) }))
+      .rejects.toThrow('extraction crashed');
+
+    const traced = saveTrace.mock.calls.map(([trace]) => trace);
+    const failed = traced.find(trace => trace.fileName === 'b.pdf');
+    expect(failed).toMatchObject({ stage: 'failed' });
+    expect(failed.steps.map(step => `${step.step}:${step.outcome}`)).toContain('scan:error');
+    expect(flushTraces).toHaveBeenCalled();
+    expect(saves[saves.length - 1]).toMatchObject({ lastProcessedFile: 'b.pdf', isResuming: true });
+  });
+});
+
+describe('a cancelled scan', () => {
+  test('resets the checkpoint after the commits in flight, on the job it saves through', async () => {
+    jest.spyOn(scanJobProcessor, 'processDocument').mockResolvedValue(noMatch);
+    // Cancelled as the third document is reached, while the first is still saving
+    jest.spyOn(ScanJob, 'exists')
+      .mockResolvedValueOnce(null)
+      .mockResolvedValueOnce(null)
+      .mockResolvedValue({ _id: 'job' });
+    const findOne = jest.spyOn(ScanJob, 'findOne');
+    const { job, saves } = makeJob({ saveMs: 20 });
+
+    await expect(scanJobProcessor.processJob(job, null, { stream: streamOf(documents) })).resolves.toBeUndefined();
+    await settle();
+
+    expect(findOne).not.toHaveBeenCalled();
+    expect(saves.length).toBeGreaterThan(1);
+    expect(saves[saves.length - 1]).toMatchObject({ status: 'ACTIVE', processedCount: 0, lastProcessedFile: '', isResuming: false });
+    expect(job.checkpoint).toMatchObject({ processedCount: 0, isResuming: false });
+  });
+});
+
+describe('the checkpoint', () => {
+  test('names only the last document every one before which is done', async () => {
+    const documentsInFlight = deferredDocuments();
+    const { job, saves } = makeJob();
+    const run = scanJobProcessor.processJob(job, null, { stream: streamOf(documents) });
+
+    await settle();
+    expect(documentsInFlight.dispatched()).toEqual(['a.pdf', 'b.pdf', 'c.pdf']);
+
+    // b and c finish first: nothing can be checkpointed while a is still being judged
+    documentsInFlight.finish('c.pdf');
+    documentsInFlight.finish('b.pdf');
+    await settle();
+    expect(saves.filter(save => save.lastProcessedFile)).toEqual([]);
+
+    documentsInFlight.finish('a.pdf');
+    await settle();
+    expect(saves.map(save => save.lastProcessedFile).filter(Boolean)).toEqual(['a.pdf', 'b.pdf', 'c.pdf']);
+    expect(saves[saves.length - 1]).toMatchObject({ processedCount: 3 });
+
+    documentsInFlight.finish('d.pdf');
+    await run;
+    expect(saves.filter(save => save.lastProcessedFile === 'd.pdf')[0]).toMatchObject({ processedCount: 4 });
+  });
+});
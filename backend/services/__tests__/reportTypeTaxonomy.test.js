@@ -0,0 +1,128 @@
+/**
+ * Tests for the admin-editable taxonomy in backend/services/reportTypes.js
+ *
+ * setReportTypeOverrides is what services/reportTypeStore.js feeds the ReportType
+ * collection into; these check that a new type reaches every lookup the scan path and
+ * the schemas use, and that retiring a built-in does not break existing data.
+ */
+
+const {
+  CANONICAL_REPORT_TYPES,
+  setReportTypeOverrides,
+  getReportTypes,
+  normalizeReportType,
+  getDocumentTerms,
+  getQuoteTerms,
+  textMentionsReportType,
+  isKnownReportType,
+  isActiveReportType
+} = require('../reportTypes');
+const { getDetectorVersion } = require('../detectorVersion');
+const Customer = require('../../models/Customer');
+const ScanJob = require('../../models/ScanJob');
+
+const AIR_QUALITY = {
+  key: 'air-quality',
+  label: 'Air Quality',
+  aliases: ['air quality', 'AQA'],
+  documentTerms: ['air quality', 'dust', 'emissions'],
+  quoteTerms: ['air quality', 'dust']
+};
+
+afterEach(() => {
+  setReportTypeOverrides([]);
+});
+
+test('the built-ins cover every spelling the old enums used', () => {
+  for (const type of ['acoustic', 'transport', 'ecological', 'ecology', 'flood', 'heritage',
+    'arboricultural', 'waste', 'lighting', 'contamination', 'other']) {
+    expect(isKnownReportType(type)).toBe(true);
+  }
+  expect(isKnownReportType('air quality')).toBe(false);
+});
+
+test('an added type reaches normalisation, the vocabularies and the active list', () => {
+  const before = getDetectorVersion();
+  setReportTypeOverrides([AIR_QUALITY]);
+
+  expect(normalizeReportType('AQA')).toBe('air-quality');
+  expect(normalizeReportType('Air Quality')).toBe('air-quality');
+  expect(getDocumentTerms('air quality')).toEqual(['air quality', 'dust', 'emissions']);
+  expect(textMentionsReportType('A dust management plan is required', 'aqa')).toBe(true);
+  // The array is updated in place, so references taken at require time see it
+  expect(CANONICAL_REPORT_TYPES).toContain('air-quality');
+  expect(getDetectorVersion()).not.toBe(before);
+});
+
+test('an override of a built-in replaces only the term lists it sets', () => {
+  const filenameTerms = getReportTypes().find(type => type.key === 'acoustic').filenameTerms;
+  setReportTypeOverrides([{ key: 'acoustic', quoteTerms: ['noise', 'acoustic'], aliases: ['nia'] }]);
+
+  expect(getQuoteTerms('acoustic')).toEqual(['noise', 'acoustic']);
+  expect(getReportTypes().find(type => type.key === 'acoustic')).toMatchObject({
+    filenameTerms,
+    builtIn: true,
+    overridden: true,
+    label: 'Acoustic'
+  });
+  expect(normalizeReportType('nia')).toBe('acoustic');
+  expect(normalizeReportType('noise')).toBe('acoustic');
+});
+
+test('an alias can never shadow another type key', () => {
+  setReportTypeOverrides([{ ...AIR_QUALITY, aliases: ['flood'] }]);
+  expect(normalizeReportType('flood')).toBe('flood');
+});
+
+test('a retired type is hidden from pickers but still known', () => {
+  setReportTypeOverrides([{ key: 'heritage', active: false }]);
+
+  expect(getReportTypes().map(type => type.key)).not.toContain('heritage');
+  expect(getReportTypes({ includeInactive: true }).map(type => type.key)).toContain('heritage');
+  expect(isActiveReportType('heritage')).toBe(false);
+  expect(isKnownReportType('heritage')).toBe(true);
+  expect(getQuoteTerms('heritage')).toContain('archaeological');
+});
+
+describe('schema validation', () => {
+  test('accepts admin-added types and rejects unknown ones', () => {
+    const customer = () => new Customer({ name: 'Acme', email: 'a@example.com', reportTypes: ['air-quality'] });
+    expect(customer().validateSync()?.errors?.['reportTypes.0']).toBeDefined();
+
+    setReportTypeOverrides([AIR_QUALITY]);
+    expect(customer().validateSync()?.errors?.['reportTypes.0']).toBeUndefined();
+  });
+
+  test('scan jobs accept the customer spellings and the legacy ecology one', () => {
+    for (const documentType of ['heritage', 'ecology', 'ecological']) {
+      const job = new ScanJob({ name: 'Nightly', documentType });
+      expect(job.validateSync()?.errors?.documentType).toBeUndefined();
+    }
+    expect(new ScanJob({ name: 'Nightly', documentType: 'daylight' }).validateSync().errors.documentType).toBeDefined();
+  });
+});
+
+describe('daily run report types', () => {
+  const dailyRunWorker = require('../dailyRunWorker');
+
+  afterEach(() => {
+    delete process.env.DAILY_RUN_REPORT_TYPES;
+  });
+
+  test('are the active types without other, following admin edits', () => {
+    expect(dailyRunWorker.reportTypes()).toEqual(
+      ['acoustic', 'transport', 'ecological', 'flood', 'heritage', 'arboricultural', 'waste', 'lighting', 'contamination']
+    );
+
+    setReportTypeOverrides([AIR_QUALITY, { key: 'heritage', active: false }]);
+    const types = dailyRunWorker.reportTypes();
+    expect(types).toContain('air-quality');
+    expect(types).not.toContain('heritage');
+    expect(types).not.toContain('other');
+  });
+
+  test('DAILY_RUN_REPORT_TYPES still overrides them', () => {
+    process.env.DAILY_RUN_REPORT_TYPES = 'acoustic, ecology';
+    expect(dailyRunWorker.reportTypes()).toEqual(['acoustic', 'ecology']);
+  });
+});
@@ -0,0 +1,229 @@
+/**
+ * The nightly S3 manifest (services/s3Manifest.js): incremental builds, date-range
+ * queries, and fastS3Scanner serving scans from it - or listing the bucket when it
+ * cannot answer.
+ *
+ * No mongo: both collections are kept in memory behind spies on the model statics.
+ */
+
+jest.mock('../jobLock', () => ({ withLock: jest.fn() }));
+
+const mongoose = require('mongoose');
+const S3ManifestObject = require('../../models/S3ManifestObject');
+const S3ManifestBuild = require('../../models/S3ManifestBuild');
+const { withLock } = require('../jobLock');
+const s3Manifest = require('../s3Manifest');
+const fastS3Scanner = require('../fastS3Scanner');
+
+const DAY = new Date(2026, 9, 14);
+const at = (hours) => new Date(DAY.getTime() + hours * 60 * 60 * 1000);
+
+function object(Key, hours, ETag = `"${Key}"`, Size = 1000) {
+  return { Key, LastModified: at(hours), ETag, Size };
+}
+
+/** A query chain that resolves to rows at .lean(). */
+function chain(rows) {
+  const query = {
+    select: () => query,
+    sort: ({ key }) => { if (key) rows.sort((a, b) => (a.key < b.key ? -1 : 1)); return query; },
+    limit: (n) => { rows = rows.slice(0, n); return query; },
+    lean: async () => JSON.parse(JSON.stringify(rows))
+  };
+  return query;
+}
+
+function matches(row, filter) {
+  const range = filter.key || {};
+  if (range.$gt !== undefined && !(row.key > range.$gt)) return false;
+  if (range.$lte !== undefined && !(row.key <= range.$lte)) return false;
+  if (filter.lastModified) {
+    const time = new Date(row.lastModified).getTime();
+    if (time < filter.lastModified.$gte.getTime()) return false;
+    if (filter.lastModified.$lte && time > filter.lastModified.$lte.getTime()) return false;
+  }
+  if (filter.document !== undefined && row.document !== filter.document) return false;
+  if (filter.ext && !filter.ext.$in.includes(row.ext)) return false;
+  return true;
+}
+
+/** s3_manifest and s3_manifest_builds in memory. */
+function fakeManifestStore() {
+  const objects = new Map();
+  const builds = [];
+  const writes = [];
+
+  jest.spyOn(S3ManifestObject, 'find').mockImplementation(filter =>
+    chain([...objects.values()].filter(row => matches(row, filter))));
+  jest.spyOn(S3ManifestObject, 'countDocuments').mockImplementation(async filter =>
+    [...objects.values()].filter(row => matches(row, filter)).length);
+  jest.spyOn(S3ManifestObject, 'bulkWrite').mockImplementation(async operations => {
+    for (const operation of operations) {
+      writes.push(operation);
+      if (operation.updateOne) objects.set(operation.updateOne.filter.key, { ...operation.updateOne.update.$set });
+      if (operation.deleteOne) objects.delete(operation.deleteOne.filter.key);
+    }
+    return {};
+  });
+  jest.spyOn(S3ManifestObject, 'deleteMany').mockImplementation(async filter => {
+    const gone = [...objects.values()].filter(row => matches(row, filter));
+    gone.forEach(row => objects.delete(row.key));
+    return { deletedCount: gone.length };
+  });
+
+  jest.spyOn(S3ManifestBuild, 'create').mockImplementation(async doc => {
+    builds.push({ ...doc, status: 'building' });
+    return doc;
+  });
+  const update = ({ buildId }, { $set }) => {
+    const build = builds.find(b => b.buildId === buildId);
+    Object.assign(build, $set);
+    return build;
+  };
+  jest.spyOn(S3ManifestBuild, 'findOneAndUpdate').mockImplementation((filter, change) =>
+    ({ lean: async () => ({ ...update(filter, change) }) }));
+  jest.spyOn(S3ManifestBuild, 'updateOne').mockImplementation(async (filter, change) => update(filter, change));
+  jest.spyOn(S3ManifestBuild, 'findOne').mockImplementation(() => {
+    const complete = builds.filter(b => b.status === 'complete')
+      .sort((a, b) => b.listedFrom - a.listedFrom);
+    const query = { sort: () => query, lean: async () => complete[0] || null };
+    return query;
+  });
+  jest.spyOn(S3ManifestBuild, 'exists').mockImplementation(async () =>
+    (builds.some(b => b.status === 'building') ? { _id: 1 } : null));
+
+  return { objects, builds, writes };
+}
+
+/** Answer ListObjectsV2 from `pages`, one page per call. */
+function listing(client, pages) {
+  return jest.spyOn(client, 'send').mockImplementation(async command => {
+    const index = command.input.ContinuationToken ? Number(command.input.ContinuationToken) : 0;
+    const more = index + 1 < pages.length;
+    return {
+      Contents: pages[index].map(o => ({ ...o })),
+      IsTruncated: more,
+      NextContinuationToken: more ? String(index + 1) : undefined
+    };
+  });
+}
+
+const BUCKET = [
+  [
+    object('planning-docs/100/', 1),
+    object('planning-docs/100/fi-letter.pdf', 10),
+    object('planning-docs/100/site-photo.jpg', 11),
+    object('planning-docs/101/.DS_Store', 12)
+  ],
+  [
+    object('planning-docs/101/_baseline_2026-10-13', 13),
+    object('planning-docs/101/report.docx', 9),
+    object('planning-docs/102/older.pdf', -30)
+  ]
+];
+
+beforeEach(() => {
+  Object.defineProperty(mongoose.connection, 'readyState', { value: 1, configurable: true });
+  withLock.mockImplementation(async (name, options, fn) => ({ ran: true, result: await fn() }));
+  s3Manifest.pollMs = 1;
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  delete process.env.S3_MANIFEST;
+});
+
+describe('build', () => {
+  test('stores every listed object, then writes only what changed', async () => {
+    const { objects, writes } = fakeManifestStore();
+    listing(s3Manifest.s3Client, BUCKET);
+
+    const first = await s3Manifest.build();
+    expect(first).toMatchObject({ status: 'complete', objects: 7, added: 7, changed: 0, removed: 0 });
+    expect(objects.get('planning-docs/100/fi-letter.pdf')).toMatchObject({
+      projectId: '100',
+      fileName: 'fi-letter.pdf',
+      ext: '.pdf',
+      document: true,
+      etag: '"planning-docs/100/fi-letter.pdf"',
+      day: '2026-10-14'
+    });
+    expect(objects.get('planning-docs/101/_baseline_2026-10-13').document).toBe(false);
+
+    // fi-letter.pdf re-uploaded, report.docx and older.pdf deleted, a new page added
+    writes.length = 0;
+    listing(s3Manifest.s3Client, [
+      [BUCKET[0][0], object('planning-docs/100/fi-letter.pdf', 15, '"v2"'), ...BUCKET[0].slice(2)],
+      [object('planning-docs/101/_baseline_2026-10-13', 13), object('planning-docs/101/rfi.pdf', 16)]
+    ]);
+
+    const second = await s3Manifest.build();
+    expect(second).toMatchObject({ objects: 6, added: 1, changed: 1, removed: 2 });
+    expect(writes).toHaveLength(3);   // two upserts and report.docx; older.pdf went with the tail
+    expect(objects.has('planning-docs/102/older.pdf')).toBe(false);
+    expect(objects.get('planning-docs/100/fi-letter.pdf').etag).toBe('"v2"');
+  });
+});
+
+describe('date-range scans', () => {
+  const dayEnd = at(23.99);
+
+  test('fastS3Scanner is served from the manifest in key order, without listing', async () => {
+    fakeManifestStore();
+    listing(s3Manifest.s3Client, BUCKET);
+    await s3Manifest.build();
+    const scannerListing = listing(fastS3Scanner.s3Client, BUCKET);
+
+    const documents = [];
+    const result = await fastS3Scanner.streamDocumentsSince(DAY, dayEnd, async doc => documents.push(doc));
+
+    expect(scannerListing).not.toHaveBeenCalled();
+    expect(result).toMatchObject({ totalScanned: 7, totalMatched: 2 });
+    expect(result.manifest).toMatch(/^manifest-/);
+    expect(documents).toEqual([
+      {
+        projectId: '100',
+        fileName: 'fi-letter.pdf',
+        filePath: 'planning-docs/100/fi-letter.pdf',
+        lastModified: at(10).toISOString(),
+        size: 1000,
+        fileType: 'pdf',
+        etag: '"planning-docs/100/fi-letter.pdf"'
+      },
+      expect.objectContaining({ filePath: 'planning-docs/101/report.docx', fileType: 'document' })
+    ]);
+    expect(await fastS3Scanner.countDocumentsSince(DAY, dayEnd)).toBe(2);
+  });
+
+  test('a range the latest build does not cover gets a fresh build first', async () => {
+    const { builds } = fakeManifestStore();
+    listing(s3Manifest.s3Client, BUCKET);
+    await s3Manifest.build();
+    builds[0].listedFrom = at(12);   // built before the day was over
+
+    expect(await s3Manifest.countObjects(DAY, dayEnd)).toBe(2);
+    expect(builds).toHaveLength(2);
+    expect(withLock).toHaveBeenCalledWith('s3-manifest', expect.objectContaining({ heartbeat: true }), expect.any(Function));
+  });
+
+  test('lists the bucket when another process\'s build fails, the manifest is off, or Mongo is down', async () => {
+    const { builds } = fakeManifestStore();
+    withLock.mockImplementation(async () => {
+      builds.push({ buildId: 'elsewhere', status: 'failed', listedFrom: new Date() });
+      return { ran: false, reason: 'locked' };
+    });
+    const scannerListing = listing(fastS3Scanner.s3Client, BUCKET);
+
+    expect(await fastS3Scanner.countDocumentsSince(DAY, dayEnd)).toBe(2);
+    expect(scannerListing).toHaveBeenCalledTimes(2);
+
+    process.env.S3_MANIFEST = 'off';
+    expect(await s3Manifest.countObjects(DAY, dayEnd)).toBeNull();
+
+    delete process.env.S3_MANIFEST;
+    Object.defineProperty(mongoose.connection, 'readyState', { value: 0, configurable: true });
+    S3ManifestBuild.findOne.mockClear();
+    expect(await s3Manifest.streamObjects(DAY, dayEnd, async () => {})).toBeNull();
+    expect(S3ManifestBuild.findOne).not.toHaveBeenCalled();
+  });
+});
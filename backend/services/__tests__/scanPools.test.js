@@ -0,0 +1,116 @@
+/**
+ * The scan pipeline's concurrency limits (services/scanPools.js), the document timeout
+ * that stands still while a document waits for them, and the throttled cancellation
+ * check processJob makes before dispatching each document.
+ */
+
+const ScanJob = require('../../models/ScanJob');
+const scanPools = require('../scanPools');
+const scanJobProcessor = require('../scanJobProcessor');
+
+const tick = () => new Promise(resolve => setImmediate(resolve));
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/** A task that runs until release() is called, recording when it started. */
+function deferredTask(started, label) {
+  let release;
+  const done = new Promise(resolve => { release = resolve; });
+  return { release, fn: () => { started.push(label); return done.then(() => label); } };
+}
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  delete process.env.SCAN_AI_CONCURRENCY;
+  delete process.env.SCAN_CANCEL_CHECK_MS;
+});
+
+describe('createPool', () => {
+  test('runs at most size tasks at once and starts the rest in the order they were queued', async () => {
+    const pool = scanPools.createPool('test', () => 2);
+    const started = [];
+    const tasks = ['a', 'b', 'c', 'd'].map(label => deferredTask(started, label));
+    const results = tasks.map(task => pool(task.fn));
+
+    await tick();
+    expect(started).toEqual(['a', 'b']);
+    expect(pool.stats()).toEqual({ size: 2, active: 2, queued: 2 });
+
+    tasks[1].release();
+    await tick();
+    expect(started).toEqual(['a', 'b', 'c']);
+
+    tasks.forEach(task => task.release());
+    await expect(Promise.all(results)).resolves.toEqual(['a', 'b', 'c', 'd']);
+    expect(pool.stats()).toEqual({ size: 2, active: 0, queued: 0 });
+  });
+
+  test('a failed task rejects its caller and frees its slot', async () => {
+    const pool = scanPools.createPool('test', () => 1);
+
+    await expect(pool(async () => { throw new Error('S3 timeout'); })).rejects.toThrow('S3 timeout');
+    await expect(pool(async () => 'next')).resolves.toBe('next');
+  });
+
+  test('limits come from the environment when a task is queued', async () => {
+    process.env.SCAN_AI_CONCURRENCY = '3';
+    expect(scanPools.ai.stats().size).toBe(3);
+
+    process.env.SCAN_AI_CONCURRENCY = 'none';
+    expect(scanPools.ai.stats().size).toBe(4);
+  });
+});
+
+describe('withWorkTimeout', () => {
+  const timedOut = () => new Error('Processing timeout');
+
+  test('does not count the time a document waits for a slot', async () => {
+    const pool = scanPools.createPool('test', () => 1);
+    const started = [];
+    const blocker = deferredTask(started, 'other document');
+    pool(blocker.fn);
+
+    const result = scanPools.withWorkTimeout(100, () => pool(async () => {
+      await sleep(20);
+      return 'judged';
+    }), timedOut);
+    await sleep(250);
+    blocker.release();
+
+    await expect(result).resolves.toBe('judged');
+  });
+
+  test('still times out a document that works past it, waits or not', async () => {
+    const pool = scanPools.createPool('test', () => 1);
+
+    await expect(scanPools.withWorkTimeout(50, () => pool(() => sleep(200)), timedOut))
+      .rejects.toThrow('Processing timeout');
+    await expect(scanPools.withWorkTimeout(50, async () => {
+      await pool(() => sleep(30));
+      await pool(() => sleep(30));
+    }, timedOut)).rejects.toThrow('Processing timeout');
+  });
+});
+
+describe('watchCancellation', () => {
+  test('reads the job at most once per interval, and keeps a cancellation once seen', async () => {
+    process.env.SCAN_CANCEL_CHECK_MS = '60000';
+    const exists = jest.spyOn(ScanJob, 'exists').mockResolvedValue(null);
+    let now = 1000000;
+    jest.spyOn(Date, 'now').mockImplementation(() => now);
+
+    const cancellation = scanJobProcessor.watchCancellation('job-acoustic');
+    await expect(cancellation.requested()).resolves.toBe(false);
+    await expect(cancellation.requested()).resolves.toBe(false);
+    expect(exists).toHaveBeenCalledTimes(1);
+    expect(exists).toHaveBeenCalledWith({ jobId: 'job-acoustic', status: 'CANCELLING' });
+
+    exists.mockResolvedValue({ _id: 'job' });
+    await expect(cancellation.requested()).resolves.toBe(false);
+    now += 60000;
+    await expect(cancellation.requested()).resolves.toBe(true);
+    exists.mockResolvedValue(null);
+    now += 60000;
+    await expect(cancellation.requested()).resolves.toBe(true);
+    expect(exists).toHaveBeenCalledTimes(2);
+  });
+});
@@ -0,0 +1,247 @@
+/**
+ * Shadow ScanJobs (services/shadowJobs.js): delivery returns what would have been sent
+ * instead of sending it, vetoes stay in the shadow collection, detection writes nothing
+ * shared, nightly runs keep shadow jobs out of the shared pass, and the comparison
+ * against the live jobs' reports.
+ *
+ * No mongo or email: the models and senders are spied on.
+ */
+
+jest.mock('../scanJobQueue', () => ({
+  enqueueScanJob: jest.fn(),
+  enqueueScanPass: jest.fn(),
+  enqueueCatchUpScan: jest.fn(),
+  getScanQueue: jest.fn()
+}));
+
+const ScanJob = require('../../models/ScanJob');
+const FIReport = require('../../models/FIReport');
+const Customer = require('../../models/Customer');
+const ProjectReportVeto = require('../../models/ProjectReportVeto');
+const ShadowProjectReportVeto = require('../../models/ShadowProjectReportVeto');
+const ShadowDelivery = require('../../models/ShadowDelivery');
+const Project = require('../../models/Project');
+const DocumentClassification = require('../../models/DocumentClassification');
+const scanJobProcessor = require('../scanJobProcessor');
+const scanJobQueue = require('../scanJobQueue');
+const emailService = require('../emailService');
+const fiReportService = require('../fiReportService');
+const matchReviewService = require('../matchReviewService');
+const catchUpScan = require('../catchUpScan');
+const fiDetectionService = require('../fiDetectionService');
+const extractedTextStore = require('../extractedTextStore');
+const textExtractionService = require('../textExtractionService');
+const buildingInfoService = require('../buildingInfoService');
+const scanPools = require('../scanPools');
+const shadowJobs = require('../shadowJobs');
+
+const REQUEST_QUOTE = 'The applicant is requested to submit a noise impact assessment of the plant.';
+const MENTION_QUOTE = 'A noise impact assessment of the extraction plant accompanies the drawings.';
+
+const lean = value => ({ lean: jest.fn().mockResolvedValue(value) });
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  jest.clearAllMocks();
+});
+
+describe('sendMatchEmails for a shadow job', () => {
+  test('sends, queues and reports nothing, and returns what each customer would have received', async () => {
+    const sendBatch = jest.spyOn(emailService, 'sendBatchFINotification').mockResolvedValue({ success: true });
+    const createReport = jest.spyOn(fiReportService, 'createReport').mockResolvedValue({});
+    const queueReviews = jest.spyOn(matchReviewService, 'queueReviews').mockResolvedValue(1);
+    jest.spyOn(Customer, 'findById').mockResolvedValue(null);
+
+    const customer = { _id: 'c1', email: 'a@example.com', name: 'A', filters: {}, minMatchConfidence: 0.8 };
+    const job = {
+      jobId: 'job-acoustic-shadow',
+      documentType: 'acoustic',
+      shadow: true,
+      statistics: {},
+      customers: [{ customerId: customer }],
+      save: jest.fn()
+    };
+    const match = (projectId, quote) => ({
+      document: { projectId, fileName: `${projectId}.pdf` },
+      result: { isMatch: true, validationQuote: quote },
+      customers: job.customers
+    });
+    const metadata = new Map([
+      ['403501', { planning_title: 'Quarry extension' }],
+      ['403502', { planning_title: 'Warehouse' }]
+    ]);
+
+    const wouldSend = await scanJobProcessor.sendMatchEmails(
+      [match('403501', REQUEST_QUOTE), match('403502', MENTION_QUOTE)],
+      job,
+      metadata
+    );
+
+    expect(sendBatch).not.toHaveBeenCalled();
+    expect(createReport).not.toHaveBeenCalled();
+    expect(queueReviews).not.toHaveBeenCalled();
+    expect(job.save).not.toHaveBeenCalled();
+    expect(wouldSend).toEqual([{
+      customerId: 'c1',
+      email: 'a@example.com',
+      projects: [expect.objectContaining({ projectId: '403501', documentName: '403501.pdf', evidenceBand: 'request' })],
+      heldForReview: 1
+    }]);
+  });
+});
+
+describe('shadow vetoes', () => {
+  test('are recorded apart from the live vetoes', async () => {
+    const live = jest.spyOn(ProjectReportVeto, 'findOneAndUpdate').mockResolvedValue(null);
+    const shadow = jest.spyOn(ShadowProjectReportVeto, 'findOneAndUpdate').mockResolvedValue(null);
+
+    await scanJobProcessor.recordProjectVeto({ projectId: '403501', reportType: 'acoustic', jobId: 'job-acoustic-shadow', source: 'sweep', shadow: true });
+
+    expect(live).not.toHaveBeenCalled();
+    expect(shadow).toHaveBeenCalledWith({ projectId: '403501', reportType: 'acoustic' }, expect.anything(), expect.anything());
+  });
+
+  test('apply to the shadow job on top of the live ones, and never to a live job', async () => {
+    jest.spyOn(ProjectReportVeto, 'find').mockReturnValue(lean([{ projectId: '403501', reportType: 'acoustic' }]));
+    const shadowFind = jest.spyOn(ShadowProjectReportVeto, 'find').mockReturnValue(lean([{ projectId: '403502', reportType: 'acoustic' }]));
+    const matches = [{ projectId: '403501' }, { projectId: '403502' }];
+
+    await expect(scanJobProcessor.loadVetoKeys(matches, { shadow: true }))
+      .resolves.toEqual(new Set(['403501::acoustic', '403502::acoustic']));
+    await expect(scanJobProcessor.loadVetoKeys(matches)).resolves.toEqual(new Set(['403501::acoustic']));
+    expect(shadowFind).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('detection for a shadow job', () => {
+  const FORM_TEXT = 'Planning application form. Part 1: applicant details. Part 2: agent details. ' +
+    'Part 3: site location and description of the proposed development, with the plans listed overleaf.';
+  const FORM_FIELDS = [
+    { name: 'ApplicantName', type: 'text', value: 'Jane Murphy' },
+    { name: 'AgentName', type: 'text', value: 'Coastal Planning Ltd' },
+    { name: 'Site Address', type: 'text', value: 'Lands at Ballyalla, Ennis' }
+  ];
+  let projectUpdate;
+  let classificationUpdate;
+
+  beforeEach(() => {
+    jest.spyOn(extractedTextStore, 'extract').mockResolvedValue({
+      ...textExtractionService.buildResult('pdf', [FORM_TEXT]),
+      formFields: FORM_FIELDS
+    });
+    // No S3 here: the size check fails and the scan carries on without it
+    jest.spyOn(scanPools, 'download').mockRejectedValue(new Error('offline'));
+    jest.spyOn(buildingInfoService, 'getProjectMetadata').mockResolvedValue({ metadataUnavailable: true });
+    jest.spyOn(Project, 'findOne').mockReturnValue({ lean: () => Promise.resolve(null) });
+    projectUpdate = jest.spyOn(Project, 'updateOne').mockResolvedValue({});
+    classificationUpdate = jest.spyOn(DocumentClassification, 'updateOne').mockResolvedValue({});
+    jest.spyOn(fiDetectionService, 'classifyFIResponse').mockResolvedValue({ isResponse: false });
+    jest.spyOn(fiDetectionService, 'cheapFIFilter').mockResolvedValue(false);
+  });
+
+  const detect = job => scanJobProcessor.detectDocument(
+    { projectId: '403501', fileName: 'application-form.pdf', filePath: 'planning-docs/403501/application-form.pdf' },
+    job,
+    'application-form.pdf',
+    ['acoustic']
+  );
+
+  test('leaves the project record and the stored classifications as they were', async () => {
+    await detect({ jobId: 'job-acoustic-shadow', documentType: 'acoustic', shadow: true });
+
+    expect(projectUpdate).not.toHaveBeenCalled();
+    expect(classificationUpdate).not.toHaveBeenCalled();
+
+    // The same document through a live job writes both
+    await detect({ jobId: 'job-acoustic', documentType: 'acoustic' });
+    expect(projectUpdate).toHaveBeenCalledWith({ projectId: '403501' }, expect.anything(), expect.anything());
+    expect(classificationUpdate).toHaveBeenCalled();
+  });
+});
+
+describe('scheduling', () => {
+  test('a shadow job runs alone, outside the shared pass', async () => {
+    const jobs = [{ jobId: 'acoustic-job' }, { jobId: 'flood-job' }, { jobId: 'acoustic-shadow', shadow: true }];
+
+    await expect(scanJobProcessor.enqueueNightlyScans(jobs)).resolves.toHaveLength(3);
+    expect(scanJobQueue.enqueueScanPass).toHaveBeenCalledWith(['acoustic-job', 'flood-job']);
+    expect(scanJobQueue.enqueueScanJob).toHaveBeenCalledTimes(1);
+    expect(scanJobQueue.enqueueScanJob).toHaveBeenCalledWith('acoustic-shadow', { targetDate: null });
+  });
+
+  test('a shadow job cannot be caught up', () => {
+    const job = { jobId: 'acoustic-shadow', shadow: true, customers: [{ customerId: { _id: 'c1' } }] };
+    expect(catchUpScan.parseRequest(job, { customerIds: ['c1'] }).error).toMatch(/shadow/);
+  });
+});
+
+describe('compare', () => {
+  const shadowJob = { jobId: 'acoustic-shadow', documentType: 'acoustic', shadow: true };
+  const from = new Date(2026, 9, 12);
+  const to = new Date(2026, 9, 18, 23, 59, 59, 999);
+
+  test('sets what the shadow job would have sent against what the live jobs of its type sent', async () => {
+    jest.spyOn(ScanJob, 'find').mockReturnValue({
+      select: jest.fn().mockReturnValue(lean([
+        { jobId: 'acoustic-live', name: 'Acoustic', documentType: 'acoustic', status: 'ACTIVE' },
+        { jobId: 'flood-live', name: 'Flood', documentType: 'flood', status: 'ACTIVE' }
+      ]))
+    });
+    jest.spyOn(ShadowDelivery, 'find').mockReturnValue(lean([{
+      heldForMetadata: 1,
+      vetoedProjects: ['400001'],
+      customers: [
+        { email: 'A@example.com', heldForReview: 2, projects: [{ projectId: '403501' }, { projectId: '403502' }] },
+        { email: 'b@example.com', projects: [{ projectId: '403501' }] }
+      ]
+    }]));
+    const reportFind = jest.spyOn(FIReport, 'find').mockReturnValue({
+      select: jest.fn().mockReturnValue(lean([
+        { customerEmail: 'a@example.com', projectsFound: [{ projectId: '403501' }, { projectId: '389003' }] }
+      ]))
+    });
+
+    const comparison = await shadowJobs.compare(shadowJob, { from, to });
+
+    expect(reportFind).toHaveBeenCalledWith(expect.objectContaining({
+      'searchCriteria.customFilters.jobId': { $in: ['acoustic-live'] },
+      status: { $in: ['SENT', 'RESENT'] }
+    }));
+    expect(comparison.liveJobs.map(job => job.jobId)).toEqual(['acoustic-live']);
+    expect(comparison.projects).toMatchObject({
+      shadow: 2,
+      live: 2,
+      inBoth: 1,
+      onlyShadow: 1,
+      onlyLive: 1,
+      examples: { onlyShadow: ['403502'], onlyLive: ['389003'] }
+    });
+    expect(comparison.emails).toEqual({ shadow: 2, live: 1 });
+    expect(comparison.shadowOnly).toEqual({ vetoedProjects: 1, heldForMetadata: 1, heldForReview: 2 });
+    expect(comparison.customers).toEqual([
+      { email: 'a@example.com', shadow: 2, live: 2, inBoth: 1, onlyShadow: 1, onlyLive: 1 },
+      { email: 'b@example.com', shadow: 1, live: 0, inBoth: 0, onlyShadow: 1, onlyLive: 0 }
+    ]);
+  });
+
+  test('recordDelivery stores the run without throwing on failure', async () => {
+    const create = jest.spyOn(ShadowDelivery, 'create').mockImplementation(async doc => doc);
+
+    const delivery = await shadowJobs.recordDelivery(shadowJob, {
+      deliverable: [{ projectId: '403501', fileName: 'fi.pdf', confidence: 0.9 }],
+      held: [{}],
+      vetoedProjects: new Set(['400001']),
+      customers: [{ customerId: { toString: () => 'c1' }, email: 'a@example.com', projects: [] }]
+    });
+    expect(delivery).toMatchObject({
+      jobId: 'acoustic-shadow',
+      reportType: 'acoustic',
+      heldForMetadata: 1,
+      vetoedProjects: ['400001'],
+      customers: [{ customerId: 'c1' }]
+    });
+
+    create.mockRejectedValue(new Error('mongo down'));
+    await expect(shadowJobs.recordDelivery(shadowJob, {})).resolves.toBeNull();
+  });
+});
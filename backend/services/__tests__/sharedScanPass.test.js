@@ -0,0 +1,164 @@
+/**
+ * The shared nightly pass (services/sharedScanPass.js): the day's documents are streamed
+ * once and handed to every member job, a member that fails or is cancelled leaves
+ * without stopping the others, members judge their own type unless multi-label detection
+ * is on, and enqueueNightlyScans queues one pass for the night.
+ *
+ * No S3 and no Bull: fastS3Scanner and the queue module are mocked.
+ */
+
+jest.mock('../scanJobQueue', () => {
+  const actual = jest.requireActual('../scanJobQueue');
+  return {
+    buildJobKey: actual.buildJobKey,
+    STALE_QUEUE_JOB_MS: actual.STALE_QUEUE_JOB_MS,
+    enqueueScanJob: jest.fn(),
+    enqueueScanPass: jest.fn(),
+    getScanQueue: jest.fn()
+  };
+});
+
+const ScanJob = require('../../models/ScanJob');
+const fastS3Scanner = require('../fastS3Scanner');
+const runContext = require('../../utils/runContext');
+const scanJobQueue = require('../scanJobQueue');
+const scanJobProcessor = require('../scanJobProcessor');
+const { SharedScanPass } = require('../sharedScanPass');
+const { runScanPass } = require('../scanJobWorker');
+
+const SINCE = new Date(2026, 9, 13, 0, 0, 0, 0);
+const END = new Date(2026, 9, 13, 23, 59, 59, 999);
+const DOCUMENTS = ['a.pdf', 'b.pdf', 'c.pdf'].map(fileName => ({
+  projectId: '100',
+  fileName,
+  filePath: `planning-docs/100/${fileName}`
+}));
+
+let listings;
+
+beforeEach(() => {
+  listings = 0;
+  jest.spyOn(fastS3Scanner, 'streamDocumentsSince').mockImplementation(async (since, end, onDocument) => {
+    listings++;
+    for (const document of DOCUMENTS) await onDocument({ ...document });
+    return { totalScanned: 10, totalMatched: DOCUMENTS.length, duration: 0 };
+  });
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  jest.clearAllMocks();
+  delete process.env.SCAN_SHARED_PASS;
+  delete process.env.SCAN_DETECTION_MODE;
+});
+
+/** A member as processJob would be: stream through the pass, recording what it saw. */
+function member(pass, jobId, { failOn = null, since = SINCE } = {}) {
+  const seen = [];
+  const stream = pass.streamFor(jobId);
+  const run = runContext.runWith({ job: jobId }, () => stream(since, END, async (document) => {
+    if (document.fileName === failOn) throw new Error('JOB_CANCELLED_BY_USER');
+    seen.push(`${runContext.getContext().job}:${document.fileName}`);
+  }));
+  return { seen, run };
+}
+
+describe('SharedScanPass', () => {
+  test('streams the night once and hands every document to every member', async () => {
+    const pass = new SharedScanPass(['acoustic-job', 'flood-job']);
+    const acoustic = member(pass, 'acoustic-job');
+    const flood = member(pass, 'flood-job');
+
+    await expect(acoustic.run).resolves.toMatchObject({ totalMatched: 3 });
+    await expect(flood.run).resolves.toMatchObject({ totalMatched: 3 });
+    expect(listings).toBe(1);
+    expect(acoustic.seen).toEqual(['acoustic-job:a.pdf', 'acoustic-job:b.pdf', 'acoustic-job:c.pdf']);
+    expect(flood.seen).toEqual(['flood-job:a.pdf', 'flood-job:b.pdf', 'flood-job:c.pdf']);
+    await expect(pass.done).resolves.toMatchObject({ totalMatched: 3 });
+  });
+
+  test('a member that throws leaves with its error and the others carry on', async () => {
+    const pass = new SharedScanPass(['acoustic-job', 'flood-job']);
+    const acoustic = member(pass, 'acoustic-job', { failOn: 'b.pdf' });
+    const flood = member(pass, 'flood-job');
+
+    await expect(acoustic.run).rejects.toThrow('JOB_CANCELLED_BY_USER');
+    await expect(flood.run).resolves.toMatchObject({ totalMatched: 3 });
+    expect(acoustic.seen).toEqual(['acoustic-job:a.pdf']);
+    expect(flood.seen).toHaveLength(3);
+  });
+
+  test('waits for members still setting up, not for ones that finished without streaming', async () => {
+    const pass = new SharedScanPass(['acoustic-job', 'no-customers-job', 'resumed-job']);
+    const acoustic = member(pass, 'acoustic-job');
+    await new Promise(resolve => setImmediate(resolve));
+    expect(listings).toBe(0);
+
+    pass.leave('no-customers-job');
+    // Resuming from an older day's checkpoint: a different range, streamed alone
+    const resumed = member(pass, 'resumed-job', { since: new Date(2026, 9, 12) });
+
+    await expect(resumed.run).resolves.toMatchObject({ totalMatched: 3 });
+    await expect(acoustic.run).resolves.toMatchObject({ totalMatched: 3 });
+    expect(listings).toBe(2);
+  });
+});
+
+describe('runScanPass', () => {
+  const jobs = {
+    'acoustic-job': { jobId: 'acoustic-job', documentType: 'acoustic' },
+    'flood-job': { jobId: 'flood-job', documentType: 'flood' }
+  };
+  let covered;
+
+  beforeEach(() => {
+    covered = {};
+    jest.spyOn(ScanJob, 'findOne').mockImplementation(({ jobId }) => ({
+      populate: jest.fn().mockResolvedValue({ ...jobs[jobId], checkpoint: {}, save: jest.fn().mockResolvedValue() })
+    }));
+    jest.spyOn(scanJobProcessor, 'processJob').mockImplementation(async (job, targetDate, options) => {
+      covered[job.jobId] = options.coveredTypes;
+      await options.stream(SINCE, END, async () => {});
+    });
+  });
+
+  test('streams once but leaves each member to judge its own type', async () => {
+    await runScanPass({ data: { jobIds: ['acoustic-job', 'flood-job'] } });
+
+    expect(listings).toBe(1);
+    expect(covered).toEqual({ 'acoustic-job': null, 'flood-job': null });
+  });
+
+  test('judges every member\'s type at once in multi-label mode', async () => {
+    process.env.SCAN_DETECTION_MODE = 'multi';
+
+    await runScanPass({ data: { jobIds: ['acoustic-job', 'flood-job'] } });
+
+    expect(covered).toEqual({ 'acoustic-job': ['acoustic', 'flood'], 'flood-job': ['acoustic', 'flood'] });
+  });
+});
+
+describe('enqueueNightlyScans', () => {
+  const jobs = [{ jobId: 'acoustic-job' }, { jobId: 'flood-job' }];
+
+  test('queues one shared pass when more than one job is due', async () => {
+    await expect(scanJobProcessor.enqueueNightlyScans(jobs)).resolves.toEqual(jobs);
+    expect(scanJobQueue.enqueueScanPass).toHaveBeenCalledWith(['acoustic-job', 'flood-job']);
+    expect(scanJobQueue.enqueueScanJob).not.toHaveBeenCalled();
+  });
+
+  test('queues a run per job for a single job, when switched off, or when the pass cannot be queued', async () => {
+    await scanJobProcessor.enqueueNightlyScans(jobs.slice(0, 1));
+    expect(scanJobQueue.enqueueScanJob).toHaveBeenCalledTimes(1);
+
+    process.env.SCAN_SHARED_PASS = 'off';
+    await scanJobProcessor.enqueueNightlyScans(jobs);
+    expect(scanJobQueue.enqueueScanJob).toHaveBeenCalledTimes(3);
+
+    delete process.env.SCAN_SHARED_PASS;
+    scanJobQueue.enqueueScanPass.mockRejectedValueOnce(new Error('redis down'));
+    await expect(scanJobProcessor.enqueueNightlyScans(jobs)).resolves.toEqual(jobs);
+    expect(scanJobQueue.enqueueScanJob).toHaveBeenCalledTimes(5);
+    expect(scanJobQueue.enqueueScanPass).toHaveBeenCalledTimes(1);
+  });
+});
@@ -0,0 +1,182 @@
+/**
+ * Tables and AcroForm fields from PDFs (services/extractors/pdf.js), table-row
+ * citations (textExtractionService.quoteSource) and the application-form mapping onto
+ * Project (services/applicationFormFields.js). Fixtures are drawn with pdf-lib.
+ */
+
+const { PDFDocument, StandardFonts } = require('pdf-lib');
+const textExtractionService = require('../textExtractionService');
+const ocrService = require('../ocrService');
+const emailService = require('../emailService');
+const buildingInfoService = require('../buildingInfoService');
+const Project = require('../../models/Project');
+const { fieldWords, readApplicationForm, recordApplicationForm } = require('../applicationFormFields');
+
+/** An FI letter listing its items in a three-column table, item 2 wrapping a line. */
+async function buildTableLetter() {
+  const pdf = await PDFDocument.create();
+  const font = await pdf.embedFont(StandardFonts.Helvetica);
+  const page = pdf.addPage([595, 842]);
+  const text = (str, x, y) => page.drawText(str, { x, y, size: 10, font });
+
+  text('Further Information Request - Planning Reference 24/1234', 72, 760);
+  text('The applicant is requested to submit the following further information:', 72, 740);
+  text('No.', 72, 700);
+  text('Item', 110, 700);
+  text('Department', 420, 700);
+  text('1.', 72, 684);
+  text('Submit a noise impact assessment of the rooftop plant', 110, 684);
+  text('Environment', 420, 684);
+  text('2.', 72, 668);
+  text('Submit a flood risk assessment for the', 110, 668);
+  text('Water Services', 420, 668);
+  text('basement car park and access ramp', 110, 656);
+  text('Yours faithfully, Senior Executive Planner', 72, 560);
+  return Buffer.from(await pdf.save());
+}
+
+async function buildApplicationForm() {
+  const pdf = await PDFDocument.create();
+  const font = await pdf.embedFont(StandardFonts.Helvetica);
+  const page = pdf.addPage([595, 842]);
+  page.drawText('Planning Application Form - Form No. 2 - Planning and Development Regulations 2001', { x: 40, y: 800, size: 9, font });
+  const form = pdf.getForm();
+  let y = 740;
+  const field = (name, value) => {
+    const textField = form.createTextField(name);
+    if (value) textField.setText(value);
+    textField.addToPage(page, { x: 200, y, width: 300, height: 18 });
+    y -= 30;
+  };
+  field('form1[0].Page1[0].ApplicantName[0]', 'Jane Murphy');
+  field('Applicant Address Line 1', '4 Main Street');
+  field('Applicant Address Line 2', 'Ennis, Co. Clare');
+  field('AgentName', 'Coastal Planning Ltd');
+  field('AgentEmail', 'plans@coastal.example');
+  field('Site Address', 'Lands at Ballyalla, Ennis');
+  field('Applicant Phone', '');
+  const consent = form.createCheckBox('OwnerConsent');
+  consent.addToPage(page, { x: 200, y, width: 12, height: 12 });
+  consent.check();
+  return Buffer.from(await pdf.save());
+}
+
+beforeEach(() => {
+  jest.spyOn(ocrService, 'canOCR').mockReturnValue(false);
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('pdf tables', () => {
+  test('finds the table, merges the wrapped line into its row and leaves the page text alone', async () => {
+    const result = await textExtractionService.extract({ fileName: 'fi-letter.pdf', buffer: await buildTableLetter() });
+
+    expect(result.outcome).toBe('extracted');
+    // The text reads the wrapped item across the next column, as it always has
+    expect(result.text.replace(/\s+/g, ' ')).toContain('Submit a flood risk assessment for the Water Services basement car park');
+    expect(result.tables).toHaveLength(1);
+    const [table] = result.tables;
+    expect(table.page).toBe(1);
+    expect(table.rows.map(row => row.cells)).toEqual([
+      ['No.', 'Item', 'Department'],
+      ['1.', 'Submit a noise impact assessment of the rooftop plant', 'Environment'],
+      ['2.', 'Submit a flood risk assessment for the basement car park and access ramp', 'Water Services']
+    ]);
+    const rowText = result.pages[0].text.slice(table.rows[1].start, table.rows[1].end);
+    expect(rowText.replace(/\s+/g, ' ')).toBe('1. Submit a noise impact assessment of the rooftop plant Environment');
+  });
+
+  test('a quote from a table row cites the row', async () => {
+    const result = await textExtractionService.extract({ fileName: 'fi-letter.pdf', buffer: await buildTableLetter() });
+
+    const source = textExtractionService.quoteSource(result, 'Submit a noise impact assessment of the rooftop plant');
+    expect(source).toMatchObject({ page: 1, source: 'native', tableRow: { table: 1, row: 2 } });
+    expect(source.tableRow.cells[2]).toBe('Environment');
+    expect(emailService.formatEvidenceSource(source)).toBe('page 1, table row 2');
+
+    const outside = textExtractionService.quoteSource(result, 'The applicant is requested to submit the following');
+    expect(outside.tableRow).toBeUndefined();
+  });
+
+  test('narrowing drops the rows past the new limit', async () => {
+    const result = await textExtractionService.extract({ fileName: 'fi-letter.pdf', buffer: await buildTableLetter() });
+    const cut = result.tables[0].rows[2].start + 5;
+
+    const narrowed = textExtractionService.narrowResult(result, cut);
+    expect(narrowed.tables[0].rows).toHaveLength(2);
+    expect(textExtractionService.narrowResult(result, 40).tables).toEqual([]);
+  });
+
+  test('formats without tables report none', async () => {
+    const result = await textExtractionService.extract({ fileName: 'a.html', buffer: Buffer.from('<p>No tables here</p>') });
+    expect(result).toMatchObject({ tables: [], formFields: [] });
+  });
+});
+
+describe('pdf form fields', () => {
+  test('reads filled fields and skips empty ones', async () => {
+    const result = await textExtractionService.extract({ fileName: 'application-form.pdf', buffer: await buildApplicationForm() });
+
+    expect(result.formFields).toEqual([
+      { name: 'form1[0].Page1[0].ApplicantName[0]', type: 'text', value: 'Jane Murphy' },
+      { name: 'Applicant Address Line 1', type: 'text', value: '4 Main Street' },
+      { name: 'Applicant Address Line 2', type: 'text', value: 'Ennis, Co. Clare' },
+      { name: 'AgentName', type: 'text', value: 'Coastal Planning Ltd' },
+      { name: 'AgentEmail', type: 'text', value: 'plans@coastal.example' },
+      { name: 'Site Address', type: 'text', value: 'Lands at Ballyalla, Ennis' },
+      { name: 'OwnerConsent', type: 'checkbox', value: true }
+    ]);
+  });
+
+  test('maps applicant, agent and site address', async () => {
+    const result = await textExtractionService.extract({ fileName: 'application-form.pdf', buffer: await buildApplicationForm() });
+
+    expect(readApplicationForm(result.formFields)).toEqual({
+      applicant: { name: 'Jane Murphy', address: '4 Main Street, Ennis, Co. Clare' },
+      agent: { name: 'Coastal Planning Ltd', email: 'plans@coastal.example' },
+      siteAddress: 'Lands at Ballyalla, Ennis'
+    });
+    expect(fieldWords('form1[0].Page1[0].NameOfApplicant[0]')).toBe('name of applicant');
+    expect(readApplicationForm([{ name: 'Text1', type: 'text', value: 'x' }])).toBeNull();
+    expect(readApplicationForm(undefined)).toBeNull();
+  });
+});
+
+describe('recordApplicationForm', () => {
+  const form = {
+    applicant: { name: 'Jane Murphy', address: '4 Main Street' },
+    agent: { name: 'Coastal Planning Ltd' },
+    siteAddress: 'Lands at Ballyalla'
+  };
+
+  function mockProject(existing) {
+    jest.spyOn(Project, 'findOne').mockReturnValue({ lean: () => Promise.resolve(existing) });
+    return jest.spyOn(Project, 'updateOne').mockResolvedValue({});
+  }
+
+  test('fills applicant, agent and location while Building Info has nothing', async () => {
+    const updateOne = mockProject(null);
+    jest.spyOn(buildingInfoService, 'getProjectMetadata').mockResolvedValue({ metadataUnavailable: true });
+
+    const filled = await recordApplicationForm('P1', form, { fileName: 'form.pdf' });
+    expect(filled).toEqual(['applicant.name', 'applicant.address', 'agent.name', 'location']);
+    const [filter, update, options] = updateOne.mock.calls[0];
+    expect(filter).toEqual({ projectId: 'P1' });
+    expect(update.$set).toMatchObject({ 'applicant.name': 'Jane Murphy', 'agent.name': 'Coastal Planning Ltd', location: 'Lands at Ballyalla' });
+    expect(update.$set['metadata.applicationForm']).toMatchObject({ fileName: 'form.pdf', siteAddress: 'Lands at Ballyalla' });
+    expect(update.$setOnInsert).toEqual({ title: 'Project P1' });
+    expect(options).toEqual({ upsert: true });
+  });
+
+  test('takes only the agent when Building Info has the project, and keeps what is set', async () => {
+    const updateOne = mockProject({ projectId: 'P2', agent: { name: 'Existing Agent' } });
+    jest.spyOn(buildingInfoService, 'getProjectMetadata').mockResolvedValue({ planning_title: 'Housing' });
+
+    const filled = await recordApplicationForm('P2', form);
+    expect(filled).toEqual([]);
+    const { $set } = updateOne.mock.calls[0][1];
+    expect(Object.keys($set)).toEqual(['metadata.applicationForm']);
+  });
+});
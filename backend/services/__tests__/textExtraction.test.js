@@ -0,0 +1,313 @@
+/**
+ * Tests for backend/services/textExtractionService.js, its format plugins and the
+ * per-page OCR fallback. Binary fixtures (PDF, Word 97, Outlook .msg) are built here
+ * rather than checked in.
+ */
+
+const { CFB } = require('xlsx');
+const textExtractionService = require('../textExtractionService');
+const documentProcessor = require('../documentProcessor');
+const ocrService = require('../ocrService');
+const scanJobProcessor = require('../scanJobProcessor');
+const emailService = require('../emailService');
+
+const LETTER = 'The applicant is requested to submit a noise impact assessment.';
+
+/** A PDF with one line of text per page; xref offsets are exact. */
+function buildPdf(pageTexts) {
+  const objects = ['<< /Type /Catalog /Pages 2 0 R >>'];
+  const kids = pageTexts.map((_, i) => `${4 + i * 2} 0 R`).join(' ');
+  objects.push(`<< /Type /Pages /Kids [${kids}] /Count ${pageTexts.length} >>`);
+  objects.push('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica >>');
+  pageTexts.forEach((text, i) => {
+    const stream = `BT /F1 12 Tf 72 720 Td (${text}) Tj ET`;
+    objects.push(`<< /Type /Page /Parent 2 0 R /MediaBox [0 0 612 792] /Resources << /Font << /F1 3 0 R >> >> /Contents ${5 + i * 2} 0 R >>`);
+    objects.push(`<< /Length ${stream.length} >>\nstream\n${stream}\nendstream`);
+  });
+
+  let pdf = '%PDF-1.4\n';
+  const offsets = objects.map((body, i) => {
+    const offset = pdf.length;
+    pdf += `${i + 1} 0 obj\n${body}\nendobj\n`;
+    return offset;
+  });
+  const xref = pdf.length;
+  pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+  pdf += offsets.map(o => `${String(o).padStart(10, '0')} 00000 n \n`).join('');
+  pdf += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+  return Buffer.from(pdf, 'latin1');
+}
+
+/** A Word 97 document whose main text is one compressed (cp1252) piece. */
+function buildDoc(text) {
+  const TEXT_AT = 1024;
+  const wordDocument = Buffer.alloc(TEXT_AT + text.length);
+  wordDocument.writeUInt16LE(0xa5ec, 0);
+  wordDocument.writeUInt16LE(0x0200, 0x0a); // 1Table
+  wordDocument.writeUInt16LE(14, 32); // csw
+  wordDocument.writeUInt16LE(22, 62); // cslw
+  wordDocument.writeInt32LE(text.length, 64 + 3 * 4); // ccpText
+  wordDocument.writeUInt16LE(93, 152); // cbRgFcLcb
+  wordDocument.writeUInt32LE(0, 154 + 33 * 8); // fcClx
+  wordDocument.writeUInt32LE(21, 154 + 33 * 8 + 4); // lcbClx
+  Buffer.from(text, 'latin1').copy(wordDocument, TEXT_AT);
+
+  const table = Buffer.alloc(21);
+  table[0] = 0x02;
+  table.writeUInt32LE(16, 1);
+  table.writeInt32LE(0, 5);
+  table.writeInt32LE(text.length, 9);
+  table.writeUInt32LE(((TEXT_AT * 2) | 0x40000000) >>> 0, 13 + 2);
+
+  const container = CFB.utils.cfb_new();
+  CFB.utils.cfb_add(container, '/WordDocument', wordDocument);
+  CFB.utils.cfb_add(container, '/1Table', table);
+  return Buffer.from(CFB.write(container, { type: 'buffer' }));
+}
+
+function buildMsg({ subject, body, attachment }) {
+  const container = CFB.utils.cfb_new();
+  const utf16 = value => Buffer.from(`${value}\0`, 'utf16le');
+  CFB.utils.cfb_add(container, '/__properties_version1.0', Buffer.alloc(32));
+  CFB.utils.cfb_add(container, '/__substg1.0_0037001F', utf16(subject));
+  CFB.utils.cfb_add(container, '/__substg1.0_0C1A001F', utf16('Planning Section'));
+  CFB.utils.cfb_add(container, '/__substg1.0_1000001F', utf16(body));
+  if (attachment) {
+    CFB.utils.cfb_add(container, '/__attach_version1.0_#00000000/__substg1.0_3707001F', utf16(attachment.fileName));
+    CFB.utils.cfb_add(container, '/__attach_version1.0_#00000000/__substg1.0_37010102', attachment.buffer);
+  }
+  return Buffer.from(CFB.write(container, { type: 'buffer' }));
+}
+
+const rtf = '{\\rtf1\\ansi{\\fonttbl{\\f0 Arial;}}{\\*\\generator Writer;}\\f0 Dear Sir,\\par ' +
+  `${LETTER}\\par Caf\\'e9 \\u8364?\\page Page two}`;
+
+describe('format registry', () => {
+  test('picks a plugin by extension', () => {
+    expect(textExtractionService.formatFor('FI Request.PDF')).toBe('pdf');
+    expect(textExtractionService.formatFor('letter.doc')).toBe('doc');
+    expect(textExtractionService.formatFor('forwarded.msg')).toBe('email');
+    expect(textExtractionService.formatFor('page.htm')).toBe('html');
+    expect(textExtractionService.isSupported('site-plan.dwg')).toBe(false);
+    expect(textExtractionService.isSupported('docfiles.txt')).toBe(false);
+  });
+
+  test('an unsupported file fails without throwing', async () => {
+    const result = await textExtractionService.extract({ fileName: 'drawing.dwg', buffer: Buffer.from('x') });
+    expect(result).toMatchObject({ success: false, format: null, text: '', pages: [] });
+    expect(result.error).toMatch(/unsupported/i);
+  });
+});
+
+describe('page-annotated results', () => {
+  test('page offsets index into the joined text', () => {
+    const result = textExtractionService.buildResult('pdf', ['First page', '', 'Third page']);
+
+    expect(result.text).toBe('First page\nThird page');
+    expect(result.pages).toEqual([
+      { page: 1, text: 'First page', start: 0, end: 10, source: 'native', language: 'unknown' },
+      { page: 3, text: 'Third page', start: 11, end: 21, source: 'native', language: 'unknown' }
+    ]);
+    expect(result.diagnostics).toMatchObject({ pageCount: 3, pagesExtracted: 2, charCount: 21, truncated: false });
+    expect(textExtractionService.pageAt(result, result.text.indexOf('Third'))).toBe(3);
+  });
+
+  test('maxChars truncates at a page and is reported', () => {
+    const result = textExtractionService.buildResult('rtf', ['a'.repeat(8), 'b'.repeat(8), 'c'.repeat(8)], { maxChars: 12 });
+
+    expect(result.text).toBe(`${'a'.repeat(8)}\nbbb`);
+    expect(result.pages.map(p => p.page)).toEqual([1, 2]);
+    expect(result.diagnostics.truncated).toBe(true);
+  });
+});
+
+describe('format plugins', () => {
+  test('pdf: one page per PDF page', async () => {
+    const result = await textExtractionService.extract({
+      fileName: 'fi-request.pdf',
+      buffer: buildPdf(['Further Information Request', LETTER])
+    });
+
+    expect(result).toMatchObject({ success: true, format: 'pdf' });
+    expect(result.text).toBe(`Further Information Request\n${LETTER}`);
+    expect(result.pages.map(p => p.page)).toEqual([1, 2]);
+    expect(result.diagnostics).toMatchObject({ method: 'pdfjs', pageCount: 2, paginated: true });
+  });
+
+  test('doc: piece table text, fields reduced to their result, pages split on breaks', async () => {
+    const result = await textExtractionService.extract({
+      fileName: 'fi-request.doc',
+      buffer: buildDoc(`Further Information\r\x13 HYPERLINK "x" \x14Kildare County Council\x15 writes:\r${LETTER}\x0cPage two\r`)
+    });
+
+    expect(result).toMatchObject({ success: true, format: 'doc' });
+    expect(result.pages.map(p => p.text)).toEqual([
+      `Further Information\nKildare County Council writes:\n${LETTER}`,
+      'Page two'
+    ]);
+  });
+
+  test('doc: a file that is not a Word document fails with its format', async () => {
+    const result = await textExtractionService.extract({ fileName: 'broken.doc', buffer: Buffer.from('not a compound file') });
+    expect(result).toMatchObject({ success: false, format: 'doc' });
+  });
+
+  test('rtf: skips tables and destinations, decodes escapes, splits on \\page', async () => {
+    const result = await textExtractionService.extract({ fileName: 'letter.rtf', buffer: Buffer.from(rtf, 'latin1') });
+
+    expect(result.pages.map(p => p.text)).toEqual([`Dear Sir,\n${LETTER}\nCafé €`, 'Page two']);
+    expect(result.text).not.toMatch(/Arial|Writer/);
+  });
+
+  test('html: drops scripts and styles, keeps paragraphs apart', async () => {
+    const html = '<html><head><title>FI</title><style>p { color: red }</style></head>' +
+      `<body><script>var x = 1;</script><p>Dear&nbsp;Sir,</p><p>${LETTER}</p></body></html>`;
+    const result = await textExtractionService.extract({ fileName: 'letter.html', buffer: Buffer.from(html) });
+
+    expect(result.text).toBe(`Dear Sir,\n\n${LETTER}`);
+    expect(result.diagnostics.paginated).toBe(false);
+  });
+
+  test('eml: headers and plain body first, readable attachments as further pages', async () => {
+    const eml = [
+      'From: =?utf-8?q?Comhairle_Contae_=C3=81tha_Cliath?= <planning@example.ie>',
+      'Subject: Further information request',
+      'Content-Type: multipart/mixed; boundary="b1"',
+      '',
+      '--b1',
+      'Content-Type: text/plain; charset=utf-8',
+      'Content-Transfer-Encoding: quoted-printable',
+      '',
+      'Please see the attached letter regarding the noise =',
+      'impact assessment.',
+      '--b1',
+      'Content-Type: application/rtf; name="letter.rtf"',
+      'Content-Disposition: attachment; filename="letter.rtf"',
+      'Content-Transfer-Encoding: base64',
+      '',
+      Buffer.from(rtf, 'latin1').toString('base64'),
+      '--b1',
+      'Content-Type: image/png; name="logo.png"',
+      'Content-Disposition: attachment; filename="logo.png"',
+      'Content-Transfer-Encoding: base64',
+      '',
+      'iVBORw0KGgo=',
+      '--b1--',
+      ''
+    ].join('\r\n');
+
+    const result = await textExtractionService.extract({ fileName: 'forwarded.eml', buffer: Buffer.from(eml) });
+
+    expect(result.pages[0].text).toBe(
+      'From: Comhairle Contae Átha Cliath <planning@example.ie>\n' +
+      'Subject: Further information request\n\n' +
+      'Please see the attached letter regarding the noise impact assessment.'
+    );
+    expect(result.pages.slice(1).map(p => p.text)).toEqual([`Dear Sir,\n${LETTER}\nCafé €`, 'Page two']);
+    expect(result.diagnostics.attachments).toEqual([
+      expect.objectContaining({ fileName: 'letter.rtf', format: 'rtf', pages: 2 }),
+      expect.objectContaining({ fileName: 'logo.png', format: null })
+    ]);
+  });
+
+  test('msg: Outlook properties and attachments', async () => {
+    const msg = buildMsg({
+      subject: 'FI request 24/1234',
+      body: 'Letter attached.',
+      attachment: { fileName: 'letter.doc', buffer: buildDoc(`${LETTER}\r`) }
+    });
+
+    const result = await textExtractionService.extract({ fileName: 'forwarded.msg', buffer: msg });
+
+    expect(result).toMatchObject({ success: true, format: 'email' });
+    expect(result.diagnostics.method).toBe('outlook-msg');
+    expect(result.pages.map(p => p.text)).toEqual([
+      'From: Planning Section\nSubject: FI request 24/1234\n\nLetter attached.',
+      LETTER
+    ]);
+  });
+});
+
+describe('page-level OCR', () => {
+  const typed = 'Cover letter. Please find enclosed the further information received from the council.';
+  let spies = [];
+
+  afterEach(() => {
+    spies.forEach(spy => spy.mockRestore());
+    spies = [];
+  });
+
+  test('pages are judged on their own text layer', () => {
+    expect(ocrService.pageNeedsOCR('')).toBe(true);
+    expect(ocrService.pageNeedsOCR('Page 14')).toBe(true);
+    expect(ocrService.pageNeedsOCR('§ ¶ • · ° ¬ ~ ^ | § ¶ • · ° ¬ ~ ^ | § ¶ • · ° ¬ ~ ^ | 12 34 56')).toBe(true);
+    expect(ocrService.pageNeedsOCR(typed)).toBe(false);
+  });
+
+  test('only image-only pages are OCR\'d, and each page says where its text came from', async () => {
+    spies.push(jest.spyOn(ocrService, 'canOCR').mockReturnValue(true));
+    const ocrPages = jest.spyOn(ocrService, 'ocrPages').mockResolvedValue({
+      pages: new Map([[3, LETTER]]),
+      failed: [],
+      skipped: []
+    });
+    spies.push(ocrPages);
+
+    const result = await textExtractionService.extract({
+      fileName: 'fi-bundle.pdf',
+      buffer: buildPdf([typed, typed, ''])
+    });
+
+    expect(ocrPages).toHaveBeenCalledWith(expect.stringMatching(/\.pdf$/), [3], { deadline: null });
+    expect(result.pages.map(p => `${p.page}:${p.source}`)).toEqual(['1:native', '2:native', '3:ocr']);
+    expect(result.diagnostics).toMatchObject({ method: 'pdfjs+ocr', ocrPages: [3], ocrCandidates: 1 });
+    expect(textExtractionService.quoteSource(result, `"${LETTER.toUpperCase()}"`)).toEqual({ page: 3, source: 'ocr', start: 0, end: 62 });
+  });
+
+  test('quote offsets point into the page text despite whitespace and case', () => {
+    const result = textExtractionService.buildResult('pdf', [typed, 'Item 2.  The applicant   is\nREQUESTED to submit a noise impact assessment.']);
+    const found = textExtractionService.quoteSource(result, 'the applicant is requested to submit a noise impact assessment');
+
+    expect(found).toMatchObject({ page: 2, source: 'native' });
+    expect(result.pages[1].text.slice(found.start, found.end)).toBe('The applicant   is\nREQUESTED to submit a noise impact assessment');
+
+    // Matched by its opening words only: the end is estimated from the quote length
+    const partial = textExtractionService.quoteSource(result, `${'The applicant is requested to submit a noise impact assessment'} (see Appendix C)`);
+    expect(partial.start).toBe(found.start);
+    expect(partial.end).toBe(result.pages[1].text.length);
+  });
+
+  test('without OCR tools the pages are kept and the gap is reported', async () => {
+    spies.push(jest.spyOn(ocrService, 'canOCR').mockReturnValue(false));
+
+    const result = await textExtractionService.extract({ fileName: 'scan.pdf', buffer: buildPdf([typed, '']) });
+
+    expect(result.pages.map(p => p.source)).toEqual(['native']);
+    expect(result.diagnostics.warnings).toEqual(['1 page(s) without a text layer; OCR unavailable']);
+  });
+
+  test('a matched verdict carries its quote\'s provenance to the email', () => {
+    const extraction = textExtractionService.buildResult('pdf', [typed, { text: LETTER, source: 'ocr' }]);
+
+    const verdict = scanJobProcessor.matchVerdict('acoustic', {
+      matches: true,
+      hasValidEvidence: true,
+      validationQuote: 'requested to submit a noise impact assessment'
+    }, extraction);
+
+    expect(verdict.evidenceSource).toEqual({ page: 2, source: 'ocr', start: 17, end: 62 });
+    expect(emailService.formatEvidenceSource(verdict.evidenceSource)).toBe('page 2, scanned page read by OCR');
+    expect(emailService.formatEvidenceSource({ page: 1, source: 'native' })).toBe('page 1');
+    expect(emailService.formatEvidenceSource(undefined)).toBeNull();
+  });
+});
+
+describe('documentProcessor', () => {
+  test('extracts from a buffer through the service, within its own budget', async () => {
+    const processed = await documentProcessor.processDocumentFromBuffer(Buffer.from(`<p>${'word '.repeat(3000)}</p>`), 'page.html');
+
+    expect(processed).toMatchObject({ format: 'html', processedFromBuffer: true });
+    expect(processed.textLength).toBe(documentProcessor.maxTextChars);
+    expect(processed.diagnostics.truncated).toBe(true);
+  });
+});
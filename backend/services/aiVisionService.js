@@ -1,32 +1,57 @@
-const OpenAI = require('openai');
 const fs = require('fs').promises;
 const path = require('path');
 const { PDFDocument } = require('pdf-lib');
 const logger = require('../utils/logger');
+const { createChatClient, getVisionModel } = require('./llmProvider');
+const { getDeliverableProfile } = require('./deliverableProfiles');
+const { normalizeReportType, textMentionsReportType } = require('./reportTypes');
 
 class AIVisionService {
   constructor() {
-    this.openai = new OpenAI({
-      apiKey: process.env.OPENAI_API_KEY
-    });
-    this.model = 'gpt-4o-mini'; // Has vision capabilities
+    this.model = getVisionModel(); // Must have vision capabilities
   }
 
   /**
-   * Analyze PDF document to determine if it's an acoustic/noise assessment report
+   * Chat client for the configured LLM provider, built on first use.
+   */
+  get openai() {
+    if (!this._openai) {
+      this._openai = createChatClient();
+    }
+    return this._openai;
+  }
+
+  set openai(client) {
+    this._openai = client;
+  }
+
+  /**
+   * Analyze a PDF's first page to determine if it is a consultant's deliverable of the
+   * given report type (or an FI request asking for one). The evidence the prompt asks
+   * the model to look for comes from the type's deliverable profile
+   * (services/deliverableProfiles.js).
    * @param {Buffer} pdfBuffer - PDF file buffer
    * @param {string} fileName - Original filename for context
-   * @returns {Promise<{isAcoustic: boolean, confidence: number, reason: string, reportType: string|null}>}
+   * @param {string} [reportType='acoustic'] - any spelling of a report type with a profile
+   * @returns {Promise<{isMatch: boolean, isAcoustic: boolean, confidence: number, reason: string,
+   *   reportType: string, documentKind: 'report'|'fi_request'|null, keyIndicators: string[]}>}
+   *   isAcoustic is isMatch for an acoustic check, kept for the callers that predate the
+   *   other types
    */
-  async analyzeDocumentType(pdfBuffer, fileName) {
+  async analyzeDocumentType(pdfBuffer, fileName, reportType = 'acoustic') {
+    const profile = getDeliverableProfile(reportType);
+    if (!profile) {
+      return this.noMatch(normalizeReportType(reportType), `No deliverable profile for report type "${reportType}"`);
+    }
+
     try {
-      logger.info(`🔍 AI Vision analyzing document: ${fileName}`);
+      logger.info(`🔍 AI Vision analyzing document: ${fileName} (${profile.reportType})`);
 
       // Extract first page as image
       const firstPageImage = await this.extractFirstPageAsImage(pdfBuffer);
 
       // Prepare the vision prompt
-      const prompt = this.buildAcousticDetectionPrompt(fileName);
+      const prompt = this.buildDetectionPrompt(fileName, profile);
 
       // Call OpenAI Vision API
       const response = await this.openai.chat.completions.create({
@@ -57,19 +82,27 @@ class AIVisionService {
       logger.info(`📊 AI Vision result: ${result}`);
 
       // Parse the structured response
-      return this.parseVisionResponse(result);
+      return this.parseVisionResponse(result, profile.reportType);
 
     } catch (error) {
       logger.error(`❌ AI Vision analysis failed for ${fileName}:`, error);
-      return {
-        isAcoustic: false,
-        confidence: 0,
-        reason: `Vision analysis error: ${error.message}`,
-        reportType: null
-      };
+      return this.noMatch(profile.reportType, `Vision analysis error: ${error.message}`);
     }
   }
 
+  /** The result shape for a document that was not (or could not be) identified. */
+  noMatch(reportType, reason) {
+    return {
+      isMatch: false,
+      isAcoustic: false,
+      confidence: 0,
+      reason,
+      reportType,
+      documentKind: null,
+      keyIndicators: []
+    };
+  }
+
   /**
    * Extract first page of PDF and convert to base64 PNG
    */
@@ -108,42 +141,62 @@ class AIVisionService {
    * Build the prompt for acoustic report detection
    */
   buildAcousticDetectionPrompt(fileName) {
+    return this.buildDetectionPrompt(fileName, getDeliverableProfile('acoustic'));
+  }
+
+  /**
+   * Build the detection prompt for one report type from its deliverable profile
+   */
+  buildDetectionPrompt(fileName, profile) {
+    const label = profile.label.toUpperCase();
+    const subject = profile.label.toLowerCase();
+    const article = /^[aeiou]/.test(subject) ? 'an' : 'a';
     return `Analyze this document (filename: "${fileName}") and determine if it is one of the following:
 
-1. An ACOUSTIC REPORT or NOISE IMPACT ASSESSMENT (e.g., noise survey, sound level assessment, acoustic study)
-2. A FURTHER INFORMATION REQUEST from a planning authority specifically requesting an acoustic/noise assessment
+1. ${article.toUpperCase()} ${label} REPORT (e.g., ${profile.titles.join(', ')})
+2. A FURTHER INFORMATION REQUEST from a planning authority specifically requesting ${article} ${subject} report or assessment
 3. Neither of the above
 
 Respond in the following JSON format:
 {
-  "classification": "ACOUSTIC_REPORT" | "FI_REQUEST_ACOUSTIC" | "OTHER",
+  "classification": "REPORT" | "FI_REQUEST" | "OTHER",
   "confidence": 0.0-1.0,
   "reasoning": "brief explanation",
   "keyIndicators": ["list of key terms or elements found"]
 }
 
-For ACOUSTIC_REPORT, look for:
-- Document title indicating it's a report/assessment
-- Author/consultant name (acoustic consultants: AWN, AECOM, Arup, SoundPLAN, etc.)
-- Presence of noise measurement data, sound level tables, decibel readings, or acoustic terminology
-- References to standards like BS 4142, ISO 1996, WHO guidelines
-- Professional formatting typical of acoustic assessment reports
+For REPORT, look for:
+- Document title indicating it's a ${subject} report/assessment
+${profile.indicators.map(indicator => `- ${indicator}`).join('\n')}
+- Professional formatting typical of ${subject} reports
 - Report structure (methodology, results, conclusions/recommendations)
 
-For FI_REQUEST_ACOUSTIC, look ONLY for:
+For FI_REQUEST, look ONLY for:
 - Planning authority letterhead (e.g., "Council Environmental Health", "Planning Authority")
 - EXPLICIT REQUEST LANGUAGE: "must provide", "should submit", "is requested to submit", "further information required", "please provide", "request that applicant"
 - The document MUST be FROM the planning authority TO the applicant
-- Simple context mentions of noise or concerns are NOT FI requests
-- DO NOT classify consultation responses that just mention noise issues as requests
+- Simple context mentions of ${subject} matters or concerns are NOT FI requests
+- DO NOT classify consultation responses that just mention ${subject} issues as requests
 
-Be VERY STRICT: only classify as FI_REQUEST_ACOUSTIC if the document explicitly asks the applicant to submit information. Simply mentioning noise concerns or impacts does NOT count.`;
+Be VERY STRICT: only classify as FI_REQUEST if the document explicitly asks the applicant to submit ${subject} information. Simply mentioning ${subject} concerns or impacts does NOT count.`;
   }
 
   /**
    * Parse the AI Vision API response
+   * @param {string} responseText
+   * @param {string} [reportType='acoustic'] - the type the prompt asked about
    */
-  parseVisionResponse(responseText) {
+  parseVisionResponse(responseText, reportType = 'acoustic') {
+    const type = normalizeReportType(reportType);
+    const result = (documentKind, fields) => ({
+      isMatch: Boolean(documentKind),
+      isAcoustic: Boolean(documentKind) && type === 'acoustic',
+      reportType: type,
+      documentKind,
+      keyIndicators: [],
+      ...fields
+    });
+
     try {
       // Try to extract JSON from response
       const jsonMatch = responseText.match(/\{[\s\S]*\}/);
@@ -153,45 +206,40 @@ Be VERY STRICT: only classify as FI_REQUEST_ACOUSTIC if the document explicitly
 
       const parsed = JSON.parse(jsonMatch[0]);
 
-      const isAcoustic = ['ACOUSTIC_REPORT', 'FI_REQUEST_ACOUSTIC'].includes(parsed.classification);
-      const reportType = parsed.classification === 'ACOUSTIC_REPORT' ? 'acoustic_report' :
-                        parsed.classification === 'FI_REQUEST_ACOUSTIC' ? 'fi_request_acoustic' :
-                        null;
+      // FI_REQUEST_ACOUSTIC and ACOUSTIC_REPORT are the labels the acoustic-only prompt used
+      const classification = String(parsed.classification || '').toUpperCase();
+      const documentKind = classification.startsWith('FI_REQUEST') ? 'fi_request' :
+                           /(^|_)REPORT$/.test(classification) ? 'report' :
+                           null;
 
-      return {
-        isAcoustic,
+      return result(documentKind, {
         confidence: parsed.confidence || 0,
         reason: parsed.reasoning || 'No reasoning provided',
-        reportType,
         keyIndicators: parsed.keyIndicators || []
-      };
+      });
 
     } catch (error) {
       logger.warn('Failed to parse vision response as JSON, attempting text analysis:', error);
 
       // Fallback: simple text analysis
-      const lowerText = responseText.toLowerCase();
-      const isAcoustic = lowerText.includes('acoustic') || lowerText.includes('noise');
-
-      return {
-        isAcoustic,
-        confidence: isAcoustic ? 0.5 : 0.1,
-        reason: 'Fallback text analysis: ' + responseText.substring(0, 200),
-        reportType: isAcoustic ? 'acoustic_report' : null,
-        keyIndicators: []
-      };
+      const mentioned = textMentionsReportType(responseText, type, 'quoteTerms');
+
+      return result(mentioned ? 'report' : null, {
+        confidence: mentioned ? 0.5 : 0.1,
+        reason: 'Fallback text analysis: ' + responseText.substring(0, 200)
+      });
     }
   }
 
   /**
    * Batch analyze multiple documents
    */
-  async analyzeDocumentBatch(documents) {
+  async analyzeDocumentBatch(documents, reportType = 'acoustic') {
     const results = [];
 
     for (const doc of documents) {
       try {
-        const result = await this.analyzeDocumentType(doc.buffer, doc.fileName);
+        const result = await this.analyzeDocumentType(doc.buffer, doc.fileName, reportType);
         results.push({
           fileName: doc.fileName,
           projectId: doc.projectId,
@@ -206,10 +254,7 @@ Be VERY STRICT: only classify as FI_REQUEST_ACOUSTIC if the document explicitly
         results.push({
           fileName: doc.fileName,
           projectId: doc.projectId,
-          isAcoustic: false,
-          confidence: 0,
-          reason: `Analysis failed: ${error.message}`,
-          reportType: null
+          ...this.noMatch(normalizeReportType(reportType), `Analysis failed: ${error.message}`)
         });
       }
     }
@@ -0,0 +1,150 @@
+/**
+ * Applicant, agent and site address from a planning application form's AcroForm fields.
+ *
+ * Project records take their applicant from Building Info (planning_applicant), and
+ * when Building Info has nothing for a project - a new application, an id it does not
+ * know yet - the record is left with a placeholder title and no one to contact. The
+ * application form in the project's own folder usually says who applied and who their
+ * agent is; when it is a fillable PDF those answers are form fields, which the PDF
+ * extractor reads (result.formFields) instead of flattening them into the page text.
+ *
+ * Councils and form vendors name the fields differently - "Applicant Name",
+ * "NameOfApplicant", "form1[0].Page1[0].AgentEmail[0]" - so fields are matched on the
+ * words in their last name segment. readApplicationForm() maps them;
+ * recordApplicationForm() writes them to the Project, filling only what is empty. The
+ * applicant and location are taken from the form only while Building Info has no
+ * metadata for the project; Building Info has no agent, so the form's agent is always
+ * used.
+ */
+
+const Project = require('../models/Project');
+const buildingInfoService = require('./buildingInfoService');
+const logger = require('../utils/logger');
+
+const CONTACT_PARTS = [
+  // Order matters: "agent email address" is an email, not an address
+  { part: 'email', pattern: /\be ?mail\b/ },
+  { part: 'phone', pattern: /\b(?:phone|telephone|tel|mobile|contact no)\b/ },
+  { part: 'address', pattern: /\b(?:address|addr|street|town|county|eircode|postcode)\b/ },
+  { part: 'name', pattern: /\b(?:name|surname|forename|first name|company|applicant|agent)\b/ }
+];
+
+const SITE_ADDRESS = /\b(?:site (?:address|location)|(?:address|location) of (?:the )?(?:site|development|proposed development)|development (?:address|location)|location of (?:site|development))\b/;
+const AGENT = /\b(?:agent|acting on behalf)\b/;
+const APPLICANT = /\bapplicants?\b/;
+
+/**
+ * The words of a field name: last dotted segment, array indexes dropped, camelCase and
+ * punctuation split, lower case.
+ */
+function fieldWords(name) {
+  const last = String(name || '').split('.').pop().replace(/\[\d+\]/g, '');
+  return last
+    .replace(/([a-z])([A-Z])/g, '$1 $2')
+    .replace(/[^A-Za-z0-9]+/g, ' ')
+    .toLowerCase()
+    .trim();
+}
+
+function contactPart(words) {
+  const hit = CONTACT_PARTS.find(({ pattern }) => pattern.test(words));
+  return hit ? hit.part : null;
+}
+
+/**
+ * Applicant, agent and site address from filled form fields.
+ * @param {Array<{ name: string, type: string, value: string|boolean }>} formFields
+ * @returns {{ applicant?: Object, agent?: Object, siteAddress?: string } | null} contact
+ *   objects hold name, address, email and phone where found; null when the form has none
+ */
+function readApplicationForm(formFields) {
+  const collected = { applicant: {}, agent: {}, siteAddress: [] };
+
+  for (const field of formFields || []) {
+    if (typeof field.value !== 'string' || !field.value.trim()) continue;
+    const words = fieldWords(field.name);
+    const value = field.value.replace(/\s+/g, ' ').trim();
+
+    if (SITE_ADDRESS.test(words)) {
+      collected.siteAddress.push(value);
+      continue;
+    }
+    const who = AGENT.test(words) ? 'agent' : APPLICANT.test(words) ? 'applicant' : null;
+    const part = who && contactPart(words);
+    if (!part) continue;
+    if (part === 'email' && !value.includes('@')) continue;
+    (collected[who][part] = collected[who][part] || []).push(value);
+  }
+
+  const contact = parts => {
+    const joined = {};
+    for (const [part, values] of Object.entries(parts)) {
+      // Address and name forms split over several fields: lines, first name and surname
+      joined[part] = part === 'address' ? values.join(', ') : part === 'name' ? values.join(' ') : values[0];
+    }
+    return Object.keys(joined).length ? joined : undefined;
+  };
+
+  const form = {
+    applicant: contact(collected.applicant),
+    agent: contact(collected.agent),
+    siteAddress: collected.siteAddress.length ? collected.siteAddress.join(', ') : undefined
+  };
+  if (!form.applicant && !form.agent && !form.siteAddress) return null;
+  return JSON.parse(JSON.stringify(form));
+}
+
+/**
+ * Fill a project's agent - and, while Building Info has no metadata for it, applicant
+ * and location - from its application form. Fields the record already has are kept;
+ * the form as read is kept under metadata.applicationForm either way. Creates the
+ * record when there is none yet.
+ * @param {string} projectId
+ * @param {Object} form - readApplicationForm() output
+ * @param {Object} [options]
+ * @param {string} [options.fileName] - the form's file, kept for reference
+ * @returns {Promise<string[]>} the paths filled
+ */
+async function recordApplicationForm(projectId, form, { fileName } = {}) {
+  if (!projectId || !form) return [];
+  try {
+    const project = await Project.findOne({ projectId }).lean();
+    const metadata = await buildingInfoService.getProjectMetadata(projectId);
+    const fromForm = metadata?.metadataUnavailable ? ['applicant', 'agent'] : ['agent'];
+    const $set = {
+      'metadata.applicationForm': { ...form, fileName, readAt: new Date() }
+    };
+    const filled = [];
+
+    for (const who of fromForm) {
+      for (const [part, value] of Object.entries(form[who] || {})) {
+        if (project?.[who]?.[part]) continue;
+        $set[`${who}.${part}`] = value;
+        filled.push(`${who}.${part}`);
+      }
+    }
+    if (form.siteAddress && fromForm.includes('applicant') && !project?.location) {
+      $set.location = form.siteAddress;
+      filled.push('location');
+    }
+
+    await Project.updateOne(
+      { projectId },
+      { $set, $setOnInsert: { title: `Project ${projectId}` } },
+      { upsert: true }
+    );
+    if (filled.length) {
+      logger.info('project: filled from application form', { proj: projectId, file: fileName, filled });
+    }
+    return filled;
+  } catch (error) {
+    logger.warn('project: could not record application form', { proj: projectId, err: error.message });
+    return [];
+  }
+}
+
+module.exports = {
+  fieldWords,
+  readApplicationForm,
+  recordApplicationForm
+};
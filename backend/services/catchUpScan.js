@@ -0,0 +1,430 @@
+/**
+ * Historical re-scan of one ScanJob for customers newly added to it.
+ *
+ * A customer added to an existing job only hears about requests found from the next
+ * night on. A catch-up (POST /api/document-scan/jobs/:jobId/catch-up) looks back over a
+ * range of days - optionally narrowed to a list of projects or a county - and sends the
+ * chosen customers one digest of what they missed.
+ *
+ * It builds on the job's coverage. A day the job has a result for
+ * (scanJobProcessor.findCoverageGaps reports no gap) reuses the matches stored that
+ * night; only the days the job never scanned - usually those before it existed - are
+ * streamed and judged, through the same processDocument a nightly run uses.
+ *
+ * Nothing it finds is written to ScanJobDailyResult or the job's checkpoint, so the
+ * job's existing customers are never sent it, and the digest leaves out any project a
+ * chosen customer has already been sent for the job's report type in an FIReport,
+ * through whichever document - nightly delivery sends a project once per report type
+ * too. A reused day that has not been delivered yet is still delivered as usual
+ * afterwards; deliverResultsForJob leaves out of it what this catch-up's FIReport (its
+ * searchCriteria carries the catchUpId) already sent. Vetoes are applied as delivery
+ * applies them. Baselines: a recent day is checked against the S3 baseline markers as
+ * the nightly scan is, but markers are deleted after BASELINE_MARKER_RETENTION_DAYS, so
+ * a project's documents on the day it first appeared in planning-docs
+ * (s3Manifest.firstDay) are also treated as its baseline back-catalogue.
+ */
+
+const ScanJob = require('../models/ScanJob');
+const ScanCatchUp = require('../models/ScanCatchUp');
+const ScanJobDailyResult = require('../models/ScanJobDailyResult');
+const fastS3Scanner = require('./fastS3Scanner');
+const s3Service = require('./s3Service');
+const s3Manifest = require('./s3Manifest');
+const buildingInfoService = require('./buildingInfoService');
+const textExtractionService = require('./textExtractionService');
+const scanJobProcessor = require('./scanJobProcessor');
+const fiDetectionService = require('./fiDetectionService');
+const scanJobQueue = require('./scanJobQueue');
+const scanPools = require('./scanPools');
+const logger = require('../utils/logger');
+const runContext = require('../utils/runContext');
+const { normalizeReportType } = require('./reportTypes');
+
+/** Local midnight of a YYYY-MM-DD, or null if it is not a real day. */
+function parseDay(value) {
+  if (typeof value !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(value)) return null;
+  const [year, month, day] = value.split('-').map(Number);
+  const date = new Date(year, month - 1, day);
+  return date.getDate() === day && date.getMonth() === month - 1 ? date : null;
+}
+
+function endOfDay(date) {
+  const end = new Date(date);
+  end.setHours(23, 59, 59, 999);
+  return end;
+}
+
+/** YYYY-MM-DD of every day from start to end inclusive. */
+function dayKeys(startDate, endDate) {
+  const days = [];
+  for (let day = new Date(startDate); day <= endDate; day.setDate(day.getDate() + 1)) {
+    days.push(scanJobProcessor.toLocalDateKey(day));
+  }
+  return days;
+}
+
+/** Ascending day keys as [from, to] date ranges, one per run of consecutive days. */
+function consecutiveRanges(days) {
+  const ranges = [];
+  for (const key of days) {
+    const day = parseDay(key);
+    const last = ranges[ranges.length - 1];
+    const next = last && new Date(last[1]);
+    if (next) next.setDate(next.getDate() + 1);
+    if (next && scanJobProcessor.toLocalDateKey(next) === key) {
+      last[1] = endOfDay(day);
+    } else {
+      ranges.push([day, endOfDay(day)]);
+    }
+  }
+  return ranges;
+}
+
+class CatchUpScanService {
+  /**
+   * Check a catch-up request against its job.
+   * @returns {{ error: string } | { customerIds: string[], scope: Object }}
+   */
+  parseRequest(job, { customerIds, startDate, endDate, projectIds, county } = {}) {
+    if (job.shadow) {
+      return { error: 'A shadow job sends no email; compare it with the live jobs instead (GET /jobs/:jobId/shadow-comparison)' };
+    }
+    if (!Array.isArray(customerIds) || customerIds.length === 0) {
+      return { error: 'customerIds is required: the customers to send the catch-up to' };
+    }
+    const onJob = new Set((job.customers || []).map(c => String(c.customerId?._id || c.customerId)));
+    const notOnJob = customerIds.filter(id => !onJob.has(String(id)));
+    if (notOnJob.length > 0) {
+      return { error: `Add these customers to the job first: ${notOnJob.join(', ')}` };
+    }
+
+    const start = parseDay(startDate);
+    const end = parseDay(endDate);
+    if (!start || !end) {
+      return { error: 'startDate and endDate are required (YYYY-MM-DD)' };
+    }
+    if (start > end) {
+      return { error: 'startDate is after endDate' };
+    }
+    // Yesterday is the newest day a scan can cover; today is still accumulating
+    const today = new Date();
+    today.setHours(0, 0, 0, 0);
+    if (end >= today) {
+      return { error: 'endDate must be before today' };
+    }
+    const maxDays = parseInt(process.env.SCAN_CATCHUP_MAX_DAYS || '90', 10);
+    if (dayKeys(start, end).length > maxDays) {
+      return { error: `A catch-up covers at most ${maxDays} days (SCAN_CATCHUP_MAX_DAYS)` };
+    }
+
+    if (projectIds !== undefined && !Array.isArray(projectIds)) {
+      return { error: 'projectIds must be an array' };
+    }
+    if (county !== undefined && county !== null && typeof county !== 'string') {
+      return { error: 'county must be a string' };
+    }
+
+    return {
+      customerIds: [...new Set(customerIds.map(String))],
+      scope: {
+        startDate: start,
+        endDate: end,
+        projectIds: [...new Set((projectIds || []).map(id => String(id).trim()).filter(Boolean))],
+        county: county && county.trim() ? county.trim() : undefined
+      }
+    };
+  }
+
+  /**
+   * Record a catch-up for the job and queue it.
+   * @returns {Promise<{ error: string } | { catchUp: Object }>}
+   */
+  async request(job, body, user) {
+    const parsed = this.parseRequest(job, body);
+    if (parsed.error) return parsed;
+
+    const catchUp = await ScanCatchUp.create({
+      catchUpId: `CATCHUP-${job.jobId}-${Date.now()}`,
+      jobId: job.jobId,
+      customerIds: parsed.customerIds,
+      scope: parsed.scope,
+      requestedBy: user ? { userId: user._id, email: user.email, name: user.name || user.email } : undefined
+    });
+
+    try {
+      await scanJobQueue.enqueueCatchUpScan(catchUp.catchUpId);
+    } catch (error) {
+      catchUp.status = 'FAILED';
+      catchUp.error = `Could not queue: ${error.message}`;
+      await catchUp.save();
+      throw error;
+    }
+
+    logger.info('catch-up: queued', {
+      job: job.jobId,
+      catchUp: catchUp.catchUpId,
+      customers: parsed.customerIds.length,
+      from: scanJobProcessor.toLocalDateKey(parsed.scope.startDate),
+      to: scanJobProcessor.toLocalDateKey(parsed.scope.endDate)
+    });
+    return { catchUp };
+  }
+
+  /**
+   * Run a queued catch-up: collect the range's matches, then send the digest. Records
+   * the outcome on the ScanCatchUp rather than throwing.
+   */
+  async run(catchUpId) {
+    const catchUp = await ScanCatchUp.findOne({ catchUpId });
+    if (!catchUp) {
+      throw new Error(`Catch-up not found: ${catchUpId}`);
+    }
+    const startedAt = Date.now();
+    catchUp.status = 'RUNNING';
+    catchUp.startedAt = new Date();
+    await catchUp.save();
+
+    try {
+      const job = await ScanJob.findOne({ jobId: catchUp.jobId })
+        .populate('customers.customerId', 'email company name projectId filters minMatchConfidence');
+      if (!job) {
+        throw new Error(`Scan job not found: ${catchUp.jobId}`);
+      }
+
+      const matches = await this.collectMatches(job, catchUp);
+      await this.deliver(job, catchUp, matches);
+      catchUp.status = 'COMPLETED';
+    } catch (error) {
+      logger.error('catch-up: FAILED', { catchUp: catchUpId, err: error.message, stack: error.stack });
+      catchUp.status = 'FAILED';
+      catchUp.error = String(error.message).slice(0, 500);
+    }
+
+    catchUp.finishedAt = new Date();
+    await catchUp.save();
+    logger.info('run end: catch-up', {
+      status: catchUp.status,
+      reused: catchUp.reusedDays.length,
+      scanned: catchUp.scannedDays.length,
+      ...catchUp.toObject().counts,
+      sec: Math.round((Date.now() - startedAt) / 1000)
+    });
+    return catchUp;
+  }
+
+  /**
+   * Every in-scope match in the range: stored ones for the days the job has scanned,
+   * fresh judgements for the days it has not.
+   */
+  async collectMatches(job, catchUp) {
+    const { startDate, endDate } = catchUp.scope;
+    const gaps = new Set(await scanJobProcessor.findCoverageGaps(job, { startDate, endDate }));
+    const days = dayKeys(startDate, endDate);
+    catchUp.reusedDays = days.filter(day => !gaps.has(day));
+    catchUp.scannedDays = days.filter(day => gaps.has(day));
+    await catchUp.save();
+
+    const inScope = this.scopeFilter(catchUp.scope);
+    const matches = [];
+
+    if (catchUp.reusedDays.length > 0) {
+      const rows = await ScanJobDailyResult.find({
+        jobId: job.jobId,
+        scanDate: { $gte: startDate, $lte: endOfDay(endDate) }
+      }).lean();
+      for (const row of rows) {
+        const day = scanJobProcessor.toLocalDateKey(row.scanDate);
+        if (gaps.has(day)) continue;
+        for (const match of row.matches || []) {
+          if (await inScope(match.projectId)) {
+            matches.push({ ...match, scanDate: day });
+          } else {
+            catchUp.counts.outOfScope++;
+          }
+        }
+      }
+    }
+
+    for (const [from, to] of consecutiveRanges(catchUp.scannedDays)) {
+      matches.push(...await this.judgeRange(job, catchUp, from, to, inScope));
+    }
+
+    catchUp.counts.matches = matches.length;
+    return matches;
+  }
+
+  /** Stream and judge the in-scope documents of days the job never scanned. */
+  async judgeRange(job, catchUp, from, to, inScope) {
+    const { counts } = catchUp;
+    const matches = [];
+    const baselines = new Map();
+    const inFlight = new Set();
+    const limit = scanPools.documentConcurrency();
+
+    logger.info('catch-up: judging days the job never scanned', {
+      from: scanJobProcessor.toLocalDateKey(from),
+      to: scanJobProcessor.toLocalDateKey(to)
+    });
+
+    const judge = async (document, day) => {
+      try {
+        const result = await scanJobProcessor.processDocument(document, job);
+        counts.judged++;
+        if (result && result.isMatch) {
+          matches.push({
+            projectId: document.projectId,
+            fileName: document.fileName,
+            filePath: document.filePath,
+            fiType: job.documentType,
+            validationQuote: result.validationQuote,
+            evidenceSource: result.evidenceSource,
+            confidence: result.confidence,
+            // Verdicts do not carry it; they were reached by the detector running now
+            detectorVersion: fiDetectionService.detectorVersion,
+            fiRequest: result.fiRequest,
+            duplicateOf: result.duplicateOf,
+            timestamp: new Date(),
+            scanDate: day
+          });
+        }
+      } catch (error) {
+        counts.failed++;
+        logger.warn('catch-up: document failed', { err: error.message });
+      }
+    };
+
+    await fastS3Scanner.streamDocumentsSince(from, to, async (document) => {
+      counts.documents++;
+      if (!textExtractionService.isSupported(document.fileName)) return;
+      if (!(await inScope(document.projectId))) {
+        counts.outOfScope++;
+        return;
+      }
+      const day = scanJobProcessor.toLocalDateKey(document.lastModified);
+      if (await this.isBaseline(document.projectId, day, baselines)) {
+        counts.baselineSkipped++;
+        return;
+      }
+
+      while (inFlight.size >= limit) {
+        await Promise.race(inFlight);
+      }
+      const task = runContext.runWith(
+        { file: document.fileName, proj: document.projectId },
+        () => judge(document, day)
+      ).finally(() => inFlight.delete(task));
+      inFlight.add(task);
+    }, { maxObjects: null, timeoutSeconds: null });
+
+    await Promise.all(inFlight);
+    return matches;
+  }
+
+  /**
+   * Whether a project's documents from this day are its baseline back-catalogue. Cached
+   * per project and day for the run.
+   */
+  isBaseline(projectId, day, cache) {
+    if (!projectId) return false;
+    const key = `${projectId}:${day}`;
+    if (!cache.has(key)) {
+      cache.set(key, (async () => {
+        if (await s3Manifest.firstDay(projectId) === day) return true;
+        // Fails closed, as in the nightly scan
+        return s3Service.hasBaselineMarker(projectId, endOfDay(parseDay(day)));
+      })());
+    }
+    return cache.get(key);
+  }
+
+  /**
+   * A check of a project against the catch-up's project list and county. A county is
+   * read from Building Info once per project; a project whose county cannot be read is
+   * out of scope.
+   */
+  scopeFilter({ projectIds = [], county = null }) {
+    const projects = new Set(projectIds);
+    const wanted = county ? county.trim().toLowerCase() : null;
+    const counties = new Map();
+
+    return async (projectId) => {
+      if (projects.size > 0 && !projects.has(String(projectId))) return false;
+      if (!wanted) return true;
+      if (!projectId) return false;
+
+      if (!counties.has(projectId)) {
+        counties.set(projectId, buildingInfoService.getProjectMetadata(projectId)
+          .then(metadata => (metadata && !metadata.metadataUnavailable && metadata.planning_county)
+            ? metadata.planning_county.trim().toLowerCase()
+            : null)
+          .catch(error => {
+            logger.warn('catch-up: project county unavailable', { proj: projectId, err: error.message });
+            return null;
+          }));
+      }
+      return (await counties.get(projectId)) === wanted;
+    };
+  }
+
+  /**
+   * Send the chosen customers the surviving matches they have not already been sent:
+   * vetoed projects dropped and one match kept per project, as delivery does.
+   */
+  async deliver(job, catchUp, matches) {
+    const { counts } = catchUp;
+    if (matches.length === 0) {
+      logger.info('catch-up: no matches in the range');
+      return;
+    }
+
+    const projectIds = [...new Set(matches.map(m => m.projectId).filter(Boolean))];
+    await scanJobProcessor.sweepProjectsForResponses(projectIds, job.documentType);
+    const vetoKeys = await scanJobProcessor.loadVetoKeys(matches);
+    const surviving = matches.filter(m =>
+      !vetoKeys.has(`${m.projectId}::${normalizeReportType(m.fiType || job.documentType)}`));
+    counts.vetoed = matches.length - surviving.length;
+
+    const best = scanJobProcessor.selectBestMatchPerProject(surviving, job.documentType);
+    catchUp.matches = best.map(m => ({
+      projectId: m.projectId,
+      fileName: m.fileName,
+      filePath: m.filePath,
+      validationQuote: m.validationQuote,
+      confidence: m.confidence,
+      detectorVersion: m.detectorVersion,
+      scanDate: m.scanDate
+    }));
+
+    const chosen = new Set(catchUp.customerIds.map(String));
+    const customers = (job.customers || []).filter(c => c.customerId && chosen.has(String(c.customerId._id)));
+    const sent = await scanJobProcessor.loadSentProjectKeys(customers.map(c => String(c.customerId._id)));
+
+    const delivery = [];
+    for (const match of best) {
+      const key = `${match.projectId}::${normalizeReportType(match.fiType || job.documentType)}`;
+      const to = customers.filter(c => !sent.get(String(c.customerId._id)).has(key));
+      counts.alreadySent += customers.length - to.length;
+      if (to.length > 0) delivery.push(scanJobProcessor.deliveryMatch(match, job, to));
+    }
+
+    if (delivery.length === 0) {
+      logger.info('catch-up: every match was already sent to these customers');
+      return;
+    }
+
+    const from = scanJobProcessor.toLocalDateKey(catchUp.scope.startDate);
+    const to = scanJobProcessor.toLocalDateKey(catchUp.scope.endDate);
+    await scanJobProcessor.sendMatchEmails(delivery, job, null, {
+      subject: `Catch-up: FI Requests Detected - ${job.documentType}, ${from} to ${to}`,
+      source: 'MANUAL',
+      reportFilters: { catchUpId: catchUp.catchUpId }
+    });
+  }
+
+  /** The job's catch-ups, newest first. */
+  list(jobId, limit = 20) {
+    return ScanCatchUp.find({ jobId }).sort({ createdAt: -1 }).limit(limit).lean();
+  }
+}
+
+module.exports = new CatchUpScanService();
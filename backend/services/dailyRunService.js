@@ -5,6 +5,8 @@ const DailyRunItem = require('../models/DailyRunItem');
 const { S3Client, ListObjectsV2Command } = require('@aws-sdk/client-s3');
 const { getBucket, getRegion } = require('../utils/awsConfig');
 const { withLock } = require('./jobLock');
+const textExtractionService = require('./textExtractionService');
+const s3Manifest = require('./s3Manifest');
 
 const s3Client = new S3Client({
   region: getRegion(),
@@ -100,123 +102,152 @@ class DailyRunService {
         }
       };
 
+      // Bulk insert items (ignore duplicates)
+      const queueItems = async (itemsToInsert, lastKey) => {
+        // Count what ACTUALLY inserted, not what we attempted. The counters used
+        // to be incremented by the raw batch length regardless of duplicates, so
+        // counters.queued overshot by the duplicate count and could never drain
+        // to 0 - leaving the run stuck in 'processing' forever, because
+        // checkRunCompletion waits for queued === 0 && processing === 0.
+        let insertedCount = 0;
+        try {
+          const inserted = await DailyRunItem.insertMany(itemsToInsert, { ordered: false });
+          insertedCount = inserted.length;
+        } catch (error) {
+          // Ignore duplicate key errors (11000)
+          if (error.code !== 11000 && !error.writeErrors) {
+            throw error;
+          }
+          insertedCount = Array.isArray(error.insertedDocs)
+            ? error.insertedDocs.length
+            : itemsToInsert.length - (error.writeErrors?.length || 0);
+        }
+
+        itemsCreated += insertedCount;
+
+        // scanProgress must be written even when every item was a duplicate -
+        // it is what a restart resumes from.
+        const update = {
+          $set: {
+            'scanProgress.objectsScanned': objectsScanned,
+            'scanProgress.lastKey': lastKey
+          }
+        };
+
+        if (insertedCount > 0) {
+          update.$inc = {
+            'counters.totalItems': insertedCount,
+            'counters.queued': insertedCount
+          };
+        }
+
+        await DailyRun.updateOne({ runId }, update);
+      };
+
       logMemory();
       const memInterval = setInterval(logMemory, 10000);
 
       try {
-        do {
-          const command = new ListObjectsV2Command({
-            Bucket: BUCKET,
-            Prefix: PREFIX,
-            MaxKeys: 1000,
-            ContinuationToken: continuationToken || undefined
+        // The nightly manifest answers for the day without listing the bucket. A
+        // restart re-queues from the start of the day; items already queued are
+        // duplicates and are not counted again.
+        const pending = [];
+        const served = await s3Manifest.streamObjects(dayStart, dayEnd, async (entry) => {
+          objectsScanned++;
+          pending.push({
+            runId,
+            s3Key: entry.key,
+            projectId: entry.projectId,
+            fileName: entry.fileName,
+            lastModified: entry.lastModified,
+            size: entry.size || 0,
+            status: 'queued'
           });
+          if (pending.length >= 100) {
+            await queueItems(pending.splice(0), entry.key);
+          }
+        });
+        if (pending.length > 0) {
+          await queueItems(pending, pending[pending.length - 1].s3Key);
+        }
 
-          const response = await s3Client.send(command);
-
-          if (response.Contents) {
-            // Process objects in batches to avoid blocking
-            const batchSize = 100;
-            for (let i = 0; i < response.Contents.length; i += batchSize) {
-              const batch = response.Contents.slice(i, i + batchSize);
+        // Otherwise list the bucket, resuming from the saved continuation token
+        if (!served) {
+          do {
+            const command = new ListObjectsV2Command({
+              Bucket: BUCKET,
+              Prefix: PREFIX,
+              MaxKeys: 1000,
+              ContinuationToken: continuationToken || undefined
+            });
+
+            const response = await s3Client.send(command);
+
+            if (response.Contents) {
+              // Process objects in batches to avoid blocking
+              const batchSize = 100;
+              for (let i = 0; i < response.Contents.length; i += batchSize) {
+                const batch = response.Contents.slice(i, i + batchSize);
               
-              const itemsToInsert = [];
+                const itemsToInsert = [];
               
-              for (const obj of batch) {
-                objectsScanned++;
+                for (const obj of batch) {
+                  objectsScanned++;
 
-                const lastModified = new Date(obj.LastModified);
+                  const lastModified = new Date(obj.LastModified);
                 
-                // Check date range
-                if (lastModified >= dayStart && lastModified < dayEnd) {
-                  const key = obj.Key;
+                  // Check date range
+                  if (lastModified >= dayStart && lastModified < dayEnd) {
+                    const key = obj.Key;
                   
-                  // Skip non-PDF/DOCX files and folders
-                  const keyLower = key.toLowerCase();
-                  if (!keyLower.endsWith('.pdf') && !keyLower.endsWith('.docx')) {
-                    continue;
+                    // Skip folders and formats the text extraction service cannot read
+                    if (!textExtractionService.isSupported(key)) {
+                      continue;
+                    }
+
+                    // Extract project ID from path: planning-docs/PROJECTID/...
+                    const parts = key.split('/');
+                    if (parts.length < 3) {
+                      continue;
+                    }
+
+                    const projectId = parts[1];
+                    const fileName = parts[parts.length - 1];
+
+                    itemsToInsert.push({
+                      runId,
+                      s3Key: key,
+                      projectId,
+                      fileName,
+                      lastModified: obj.LastModified,
+                      size: obj.Size || 0,
+                      status: 'queued'
+                    });
                   }
-
-                  // Extract project ID from path: planning-docs/PROJECTID/...
-                  const parts = key.split('/');
-                  if (parts.length < 3) {
-                    continue;
-                  }
-
-                  const projectId = parts[1];
-                  const fileName = parts[parts.length - 1];
-
-                  itemsToInsert.push({
-                    runId,
-                    s3Key: key,
-                    projectId,
-                    fileName,
-                    lastModified: obj.LastModified,
-                    size: obj.Size || 0,
-                    status: 'queued'
-                  });
                 }
-              }
 
-              // Bulk insert items (ignore duplicates)
-              if (itemsToInsert.length > 0) {
-                // Count what ACTUALLY inserted, not what we attempted. The counters used
-                // to be incremented by the raw batch length regardless of duplicates, so
-                // counters.queued overshot by the duplicate count and could never drain
-                // to 0 - leaving the run stuck in 'processing' forever, because
-                // checkRunCompletion waits for queued === 0 && processing === 0.
-                let insertedCount = 0;
-                try {
-                  const inserted = await DailyRunItem.insertMany(itemsToInsert, { ordered: false });
-                  insertedCount = inserted.length;
-                } catch (error) {
-                  // Ignore duplicate key errors (11000)
-                  if (error.code !== 11000 && !error.writeErrors) {
-                    throw error;
-                  }
-                  insertedCount = Array.isArray(error.insertedDocs)
-                    ? error.insertedDocs.length
-                    : itemsToInsert.length - (error.writeErrors?.length || 0);
+                if (itemsToInsert.length > 0) {
+                  await queueItems(itemsToInsert, batch[batch.length - 1].Key);
                 }
-
-                itemsCreated += insertedCount;
-
-                // scanProgress must be written even when every item was a duplicate -
-                // it is what a restart resumes from.
-                const update = {
-                  $set: {
-                    'scanProgress.objectsScanned': objectsScanned,
-                    'scanProgress.lastKey': batch[batch.length - 1].Key
-                  }
-                };
-
-                if (insertedCount > 0) {
-                  update.$inc = {
-                    'counters.totalItems': insertedCount,
-                    'counters.queued': insertedCount
-                  };
-                }
-
-                await DailyRun.updateOne({ runId }, update);
               }
             }
-          }
 
-          continuationToken = response.IsTruncated ? response.NextContinuationToken : null;
+            continuationToken = response.IsTruncated ? response.NextContinuationToken : null;
 
-          // Save continuation token for restart safety
-          if (continuationToken) {
-            await DailyRun.updateOne(
-              { runId },
-              { 'scanProgress.continuationToken': continuationToken }
-            );
-          }
+            // Save continuation token for restart safety
+            if (continuationToken) {
+              await DailyRun.updateOne(
+                { runId },
+                { 'scanProgress.continuationToken': continuationToken }
+              );
+            }
 
-          if (objectsScanned % 5000 === 0) {
-            logger.info('daily run: scan progress', { scanned: objectsScanned, queued: itemsCreated });
-          }
+            if (objectsScanned % 5000 === 0) {
+              logger.info('daily run: scan progress', { scanned: objectsScanned, queued: itemsCreated });
+            }
 
-        } while (continuationToken);
+          } while (continuationToken);
+        }
 
         clearInterval(memInterval);
         logMemory();
@@ -4,10 +4,21 @@ const DailyRun = require('../models/DailyRun');
 const DailyRunItem = require('../models/DailyRunItem');
 const s3Service = require('./s3Service');
 const fiDetectionService = require('./fiDetectionService');
+const extractedTextStore = require('./extractedTextStore');
 const dailyRunService = require('./dailyRunService');
+const { getReportTypes } = require('./reportTypes');
 const path = require('path');
 const fs = require('fs').promises;
 
+// The report types a daily run checks each FI document for, in this order: every
+// active type in the taxonomy (services/reportTypes.js), so a type added or retired
+// through the ReportType admin routes applies to the next run without a deploy.
+// 'other' is left out; it is not a report anyone is asked for. The first validated
+// match is stored as DailyRunItem.result.documentType under its canonical name
+// ('ecological', where runs before the taxonomy stored 'ecology'). Each type is one
+// more model call per FI document.
+const NOT_CHECKED = new Set(['other']);
+
 class DailyRunWorker {
   constructor() {
     this.isRunning = false;
@@ -17,6 +28,18 @@ class DailyRunWorker {
     this.totalProcessed = 0; // Track total items processed
   }
 
+  /** DAILY_RUN_REPORT_TYPES (comma-separated) when set, otherwise the active report types. */
+  reportTypes() {
+    const configured = (process.env.DAILY_RUN_REPORT_TYPES || '')
+      .split(',')
+      .map(type => type.trim())
+      .filter(Boolean);
+    if (configured.length > 0) return configured;
+    return getReportTypes()
+      .map(type => type.key)
+      .filter(key => !NOT_CHECKED.has(key));
+  }
+
   /**
    * Start the worker loop
    */
@@ -125,35 +148,28 @@ class DailyRunWorker {
         logger.debug('daily run: item start');
 
         try {
-          // Download file using s3Service
-          const downloadResult = await s3Service.downloadDocument(item.s3Key);
-
-          if (!downloadResult || !downloadResult.localPath) {
-            throw new Error('Failed to download file from S3');
-          }
-
-          const tempFilePath = downloadResult.localPath;
-
-          // Extract text from PDF
-          let documentText = '';
-          try {
-            documentText = await fiDetectionService.extractPdfText(tempFilePath);
-
-            // Truncate to max size for AI (32000 chars - matches fiDetectionService.MAX_MSG_CHARS)
-            if (documentText.length > 32000) {
-              documentText = documentText.substring(0, 32000);
-            }
-          } catch (extractError) {
-            logger.debug('daily run: text extraction failed, falling back to OCR');
-            try {
-              documentText = await fiDetectionService.ocrIfNeeded(tempFilePath);
-              if (documentText.length > 32000) {
-                documentText = documentText.substring(0, 32000);
+          // Text already extracted from this object (by a scan job or an earlier run)
+          // comes from the store; otherwise the file is downloaded to disk, extracted
+          // (capped at 32000 chars, matching fiDetectionService.MAX_MSG_CHARS) and removed.
+          const head = await s3Service.getObjectHead(item.s3Key).catch(() => null);
+          const extraction = await extractedTextStore.extract({
+            fileName: item.fileName,
+            etag: head?.etag,
+            load: async () => {
+              const downloadResult = await s3Service.downloadDocument(item.s3Key);
+              if (!downloadResult || !downloadResult.localPath) {
+                throw new Error('Failed to download file from S3');
               }
-            } catch (ocrError) {
-              throw new Error(`Text extraction failed: ${ocrError.message}`);
+              return {
+                filePath: downloadResult.localPath,
+                cleanup: () => fs.unlink(downloadResult.localPath).catch(() => null)
+              };
             }
+          });
+          if (!extraction.success) {
+            throw new Error(`Text extraction failed: ${extraction.error}`);
           }
+          const documentText = extraction.text;
 
           // Run FI detection
           let detectionResult = {
@@ -168,7 +184,7 @@ class DailyRunWorker {
 
             if (isFIRequest) {
               // Only mark detected when we have a validated report-type match
-              for (const docType of ['acoustic', 'transport', 'flood', 'contamination', 'ecology', 'arboricultural']) {
+              for (const docType of this.reportTypes()) {
                 const matchResult = await fiDetectionService.matchFIRequestType(documentText, docType);
                 const isValidatedMatch = matchResult.matches === true && matchResult.hasValidEvidence === true;
 
@@ -183,13 +199,6 @@ class DailyRunWorker {
             }
           }
 
-          // Clean up temp file
-          try {
-            await fs.unlink(tempFilePath);
-          } catch (err) {
-            // Ignore cleanup errors
-          }
-
           // Update item with result
           await DailyRunItem.updateOne(
             { _id: item._id },
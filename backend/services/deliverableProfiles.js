@@ -0,0 +1,416 @@
+/**
+ * What a consultant's deliverable of each report type looks like - the evidence the
+ * register filter (documentFilterService) and the vision check (aiVisionService) look for
+ * when deciding whether a newly published document IS a noise assessment, a transport
+ * assessment, a flood risk assessment and so on.
+ *
+ * Both used to hard-code acoustic: filename regexes, an acoustic keyword list, a list
+ * of acoustic consultancies and a prompt that only knew ACOUSTIC_REPORT. A profile now
+ * carries that per type:
+ *
+ *   filenamePatterns   positive filename evidence
+ *   negativePatterns   filenames that are never the deliverable (invoices, fee
+ *                      proposals, operational management plans)
+ *   keywords           content terms counted by the stage 2 filter
+ *   consultants        practices whose name on a report is a confidence bonus
+ *   standards          guidance a report of this type cites (BS 4142, TRICS, PPG 25...)
+ *   measurements       data tables a report of this type carries (dB(A), AADT, l/s...)
+ *   titles, indicators what the vision prompt tells the model to look for
+ *
+ * The built-in profiles below are tuned by hand; the acoustic one is the list the filter
+ * has always used. A type without one - an admin-defined type from the ReportType
+ * collection - gets a profile built from its vocabulary in services/reportTypes.js, so
+ * it is still filterable, just less precisely. 'other' has no deliverable to detect.
+ */
+
+const {
+  normalizeReportType,
+  getDocumentTerms,
+  getFilenameTerms,
+  getReportTypes
+} = require('./reportTypes');
+
+// Never a deliverable, whatever the type
+const COMMON_NEGATIVE_PATTERNS = [
+  /appointment/i,   // Appointment letters
+  /invoice/i,
+  /quote/i,
+  /proposal/i
+];
+
+// Vocabulary terms this short match inside unrelated words; they only count as whole words
+const SHORT_TERM = 3;
+
+const BUILT_IN_PROFILES = {
+  acoustic: {
+    filenamePatterns: [
+      // Direct acoustic/noise terms
+      /acoustic/i,
+      /noise/i,
+      /sound/i,
+      /vibration/i,
+
+      // Report type indicators
+      /nia/i,  // Noise Impact Assessment
+      /nois.*assess/i,
+      /acoust.*assess/i,
+      /acoust.*report/i,
+      /noise.*report/i,
+      /sound.*survey/i,
+
+      // Common acoustic consultant codes/abbreviations
+      /\bawn\b/i,  // AWN Consulting
+      /aecom.*acoustic/i,
+      /arup.*acoustic/i,
+      /envir.*noise/i,
+
+      // Technical terms often in acoustic report filenames
+      /\bdb(a)?\b/i,  // decibels
+      /bs.?4142/i,    // British Standard for industrial noise
+      /iso.?1996/i    // ISO standard for environmental noise
+    ],
+    negativePatterns: [
+      /construction.*noise.*management/i  // Construction noise plans (operational, not assessment)
+    ],
+    keywords: [
+      'acoustic', 'noise', 'sound level', 'decibel', 'dBA', 'dB(A)',
+      'noise impact', 'noise assessment', 'acoustic assessment',
+      'BS 4142', 'BS4142', 'ISO 1996', 'WHO guideline',
+      'background noise', 'ambient noise', 'noise survey',
+      'sound pressure level', 'LAeq', 'LA90', 'LAmax',
+      'noise sensitive', 'noise receptor', 'acoustic consultant'
+    ],
+    consultants: [
+      'AWN', 'AECOM', 'Arup', 'RPS', 'Noise Consultants',
+      'Marshall Day', 'Cundall', 'Atkins', 'Entran',
+      'Temple Group', 'Vanguardia', 'SLR Consulting'
+    ],
+    standards: /BS\s*4142|ISO\s*1996/i,
+    measurements: /\d+\s*dB\(A\)|LAeq\s*\d+|LA90\s*\d+/i,
+    titles: ['acoustic report', 'noise impact assessment', 'noise survey', 'sound level assessment', 'acoustic study'],
+    indicators: [
+      'Author/consultant name (acoustic consultants: AWN, AECOM, Arup, SoundPLAN, etc.)',
+      'Presence of noise measurement data, sound level tables, decibel readings, or acoustic terminology',
+      'References to standards like BS 4142, ISO 1996, WHO guidelines'
+    ]
+  },
+
+  transport: {
+    filenamePatterns: [
+      /traffic/i,
+      /transport/i,
+      /\btta\b|\btia\b|\bta\b/i,  // Traffic and Transport / Traffic Impact Assessment
+      /travel.?plan/i,
+      /mobility.?management/i,
+      /parking.?(?:strategy|assessment|study)/i,
+      /road.?safety.?audit|\brsa\b/i,
+      /junction.?(?:analysis|assessment|capacity)/i,
+      /swept.?path/i,
+      /dmurs/i
+    ],
+    negativePatterns: [
+      /construction.*traffic.*management/i  // Operational plans, not assessments
+    ],
+    keywords: [
+      'traffic impact', 'transport assessment', 'traffic and transport', 'travel plan',
+      'mobility management', 'trip generation', 'trip distribution', 'junction capacity',
+      'picady', 'arcady', 'linsig', 'trics', 'aadt', 'peak hour', 'modal split',
+      'road safety audit', 'sightline', 'visibility splay', 'swept path', 'dmurs',
+      'parking provision', 'cycle parking'
+    ],
+    consultants: [
+      'Atkins', 'AECOM', 'Arup', 'RPS', 'Systra', 'Stantec', 'WSP', 'Jacobs',
+      'ILTP', 'Clifton Scannell Emerson', 'DBFL', 'Waterman Moylan', 'NRB', 'TTRSA'
+    ],
+    standards: /\bTRICS\b|\bDMURS\b|TII\s+(?:Traffic|PE-PAG)|Traffic and Transport Assessment Guidelines|DN-GEO/i,
+    measurements: /\bAADT\b|\bRFC\s*(?:of\s*)?\d|\d+\s*(?:PCU|vehicles?)\s*(?:per|\/)\s*(?:hour|hr)|\d+\s*vph\b/i,
+    titles: ['traffic and transport assessment', 'traffic impact assessment', 'travel plan', 'mobility management plan', 'road safety audit'],
+    indicators: [
+      'Author/consultant name (transport consultants: DBFL, Systra, Atkins, Stantec, etc.)',
+      'Traffic count data, trip generation tables, junction capacity results (PICADY, ARCADY, LinSig)',
+      'References to TRICS, DMURS, TII Traffic and Transport Assessment Guidelines'
+    ]
+  },
+
+  ecological: {
+    filenamePatterns: [
+      /ecolog/i,
+      /biodiversity/i,
+      /\bbng\b/i,
+      /\bpea\b/i,      // Preliminary Ecological Appraisal
+      /\becia\b/i,     // Ecological Impact Assessment
+      /\bnis\b|natura.?impact/i,
+      /\baa\b.*screen|appropriate.?assessment/i,
+      /bat.?survey|bat.?report/i,
+      /habitat/i,
+      /invasive.?species/i
+    ],
+    negativePatterns: [],
+    keywords: [
+      'ecological impact assessment', 'preliminary ecological appraisal', 'biodiversity net gain',
+      'appropriate assessment', 'natura 2000', 'natura impact statement', 'special area of conservation',
+      'special protection area', 'habitat survey', 'phase 1 habitat', 'bat survey', 'bat roost',
+      'protected species', 'invasive species', 'japanese knotweed', 'otter', 'badger',
+      'breeding birds', 'ecological survey', 'mitigation hierarchy', 'qualifying interests'
+    ],
+    consultants: [
+      'Scott Cawley', 'Ecology Ireland', 'Openfield Ecological', 'Altemar', 'NM Ecology',
+      'Faith Wilson', 'Roger Goodwin', 'Bat Eco Services', 'Atkins', 'AECOM', 'RPS', 'Arup'
+    ],
+    standards: /CIEEM|Fossitt|Article\s*6\(3\)|Habitats Directive|Birds Directive|BS\s*42020/i,
+    measurements: /\b(?:SAC|SPA|pNHA|NHA)\b.*\d+\s*(?:km|m)\b|\bsite code\s*\d{6}\b|\d+\s*(?:bat )?passes/i,
+    titles: ['ecological impact assessment', 'preliminary ecological appraisal', 'appropriate assessment screening report', 'natura impact statement', 'bat survey report'],
+    indicators: [
+      'Author/consultant name (ecological consultants: Scott Cawley, Altemar, Openfield, etc.)',
+      'Habitat maps, species survey results, Natura 2000 site tables with site codes',
+      'References to CIEEM guidelines, Fossitt habitat classification, Article 6 of the Habitats Directive'
+    ]
+  },
+
+  flood: {
+    filenamePatterns: [
+      /flood/i,
+      /\bfra\b|\bsfra\b|\bssfra\b/i,
+      /drainage/i,
+      /\bsuds\b/i,
+      /surface.?water/i,
+      /storm.?water/i,
+      /attenuation/i,
+      /hydrolog/i,
+      /justification.?test/i
+    ],
+    negativePatterns: [
+      /drainage.*(?:layout|details?|plan)\b/i  // Drawing sheets, not reports
+    ],
+    keywords: [
+      'flood risk assessment', 'site-specific flood risk', 'flood zone', 'justification test',
+      'surface water', 'storm water', 'sustainable drainage', 'suds', 'attenuation',
+      'greenfield runoff', 'return period', 'annual exceedance probability', 'climate change allowance',
+      'pluvial', 'fluvial', 'tidal', 'cfram', 'soakaway', 'interception storage'
+    ],
+    consultants: [
+      'JBA', 'Hydro Environmental', 'RPS', 'Atkins', 'AECOM', 'Arup', 'Waterman Moylan',
+      'DBFL', 'Barrett Mahony', 'Punch Consulting', 'Clifton Scannell Emerson', 'OCSC'
+    ],
+    standards: /Planning System and Flood Risk Management|CIRIA\s*C753|GDSDS|BRE\s*365|IH\s*124|FSR|CFRAM/i,
+    measurements: /\d+(?:\.\d+)?\s*(?:l\/s|litres? per second)|\d+(?:\.\d+)?\s*m(?:3|³)\b|1\s*(?:in|:)\s*(?:100|1000|30)\s*(?:year|yr)|\d+(?:\.\d+)?\s*%\s*AEP/i,
+    titles: ['site-specific flood risk assessment', 'flood risk assessment', 'surface water management plan', 'drainage design report', 'engineering services report'],
+    indicators: [
+      'Author/consultant name (engineering consultants: JBA, Hydro Environmental, Waterman Moylan, etc.)',
+      'Flood zone maps, attenuation volume calculations, runoff rates in l/s, return periods',
+      'References to The Planning System and Flood Risk Management Guidelines, CIRIA C753, GDSDS'
+    ]
+  },
+
+  heritage: {
+    filenamePatterns: [
+      /heritage/i,
+      /archaeolog/i,
+      /architectural.?heritage/i,
+      /conservation/i,
+      /\bahia\b|\bhia\b/i,
+      /\bwsi\b|written.?scheme/i,
+      /protected.?structure/i,
+      /desk.?based/i
+    ],
+    negativePatterns: [
+      /conservation.*area.*map/i
+    ],
+    keywords: [
+      'architectural heritage impact assessment', 'heritage impact assessment', 'archaeological assessment',
+      'archaeological monitoring', 'test trenching', 'protected structure', 'record of protected structures',
+      'record of monuments and places', 'sites and monuments record', 'national inventory of architectural heritage',
+      'architectural conservation area', 'desk-based assessment', 'written scheme of investigation',
+      'recorded monument', 'zone of archaeological potential'
+    ],
+    consultants: [
+      'Courtney Deery', 'IAC Archaeology', 'Rubicon Heritage', 'Irish Archaeological Consultancy',
+      'Archer Heritage', 'Lotts Architecture', 'Howley Hayes', 'Molloy & Associates', 'Margaret Gowen'
+    ],
+    standards: /\bRMP\b|\bSMR\b|\bNIAH\b|Architectural Heritage Protection Guidelines|Framework and Principles for the Protection of the Archaeological Heritage/i,
+    measurements: /\b(?:RMP|SMR)\s*(?:No\.?\s*)?[A-Z]{2}\d{3}-\d{3}|\bRPS\s*(?:No\.?\s*)?\d+|\bNIAH\s*(?:Reg\.?\s*)?(?:No\.?\s*)?\d{8}/i,
+    titles: ['architectural heritage impact assessment', 'archaeological assessment', 'archaeological impact assessment', 'conservation report', 'written scheme of investigation'],
+    indicators: [
+      'Author/consultant name (heritage consultants: Courtney Deery, IAC Archaeology, Rubicon Heritage, etc.)',
+      'RMP/SMR monument numbers, RPS or NIAH references, historic mapping extracts',
+      'References to the Architectural Heritage Protection Guidelines or the National Monuments Acts'
+    ]
+  },
+
+  arboricultural: {
+    filenamePatterns: [
+      /arboric/i,
+      /tree.?survey/i,
+      /tree.?(?:report|constraints|protection|impact)/i,
+      /\baia\b|\bams\b|\btpp\b/i,  // Impact Assessment / Method Statement / Tree Protection Plan
+      /root.?protection/i,
+      /hedgerow/i
+    ],
+    negativePatterns: [
+      /landscape.*(?:plan|layout|details?)\b/i  // Landscape drawings
+    ],
+    keywords: [
+      'arboricultural impact assessment', 'arboricultural method statement', 'tree survey',
+      'tree constraints plan', 'tree protection plan', 'root protection area', 'tree protection fencing',
+      'category a', 'category b', 'category u', 'crown spread', 'stem diameter', 'veteran tree',
+      'tree preservation order', 'hedgerow'
+    ],
+    consultants: [
+      'Arborist Associates', 'CMK Horticulture', 'The Tree File', 'Charles McCorkell',
+      'Arbor Care', 'Independent Tree Surveys', 'Greenleaf'
+    ],
+    standards: /BS\s*5837|BS\s*3998|\bTPO\b/i,
+    measurements: /\bRPA\b.*\d+(?:\.\d+)?\s*m(?:2|²)?|\bDBH\b|stem diameter.*\d+\s*mm|\bcategory\s*[ABCU]\d?\b/i,
+    titles: ['arboricultural impact assessment', 'arboricultural method statement', 'tree survey report', 'tree constraints report'],
+    indicators: [
+      'Author/consultant name (arborists and tree consultants)',
+      'Tree schedules with tag numbers, species, stem diameter, BS 5837 retention categories, root protection areas',
+      'References to BS 5837:2012'
+    ]
+  },
+
+  waste: {
+    filenamePatterns: [
+      /waste/i,
+      /\bowmp\b|\brwmp\b|\bcdwmp\b/i,  // Operational / Resource / C&D Waste Management Plans
+      /refuse/i,
+      /recycling/i,
+      /bin.?store/i
+    ],
+    negativePatterns: [
+      /waste.*(?:layout|details?)\b/i
+    ],
+    keywords: [
+      'waste management plan', 'operational waste management', 'resource and waste management',
+      'construction and demolition waste', 'waste hierarchy', 'bin storage', 'refuse storage',
+      'waste collection', 'recycling', 'organic waste', 'mixed dry recyclables', 'waste arisings',
+      'waste contractor'
+    ],
+    consultants: [
+      'AWN', 'RPS', 'Enviroguide', 'Panther Environmental', 'Atkins', 'AECOM', 'TMS Environment'
+    ],
+    standards: /Waste Management Act|EPA\s+Best Practice Guidelines|Waste Action Plan for a Circular Economy|Circular Economy/i,
+    measurements: /\d+(?:\.\d+)?\s*(?:litres?|l)\s*(?:per|\/)\s*(?:week|unit|apartment)|\d+\s*(?:x\s*)?\d{3,4}\s*(?:l|litre)\s*bins?|\d+(?:\.\d+)?\s*tonnes?/i,
+    titles: ['operational waste management plan', 'resource and waste management plan', 'construction and demolition waste management plan'],
+    indicators: [
+      'Author/consultant name (environmental consultants: AWN, Enviroguide, RPS, etc.)',
+      'Waste generation estimates, bin storage and collection schedules, waste streams by type',
+      'References to EPA best practice guidelines, the Waste Management Act or regional waste plans'
+    ]
+  },
+
+  lighting: {
+    filenamePatterns: [
+      /lighting/i,
+      /\blux\b|illuminance/i,
+      /luminaire/i,
+      /light.?(?:spill|pollution|impact)/i,
+      /photometric/i
+    ],
+    negativePatterns: [
+      /lighting.*(?:layout|details?)\b/i
+    ],
+    keywords: [
+      'lighting assessment', 'lighting impact', 'lighting design', 'public lighting', 'external lighting',
+      'light spill', 'obtrusive light', 'light pollution', 'sky glow', 'illuminance', 'luminaire',
+      'lux level', 'uniformity', 'colour temperature', 'dark skies', 'bat-friendly lighting'
+    ],
+    consultants: [
+      'Sabre Electrical', 'Lightscape', 'Molony Millar', 'IN2', 'Semple McKillop', 'Metec', 'Arup', 'AECOM'
+    ],
+    standards: /BS\s*EN\s*13201|BS\s*5489|ILP\s*GN\s*?0?[18]|CIE\s*150|Guidance Note 0?8/i,
+    measurements: /\d+(?:\.\d+)?\s*lux\b|\bU0\b|\bEav\b|\d{4}\s*K\b|\d+(?:\.\d+)?\s*cd\b/i,
+    titles: ['lighting impact assessment', 'public lighting report', 'external lighting design report', 'obtrusive light assessment'],
+    indicators: [
+      'Author/consultant name (lighting designers and M&E engineers)',
+      'Photometric calculations, isolux contour plots, lux levels and uniformity tables, luminaire schedules',
+      'References to BS EN 13201, BS 5489, ILP guidance notes on obtrusive light and bats'
+    ]
+  },
+
+  contamination: {
+    filenamePatterns: [
+      /contaminat/i,
+      /ground.?investigation|\bgi\b.*report/i,
+      /site.?investigation/i,
+      /geo.?environmental/i,
+      /remediation/i,
+      /phase.?(?:1|i|one|2|ii|two)\b.*(?:desk|site|environmental|assessment)/i,
+      /desk.?study/i,
+      /\bgqra\b|\bdqra\b/i
+    ],
+    negativePatterns: [],
+    keywords: [
+      'ground investigation', 'site investigation', 'contaminated land', 'geoenvironmental',
+      'generic quantitative risk assessment', 'conceptual site model', 'source-pathway-receptor',
+      'remediation strategy', 'made ground', 'trial pit', 'borehole', 'groundwater monitoring',
+      'asbestos', 'hydrocarbons', 'heavy metals', 'ground gas', 'waste acceptance criteria'
+    ],
+    consultants: [
+      'Causeway Geotech', 'Ground Investigations Ireland', 'Site Investigations Ltd', 'IGSL',
+      'O\'Callaghan Moran', 'Fehily Timoney', 'AWN', 'RPS', 'Golder', 'WSP'
+    ],
+    standards: /CLR\s*11|LCRM|BS\s*10175|BS\s*5930|EPA\s+Guidance on the Management of Contaminated Land|Category 4 Screening Levels|\bGAC\b|\bWAC\b/i,
+    measurements: /\d+(?:\.\d+)?\s*mg\/kg|\d+(?:\.\d+)?\s*(?:µg|ug)\/l|\bTP\d{1,3}\b|\bBH\d{1,3}\b/i,
+    titles: ['ground investigation report', 'phase 1 environmental site assessment', 'generic quantitative risk assessment', 'remediation strategy'],
+    indicators: [
+      'Author/consultant name (geotechnical and environmental consultants: Causeway Geotech, IGSL, O\'Callaghan Moran, etc.)',
+      'Borehole and trial pit logs, laboratory results in mg/kg, conceptual site model diagrams',
+      'References to CLR 11, LCRM, BS 10175 or EPA contaminated land guidance'
+    ]
+  }
+};
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// A vocabulary term as a filename pattern; separators in a filename are any of - _ space
+function termPattern(term) {
+  const body = escapeRegExp(term).replace(/\s+/g, '.?');
+  return new RegExp(term.length <= SHORT_TERM ? `\\b${body}\\b` : body, 'i');
+}
+
+// For types without a hand-tuned profile: everything comes from the vocabulary
+function vocabularyProfile(reportType, label) {
+  return {
+    filenamePatterns: getFilenameTerms(reportType).map(termPattern),
+    negativePatterns: [],
+    // Loose short terms ("ta", "db") match almost any document's text
+    keywords: getDocumentTerms(reportType).filter(term => term.length > SHORT_TERM),
+    consultants: [],
+    standards: null,
+    measurements: null,
+    titles: [`${label.toLowerCase()} report`, `${label.toLowerCase()} assessment`],
+    indicators: [`${label} terminology, data tables and analysis throughout the document`]
+  };
+}
+
+/**
+ * The deliverable profile for a report type, in any spelling.
+ * @param {string} reportType
+ * @returns {Object|null} null for 'other' and for types not in the taxonomy
+ */
+function getDeliverableProfile(reportType) {
+  const key = normalizeReportType(reportType);
+  if (!key || key === 'other') return null;
+
+  const details = getReportTypes({ includeInactive: true }).find(type => type.key === key);
+  if (!details) return null;
+
+  const base = BUILT_IN_PROFILES[key] || vocabularyProfile(key, details.label);
+  return {
+    reportType: key,
+    label: details.label,
+    ...base,
+    negativePatterns: [...base.negativePatterns, ...COMMON_NEGATIVE_PATTERNS]
+  };
+}
+
+/** Report types a deliverable scan can run for: every active type with a profile. */
+function getDeliverableReportTypes() {
+  return getReportTypes().map(type => type.key).filter(key => key !== 'other');
+}
+
+module.exports = {
+  getDeliverableProfile,
+  getDeliverableReportTypes
+};
@@ -0,0 +1,361 @@
+/**
+ * Persistent, cross-process cache for detection results.
+ *
+ * fiDetectionService (fiResultCache) and docfilesService (docfilesCache) each held their
+ * results in a process-local Map capped by insertion order. Three things were wrong with
+ * that:
+ *
+ *   1. PM2 restarts emptied it, so a scan resumed from its checkpoint after a crash paid
+ *      the model again for every document it had already judged.
+ *   2. The two cluster forks and worker.js each had their own copy.
+ *   3. Nothing expired it when a prompt or the reportTypes vocabulary changed, so a
+ *      long-lived process kept serving verdicts from the old detector.
+ *
+ * DETECTION_CACHE_BACKEND picks the store:
+ *
+ *   memory  (default) process-local Maps, one per namespace - the previous behaviour,
+ *           with stats
+ *   mongo   detection_cache collection (models/DetectionCacheEntry.js)
+ *   redis   the Redis already used by Bull (REDIS_URL / REDIS_HOST)
+ *
+ * Mongo is the better shared choice on the Upstash plan, whose request budget Bull
+ * already strains. Entries expire after DETECTION_CACHE_TTL_HOURS (default 168).
+ *
+ * Every entry carries the detector version it was computed under. A lookup that finds
+ * an entry from another version counts it as `stale` and treats it as a miss;
+ * invalidate() deletes them outright.
+ *
+ * The cache never fails detection. A backend error, or Mongo not being connected (as in
+ * the standalone scripts), is logged and treated as a miss.
+ */
+
+const mongoose = require('mongoose');
+const logger = require('../utils/logger');
+
+const DEFAULT_TTL_HOURS = 168;
+const DEFAULT_MAX_MEMORY_ENTRIES = 1000;
+const REDIS_PREFIX = 'fi:detection-cache:';
+const BACKENDS = ['memory', 'mongo', 'redis'];
+
+/**
+ * Process-local store. Each namespace is capped at maxEntries on its own and evicts its
+ * oldest insertion once full, as the old Maps did. One shared cap let the per-step
+ * entries (several per document) push the scan's document verdicts out, so a resumed
+ * scan re-judged documents it had already settled.
+ */
+class MemoryCacheBackend {
+  constructor({ maxEntries = DEFAULT_MAX_MEMORY_ENTRIES } = {}) {
+    this.name = 'memory';
+    this.maxEntries = maxEntries;
+    // namespace -> Map(cacheKey -> record)
+    this.partitions = new Map();
+    this.evictions = 0;
+    this.evictionsByNamespace = new Map();
+  }
+
+  /** Cache keys are `${namespace}:${key}` (DetectionCache.cacheKey). */
+  partition(cacheKey, create = false) {
+    const namespace = cacheKey.slice(0, cacheKey.indexOf(':'));
+    let entries = this.partitions.get(namespace);
+    if (!entries && create) {
+      entries = new Map();
+      this.partitions.set(namespace, entries);
+    }
+    return { namespace, entries };
+  }
+
+  async get(cacheKey) {
+    const { entries } = this.partition(cacheKey);
+    return (entries && entries.get(cacheKey)) || null;
+  }
+
+  async set(cacheKey, record) {
+    const { namespace, entries } = this.partition(cacheKey, true);
+    if (!entries.has(cacheKey) && entries.size >= this.maxEntries) {
+      entries.delete(entries.keys().next().value);
+      this.evictions++;
+      this.evictionsByNamespace.set(namespace, (this.evictionsByNamespace.get(namespace) || 0) + 1);
+    }
+    entries.set(cacheKey, record);
+  }
+
+  async delete(cacheKey) {
+    const { entries } = this.partition(cacheKey);
+    if (entries) entries.delete(cacheKey);
+  }
+
+  async deleteWhere(namespace, keep) {
+    const entries = this.partitions.get(namespace);
+    if (!entries) return 0;
+    let removed = 0;
+    for (const [cacheKey, record] of entries) {
+      if (!keep(record)) {
+        entries.delete(cacheKey);
+        removed++;
+      }
+    }
+    return removed;
+  }
+
+  async size(namespace) {
+    const entries = this.partitions.get(namespace);
+    return entries ? entries.size : 0;
+  }
+}
+
+/** Shared store in the detection_cache collection. */
+class MongoCacheBackend {
+  constructor() {
+    this.name = 'mongo';
+    this.evictions = 0;
+    // Required lazily so the memory backend never registers the model.
+    this.Model = require('../models/DetectionCacheEntry');
+  }
+
+  get available() {
+    return mongoose.connection && mongoose.connection.readyState === 1;
+  }
+
+  async get(cacheKey) {
+    if (!this.available) return null;
+    const doc = await this.Model.findOneAndUpdate(
+      { cacheKey },
+      { $inc: { hits: 1 } },
+      { projection: { namespace: 1, version: 1, value: 1, expiresAt: 1 } }
+    ).lean();
+    return doc ? { namespace: doc.namespace, version: doc.version, value: doc.value, expiresAt: doc.expiresAt } : null;
+  }
+
+  async set(cacheKey, record) {
+    if (!this.available) return;
+    await this.Model.updateOne(
+      { cacheKey },
+      { $set: { ...record, hits: 0 } },
+      { upsert: true }
+    );
+  }
+
+  async delete(cacheKey) {
+    if (!this.available) return;
+    await this.Model.deleteOne({ cacheKey });
+  }
+
+  async deleteWhere(namespace, keep, versionToKeep) {
+    if (!this.available) return 0;
+    const filter = versionToKeep === undefined
+      ? { namespace }
+      : { namespace, version: { $ne: versionToKeep } };
+    const result = await this.Model.deleteMany(filter);
+    return result.deletedCount || 0;
+  }
+
+  async size(namespace) {
+    if (!this.available) return null;
+    return this.Model.countDocuments({ namespace });
+  }
+}
+
+/** Shared store in Redis. Expiry is native (PX), so expired entries never come back. */
+class RedisCacheBackend {
+  constructor() {
+    this.name = 'redis';
+    this.evictions = 0;
+    const Redis = require('ioredis');
+    const { getRedisConfig } = require('./scanJobQueue');
+    // No offline queue: when Redis is down a lookup should fail fast and count as a
+    // miss, not wait for a reconnect while a document sits in the scan loop.
+    this.client = new Redis(getRedisConfig(), {
+      lazyConnect: true,
+      enableOfflineQueue: false,
+      maxRetriesPerRequest: 1
+    });
+    this.client.on('error', (err) => logger.warn('cache: redis error', { err: err.message }));
+    this.connecting = null;
+  }
+
+  async ready() {
+    if (this.client.status === 'ready') return;
+    if (!this.connecting) {
+      this.connecting = this.client.connect().finally(() => { this.connecting = null; });
+    }
+    await this.connecting;
+  }
+
+  async get(cacheKey) {
+    await this.ready();
+    const raw = await this.client.get(REDIS_PREFIX + cacheKey);
+    return raw ? JSON.parse(raw) : null;
+  }
+
+  async set(cacheKey, record) {
+    await this.ready();
+    const ttlMs = Math.max(1, new Date(record.expiresAt).getTime() - Date.now());
+    await this.client.set(REDIS_PREFIX + cacheKey, JSON.stringify(record), 'PX', ttlMs);
+  }
+
+  async delete(cacheKey) {
+    await this.ready();
+    await this.client.del(REDIS_PREFIX + cacheKey);
+  }
+
+  async deleteWhere(namespace, keep) {
+    await this.ready();
+    let removed = 0;
+    let cursor = '0';
+    do {
+      const [next, keys] = await this.client.scan(cursor, 'MATCH', `${REDIS_PREFIX}${namespace}:*`, 'COUNT', 500);
+      cursor = next;
+      for (const key of keys) {
+        const raw = await this.client.get(key);
+        if (raw && !keep(JSON.parse(raw))) {
+          await this.client.del(key);
+          removed++;
+        }
+      }
+    } while (cursor !== '0');
+    return removed;
+  }
+
+  async size() {
+    // Counting would mean a full SCAN; not worth it for a stats endpoint.
+    return null;
+  }
+}
+
+let sharedBackend = null;
+
+function resolveBackendName(env = process.env) {
+  const name = String(env.DETECTION_CACHE_BACKEND || 'memory').toLowerCase().trim();
+  if (!BACKENDS.includes(name)) {
+    throw new Error(`Unknown DETECTION_CACHE_BACKEND "${env.DETECTION_CACHE_BACKEND}". Expected one of: ${BACKENDS.join(', ')}`);
+  }
+  return name;
+}
+
+/** One backend per process, shared by every namespace so Redis opens one connection. */
+function getSharedBackend(env = process.env) {
+  if (!sharedBackend) {
+    const name = resolveBackendName(env);
+    sharedBackend = name === 'mongo'
+      ? new MongoCacheBackend()
+      : name === 'redis'
+        ? new RedisCacheBackend()
+        : new MemoryCacheBackend();
+  }
+  return sharedBackend;
+}
+
+class DetectionCache {
+  /**
+   * @param {object}   opts
+   * @param {string}   opts.namespace   separates the caches sharing one backend
+   * @param {string|Function} opts.version  detector version; a function is re-read on
+   *                                        every call so a hot prompt change takes effect
+   * @param {object}   [opts.backend]   defaults to the process-wide backend
+   * @param {number}   [opts.ttlMs]
+   */
+  constructor({ namespace, version, backend, ttlMs } = {}) {
+    if (!namespace) throw new Error('DetectionCache requires a namespace');
+    this.namespace = namespace;
+    this.versionSource = version || 'unversioned';
+    this.backend = backend || getSharedBackend();
+    this.ttlMs = ttlMs || parseFloat(process.env.DETECTION_CACHE_TTL_HOURS || DEFAULT_TTL_HOURS) * 3600 * 1000;
+    this.resetStats();
+  }
+
+  get version() {
+    return typeof this.versionSource === 'function' ? this.versionSource() : this.versionSource;
+  }
+
+  resetStats() {
+    this.stats = { hits: 0, misses: 0, saves: 0, stale: 0, expired: 0, invalidated: 0, errors: 0 };
+  }
+
+  cacheKey(key) {
+    return `${this.namespace}:${key}`;
+  }
+
+  /** The cached value, or null on a miss, a stale version, an expired entry or an error. */
+  async get(key) {
+    try {
+      const record = await this.backend.get(this.cacheKey(key));
+      if (!record) {
+        this.stats.misses++;
+        return null;
+      }
+      if (new Date(record.expiresAt).getTime() <= Date.now()) {
+        this.stats.expired++;
+        this.stats.misses++;
+        await this.backend.delete(this.cacheKey(key));
+        return null;
+      }
+      if (record.version !== this.version) {
+        this.stats.stale++;
+        this.stats.misses++;
+        return null;
+      }
+      this.stats.hits++;
+      return record.value;
+    } catch (error) {
+      this.stats.errors++;
+      this.stats.misses++;
+      logger.warn('cache: lookup failed, treating as miss', { ns: this.namespace, backend: this.backend.name, err: error.message });
+      return null;
+    }
+  }
+
+  async set(key, value) {
+    try {
+      await this.backend.set(this.cacheKey(key), {
+        namespace: this.namespace,
+        version: this.version,
+        value,
+        expiresAt: new Date(Date.now() + this.ttlMs)
+      });
+      this.stats.saves++;
+    } catch (error) {
+      this.stats.errors++;
+      logger.warn('cache: write failed', { ns: this.namespace, backend: this.backend.name, err: error.message });
+    }
+  }
+
+  /**
+   * Drop entries computed under any version other than the current one, or every entry
+   * in the namespace with `{ all: true }`.
+   * @returns {Promise<number>} entries removed (memory and Mongo; Redis counts scanned deletes)
+   */
+  async invalidate({ all = false } = {}) {
+    const current = this.version;
+    const removed = all
+      ? await this.backend.deleteWhere(this.namespace, () => false)
+      : await this.backend.deleteWhere(this.namespace, record => record.version === current, current);
+    this.stats.invalidated += removed;
+    logger.info('cache: invalidated', { ns: this.namespace, backend: this.backend.name, removed, all });
+    return removed;
+  }
+
+  async getStats() {
+    const total = this.stats.hits + this.stats.misses;
+    return {
+      ...this.stats,
+      namespace: this.namespace,
+      backend: this.backend.name,
+      version: this.version,
+      evictions: this.backend.evictionsByNamespace
+        ? this.backend.evictionsByNamespace.get(this.namespace) || 0
+        : this.backend.evictions,
+      size: await this.backend.size(this.namespace).catch(() => null),
+      hitRate: total > 0 ? (this.stats.hits / total * 100) : 0
+    };
+  }
+}
+
+module.exports = {
+  DetectionCache,
+  MemoryCacheBackend,
+  MongoCacheBackend,
+  RedisCacheBackend,
+  getSharedBackend,
+  resolveBackendName,
+  BACKENDS
+};
@@ -0,0 +1,185 @@
+/**
+ * Record-and-replay for the model calls made by fiDetectionService.
+ *
+ * Every change to HARD_RESPONSE_MARKERS, CONTEXTUAL_RESPONSE_MARKERS or the evidence
+ * validators used to be checked by re-running scripts/test-fi-detection.js against the
+ * live API, which costs money, needs a key, and is not repeatable - the model answers a
+ * borderline document differently from one run to the next. With recordings the
+ * deterministic gates can be changed and the same night's documents pushed through them
+ * again, with every model decision held fixed.
+ *
+ * DETECTION_RECORD_MODE selects the behaviour:
+ *
+ *   off     (default) calls go straight to the provider
+ *   record  calls go to the provider and each answer is appended to the recordings dir
+ *   replay  calls are answered from the recordings dir; nothing reaches the provider
+ *
+ * Recordings are keyed by step (detect_fi_request, match_fi_request, extract_fi_request,
+ * cheap_fi_filter, ...), the SHA-256 of the full document text and the target report
+ * type. They are deliberately NOT keyed by prompt: the point of replay is to hold the
+ * model's answer fixed while the code around it changes. A replay whose system prompt
+ * differs from the recorded one still answers, but is counted in `stats.promptDrift` so
+ * a run can say how much of it rests on answers to an older prompt.
+ *
+ * Files are JSON lines, one per day, under DETECTION_RECORDINGS_DIR (default
+ * .detection_recordings in the working directory, alongside .ocr_cache). Appends are
+ * single writes, so the two cluster forks and worker.js can record into the same
+ * directory.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const logger = require('../utils/logger');
+
+const MODES = ['off', 'record', 'replay'];
+
+/** A replay was asked for a decision that was never recorded. */
+class ReplayMissError extends Error {
+  constructor(message, key) {
+    super(message);
+    this.name = 'ReplayMissError';
+    this.key = key;
+  }
+}
+
+const sha256 = (value) => crypto.createHash('sha256').update(String(value)).digest('hex');
+
+/** Content hash of a document's extracted text - the identity recordings are keyed on. */
+function documentHash(text) {
+  return sha256(text || '');
+}
+
+function resolveMode(env = process.env) {
+  const mode = String(env.DETECTION_RECORD_MODE || 'off').toLowerCase().trim();
+  if (!MODES.includes(mode)) {
+    throw new Error(`Unknown DETECTION_RECORD_MODE "${env.DETECTION_RECORD_MODE}". Expected one of: ${MODES.join(', ')}`);
+  }
+  return mode;
+}
+
+function resolveDir(env = process.env) {
+  return env.DETECTION_RECORDINGS_DIR || path.join(process.cwd(), '.detection_recordings');
+}
+
+class DetectionRecorder {
+  /**
+   * @param {object} [opts]
+   * @param {string} [opts.mode] off | record | replay
+   * @param {string} [opts.dir]  recordings directory
+   */
+  constructor({ mode = 'off', dir } = {}) {
+    if (!MODES.includes(mode)) throw new Error(`Unknown detection record mode "${mode}"`);
+    this.mode = mode;
+    this.dir = dir || resolveDir({});
+    this.entries = null;
+    this.stats = { recorded: 0, replayed: 0, misses: 0, promptDrift: 0 };
+  }
+
+  get enabled() {
+    return this.mode !== 'off';
+  }
+
+  recordingKey({ step, documentHash: docHash, targetReportType }) {
+    return `${step}|${docHash}|${targetReportType || ''}`;
+  }
+
+  /** Read every recording in the directory. Later lines win for a repeated key. */
+  load() {
+    if (this.entries) return this.entries;
+    this.entries = new Map();
+
+    if (!fs.existsSync(this.dir)) return this.entries;
+
+    const files = fs.readdirSync(this.dir).filter(name => name.endsWith('.jsonl')).sort();
+    for (const file of files) {
+      const lines = fs.readFileSync(path.join(this.dir, file), 'utf8').split('\n');
+      for (const line of lines) {
+        if (!line.trim()) continue;
+        try {
+          const entry = JSON.parse(line);
+          this.entries.set(entry.key, entry);
+        } catch (error) {
+          // A torn line from a killed process must not make the whole night unreplayable.
+          logger.warn('replay: skipping unreadable recording line', { file, err: error.message });
+        }
+      }
+    }
+
+    logger.info('replay: recordings loaded', { dir: this.dir, files: files.length, entries: this.entries.size });
+    return this.entries;
+  }
+
+  append(entry) {
+    fs.mkdirSync(this.dir, { recursive: true });
+    const file = path.join(this.dir, `detections-${new Date().toISOString().slice(0, 10)}.jsonl`);
+    fs.appendFileSync(file, JSON.stringify(entry) + '\n');
+    if (this.entries) this.entries.set(entry.key, entry);
+  }
+
+  /**
+   * Run one model call through the recorder.
+   *
+   * @param {object}   call
+   * @param {string}   call.step             function name, or a label for raw completions
+   * @param {string}   call.documentText     full document text the decision is about
+   * @param {string}   [call.targetReportType]
+   * @param {object[]} call.messages         messages sent, for the prompt record
+   * @param {string}   call.model
+   * @param {Function} invoke                performs the live call, resolves to the arguments
+   * @returns {Promise<object>} the function-call arguments (live or replayed)
+   * @throws {ReplayMissError} in replay mode when nothing was recorded for this call
+   */
+  async intercept({ step, documentText, targetReportType, messages = [], model }, invoke) {
+    if (this.mode === 'off') return invoke();
+
+    const docHash = documentHash(documentText);
+    const key = this.recordingKey({ step, documentHash: docHash, targetReportType });
+    const systemPrompt = messages.find(m => m.role === 'system')?.content || '';
+
+    if (this.mode === 'replay') {
+      const entry = this.load().get(key);
+      if (!entry) {
+        this.stats.misses++;
+        throw new ReplayMissError(`No recording for ${step} on document ${docHash.slice(0, 12)}`, key);
+      }
+      this.stats.replayed++;
+      if (entry.systemPromptHash !== sha256(systemPrompt)) this.stats.promptDrift++;
+      return entry.arguments;
+    }
+
+    const args = await invoke();
+    const userContent = String(messages.filter(m => m.role === 'user').pop()?.content || '');
+    this.append({
+      key,
+      step,
+      documentHash: docHash,
+      targetReportType: targetReportType || null,
+      model,
+      systemPromptHash: sha256(systemPrompt),
+      prompt: {
+        system: systemPrompt,
+        // The document itself is identified by its hash; keep only the lead-in that
+        // varies per call, such as "Target report type: acoustic".
+        user: userContent.slice(0, 300)
+      },
+      arguments: args,
+      recordedAt: new Date().toISOString()
+    });
+    this.stats.recorded++;
+    return args;
+  }
+}
+
+/** Recorder configured from the environment. */
+function createDetectionRecorder(env = process.env) {
+  return new DetectionRecorder({ mode: resolveMode(env), dir: resolveDir(env) });
+}
+
+module.exports = {
+  DetectionRecorder,
+  ReplayMissError,
+  createDetectionRecorder,
+  documentHash,
+  MODES
+};
@@ -0,0 +1,123 @@
+/**
+ * Detector version registry.
+ *
+ * A match is the product of the system prompts in fiDetectionService, the marker lists
+ * that gate them, and the VOCABULARY in reportTypes.js. All three change regularly, and
+ * nothing recorded which combination produced a given match - so when precision moved
+ * there was no way to tell whether a week's matches came from before or after an edit.
+ *
+ * Each module registers the material that shapes its verdicts as a named component.
+ * The detector version is a short content hash over the component hashes, so it
+ * changes exactly when one of them does and is identical across processes running the
+ * same code. It is stamped onto ScanJobDailyResult matches, FIReport.projectsFound and
+ * ProjectReportVeto; the per-component hashes are kept in the detector_versions
+ * collection so two versions can be compared component by component.
+ *
+ * Components register lazily (a function, not a value) because the material lives in
+ * getters on the service singletons. The registering modules are loaded before the
+ * first hash is taken, so a process that has only required one of them - a script, the
+ * worker - still computes the same version as the API.
+ */
+
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const logger = require('../utils/logger');
+
+const components = new Map();
+let manifest = null;
+const recordedVersions = new Set();
+
+// Modules that register components. Required on first use, not at load, because each
+// of them requires this module.
+const REGISTERING_MODULES = ['./reportTypes', './fiDetectionService', './docfilesService', './documentClassifier'];
+
+// RegExp serialises to {} by default, which would make every pattern list hash alike.
+function serialise(material) {
+  return JSON.stringify(material, (key, value) => (value instanceof RegExp ? String(value) : value));
+}
+
+function hashMaterial(material) {
+  return crypto.createHash('sha256').update(serialise(material)).digest('hex').slice(0, 12);
+}
+
+/**
+ * Register (or replace) the material for one component.
+ * @param {string}   name         e.g. 'fi-prompts', 'vocabulary'
+ * @param {Function} getMaterial  returns anything JSON-serialisable
+ */
+function registerDetectorComponent(name, getMaterial) {
+  components.set(name, getMaterial);
+  manifest = null;
+}
+
+/** { version, components: { name: hash } }, computed once per registration change. */
+function getVersionManifest() {
+  if (!manifest) {
+    REGISTERING_MODULES.forEach(modulePath => require(modulePath));
+    const hashes = {};
+    for (const name of [...components.keys()].sort()) {
+      hashes[name] = hashMaterial(components.get(name)());
+    }
+    manifest = { version: hashMaterial(hashes), components: hashes };
+  }
+  return manifest;
+}
+
+function getDetectorVersion() {
+  return getVersionManifest().version;
+}
+
+function getComponentVersion(name) {
+  return getVersionManifest().components[name] || null;
+}
+
+/**
+ * Which components differ between two manifests.
+ * @returns {{ changed: string[], added: string[], removed: string[] }} relative to `from`
+ */
+function diffManifests(from = {}, to = {}) {
+  const a = from.components || {};
+  const b = to.components || {};
+  return {
+    changed: Object.keys(b).filter(name => name in a && a[name] !== b[name]).sort(),
+    added: Object.keys(b).filter(name => !(name in a)).sort(),
+    removed: Object.keys(a).filter(name => !(name in b)).sort()
+  };
+}
+
+/**
+ * Persist the current manifest so later comparisons can name what changed. Once per
+ * version per process; a no-op without a Mongo connection (standalone scripts).
+ */
+async function recordDetectorVersion() {
+  const current = getVersionManifest();
+  if (recordedVersions.has(current.version)) return current;
+  if (!mongoose.connection || mongoose.connection.readyState !== 1) return current;
+
+  try {
+    const DetectorVersion = require('../models/DetectorVersion');
+    await DetectorVersion.updateOne(
+      { version: current.version },
+      {
+        $setOnInsert: { components: current.components, firstSeenAt: new Date() },
+        $set: { lastSeenAt: new Date() }
+      },
+      { upsert: true }
+    );
+    recordedVersions.add(current.version);
+    logger.info('detector: version recorded', { version: current.version });
+  } catch (error) {
+    logger.warn('detector: recording version failed', { version: current.version, err: error.message });
+  }
+  return current;
+}
+
+module.exports = {
+  registerDetectorComponent,
+  getDetectorVersion,
+  getComponentVersion,
+  getVersionManifest,
+  diffManifests,
+  recordDetectorVersion,
+  hashMaterial
+};
@@ -1,4 +1,3 @@
-const { OpenAI } = require('openai');
 const crypto = require('crypto');
 require('dotenv').config(); // Load environment variables
 
@@ -6,30 +5,43 @@ const logger = require('../utils/logger');
 
 const { getQuoteTerms } = require('./reportTypes');
 const { runFunctionChat } = require('./openaiChat');
+const { createChatClient, getModel } = require('./llmProvider');
+const { DetectionCache } = require('./detectionCache');
+const { documentHash } = require('./detectionRecorder');
+const { registerDetectorComponent, getDetectorVersion } = require('./detectorVersion');
 
 class DocfilesService {
   constructor() {
-    this.client = new OpenAI({
-      apiKey: process.env.OPENAI_API_KEY,
-      timeout: 60000,
-      maxRetries: 0
-    });
-
     this.config = {
-      model: process.env.OPENAI_MODEL || "gpt-4o-mini",
+      model: getModel(),
       temperature: 0.0,
       topP: 0.0,
       maxRetries: 3,
       maxMsgChars: 120000 // Allow larger context for consolidated files
     };
 
-    // Cache for docfiles analysis
-    this.docfilesCache = new Map();
-    this.cacheStats = {
-      hits: 0,
-      misses: 0,
-      saves: 0
-    };
+    // Cache for docfiles analysis (DETECTION_CACHE_BACKEND)
+    this.docfilesCache = new DetectionCache({ namespace: 'docfiles', version: getDetectorVersion });
+
+    registerDetectorComponent('docfiles-prompt', () => ({
+      prompt: this.SYSTEM_DOCFILES_FI_ANALYSIS,
+      function: this.DOCFILES_ANALYSIS_FUNCTION
+    }));
+  }
+
+  /**
+   * Chat client for the configured LLM provider, built on first use. SDK retries stay
+   * off here; runFunctionChat owns the retry loop.
+   */
+  get client() {
+    if (!this._client) {
+      this._client = createChatClient({ timeout: 60000, maxRetries: 0 });
+    }
+    return this._client;
+  }
+
+  set client(client) {
+    this._client = client;
   }
 
   /**
@@ -156,7 +168,7 @@ Return detailed analysis with specific quotes showing the REQUEST for each repor
     try {
       // CACHE CHECK
       const cacheKey = this.generateCacheKey(docfilesContent, targetReportTypes, projectId);
-      const cachedResult = this.getCachedResult(cacheKey);
+      const cachedResult = await this.getCachedResult(cacheKey);
       if (cachedResult) {
         return cachedResult;
       }
@@ -181,7 +193,7 @@ Return detailed analysis with specific quotes showing the REQUEST for each repor
           summary: 'No Further Information request indicators found in consolidated document',
           detectionMethod: 'quick_filter_reject'
         };
-        this.setCachedResult(cacheKey, result);
+        await this.setCachedResult(cacheKey, result);
         return result;
       }
 
@@ -233,7 +245,7 @@ Return detailed analysis with specific quotes showing the REQUEST for each repor
         result.hasFIRequests = validatedDetails.length > 0;
       }
 
-      this.setCachedResult(cacheKey, result);
+      await this.setCachedResult(cacheKey, result);
 
       // ACCOUNTABILITY LOGGING: Log exact matching phrases (only validated ones)
       if (result.hasFIRequests && result.fiDetails && result.fiDetails.length > 0) {
@@ -292,60 +304,52 @@ Return detailed analysis with specific quotes showing the REQUEST for each repor
   }
 
   /**
-   * Generate cache key
+   * Generate cache key. Hashes the whole docfiles.txt: it grows as documents are added,
+   * and the first 1000 characters rarely change when it does.
    */
   generateCacheKey(content, reportTypes, projectId) {
-    const keyContent = `${projectId}|${reportTypes.join(',')}|${content.substring(0, 1000)}`;
+    const keyContent = `${projectId}|${reportTypes.join(',')}|${this.config.model}|${documentHash(content)}`;
     return crypto.createHash('sha256').update(keyContent).digest('hex');
   }
 
   /**
    * Get cached result
    */
-  getCachedResult(cacheKey) {
-    if (this.docfilesCache.has(cacheKey)) {
-      this.cacheStats.hits++;
-      const cachedResult = this.docfilesCache.get(cacheKey);
-      return { ...cachedResult, detectionMethod: `${cachedResult.detectionMethod}_cached` };
-    }
-    this.cacheStats.misses++;
-    return null;
+  async getCachedResult(cacheKey) {
+    const cachedResult = await this.docfilesCache.get(cacheKey);
+    if (!cachedResult) return null;
+    return { ...cachedResult, detectionMethod: `${cachedResult.detectionMethod}_cached` };
   }
 
   /**
    * Cache result
    */
-  setCachedResult(cacheKey, result) {
-    // Limit cache size
-    if (this.docfilesCache.size >= 100) {
-      const firstKey = this.docfilesCache.keys().next().value;
-      this.docfilesCache.delete(firstKey);
-    }
-
-    this.docfilesCache.set(cacheKey, result);
-    this.cacheStats.saves++;
+  async setCachedResult(cacheKey, result) {
+    await this.docfilesCache.set(cacheKey, result);
   }
 
   /**
    * Get cache statistics
    */
-  getCacheStats() {
-    const totalRequests = this.cacheStats.hits + this.cacheStats.misses;
-    return {
-      ...this.cacheStats,
-      size: this.docfilesCache.size,
-      hitRate: totalRequests > 0 ? (this.cacheStats.hits / totalRequests * 100) : 0
-    };
+  async getCacheStats() {
+    return this.docfilesCache.getStats();
   }
 
   /**
    * Clear cache
    */
-  clearCache() {
-    this.docfilesCache.clear();
-    this.cacheStats = { hits: 0, misses: 0, saves: 0 };
+  async clearCache() {
+    await this.docfilesCache.invalidate({ all: true });
+    this.docfilesCache.resetStats();
     logger.info('Docfiles cache cleared');
   }
+
+  /**
+   * Delete cached analyses from any other detector version
+   */
+  async invalidateStaleCache() {
+    return this.docfilesCache.invalidate();
+  }
 }
 
 module.exports = new DocfilesService();
\ No newline at end of file
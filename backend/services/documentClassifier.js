@@ -0,0 +1,244 @@
+/**
+ * Document-type classifier: what kind of planning document a file is, before any AI
+ * call is spent on it.
+ *
+ * A planning folder holds far more than FI letters - drawing sheets, application forms,
+ * consultee replies, decision notices, consultant reports, covering correspondence - and
+ * until now the only triage ahead of the AI was filename regexes
+ * (fiDetectionService.shouldRejectByFilename, calculateFILikelihoodScore) and the
+ * acoustic-only vision check. Every drawing sheet in a folder cost the cheap AI filter
+ * to learn that it was a drawing.
+ *
+ * classifyDocument() scores each class from three kinds of evidence:
+ *
+ *   filename   words and drawing-number patterns in the file name
+ *   layout     the first page's size and how much text it holds (pdf extractor's
+ *              diagnostics.layout) - drawing sheets are A3 and up, with scattered labels
+ *   text       phrases on the first page and the opening of the document
+ *
+ * Each matching rule adds its weight to its class; the label is the best-scoring class
+ * and its confidence is best / (best + runner-up + 1), so one strong signal with nothing
+ * against it reaches ~0.75 and competing signals pull it down. No rule firing is
+ * 'unknown'. Without an extraction only the filename rules can fire (basis 'filename').
+ *
+ * scanJobProcessor classifies every document it extracts and acts on two labels at
+ * CLASSIFIER_MIN_CONFIDENCE (default 0.75): drawings skip the AI layers, and decision
+ * notices veto the project for the scanned report types - a decided application is past
+ * FI. A name alone never skips the download: a letter called "...site layout..." would
+ * be lost without a trace. A veto is permanent, so it also needs the notice's own words
+ * in the body (isDecidedApplication): "Refuse Storage Details.pdf" is a drawing of the
+ * bin store, not a refusal. Other labels are recorded only. Every label is kept in
+ * document_classifications (models/DocumentClassification.js) and in the document trace.
+ *
+ * The rules are a detector component (services/detectorVersion.js): editing them
+ * changes the detector version, as a prompt edit does.
+ */
+
+const DocumentClassification = require('../models/DocumentClassification');
+const logger = require('../utils/logger');
+const { registerDetectorComponent } = require('./detectorVersion');
+
+const DOCUMENT_CLASSES = [
+  'fi-request-letter',
+  'consultee-report',
+  'decision-notice',
+  'drawing',
+  'consultant-report',
+  'application-form',
+  'correspondence'
+];
+
+// Bump when the features or their scoring change shape (rule edits are caught by the
+// detector version).
+const CLASSIFIER_VERSION = 1;
+
+// Text rules read the first page plus this much of the document
+const TEXT_WINDOW = 6000;
+
+// A3 is 842 x 1191pt: a first page this long on either side is a sheet, not a letter
+const SHEET_MIN_SIDE = 1100;
+
+const TITLE_BLOCK_TERMS = [
+  /\bscale\s*(?:@\s*a\d\s*)?:?\s*1\s*:\s*\d+/,
+  /\bdrawing (?:no|number|title)\b/,
+  /\bdwg\.? ?no\b/,
+  /\bdrawn(?: by)?\b/,
+  /\bchecked(?: by)?\b/,
+  /\brev(?:ision)?\b/,
+  /do not scale/,
+  /\bnorth\b/,
+  /\b(?:proposed|existing) (?:elevation|floor|site|ground|first)/
+];
+
+const REPORT_STRUCTURE = [
+  /table of contents/,
+  /executive summary/,
+  /\d+\.\d+\s+(?:introduction|background|methodology)/,
+  /this report (?:was|has been) prepared by/,
+  /prepared on behalf of/
+];
+
+/**
+ * Rules: { cls, weight, on: 'filename'|'layout'|'text', test(features) | pattern }.
+ * Filename patterns run against the lower-cased name with separators turned to spaces.
+ */
+const RULES = [
+  // Drawings
+  { cls: 'drawing', on: 'filename', weight: 3, pattern: /\b(?:dwg|drg|drawings?|elevations?|floor ?plans?|site ?(?:layout|plan)|block ?plan|location ?(?:map|plan)|site ?location|(?:cross|site|typical|proposed|existing) ?sections?|roof ?plan|landscape ?plan)\b/ },
+  { cls: 'drawing', on: 'filename', weight: 1.5, pattern: /\b[a-z]{1,4} ?\d{2,4} ?(?:rev|r) ?[a-z0-9]{1,2}\b|\b\d{3,5} ?(?:pl|p|dr|gp) ?\d{2,4}\b/ },
+  { cls: 'drawing', on: 'layout', weight: 2, test: ({ layout }) => layout && Math.max(layout.width, layout.height) >= SHEET_MIN_SIDE },
+  { cls: 'drawing', on: 'layout', weight: 1, test: ({ layout, firstPage }) => layout && layout.textItems > 15 && layout.avgItemChars < 12 && firstPage.length < 1500 },
+  { cls: 'drawing', on: 'text', weight: 2, test: ({ firstPage }) => countMatches(firstPage, TITLE_BLOCK_TERMS) >= 3 },
+
+  // FI request letters
+  { cls: 'fi-request-letter', on: 'filename', weight: 2, pattern: /\b(?:further ?info(?:rmation)?|rfi|fi ?(?:request|letter|req)|request ?for ?(?:further|additional) ?info(?:rmation)?)\b/ },
+  { cls: 'fi-request-letter', on: 'text', weight: 3, pattern: /request for further information|further information (?:is|are) (?:hereby )?requested|you are (?:hereby )?requested to submit|the planning authority (?:requires|has decided to request)|article 33|section 34\(?\d*\)?|clarification of further information/ },
+
+  // Decision notices
+  { cls: 'decision-notice', on: 'filename', weight: 3, pattern: /\b(?:final ?grant|decision ?(?:notice|notification|order)|notification ?of ?decision|grant ?(?:of ?)?permission|(?:notice ?of ?)?refusal ?(?:of ?)?permission|decision to (?:grant|refuse))\b/ },
+  { cls: 'decision-notice', on: 'text', weight: 3, pattern: /notification of (?:a )?decision to (?:grant|refuse)|notification of (?:the )?final grant|(?:permission|approval) (?:is|has been) (?:hereby )?(?:granted|refused)|decided to (?:grant|refuse) (?:permission|planning)|subject to the (?:following )?conditions? (?:and reasons )?set out/ },
+
+  // Consultee reports (internal and external bodies reporting to the planner)
+  { cls: 'consultee-report', on: 'filename', weight: 2.5, pattern: /\b(?:consultee|inter ?departmental|internal ?report|observations?|(?:environmental ?health|roads?|transportation|drainage|water ?services|heritage|conservation|fire|area ?engineer|parks|tii|npws|dau|uisce ?eireann|irish ?water|hse)(?: ?(?:report|section|dept|department|submission|observations?|response))?)\b/ },
+  { cls: 'consultee-report', on: 'text', weight: 2, pattern: /\bto:? (?:the )?(?:senior |executive )?planner\b|internal memo(?:randum)?|\bplanning (?:section|department) report\b|(?:i|we) have no objection|recommend(?:s|ed)? that further information be (?:requested|sought)|report of the (?:environmental health|roads|drainage|heritage) (?:officer|section)/ },
+
+  // Consultant reports
+  { cls: 'consultant-report', on: 'filename', weight: 1.5, pattern: /\b(?:report|assessment|survey|statement|study|appendix|appendices|nia|eiar|eis|aa ?screening|nis|ecia)\b/ },
+  { cls: 'consultant-report', on: 'text', weight: 2, test: ({ opening }) => countMatches(opening, REPORT_STRUCTURE) >= 1 },
+  { cls: 'consultant-report', on: 'text', weight: 2, test: ({ opening }) => countMatches(opening, REPORT_STRUCTURE) >= 2 },
+  { cls: 'consultant-report', on: 'layout', weight: 1.5, test: ({ pageCount }) => pageCount >= 20 },
+
+  // Application forms
+  { cls: 'application-form', on: 'filename', weight: 3, pattern: /\b(?:(?:planning ?)?application ?form|form ?(?:no ?)?\d+|completed ?form)\b/ },
+  { cls: 'application-form', on: 'text', weight: 2, pattern: /planning application form|applicant'?s? (?:full )?name|tick (?:the )?appropriate box|please tick|name and address of (?:the )?(?:applicant|agent)/ },
+
+  // Correspondence
+  { cls: 'correspondence', on: 'filename', weight: 1.5, pattern: /\b(?:letter|email|e mail|correspondence|cover(?:ing)? ?letter|memo|eml|msg)\b/ },
+  { cls: 'correspondence', on: 'text', weight: 1.5, test: ({ firstPage }) => /^\s*(?:dear\b|from:|to:|subject:|sent:|re:)/im.test(firstPage.slice(0, 600)) },
+  { cls: 'correspondence', on: 'text', weight: 1, pattern: /yours (?:sincerely|faithfully)|kind regards|best regards/ }
+];
+
+function countMatches(text, patterns) {
+  return patterns.filter(pattern => pattern.test(text)).length;
+}
+
+// Test functions are hashed by their source, which the default serialiser would drop
+registerDetectorComponent('document-classes', () => ({
+  version: CLASSIFIER_VERSION,
+  rules: RULES.map(rule => ({ ...rule, test: rule.test && String(rule.test) })),
+  titleBlock: TITLE_BLOCK_TERMS,
+  reportStructure: REPORT_STRUCTURE,
+  sheetMinSide: SHEET_MIN_SIDE
+}));
+
+/** The features the rules read, from a file name and (optionally) its extraction. */
+function documentFeatures(fileName, extraction = null) {
+  const name = String(fileName || '').toLowerCase();
+  const bare = name.replace(/\.[a-z0-9]{2,4}$/, '');
+  const text = String(extraction?.text || '');
+  const firstPage = String(extraction?.pages?.[0]?.text || text.slice(0, 3000)).toLowerCase();
+  return {
+    filename: bare.replace(/[^a-z0-9]+/g, ' ').trim(),
+    extension: name.slice(bare.length),
+    hasText: text.length > 0,
+    firstPage,
+    opening: text.slice(0, TEXT_WINDOW).toLowerCase(),
+    layout: extraction?.diagnostics?.layout || null,
+    pageCount: extraction?.diagnostics?.pageCount || 0
+  };
+}
+
+/**
+ * Label a document.
+ * @param {string} fileName
+ * @param {Object} [extraction] - textExtractionService result; omit to classify on the
+ *   file name alone
+ * @returns {{ label: string, confidence: number, scores: Object, signals: string[],
+ *   basis: 'filename'|'content' }}
+ */
+function classifyDocument(fileName, extraction = null) {
+  const features = documentFeatures(fileName, extraction);
+  const scores = Object.fromEntries(DOCUMENT_CLASSES.map(cls => [cls, 0]));
+  const signals = [];
+
+  for (const rule of RULES) {
+    if (rule.on !== 'filename' && !extraction) continue;
+    const subject = rule.on === 'filename' ? features.filename : `${features.firstPage}\n${features.opening}`;
+    const fired = rule.test ? rule.test(features) : rule.pattern.test(subject);
+    if (fired) {
+      scores[rule.cls] += rule.weight;
+      signals.push(`${rule.cls}:${rule.on}`);
+    }
+  }
+  if (features.extension === '.eml' || features.extension === '.msg') {
+    scores.correspondence += 2;
+    signals.push('correspondence:format');
+  }
+
+  const ranked = Object.entries(scores).sort((a, b) => b[1] - a[1]);
+  const [[best, bestScore], [, runnerUp]] = ranked;
+  const basis = extraction ? 'content' : 'filename';
+  if (bestScore === 0) return { label: 'unknown', confidence: 0, scores, signals, basis };
+
+  return {
+    label: best,
+    confidence: Math.round((bestScore / (bestScore + runnerUp + 1)) * 100) / 100,
+    scores,
+    signals,
+    basis
+  };
+}
+
+/**
+ * Whether a classification is grounds to veto the project as decided: a confident
+ * decision-notice label that the body text supports, never the file name alone.
+ */
+function isDecidedApplication(classification, threshold = minConfidence()) {
+  return classification.label === 'decision-notice' &&
+    classification.confidence >= threshold &&
+    classification.signals.includes('decision-notice:text');
+}
+
+/** Confidence at which scanJobProcessor acts on a label. */
+function minConfidence() {
+  const value = parseFloat(process.env.CLASSIFIER_MIN_CONFIDENCE || '0.75');
+  return Number.isFinite(value) ? value : 0.75;
+}
+
+/**
+ * Keep a document's latest label. Never throws: a label that cannot be written must
+ * not fail the scan.
+ */
+async function recordClassification({ filePath, projectId, fileName }, classification) {
+  if (!filePath) return;
+  try {
+    await DocumentClassification.updateOne(
+      { filePath },
+      {
+        $set: {
+          projectId,
+          fileName,
+          label: classification.label,
+          confidence: classification.confidence,
+          basis: classification.basis,
+          signals: classification.signals,
+          classifierVersion: CLASSIFIER_VERSION,
+          classifiedAt: new Date()
+        }
+      },
+      { upsert: true }
+    );
+  } catch (error) {
+    logger.warn('classify: could not record label', { file: fileName, err: error.message });
+  }
+}
+
+module.exports = {
+  DOCUMENT_CLASSES,
+  CLASSIFIER_VERSION,
+  classifyDocument,
+  documentFeatures,
+  isDecidedApplication,
+  minConfidence,
+  recordClassification
+};
@@ -1,63 +1,17 @@
 const logger = require('../utils/logger');
 const fiDetectionService = require('./fiDetectionService');
 const aiVisionService = require('./aiVisionService');
-
+const { getDeliverableProfile } = require('./deliverableProfiles');
+
+/**
+ * Multi-stage filter deciding whether a document is a consultant's deliverable of one
+ * report type: filename (stage 1), content keywords (stage 2), then the vision check
+ * (stage 3) for what the first two leave uncertain. The evidence each stage looks for is
+ * the type's deliverable profile (services/deliverableProfiles.js); acoustic is the
+ * default for the callers that predate the other types.
+ */
 class DocumentFilterService {
   constructor() {
-    // Stage 1: Filename patterns for acoustic reports
-    this.acousticFilenamePatterns = [
-      // Direct acoustic/noise terms
-      /acoustic/i,
-      /noise/i,
-      /sound/i,
-      /vibration/i,
-
-      // Report type indicators
-      /nia/i,  // Noise Impact Assessment
-      /nois.*assess/i,
-      /acoust.*assess/i,
-      /acoust.*report/i,
-      /noise.*report/i,
-      /sound.*survey/i,
-
-      // Common acoustic consultant codes/abbreviations
-      /\bawn\b/i,  // AWN Consulting
-      /aecom.*acoustic/i,
-      /arup.*acoustic/i,
-      /envir.*noise/i,
-
-      // Technical terms often in acoustic report filenames
-      /\bdb(a)?\b/i,  // decibels
-      /bs.?4142/i,    // British Standard for industrial noise
-      /iso.?1996/i    // ISO standard for environmental noise
-    ];
-
-    // Negative patterns that suggest NOT an acoustic report
-    this.negativeFilenamePatterns = [
-      /construction.*noise.*management/i,  // Construction noise plans (operational, not assessment)
-      /appointment.*acoustic/i,             // Appointment letters
-      /invoice/i,
-      /quote/i,
-      /proposal/i
-    ];
-
-    // Stage 2: Content-based indicators (will use fiDetectionService gates)
-    this.acousticKeywords = [
-      'acoustic', 'noise', 'sound level', 'decibel', 'dBA', 'dB(A)',
-      'noise impact', 'noise assessment', 'acoustic assessment',
-      'BS 4142', 'BS4142', 'ISO 1996', 'WHO guideline',
-      'background noise', 'ambient noise', 'noise survey',
-      'sound pressure level', 'LAeq', 'LA90', 'LAmax',
-      'noise sensitive', 'noise receptor', 'acoustic consultant'
-    ];
-
-    // Common acoustic consultancies (helps with confidence scoring)
-    this.acousticConsultants = [
-      'AWN', 'AECOM', 'Arup', 'RPS', 'AECOM', 'Noise Consultants',
-      'Marshall Day', 'Cundall', 'Atkins', 'Entran',
-      'Temple Group', 'Vanguardia', 'SLR Consulting'
-    ];
-
     this.stats = {
       stage1Pass: 0,
       stage2Pass: 0,
@@ -68,28 +22,37 @@ class DocumentFilterService {
   }
 
   /**
-   * Main filtering pipeline - determines if document is an acoustic report
-   * @param {Object} document - { fileName, filePath, projectId, buffer? }
+   * Main filtering pipeline - determines if document is a deliverable of the report type
+   * @param {Object} document - { fileName, filePath, projectId, buffer?, loadBuffer? }
+   *   loadBuffer() is called only when Stage 3 needs the file and no buffer is given
    * @param {string} extractedText - Pre-extracted text from document (optional)
-   * @returns {Promise<{isAcoustic: boolean, confidence: number, stage: string, reason: string, reviewNeeded: boolean}>}
+   * @param {string} [reportType='acoustic'] - any spelling of a type with a deliverable profile
+   * @returns {Promise<{isMatch: boolean, isAcoustic: boolean, reportType: string, confidence: number,
+   *   stage: string, reason: string, reviewNeeded: boolean}>}
    */
-  async filterDocument(document, extractedText = null) {
+  async filterDocument(document, extractedText = null, reportType = 'acoustic') {
+    const profile = this.profileFor(reportType);
+    const verdict = (isMatch, fields) => ({
+      isMatch,
+      isAcoustic: isMatch && profile.reportType === 'acoustic',
+      reportType: profile.reportType,
+      ...fields
+    });
     this.stats.totalProcessed++;
 
-    logger.info(`🔍 Filtering document: ${document.fileName} (Project: ${document.projectId})`);
+    logger.info(`🔍 Filtering document: ${document.fileName} (Project: ${document.projectId}, type: ${profile.reportType})`);
 
     // Stage 1: Filename Analysis (Fast, no API calls)
-    const stage1Result = this.stage1FilenameFilter(document.fileName);
+    const stage1Result = this.stage1FilenameFilter(document.fileName, profile.reportType);
 
     if (stage1Result.reject) {
       logger.info(`❌ Stage 1 REJECT: ${document.fileName} - ${stage1Result.reason}`);
-      return {
-        isAcoustic: false,
+      return verdict(false, {
         confidence: 0,
         stage: 'stage1',
         reason: stage1Result.reason,
         reviewNeeded: false
-      };
+      });
     }
 
     if (!stage1Result.pass) {
@@ -102,18 +65,17 @@ class DocumentFilterService {
 
     // Stage 2: Content Analysis (Uses existing FI detection gates)
     if (extractedText) {
-      const stage2Result = await this.stage2ContentFilter(extractedText, document.fileName);
+      const stage2Result = await this.stage2ContentFilter(extractedText, document.fileName, profile.reportType);
 
       if (stage2Result.confidence >= 0.8) {
         this.stats.stage2Pass++;
         logger.info(`✅ Stage 2 HIGH CONFIDENCE (${stage2Result.confidence}): ${document.fileName}`);
-        return {
-          isAcoustic: true,
+        return verdict(true, {
           confidence: stage2Result.confidence,
           stage: 'stage2',
           reason: stage2Result.reason,
           reviewNeeded: false
-        };
+        });
       }
 
       if (stage2Result.confidence >= 0.5) {
@@ -125,59 +87,71 @@ class DocumentFilterService {
       } else {
         // Both uncertain - reject
         logger.info(`❌ Stage 1 & 2 uncertain: ${document.fileName}`);
-        return {
-          isAcoustic: false,
+        return verdict(false, {
           confidence: stage2Result.confidence,
           stage: 'stage2',
           reason: 'Low confidence in both filename and content analysis',
           reviewNeeded: stage2Result.confidence >= 0.3 // Review if somewhat uncertain
-        };
+        });
       }
     }
 
     // Stage 3: AI Vision (Only for uncertain cases, requires document buffer)
-    if (document.buffer) {
+    const buffer = document.buffer || (document.loadBuffer ? await document.loadBuffer() : null);
+    if (buffer) {
       this.stats.visionApiCalls++;
       logger.info(`👁️  Stage 3 VISION ANALYSIS: ${document.fileName}`);
 
       const stage3Result = await aiVisionService.analyzeDocumentType(
-        document.buffer,
-        document.fileName
+        buffer,
+        document.fileName,
+        profile.reportType
       );
 
-      this.stats.stage3Pass += stage3Result.isAcoustic ? 1 : 0;
+      this.stats.stage3Pass += stage3Result.isMatch ? 1 : 0;
 
-      return {
-        isAcoustic: stage3Result.isAcoustic,
+      return verdict(stage3Result.isMatch, {
         confidence: stage3Result.confidence,
         stage: 'stage3_vision',
         reason: stage3Result.reason,
         reviewNeeded: stage3Result.confidence < 0.8 && stage3Result.confidence > 0.3,
-        reportType: stage3Result.reportType,
+        documentKind: stage3Result.documentKind,
         keyIndicators: stage3Result.keyIndicators
-      };
+      });
     }
 
     // No buffer provided and uncertain - mark for review
     logger.warn(`⚠️  No buffer provided for uncertain document: ${document.fileName}`);
-    return {
-      isAcoustic: false,
+    return verdict(false, {
       confidence: stage1Result.pass ? 0.5 : 0.3,
       stage: 'incomplete',
       reason: 'Uncertain classification, requires manual review or document buffer for Vision analysis',
       reviewNeeded: true
-    };
+    });
+  }
+
+  /**
+   * The deliverable profile for a report type
+   * @throws {Error} for 'other' and unknown types - there is nothing to filter for
+   */
+  profileFor(reportType) {
+    const profile = getDeliverableProfile(reportType);
+    if (!profile) {
+      throw new Error(`No deliverable profile for report type "${reportType}"`);
+    }
+    return profile;
   }
 
   /**
    * Stage 1: Filename Pattern Matching
    * @returns {{pass: boolean, reject: boolean, confidence: number, reason: string}}
    */
-  stage1FilenameFilter(fileName) {
-    const lowerFileName = fileName.toLowerCase();
+  stage1FilenameFilter(fileName, reportType = 'acoustic') {
+    const profile = this.profileFor(reportType);
+    const subject = profile.label.toLowerCase();
 
     // Check negative patterns first (hard reject)
-    for (const pattern of this.negativeFilenamePatterns) {
+    for (const pattern of profile.negativePatterns) {
       if (pattern.test(fileName)) {
         return {
           pass: false,
@@ -188,8 +162,8 @@ class DocumentFilterService {
       }
     }
 
-    // Check positive acoustic patterns
-    const matchedPatterns = this.acousticFilenamePatterns.filter(pattern =>
+    // Check positive patterns for the type
+    const matchedPatterns = profile.filenamePatterns.filter(pattern =>
       pattern.test(fileName)
     );
 
@@ -199,7 +173,7 @@ class DocumentFilterService {
         pass: true,
         reject: false,
         confidence: 0.8,
-        reason: `Multiple acoustic indicators in filename: ${matchedPatterns.length} patterns matched`
+        reason: `Multiple ${subject} indicators in filename: ${matchedPatterns.length} patterns matched`
       };
     }
 
@@ -209,7 +183,7 @@ class DocumentFilterService {
         pass: true,
         reject: false,
         confidence: 0.6,
-        reason: `Single acoustic indicator in filename`
+        reason: `Single ${subject} indicator in filename`
       };
     }
 
@@ -218,17 +192,20 @@ class DocumentFilterService {
       pass: false,
       reject: false,
       confidence: 0.3,
-      reason: 'No acoustic indicators in filename'
+      reason: `No ${subject} indicators in filename`
     };
   }
 
   /**
-   * Stage 2: Content-based filtering using acoustic keywords
+   * Stage 2: Content-based filtering using the type's keywords
    * @param {string} text - Extracted document text
    * @param {string} fileName - Filename for context
+   * @param {string} [reportType='acoustic']
    * @returns {Promise<{confidence: number, reason: string, keywords: string[]}>}
    */
-  async stage2ContentFilter(text, fileName) {
+  async stage2ContentFilter(text, fileName, reportType = 'acoustic') {
+    const profile = this.profileFor(reportType);
+
     if (!text || text.length < 100) {
       return {
         confidence: 0.1,
@@ -241,15 +218,15 @@ class DocumentFilterService {
     const matchedKeywords = [];
     const matchedConsultants = [];
 
-    // Check for acoustic keywords
-    for (const keyword of this.acousticKeywords) {
+    // Check for the type's keywords
+    for (const keyword of profile.keywords) {
       if (lowerText.includes(keyword.toLowerCase())) {
         matchedKeywords.push(keyword);
       }
     }
 
-    // Check for known acoustic consultants
-    for (const consultant of this.acousticConsultants) {
+    // Check for consultancies known for this type of report
+    for (const consultant of profile.consultants) {
       if (text.includes(consultant)) {
         matchedConsultants.push(consultant);
       }
@@ -267,20 +244,20 @@ class DocumentFilterService {
       confidence += 0.2;
     }
 
-    // Bonus for technical terms (BS 4142, ISO 1996, etc.)
-    if (/BS\s*4142|ISO\s*1996/i.test(text)) {
+    // Bonus for technical standards (BS 4142, ISO 1996, TRICS, BS 5837, etc.)
+    if (profile.standards && profile.standards.test(text)) {
       confidence += 0.2;
     }
 
-    // Bonus for measurement data patterns (e.g., "45 dB(A)", "LAeq 50")
-    if (/\d+\s*dB\(A\)|LAeq\s*\d+|LA90\s*\d+/i.test(text)) {
+    // Bonus for measurement data patterns (e.g., "45 dB(A)", "LAeq 50", "12.5 l/s")
+    if (profile.measurements && profile.measurements.test(text)) {
       confidence += 0.1;
     }
 
     // Cap confidence at 0.95 (reserve 1.0 for Vision API confirmation)
     confidence = Math.min(confidence, 0.95);
 
-    const reason = `Found ${matchedKeywords.length} acoustic keywords` +
+    const reason = `Found ${matchedKeywords.length} ${profile.label.toLowerCase()} keywords` +
       (matchedConsultants.length > 0 ? `, consultant: ${matchedConsultants.join(', ')}` : '');
 
     return {
@@ -294,13 +271,13 @@ class DocumentFilterService {
   /**
    * Batch filter multiple documents
    */
-  async filterDocumentBatch(documents, extractedTexts = {}) {
+  async filterDocumentBatch(documents, extractedTexts = {}, reportType = 'acoustic') {
     const results = [];
 
     for (const doc of documents) {
       try {
         const text = extractedTexts[doc.filePath] || null;
-        const result = await this.filterDocument(doc, text);
+        const result = await this.filterDocument(doc, text, reportType);
 
         results.push({
           ...doc,
@@ -311,7 +288,9 @@ class DocumentFilterService {
         logger.error(`Failed to filter ${doc.fileName}:`, error);
         results.push({
           ...doc,
+          isMatch: false,
           isAcoustic: false,
+          reportType,
           confidence: 0,
           stage: 'error',
           reason: `Filter error: ${error.message}`,
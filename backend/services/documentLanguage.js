@@ -0,0 +1,200 @@
+/**
+ * Document language: English, Irish, or both.
+ *
+ * Irish local authorities publish some notices in Irish only and many bilingually -
+ * Gaeltacht councils (Donegal, Galway, Kerry, Mayo) as a matter of course - but every
+ * marker, vocabulary and evidence rule in detection is English. An Irish-only FI letter
+ * had none of the English request phrases, failed fiDetectionService.quickKeywordFilter
+ * and was dropped without any record of why.
+ *
+ * detectLanguage() scores a text by function words that occur in one language and not
+ * the other ("agus", "atá", "maidir" against "the", "which", "shall"). The extractor
+ * labels every page with it (pages[].language) and the document with
+ * documentLanguage(): 'en', 'ga', 'mixed' (a bilingual notice, or Irish pages beside
+ * English ones) or 'unknown' (too few words to tell - drawings, tables of figures).
+ *
+ * What happens next is languageGate()'s decision, per report type:
+ *
+ *   Irish or mixed, and the type has Irish terms (reportTypes irishTerms)
+ *       the Irish portions are read: the keyword gates, quote extraction and evidence
+ *       rules use the Irish request phrasing below alongside the English
+ *   Irish only, and the type has no Irish terms
+ *       excluded, with the reason recorded - rather than failing English gates silently
+ *   mixed, and the type has no Irish terms
+ *       read in English only; the English half of a bilingual notice says the same
+ *
+ * Irish is matched with fadas folded away (foldIrish), because OCR with the English
+ * model drops them and typed text does not always carry them.
+ *
+ * The extraction worker loads this module for detectLanguage(); the vocabulary is
+ * loaded on first use so the worker does not pull in the report-type taxonomy. The
+ * word and phrase lists are part of fiDetectionService's 'fi-markers' detector
+ * component.
+ */
+
+// Loaded on first use (see above)
+const reportTypes = () => require('./reportTypes');
+
+// Words frequent in Irish prose that are not English words (nor common English tokens
+// such as "go", "no", "sin", "cad", "don" or "ta"), fadas folded
+const IRISH_WORDS = [
+  'agus', 'na', 'ar', 'le', 'leis', 'ata', 'nil', 'ni', 'se', 'si', 'siad', 'seo',
+  'chun', 'faoi', 'ach', 'bhi', 'beidh', 'iad', 'aon', 'gach', 'da', 'ma',
+  'nach', 'maidir', 'freisin', 'tri', 'idir', 'roimh', 'mbeidh', 'bhfuil',
+  'comhairle', 'chontae', 'pleanala', 'iarratas', 'iarratasoir', 'eolas', 'breise',
+  'forbairt', 'forbartha', 'laithrean', 'udaras', 'roinn', 'iarrtar', 'mor', 'chur',
+  'isteach', 'dhuit', 'oraibh', 'orthu', 'duinn', 'ndail', 'fhorbairt'
+];
+
+const ENGLISH_WORDS = [
+  'the', 'and', 'of', 'to', 'that', 'for', 'with', 'this', 'be', 'are', 'by', 'from',
+  'which', 'shall', 'should', 'will', 'been', 'has', 'have', 'it', 'as', 'at', 'on',
+  'or', 'not', 'we', 'you', 'your', 'our', 'their', 'would', 'any', 'all', 'please',
+  'applicant', 'development', 'planning', 'council', 'information', 'submit', 'further'
+];
+
+const IRISH_SET = new Set(IRISH_WORDS);
+const ENGLISH_SET = new Set(ENGLISH_WORDS);
+
+// Fewer language words than this and the text is 'unknown'
+const MIN_WORDS = 3;
+// Irish share of the language words at or above which a text is Irish, and at or below
+// which it is English; between the two it is mixed
+const IRISH_SHARE = 0.8;
+const ENGLISH_SHARE = 0.2;
+
+// Irish phrasing of a request for further information, fadas folded. Matched against
+// whole documents by the keyword gate, as the English fiIndicators are.
+const IRISH_REQUEST_MARKERS = [
+  'eolas breise',
+  'iarratas ar eolas breise',
+  'soileiriu ar eolas breise',
+  'iarrtar ar an iarratasoir',
+  'iarrtar oraibh',
+  'iarrtar ort',
+  'ni mor don iarratasoir',
+  'ba choir don iarratasoir',
+  'moltar don iarratasoir',
+  'ta se de dhith',
+  'a chur isteach'
+];
+
+// Verbs that make an Irish sentence a request, for the sentence-level gates and quotes
+const IRISH_REQUEST_VERBS = [
+  'cuir isteach', 'a chur isteach', 'iarrtar', 'ni mor', 'ba choir', 'moltar',
+  'solathair', 'a sholathar', 'ullmhaigh', 'a ullmhu', 'tabhair', 'a thabhairt',
+  'ta se de dhith', 'de dhith', 'eolas breise'
+];
+
+// An Irish response to a request, or a decision: never a lead
+const IRISH_RESPONSE_MARKERS = [
+  'freagra ar iarratas ar eolas breise',
+  'freagra ar an iarratas',
+  'fuarthas eolas breise',
+  'fuarthas an t-eolas breise',
+  'cinneadh cead a dheonu',
+  'deonaitear cead',
+  'dhiultaigh',
+  'diultaitear cead',
+  'ata faoi iamh',
+  'faoi iamh leis seo'
+];
+
+/** Lower case with fadas and other diacritics removed. */
+function foldIrish(text) {
+  return String(text || '').normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+}
+
+/**
+ * The language of a passage.
+ * @param {string} text
+ * @returns {{ language: 'en'|'ga'|'mixed'|'unknown', irishShare: number|null, words: number }}
+ *   words: language words counted; irishShare: the Irish share of them
+ */
+function detectLanguage(text) {
+  const words = foldIrish(text).match(/[a-z]+/g) || [];
+  let irish = 0;
+  let english = 0;
+  for (const word of words) {
+    if (IRISH_SET.has(word)) irish++;
+    else if (ENGLISH_SET.has(word)) english++;
+  }
+  const counted = irish + english;
+  if (counted < MIN_WORDS) return { language: 'unknown', irishShare: null, words: counted };
+
+  const irishShare = Math.round((irish / counted) * 100) / 100;
+  const language = irishShare >= IRISH_SHARE ? 'ga' : irishShare <= ENGLISH_SHARE ? 'en' : 'mixed';
+  return { language, irishShare, words: counted };
+}
+
+/**
+ * The document's language from its pages' (extraction result pages[].language): Irish
+ * or English when every page that could be told is, mixed otherwise.
+ * @param {Array<{ language: string }>} pages
+ * @returns {'en'|'ga'|'mixed'|'unknown'}
+ */
+function documentLanguage(pages) {
+  const known = new Set((pages || []).map(p => p.language).filter(language => language && language !== 'unknown'));
+  if (known.size === 0) return 'unknown';
+  if (known.size === 1) return [...known][0];
+  return 'mixed';
+}
+
+/**
+ * Whether, and how, a document in this language is read for a report type.
+ * @param {string} language - detectLanguage()/documentLanguage() label
+ * @param {string} reportType
+ * @returns {{ readIrish: boolean, excluded: boolean, reason: string|null }}
+ */
+function languageGate(language, reportType) {
+  const { getIrishTerms, normalizeReportType } = reportTypes();
+  const hasIrishTerms = getIrishTerms(reportType).length > 0;
+  if (language !== 'ga' && language !== 'mixed') return { readIrish: false, excluded: false, reason: null };
+  if (hasIrishTerms) return { readIrish: true, excluded: false, reason: null };
+  if (language === 'ga') {
+    return {
+      readIrish: false,
+      excluded: true,
+      reason: `Irish-language document; no Irish terms for ${normalizeReportType(reportType)}`
+    };
+  }
+  return {
+    readIrish: false,
+    excluded: false,
+    reason: `Irish portions not read; no Irish terms for ${normalizeReportType(reportType)}`
+  };
+}
+
+/**
+ * The first Irish sentence that makes a request and names the report type in Irish,
+ * with the sentence after it for context, as it appears in the text (fadas kept). Null
+ * when there is none or the type has no Irish terms.
+ */
+function findIrishRequest(text, reportType) {
+  const terms = reportTypes().getIrishTerms(reportType).map(foldIrish);
+  if (terms.length === 0) return null;
+
+  const original = String(text || '').replace(/\n+/g, ' ').split(/(?<=[.!?;:])\s+/).map(s => s.trim()).filter(Boolean);
+  const folded = original.map(foldIrish);
+  for (let i = 0; i < folded.length; i++) {
+    const sentence = folded[i];
+    if (IRISH_RESPONSE_MARKERS.some(marker => sentence.includes(marker))) continue;
+    if (IRISH_REQUEST_VERBS.some(verb => sentence.includes(verb)) && terms.some(term => sentence.includes(term))) {
+      return original.slice(i, i + 2).join(' ');
+    }
+  }
+  return null;
+}
+
+module.exports = {
+  IRISH_WORDS,
+  ENGLISH_WORDS,
+  IRISH_REQUEST_MARKERS,
+  IRISH_REQUEST_VERBS,
+  IRISH_RESPONSE_MARKERS,
+  foldIrish,
+  detectLanguage,
+  documentLanguage,
+  languageGate,
+  findIrishRequest
+};
@@ -1,16 +1,14 @@
 const fs = require('fs').promises;
 const path = require('path');
-const pdf = require('pdf-parse');
-const { spawn } = require('child_process');
 const crypto = require('crypto');
 
 const logger = require('../utils/logger');
+const extractionSandbox = require('./extractionSandbox');
 
 class DocumentProcessor {
   constructor() {
     this.ocrDir = process.env.TMP_OCR_DIR || './temp/ocr';
     this.maxTextChars = 8000;
-    this.ocrTimeout = parseInt(process.env.OCR_TIMEOUT) || 1000;
     this.ensureDirectories();
   }
 
@@ -30,103 +28,25 @@ class DocumentProcessor {
   }
 
   /**
-   * OCR PDF if needed, with caching
+   * Shape an extraction result the way this processor's callers read it. Extraction
+   * itself (format plugins, OCR fallback) is textExtractionService's; this keeps the
+   * shorter text budget these callers were written for.
    */
-  async ocrIfNeeded(pdfPath) {
-    try {
-      const pdfBuffer = await fs.readFile(pdfPath);
-      const digest = this.generateFileHash(pdfBuffer);
-      const ocrPath = path.join(this.ocrDir, `${digest}.pdf`);
-
-      // Check if OCR'd version already exists
-      try {
-        await fs.access(ocrPath);
-        logger.debug(`Using cached OCR version: ${ocrPath}`);
-        return ocrPath;
-      } catch {
-        // OCR'd version doesn't exist, create it
-        logger.debug(`Creating OCR version for: ${path.basename(pdfPath)}`);
-      }
-
-      const tmpPath = ocrPath + '.tmp';
-
-      try {
-        // Run OCR using ocrmypdf
-        await this.runOCR(pdfPath, tmpPath);
-        await fs.rename(tmpPath, ocrPath);
-        logger.debug(`OCR completed: ${ocrPath}`);
-        return ocrPath;
-      } catch (ocrError) {
-        logger.warn(`OCR failed for ${pdfPath}, using original:`, ocrError.message);
-        // If OCR fails, copy original file
-        await fs.copyFile(pdfPath, ocrPath);
-        return ocrPath;
-      } finally {
-        // Clean up temp file if it exists
-        try {
-          await fs.unlink(tmpPath);
-        } catch {}
-      }
-    } catch (error) {
-      logger.error('Error in OCR process:', error);
-      throw error;
-    }
-  }
-
-  /**
-   * Run OCR using ocrmypdf
-   */
-  runOCR(inputPath, outputPath) {
-    return new Promise((resolve, reject) => {
-      const args = [
-        '--skip-text',
-        '--output-type', 'pdf',
-        '-q',
-        inputPath,
-        outputPath
-      ];
-
-      const child = spawn('ocrmypdf', args, {
-        timeout: this.ocrTimeout * 1000
-      });
-
-      let stderr = '';
-
-      child.stderr.on('data', (data) => {
-        stderr += data.toString();
-      });
-
-      child.on('close', (code) => {
-        if (code === 0) {
-          resolve();
-        } else {
-          reject(new Error(`OCR process exited with code ${code}: ${stderr}`));
-        }
-      });
-
-      child.on('error', (error) => {
-        reject(new Error(`Failed to start OCR process: ${error.message}`));
-      });
-    });
-  }
-
-  /**
-   * Extract text from PDF
-   */
-  async extractTextFromPDF(pdfPath) {
-    try {
-      const pdfBuffer = await fs.readFile(pdfPath);
-      const data = await pdf(pdfBuffer);
-
-      // Limit text length to prevent token overflow
-      const text = data.text.slice(0, this.maxTextChars);
-
-      logger.debug(`Extracted ${text.length} characters from ${path.basename(pdfPath)}`);
-      return text;
-    } catch (error) {
-      logger.error(`Error extracting text from ${pdfPath}:`, error);
-      throw error;
+  toProcessedDocument(result, fileName, extra = {}) {
+    if (!result.success) {
+      throw new Error(result.error || `Could not extract text from ${fileName}`);
     }
+    logger.debug(`Extracted ${result.text.length} characters from ${fileName} (${result.format})`);
+    return {
+      fileName,
+      format: result.format,
+      text: result.text,
+      textLength: result.text.length,
+      pages: result.pages,
+      diagnostics: result.diagnostics,
+      processedAt: new Date().toISOString(),
+      ...extra
+    };
   }
 
   /**
@@ -137,20 +57,11 @@ class DocumentProcessor {
       const name = fileName || path.basename(filePath);
       logger.info(`Processing document: ${name}`);
 
-      // Step 1: OCR if needed
-      const ocrPath = await this.ocrIfNeeded(filePath);
-
-      // Step 2: Extract text
-      const text = await this.extractTextFromPDF(ocrPath);
-
-      return {
+      const result = await extractionSandbox.extractFile(filePath, {
         fileName: name,
-        originalPath: filePath,
-        ocrPath: ocrPath,
-        text: text,
-        textLength: text.length,
-        processedAt: new Date().toISOString()
-      };
+        maxChars: this.maxTextChars
+      });
+      return this.toProcessedDocument(result, name, { originalPath: filePath });
 
     } catch (error) {
       logger.error(`Error processing document ${fileName || filePath}:`, error);
@@ -159,41 +70,21 @@ class DocumentProcessor {
   }
 
   /**
-   * Process document from buffer (streaming approach - no disk write for original)
+   * Process document from buffer (no disk write unless OCR needs one)
    */
   async processDocumentFromBuffer(buffer, fileName) {
     try {
       logger.debug(`📄 Processing document from buffer: ${fileName}`);
 
-      // Create temporary file for processing (still needed for OCR)
-      const tempPath = path.join(this.ocrDir, `temp_${Date.now()}_${fileName}`);
-      await fs.writeFile(tempPath, buffer);
-
-      try {
-        // Step 1: OCR if needed
-        const ocrPath = await this.ocrIfNeeded(tempPath);
-
-        // Step 2: Extract text
-        const text = await this.extractTextFromPDF(ocrPath);
-
-        return {
-          fileName: fileName,
-          originalPath: null, // No original path since we used buffer
-          ocrPath: ocrPath,
-          text: text,
-          textLength: text.length,
-          processedAt: new Date().toISOString(),
-          processedFromBuffer: true
-        };
-
-      } finally {
-        // Clean up temporary file
-        try {
-          await fs.unlink(tempPath);
-        } catch (cleanupError) {
-          logger.warn(`Error cleaning up temp file ${tempPath}:`, cleanupError);
-        }
-      }
+      const result = await extractionSandbox.extract({
+        buffer,
+        fileName,
+        maxChars: this.maxTextChars
+      });
+      return this.toProcessedDocument(result, fileName, {
+        originalPath: null,
+        processedFromBuffer: true
+      });
 
     } catch (error) {
       logger.error(`Error processing document buffer ${fileName}:`, error);
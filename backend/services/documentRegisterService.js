@@ -69,7 +69,7 @@ class DocumentRegisterService {
         totalDocuments: totalDocuments,
         averageDocsPerProject: projectSet.size > 0 ? (totalDocuments / projectSet.size).toFixed(2) : 0,
         totalObjectsScanned: scanResult.totalScanned,
-        scanMethod: 'streaming',
+        scanMethod: scanResult.manifest ? 'manifest' : 'streaming',
         memoryFootprint: 'constant'
       };
 
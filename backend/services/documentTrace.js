@@ -0,0 +1,209 @@
+/**
+ * Per-document explainability traces for ScanJob runs.
+ *
+ * "Why was project X sent - or not?" used to mean grepping debug-DATE.log, which only
+ * keeps three days and interleaves every document of the night. Instead each document
+ * scanned by processJob gets a DocumentTrace that the pipeline layers append steps to
+ * as they decide: filename veto, structural rejects, the quick filter, each AI step,
+ * the evidence check and the final verdict. Delivery later appends the project veto,
+ * de-duplication and metadata partitioning to the same row.
+ *
+ * The active trace travels in its own AsyncLocalStorage rather than in runContext:
+ * runContext fields are copied onto every log record, and a trace is too big for that.
+ * traceStep() outside a traced document - the docfiles path, scripts, tests - is a
+ * no-op, so library code can call it unconditionally.
+ *
+ * Rows are buffered and written in batches (models/DocumentTrace.js), and expire after
+ * DOCUMENT_TRACE_RETENTION_DAYS (default 14). DOCUMENT_TRACE_ENABLED=false turns
+ * recording off.
+ */
+
+const { AsyncLocalStorage } = require('node:async_hooks');
+const mongoose = require('mongoose');
+const logger = require('../utils/logger');
+
+const DEFAULT_RETENTION_DAYS = 14;
+const FLUSH_SIZE = 50;
+const MAX_DETAIL_CHARS = 500;
+
+const store = new AsyncLocalStorage();
+const pending = [];
+
+function tracingEnabled(env = process.env) {
+  return env.DOCUMENT_TRACE_ENABLED !== 'false';
+}
+
+function retentionMs(env = process.env) {
+  const days = parseInt(env.DOCUMENT_TRACE_RETENTION_DAYS || DEFAULT_RETENTION_DAYS, 10);
+  return (days > 0 ? days : DEFAULT_RETENTION_DAYS) * 24 * 60 * 60 * 1000;
+}
+
+// Quotes and reasons are what a reader needs; whole documents are not.
+function clip(detail) {
+  if (!detail || typeof detail !== 'object') return detail;
+  const clipped = {};
+  for (const [key, value] of Object.entries(detail)) {
+    if (value === undefined) continue;
+    clipped[key] = typeof value === 'string' && value.length > MAX_DETAIL_CHARS
+      ? `${value.slice(0, MAX_DETAIL_CHARS)}...`
+      : value;
+  }
+  return clipped;
+}
+
+function toStep(step, outcome, detail, reportType) {
+  return { step, reportType: reportType || undefined, outcome, detail: clip(detail), at: new Date() };
+}
+
+class DocumentTrace {
+  constructor({ jobId, runId, projectId, fileName, filePath, reportTypes = [], detectorVersion } = {}) {
+    this.jobId = jobId;
+    this.runId = runId;
+    this.projectId = projectId;
+    this.fileName = fileName;
+    this.filePath = filePath;
+    this.reportTypes = reportTypes;
+    this.detectorVersion = detectorVersion;
+    this.steps = [];
+    this.stage = null;
+    this.isMatch = false;
+  }
+
+  step(step, outcome, detail = {}, reportType = null) {
+    this.steps.push(toStep(step, outcome, detail, reportType));
+  }
+
+  /** Record the verdict for the job's own report type. */
+  finish(result) {
+    this.stage = result?.stage || null;
+    this.isMatch = Boolean(result?.isMatch);
+  }
+
+  toRecord(now = Date.now()) {
+    return {
+      jobId: this.jobId,
+      runId: this.runId,
+      projectId: this.projectId,
+      fileName: this.fileName,
+      filePath: this.filePath,
+      reportTypes: this.reportTypes,
+      detectorVersion: this.detectorVersion,
+      stage: this.stage,
+      isMatch: this.isMatch,
+      steps: this.steps,
+      expiresAt: new Date(now + retentionMs())
+    };
+  }
+}
+
+/** Run `fn` with `trace` as the active trace for everything it awaits. */
+function withTrace(trace, fn) {
+  return store.run(trace, fn);
+}
+
+function currentTrace() {
+  return store.getStore() || null;
+}
+
+/**
+ * Append a step to the active trace; a no-op outside one.
+ * @param {string} step        e.g. 'quick-filter'
+ * @param {string} outcome     e.g. 'pass', 'reject'
+ * @param {Object} [detail]    small JSON-able facts; long strings are clipped
+ * @param {string} [reportType] when the step concerns one report type
+ */
+function traceStep(step, outcome, detail = {}, reportType = null) {
+  const trace = currentTrace();
+  if (trace) trace.step(step, outcome, detail, reportType);
+}
+
+function canWrite() {
+  return tracingEnabled() && mongoose.connection && mongoose.connection.readyState === 1;
+}
+
+/** Queue a finished trace; written once FLUSH_SIZE are waiting or on flushTraces(). */
+async function saveTrace(trace) {
+  if (!canWrite()) return;
+  pending.push(trace.toRecord());
+  if (pending.length >= FLUSH_SIZE) await flushTraces();
+}
+
+/** Write every queued trace. Never throws - a lost trace must not fail a scan. */
+async function flushTraces() {
+  if (pending.length === 0) return 0;
+  const batch = pending.splice(0);
+  if (!canWrite()) return 0;
+
+  try {
+    const TraceModel = require('../models/DocumentTrace');
+    await TraceModel.insertMany(batch, { ordered: false });
+    return batch.length;
+  } catch (error) {
+    logger.warn('trace: could not save document traces', { traces: batch.length, err: error.message });
+    return 0;
+  }
+}
+
+/**
+ * Append delivery-time steps to the most recent trace of each matched document.
+ * @param {string} jobId
+ * @param {Array<{ projectId, fileName, step, outcome, detail, reportType }>} entries
+ */
+async function appendTraceSteps(jobId, entries) {
+  if (!canWrite() || entries.length === 0) return;
+
+  const byDocument = new Map();
+  for (const entry of entries) {
+    const key = `${entry.projectId}::${entry.fileName}`;
+    if (!byDocument.has(key)) byDocument.set(key, { projectId: entry.projectId, fileName: entry.fileName, steps: [] });
+    byDocument.get(key).steps.push(toStep(entry.step, entry.outcome, entry.detail, entry.reportType));
+  }
+
+  const TraceModel = require('../models/DocumentTrace');
+  for (const { projectId, fileName, steps } of byDocument.values()) {
+    try {
+      await TraceModel.findOneAndUpdate(
+        { jobId, projectId, fileName },
+        { $push: { steps: { $each: steps } } },
+        { sort: { createdAt: -1 } }
+      );
+    } catch (error) {
+      logger.warn('trace: could not append delivery steps', { proj: projectId, err: error.message });
+    }
+  }
+}
+
+/**
+ * Traces for a job, newest first.
+ * @param {Object} query
+ * @param {string} query.jobId
+ * @param {string} [query.projectId]
+ * @param {string} [query.fileName]
+ * @param {string} [query.runId]
+ * @param {number} [query.limit=50]
+ */
+async function getTraces({ jobId, projectId, fileName, runId, limit = 50 }) {
+  const TraceModel = require('../models/DocumentTrace');
+  const filter = { jobId };
+  if (projectId) filter.projectId = projectId;
+  if (fileName) filter.fileName = fileName;
+  if (runId) filter.runId = runId;
+
+  return TraceModel.find(filter)
+    .sort({ createdAt: -1 })
+    .limit(Math.min(Math.max(limit, 1), 500))
+    .select('-__v -expiresAt')
+    .lean();
+}
+
+module.exports = {
+  DocumentTrace,
+  withTrace,
+  currentTrace,
+  traceStep,
+  saveTrace,
+  flushTraces,
+  appendTraceSteps,
+  getTraces,
+  tracingEnabled
+};
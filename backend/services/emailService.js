@@ -5,6 +5,7 @@ const path = require('path');
 require('dotenv').config(); // Load environment variables
 
 const logger = require('../utils/logger');
+const evidenceExcerptService = require('./evidenceExcerptService');
 
 class EmailService {
   constructor() {
@@ -157,7 +158,17 @@ class EmailService {
             .evidence-label { font-size: 0.75em; text-transform: uppercase; color: #28a745; font-weight: 600; letter-spacing: 0.5px; margin-bottom: 4px; }
             .evidence-doc { font-size: 0.8em; color: #666; margin-bottom: 6px; }
             .evidence-doc strong { color: #333; font-weight: 500; }
+            .evidence-source { color: #888; }
+            .evidence-link { font-size: 0.8em; margin-top: 6px; }
+            .evidence-link a { color: #0066cc; text-decoration: none; }
             .evidence-quote { font-style: italic; color: #444; font-size: 0.9em; line-height: 1.5; border-left: 3px solid #28a745; padding-left: 10px; background-color: #f9fff9; padding: 8px 10px; border-radius: 0 4px 4px 0; }
+            .fi-items { margin-top: 10px; font-size: 0.85em; color: #444; }
+            .fi-items-basis { color: #666; margin-bottom: 6px; }
+            .fi-items table { width: 100%; border-collapse: collapse; }
+            .fi-items td { border-top: 1px solid #eee; padding: 4px 6px; vertical-align: top; }
+            .fi-item-number { font-weight: 600; white-space: nowrap; width: 1%; }
+            .fi-item-type { color: #28a745; font-weight: 600; white-space: nowrap; width: 1%; }
+            .fi-item-from { color: #666; }
             .footer { background-color: #f4f4f4; padding: 20px; text-align: center; font-size: 11px; color: #666; border-top: 1px solid #ddd; line-height: 1.4; }
             .footer strong { color: #333; }
             .footer a { color: #007bff; text-decoration: none; }
@@ -190,8 +201,24 @@ class EmailService {
                 </div>
                 <div class="evidence-box">
                   <div class="evidence-label">📄 Evidence</div>
-                  <div class="evidence-doc"><strong>Document:</strong> {{documentName}}</div>
+                  <div class="evidence-doc"><strong>Document:</strong> {{documentName}}{{#if evidenceSourceLabel}} <span class="evidence-source">· {{evidenceSourceLabel}}</span>{{/if}}</div>
                   <div class="evidence-quote">"{{validationQuote}}"</div>
+                  {{#if evidenceUrl}}<div class="evidence-link"><a href="{{evidenceUrl}}" target="_blank">View the quote on {{evidencePageLabel}} →</a></div>{{/if}}
+                  {{#if fiItems.length}}
+                  <div class="fi-items">
+                    <div class="evidence-label">📋 {{fiItems.length}} FI item{{#if (gt fiItems.length 1)}}s{{/if}}</div>
+                    {{#if fiBasis}}<div class="fi-items-basis">{{fiBasis}}</div>{{/if}}
+                    <table>
+                      {{#each fiItems}}
+                      <tr>
+                        <td class="fi-item-number">{{itemNumber}}</td>
+                        <td class="fi-item-type">{{reportTypeLabel}}</td>
+                        <td>{{request}}{{#if requestedBy}} <span class="fi-item-from">({{requestedBy}})</span>{{/if}}{{#if deadline}}<br><span class="fi-item-from">Due: {{deadline}}</span>{{/if}}</td>
+                      </tr>
+                      {{/each}}
+                    </table>
+                  </div>
+                  {{/if}}
                 </div>
               </div>
               {{/each}}
@@ -411,7 +438,12 @@ class EmailService {
             planningAuthority: match.projectMetadata.planning_authority || 'N/A',
             biiUrl: match.projectMetadata.bii_url || null,
             documentName: match.documentName || 'Unknown document',
-            validationQuote: truncatedQuote
+            validationQuote: truncatedQuote,
+            evidenceSourceLabel: this.formatEvidenceSource(match.evidenceSource),
+            // The page itself, quote highlighted (null for non-PDFs and unlocated quotes)
+            evidenceUrl: evidenceExcerptService.linkFor(match),
+            evidencePageLabel: match.evidenceSource?.page ? `page ${match.evidenceSource.page}` : null,
+            ...this.formatFIItems(match.fiRequest)
           };
 
           matchesByType[reportType][match.projectId] = projectData;
@@ -470,6 +502,47 @@ class EmailService {
     }
   }
 
+  /**
+   * Template fields for a match's numbered FI items (models/schemas/fiRequest.js).
+   * An item repeats the letter's deadline unless it has its own, so the shared deadline
+   * and statutory reference go in one line above the list and only differing ones are
+   * shown per item.
+   */
+  formatFIItems(fiRequest) {
+    const items = fiRequest?.items || [];
+    if (items.length === 0) return { fiItems: [], fiBasis: null };
+
+    const basis = [
+      fiRequest.requestingAuthority,
+      fiRequest.responseDeadline && `Respond ${fiRequest.responseDeadline}`,
+      fiRequest.statutoryReference && `under ${fiRequest.statutoryReference}`
+    ].filter(Boolean).join(' · ');
+
+    return {
+      fiBasis: basis || null,
+      fiItems: items.map(item => ({
+        itemNumber: item.itemNumber,
+        reportTypeLabel: item.reportType ? item.reportType.charAt(0).toUpperCase() + item.reportType.slice(1) : '',
+        request: item.request,
+        requestedBy: item.requestedBy,
+        deadline: item.deadline && item.deadline !== fiRequest.responseDeadline ? item.deadline : null
+      }))
+    };
+  }
+
+  /**
+   * Where the quote was found (models/schemas/evidenceSource.js), e.g. "page 14,
+   * scanned page read by OCR" - an OCR'd quote may carry recognition errors - or
+   * "page 2, table row 4" for an item listed in a table.
+   */
+  formatEvidenceSource(evidenceSource) {
+    if (!evidenceSource?.page) return null;
+    if (evidenceSource.source === 'ocr') return `page ${evidenceSource.page}, scanned page read by OCR`;
+    return evidenceSource.tableRow?.row
+      ? `page ${evidenceSource.page}, table row ${evidenceSource.tableRow.row}`
+      : `page ${evidenceSource.page}`;
+  }
+
   /**
    * Send FI notification email (single project - deprecated, use batch instead)
    */
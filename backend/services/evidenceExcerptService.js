@@ -0,0 +1,235 @@
+/**
+ * The page a match's evidence quote is on, rendered with the quote highlighted.
+ *
+ * A match records where its quote sits (models/schemas/evidenceSource.js: page and
+ * character offsets into that page's extracted text). The batch email links each match
+ * to GET /api/evidence/:token, which fetches the document, finds the text items those
+ * offsets cover and returns the page as a one-page PDF (pdf-lib, the page copied as-is
+ * with translucent boxes drawn over the quote) or a PNG (pdfjs onto a node canvas).
+ *
+ * The offsets map back to positions because the page's text is rebuilt exactly as the
+ * pdf extractor built it - every pdfjs text item's string, joined with single spaces,
+ * trimmed - so offset N in the stored page text is character N of that join. A page read
+ * by OCR has no text items to match; it is rendered without boxes.
+ *
+ * Customers have no login, so the link carries a signed token naming the document, page
+ * and offsets instead of an id to look up. It is signed with a key derived from
+ * JWT_SECRET (never valid as a login token) and expires after EVIDENCE_LINK_TTL_DAYS
+ * (default 90). Links point at EVIDENCE_BASE_URL, default FRONTEND_URL, which serves
+ * /api from the same origin in production.
+ */
+
+const crypto = require('crypto');
+const path = require('path');
+const jwt = require('jsonwebtoken');
+const logger = require('../utils/logger');
+
+const FORMATS = ['pdf', 'png'];
+const HIGHLIGHT = { r: 1, g: 0.85, b: 0, opacity: 0.35 };
+const PNG_SCALE = 2;
+
+/** A link that cannot be served: bad or expired token, or nothing to render. */
+class EvidenceExcerptError extends Error {
+  constructor(message, status) {
+    super(message);
+    this.name = 'EvidenceExcerptError';
+    this.status = status;
+  }
+}
+
+function linkSecret() {
+  if (!process.env.JWT_SECRET) throw new Error('JWT_SECRET is not set');
+  return crypto.createHmac('sha256', process.env.JWT_SECRET).update('evidence-excerpt').digest();
+}
+
+async function loadPdf(buffer) {
+  const pdfjsLib = require('pdfjs-dist/legacy/build/pdf.js');
+  return pdfjsLib.getDocument({
+    data: new Uint8Array(buffer),
+    useSystemFonts: true,
+    standardFontDataUrl: null
+  }).promise;
+}
+
+class EvidenceExcerptService {
+  /**
+   * Signed link to the page of a match's evidence, or null when there is none to show
+   * (not a PDF, or the quote was not located).
+   * @param {Object} match - { documentPath, evidenceSource }
+   * @param {string} [format] - 'pdf' or 'png'
+   */
+  linkFor(match, format = 'pdf') {
+    const evidence = match?.evidenceSource;
+    if (!match?.documentPath || !evidence?.page) return null;
+    if (path.extname(match.documentPath).toLowerCase() !== '.pdf') return null;
+
+    const baseUrl = process.env.EVIDENCE_BASE_URL || process.env.FRONTEND_URL;
+    if (!baseUrl || !process.env.JWT_SECRET) return null;
+
+    const token = this.signToken({
+      key: match.documentPath,
+      page: evidence.page,
+      start: evidence.start,
+      end: evidence.end
+    });
+    const query = format === 'pdf' ? '' : `?format=${format}`;
+    return `${baseUrl.replace(/\/+$/, '')}/api/evidence/${token}${query}`;
+  }
+
+  signToken({ key, page, start, end }) {
+    const ttlDays = parseInt(process.env.EVIDENCE_LINK_TTL_DAYS || '90', 10);
+    const payload = { k: key, p: page };
+    if (Number.isInteger(start) && Number.isInteger(end)) Object.assign(payload, { s: start, e: end });
+    return jwt.sign(payload, linkSecret(), { expiresIn: `${ttlDays}d` });
+  }
+
+  /** @throws {EvidenceExcerptError} 410 when expired, 404 when not a valid link */
+  verifyToken(token) {
+    try {
+      const { k, p, s, e } = jwt.verify(token, linkSecret());
+      if (typeof k !== 'string' || !Number.isInteger(p)) throw new Error('incomplete token');
+      return { key: k, page: p, start: s, end: e };
+    } catch (error) {
+      if (error.name === 'TokenExpiredError') throw new EvidenceExcerptError('This evidence link has expired', 410);
+      throw new EvidenceExcerptError('Evidence link not found', 404);
+    }
+  }
+
+  /**
+   * Boxes, in PDF user space, over the text items that characters [start, end) of the
+   * page's extracted text came from. Items only partly inside the range are cut in
+   * proportion to their characters.
+   * @param {Object} page - a pdfjs page
+   * @returns {Promise<Array<{x, y, width, height}>>}
+   */
+  async highlightBoxes(page, start, end) {
+    if (!Number.isInteger(start) || !Number.isInteger(end) || end <= start) return [];
+    const { items } = await page.getTextContent();
+
+    const joined = items.map(item => item.str).join(' ');
+    const lead = joined.length - joined.trimStart().length;
+    const from = start + lead;
+    const to = end + lead;
+
+    const boxes = [];
+    let offset = 0;
+    for (const item of items) {
+      const itemStart = offset;
+      const itemEnd = offset + item.str.length;
+      offset = itemEnd + 1;
+      if (!item.str || itemEnd <= from || itemStart >= to) continue;
+
+      const [a, b, c, d, x, y] = item.transform;
+      const height = item.height || Math.hypot(c, d) || Math.hypot(a, b);
+      const perChar = item.width / item.str.length;
+      const first = Math.max(from, itemStart) - itemStart;
+      const last = Math.min(to, itemEnd) - itemStart;
+      boxes.push({
+        x: x + first * perChar,
+        // The baseline is at y; descenders hang a little below it
+        y: y - height * 0.2,
+        width: (last - first) * perChar,
+        height: height * 1.2
+      });
+    }
+    return boxes;
+  }
+
+  /** The page alone as a PDF, boxes drawn over it. */
+  async renderPdf(buffer, pageNumber, boxes) {
+    const { PDFDocument, rgb } = require('pdf-lib');
+    const source = await PDFDocument.load(buffer, { ignoreEncryption: true });
+    const excerpt = await PDFDocument.create();
+    const [page] = await excerpt.copyPages(source, [pageNumber - 1]);
+    excerpt.addPage(page);
+    for (const box of boxes) {
+      page.drawRectangle({
+        ...box,
+        color: rgb(HIGHLIGHT.r, HIGHLIGHT.g, HIGHLIGHT.b),
+        opacity: HIGHLIGHT.opacity
+      });
+    }
+    return Buffer.from(await excerpt.save());
+  }
+
+  /** The page as a PNG, boxes drawn over it. Needs the canvas package's native build. */
+  async renderPng(page, boxes) {
+    let createCanvas;
+    try {
+      ({ createCanvas } = require('canvas'));
+    } catch (error) {
+      logger.warn('evidence: canvas unavailable, PNG excerpts disabled', { err: error.message });
+      throw new EvidenceExcerptError('PNG rendering is not available on this server; use format=pdf', 501);
+    }
+
+    const viewport = page.getViewport({ scale: PNG_SCALE });
+    const canvas = createCanvas(Math.ceil(viewport.width), Math.ceil(viewport.height));
+    const context = canvas.getContext('2d');
+    await page.render({ canvasContext: context, viewport }).promise;
+
+    context.fillStyle = `rgba(${HIGHLIGHT.r * 255}, ${HIGHLIGHT.g * 255}, ${HIGHLIGHT.b * 255}, ${HIGHLIGHT.opacity})`;
+    for (const box of boxes) {
+      const [x1, y1, x2, y2] = viewport.convertToViewportRectangle([box.x, box.y, box.x + box.width, box.y + box.height]);
+      context.fillRect(Math.min(x1, x2), Math.min(y1, y2), Math.abs(x2 - x1), Math.abs(y2 - y1));
+    }
+    return canvas.toBuffer('image/png');
+  }
+
+  /**
+   * Render one page of a PDF with characters [start, end) of its text highlighted.
+   * @returns {Promise<{ contentType, body, highlighted }>}
+   */
+  async renderPage(buffer, { page: pageNumber, start, end, format = 'pdf' }) {
+    if (!FORMATS.includes(format)) throw new EvidenceExcerptError(`Unknown format "${format}"`, 400);
+
+    const pdfDocument = await loadPdf(buffer);
+    try {
+      if (pageNumber < 1 || pageNumber > pdfDocument.numPages) {
+        throw new EvidenceExcerptError(`Page ${pageNumber} is not in this document`, 404);
+      }
+      const page = await pdfDocument.getPage(pageNumber);
+      const boxes = await this.highlightBoxes(page, start, end);
+
+      const body = format === 'png'
+        ? await this.renderPng(page, boxes)
+        : await this.renderPdf(buffer, pageNumber, boxes);
+      return {
+        contentType: format === 'png' ? 'image/png' : 'application/pdf',
+        body,
+        highlighted: boxes.length
+      };
+    } finally {
+      await pdfDocument.destroy().catch(() => null);
+    }
+  }
+
+  /**
+   * Serve a link made by linkFor(): verify it, fetch the document and render the page.
+   * @throws {EvidenceExcerptError} for anything the caller should answer with its status
+   */
+  async renderLink(token, format = 'pdf') {
+    const { key, page, start, end } = this.verifyToken(token);
+    const s3Service = require('./s3Service');
+
+    let buffer;
+    try {
+      ({ buffer } = await s3Service.getDocumentBuffer(key));
+    } catch (error) {
+      if (error.code === 'NoSuchKey' || error.statusCode === 404) {
+        throw new EvidenceExcerptError('The document is no longer available', 404);
+      }
+      throw error;
+    }
+
+    const rendered = await this.renderPage(buffer, { page, start, end, format });
+    logger.debug('evidence: page rendered', { key, page, format, boxes: rendered.highlighted });
+    const baseName = path.basename(key, path.extname(key));
+    return { ...rendered, fileName: `${baseName}-page-${page}.${format}` };
+  }
+}
+
+const evidenceExcerptService = new EvidenceExcerptService();
+
+evidenceExcerptService.EvidenceExcerptError = EvidenceExcerptError;
+
+module.exports = evidenceExcerptService;
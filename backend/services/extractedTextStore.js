@@ -0,0 +1,356 @@
+/**
+ * Content-addressed store of extracted document text.
+ *
+ * Every scan downloaded each document and extracted it again, even when the same S3
+ * object had been extracted the night before by another ScanJob or by the daily run
+ * worker - and extraction, OCR above all, is the expensive part of a document's trip
+ * through the pipeline once the AI verdict is cached. The store keeps the whole
+ * extraction result (text, page map with native/OCR provenance, diagnostics) under the
+ * content's address:
+ *
+ *   etag-<ETag>        the S3 ETag, known from a HEAD request, so a hit skips the
+ *                      download entirely
+ *   sha256-<digest>    the bytes themselves, for content reached without an ETag or
+ *                      re-uploaded under a different one (multipart ETags differ)
+ *
+ * EXTRACTED_TEXT_STORE picks where:
+ *
+ *   disk  (default) EXTRACTED_TEXT_DIR, default ./temp/extracted-text
+ *   s3    EXTRACTED_TEXT_PREFIX (default extracted-text/) in the documents bucket,
+ *         shared by every worker and by the daily run
+ *   none  off - extract every time, as before
+ *
+ * Records are gzipped JSON and expire after EXTRACTED_TEXT_TTL_DAYS (default 30) -
+ * prune() deletes them from disk; on S3 give the prefix a lifecycle rule as well.
+ *
+ * A stored result is only served when it was made by the current extractor
+ * (textExtractionService.EXTRACTION_VERSION), holds at least as much text as the caller
+ * asks for, and was not short of OCR that this machine could now run. Failed
+ * extractions are never stored. A miss is extracted in the extraction sandbox
+ * (services/extractionSandbox.js), so an unresolved document is simply not stored and
+ * is tried again next time. Like the detection cache, the store never fails the
+ * extraction: a backend error is logged and treated as a miss.
+ *
+ * Callers asking for an ETag that is already being extracted wait for that extraction
+ * instead of starting their own. The members of a shared nightly pass reach each
+ * document at nearly the same moment, before any record of it has been written, and
+ * with EXTRACTED_TEXT_STORE=none this is the only thing they share.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const fsp = fs.promises;
+const path = require('path');
+const zlib = require('zlib');
+const { promisify } = require('util');
+const logger = require('../utils/logger');
+const textExtractionService = require('./textExtractionService');
+const extractionSandbox = require('./extractionSandbox');
+const ocrService = require('./ocrService');
+
+const gzip = promisify(zlib.gzip);
+const gunzip = promisify(zlib.gunzip);
+
+const BACKENDS = ['disk', 's3', 'none'];
+const DEFAULT_TTL_DAYS = 30;
+
+/** One file per key under a two-character shard directory. */
+class DiskTextStoreBackend {
+  constructor({ dir = process.env.EXTRACTED_TEXT_DIR || path.join(__dirname, '..', 'temp', 'extracted-text') } = {}) {
+    this.name = 'disk';
+    this.dir = dir;
+  }
+
+  filePath(key) {
+    const id = key.slice(key.indexOf('-') + 1);
+    return path.join(this.dir, id.slice(0, 2) || '__', `${key}.json.gz`);
+  }
+
+  async get(key) {
+    try {
+      return await fsp.readFile(this.filePath(key));
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  async set(key, body) {
+    const target = this.filePath(key);
+    await fsp.mkdir(path.dirname(target), { recursive: true });
+    // Written aside and renamed, so a concurrent reader never sees half a record
+    const temp = `${target}.${process.pid}.tmp`;
+    await fsp.writeFile(temp, body);
+    await fsp.rename(temp, target);
+  }
+
+  async prune(maxAgeMs) {
+    let removed = 0;
+    const cutoff = Date.now() - maxAgeMs;
+    const shards = await fsp.readdir(this.dir).catch(() => []);
+    for (const shard of shards) {
+      const shardDir = path.join(this.dir, shard);
+      for (const file of await fsp.readdir(shardDir).catch(() => [])) {
+        const filePath = path.join(shardDir, file);
+        const stats = await fsp.stat(filePath).catch(() => null);
+        if (stats && stats.mtimeMs < cutoff) {
+          await fsp.unlink(filePath).catch(() => null);
+          removed++;
+        }
+      }
+    }
+    return removed;
+  }
+}
+
+/** Objects under a prefix of the documents bucket. */
+class S3TextStoreBackend {
+  constructor({ s3, bucket, prefix = process.env.EXTRACTED_TEXT_PREFIX || 'extracted-text/' } = {}) {
+    this.name = 's3';
+    if (!s3) {
+      const AWS = require('aws-sdk');
+      s3 = new AWS.S3();
+    }
+    this.s3 = s3;
+    this.bucket = bucket || require('../utils/awsConfig').getBucket();
+    this.prefix = prefix.endsWith('/') ? prefix : `${prefix}/`;
+  }
+
+  async get(key) {
+    try {
+      const response = await this.s3.getObject({ Bucket: this.bucket, Key: `${this.prefix}${key}.json.gz` }).promise();
+      return response.Body;
+    } catch (error) {
+      if (error.code === 'NoSuchKey' || error.statusCode === 404) return null;
+      throw error;
+    }
+  }
+
+  async set(key, body) {
+    await this.s3.putObject({
+      Bucket: this.bucket,
+      Key: `${this.prefix}${key}.json.gz`,
+      Body: body,
+      ContentType: 'application/json',
+      ContentEncoding: 'gzip'
+    }).promise();
+  }
+
+  async prune() {
+    // Expiry on S3 is the bucket lifecycle rule's job; reads still honour the TTL.
+    return 0;
+  }
+}
+
+function resolveBackendName(env = process.env) {
+  const name = String(env.EXTRACTED_TEXT_STORE || 'disk').toLowerCase().trim();
+  if (!BACKENDS.includes(name)) {
+    throw new Error(`Unknown EXTRACTED_TEXT_STORE "${env.EXTRACTED_TEXT_STORE}". Expected one of: ${BACKENDS.join(', ')}`);
+  }
+  return name;
+}
+
+function createBackend(env = process.env) {
+  const name = resolveBackendName(env);
+  if (name === 'none') return null;
+  return name === 's3' ? new S3TextStoreBackend() : new DiskTextStoreBackend();
+}
+
+const etagKey = etag => `etag-${String(etag).replace(/"/g, '').replace(/[^A-Za-z0-9-]/g, '')}`;
+const hashKey = digest => `sha256-${digest}`;
+
+async function digestOf({ buffer, filePath }) {
+  const hash = crypto.createHash('sha256');
+  if (buffer) return hash.update(buffer).digest('hex');
+  for await (const chunk of fs.createReadStream(filePath)) hash.update(chunk);
+  return hash.digest('hex');
+}
+
+class ExtractedTextStore {
+  /**
+   * @param {Object} [opts]
+   * @param {Object|null} [opts.backend] - defaults from EXTRACTED_TEXT_STORE; null disables
+   * @param {number} [opts.ttlMs]
+   */
+  constructor({ backend, ttlMs } = {}) {
+    this.backend = backend === undefined ? null : backend;
+    this.backendResolved = backend !== undefined;
+    this.ttlMs = ttlMs || parseFloat(process.env.EXTRACTED_TEXT_TTL_DAYS || DEFAULT_TTL_DAYS) * 24 * 3600 * 1000;
+    // etag key + maxChars -> the extraction in progress
+    this.extracting = new Map();
+    this.resetStats();
+  }
+
+  /** Resolved on first use, so requiring the module never opens an S3 client. */
+  getBackend() {
+    if (!this.backendResolved) {
+      this.backend = createBackend();
+      this.backendResolved = true;
+    }
+    return this.backend;
+  }
+
+  resetStats() {
+    this.stats = { etagHits: 0, hashHits: 0, misses: 0, joined: 0, stale: 0, saves: 0, errors: 0 };
+  }
+
+  /** A record the caller can use, or null. */
+  usable(record, maxChars) {
+    if (!record || record.version !== textExtractionService.EXTRACTION_VERSION) return false;
+    if (Date.now() - new Date(record.storedAt).getTime() > this.ttlMs) return false;
+    const { diagnostics } = record.result;
+    if (record.maxChars < maxChars && diagnostics.truncated) return false;
+    if (diagnostics.ocrUnavailable && ocrService.canOCR()) return false;
+    return true;
+  }
+
+  async read(key, maxChars) {
+    const backend = this.getBackend();
+    if (!backend) return null;
+    try {
+      const body = await backend.get(key);
+      if (!body) return null;
+      const record = JSON.parse((await gunzip(body)).toString('utf8'));
+      if (!this.usable(record, maxChars)) {
+        this.stats.stale++;
+        return null;
+      }
+      return textExtractionService.narrowResult(record.result, maxChars);
+    } catch (error) {
+      this.stats.errors++;
+      logger.warn('text store: read failed, treating as miss', { key, backend: backend.name, err: error.message });
+      return null;
+    }
+  }
+
+  async write(keys, result, maxChars) {
+    const backend = this.getBackend();
+    if (!backend || !result.success) return;
+    try {
+      const body = await gzip(JSON.stringify({
+        version: textExtractionService.EXTRACTION_VERSION,
+        maxChars,
+        storedAt: new Date().toISOString(),
+        result
+      }));
+      for (const key of keys) await backend.set(key, body);
+      this.stats.saves++;
+    } catch (error) {
+      this.stats.errors++;
+      logger.warn('text store: write failed', { keys, backend: backend.name, err: error.message });
+    }
+  }
+
+  /**
+   * Extract a document, from the store when it already holds it.
+   * @param {Object} input
+   * @param {string} input.fileName
+   * @param {string} [input.etag] - S3 ETag, when known before downloading
+   * @param {number} [input.maxChars]
+   * @param {Function} input.load - async () => { buffer } or { filePath }; only called
+   *   on an ETag miss. Return `cleanup` alongside to have it run afterwards.
+   * @param {Function} [input.schedule] - runs the extraction itself, e.g. through a
+   *   concurrency pool; store lookups and the download are outside it
+   * @returns {Promise<Object>} the extraction result, with `stored` set to 'etag' or
+   *   'sha256' when it came from the store
+   */
+  async extract(input) {
+    const { fileName, etag, maxChars = textExtractionService.DEFAULT_MAX_CHARS } = input;
+    if (!etag) return this.extractOnce(input);
+
+    const key = `${etagKey(etag)}:${maxChars}`;
+    if (this.extracting.has(key)) {
+      this.stats.joined++;
+      logger.debug('text store: joined an extraction in progress', { file: fileName });
+      return { ...(await this.extracting.get(key)) };
+    }
+    const extraction = this.extractOnce(input);
+    this.extracting.set(key, extraction);
+    try {
+      return await extraction;
+    } finally {
+      this.extracting.delete(key);
+    }
+  }
+
+  async extractOnce({ fileName, etag, maxChars = textExtractionService.DEFAULT_MAX_CHARS, load, schedule = fn => fn() }) {
+    if (etag) {
+      const hit = await this.read(etagKey(etag), maxChars);
+      if (hit) {
+        this.stats.etagHits++;
+        logger.debug('text store: hit', { file: fileName, by: 'etag' });
+        return { ...hit, stored: 'etag' };
+      }
+    }
+
+    const input = await load();
+    try {
+      const keys = etag ? [etagKey(etag)] : [];
+      if (this.getBackend()) {
+        const key = hashKey(await digestOf(input));
+        const hit = await this.read(key, maxChars);
+        if (hit) {
+          this.stats.hashHits++;
+          logger.debug('text store: hit', { file: fileName, by: 'sha256' });
+          // Alias the new ETag so the next lookup skips the download
+          if (etag) await this.write(keys, hit, maxChars);
+          return { ...hit, stored: 'sha256' };
+        }
+        keys.push(key);
+      }
+
+      this.stats.misses++;
+      const result = await schedule(() =>
+        extractionSandbox.extract({ fileName, maxChars, buffer: input.buffer, filePath: input.filePath }));
+      await this.write(keys, result, maxChars);
+      return result;
+    } finally {
+      if (input.cleanup) await input.cleanup();
+    }
+  }
+
+  /**
+   * extract() for an object in the documents bucket: HEAD for its ETag, then download
+   * only on a miss.
+   */
+  async extractS3Document(s3Key, { fileName = path.basename(s3Key), maxChars } = {}) {
+    const s3Service = require('./s3Service');
+    const head = await s3Service.getObjectHead(s3Key).catch(error => {
+      logger.debug('text store: HEAD failed, looking up by content', { key: s3Key, err: error.message });
+      return null;
+    });
+    return this.extract({
+      fileName,
+      etag: head?.etag,
+      maxChars,
+      load: async () => ({ buffer: (await s3Service.getDocumentBuffer(s3Key)).buffer })
+    });
+  }
+
+  /** Delete records past the TTL (disk backend). */
+  async prune() {
+    const backend = this.getBackend();
+    if (!backend) return 0;
+    const removed = await backend.prune(this.ttlMs);
+    logger.info('text store: pruned', { backend: backend.name, removed });
+    return removed;
+  }
+
+  getStats() {
+    const lookups = this.stats.etagHits + this.stats.hashHits + this.stats.misses;
+    return {
+      ...this.stats,
+      backend: this.getBackend()?.name || 'none',
+      hitRate: lookups > 0 ? ((this.stats.etagHits + this.stats.hashHits) / lookups * 100) : 0
+    };
+  }
+}
+
+const extractedTextStore = new ExtractedTextStore();
+
+extractedTextStore.ExtractedTextStore = ExtractedTextStore;
+extractedTextStore.DiskTextStoreBackend = DiskTextStoreBackend;
+extractedTextStore.S3TextStoreBackend = S3TextStoreBackend;
+extractedTextStore.resolveBackendName = resolveBackendName;
+
+module.exports = extractedTextStore;
@@ -0,0 +1,318 @@
+/**
+ * Text extraction in a pool of child processes with hard per-document limits.
+ *
+ * Extraction used to run inside the scan process, guarded by heuristics: a heap check
+ * between documents in the scan loop, a hard-coded 4096MB "system total" in ocrService,
+ * the 5-minute processing timeout. None of them can stop a malformed PDF that sends
+ * pdfjs into a loop or allocates until the process dies - the timeout rejects the
+ * promise but the loop keeps running, and an OOM takes the whole scan down with it
+ * (scripts/test-corrupted-pdf.js was written after exactly that).
+ *
+ * Each extraction now runs in a worker process (services/extractionWorker.js), forked
+ * in its own process group with a V8 heap cap, and watched while it works:
+ *
+ *   EXTRACTION_TIMEOUT_SECONDS   wall clock per document                     (300)
+ *   EXTRACTION_CPU_SECONDS       CPU time per document, the worker and the
+ *                                OCR tools it has finished waiting for        (180)
+ *   EXTRACTION_MEMORY_MB         resident memory of the worker; the V8 heap
+ *                                is capped at three quarters of it           (1024)
+ *   EXTRACTION_WORKERS           processes in the pool                          (1)
+ *   EXTRACTION_WORKER_RECYCLE    documents a worker reads before it is
+ *                                replaced, so pdfjs leaks cannot accumulate    (200)
+ *
+ * A worker over a limit is killed with its whole process group (so a pdftoppm or
+ * tesseract it started goes too), and a worker that dies on its own - V8 out of
+ * memory, a native crash - is replaced. Either way the document comes back as an
+ * `outcome: 'unresolved'` result (textExtractionService.unresolvedResult) with the
+ * reason and what was measured, and the next document gets a fresh worker. CPU time
+ * and resident memory are read from /proc; where it does not exist only the wall clock
+ * and the heap cap apply.
+ *
+ * A long scanned PDF is not a runaway, though: OCR at up to OCR_MAX_PAGES pages does not
+ * fit the limits, and a kill would lose its native-text pages too. So each worker is
+ * given a time budget (extractionBudgetMs, three quarters of the smaller of the two
+ * time limits); OCR stops there and the document comes back with the pages read so far.
+ *
+ * EXTRACTION_SANDBOX=off runs extraction in-process as before (the test suite does).
+ * Callers use extract() exactly as they would textExtractionService.extract().
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { fork } = require('child_process');
+const logger = require('../utils/logger');
+const runContext = require('../utils/runContext');
+const textExtractionService = require('./textExtractionService');
+
+const WORKER_PATH = path.join(__dirname, 'extractionWorker.js');
+// How often a busy worker's usage is sampled
+const SAMPLE_MS = 250;
+// Linux reports CPU time in clock ticks of 1/100 s (USER_HZ) on every platform we run
+const CLOCK_TICKS = 100;
+const STDERR_TAIL = 4096;
+// Share of the time limits an extraction spends before OCR stops and returns what it has
+const BUDGET_SHARE = 0.75;
+
+function readLimits(env = process.env) {
+  const number = (name, fallback) => {
+    const value = parseFloat(env[name]);
+    return Number.isFinite(value) && value > 0 ? value : fallback;
+  };
+  return {
+    timeoutMs: number('EXTRACTION_TIMEOUT_SECONDS', 300) * 1000,
+    cpuMs: number('EXTRACTION_CPU_SECONDS', 180) * 1000,
+    memoryMb: number('EXTRACTION_MEMORY_MB', 1024),
+    workers: Math.floor(number('EXTRACTION_WORKERS', 1)),
+    recycleAfter: Math.floor(number('EXTRACTION_WORKER_RECYCLE', 200))
+  };
+}
+
+/** How long a worker has before slow steps must stop, well inside both time limits. */
+function extractionBudgetMs({ timeoutMs, cpuMs }) {
+  return Math.floor(Math.min(timeoutMs, cpuMs) * BUDGET_SHARE);
+}
+
+/**
+ * CPU milliseconds (own plus waited-for children) and resident MB of a process, or
+ * null where /proc is not available.
+ */
+function sampleUsage(pid) {
+  try {
+    const stat = fs.readFileSync(`/proc/${pid}/stat`, 'utf8');
+    // Fields after the command name, which is in parentheses and may contain spaces
+    const fields = stat.slice(stat.lastIndexOf(')') + 2).split(' ');
+    const [utime, stime, cutime, cstime] = fields.slice(11, 15).map(Number);
+    const status = fs.readFileSync(`/proc/${pid}/status`, 'utf8');
+    const rssKb = parseInt((status.match(/^VmRSS:\s+(\d+)/m) || [])[1] || '0', 10);
+    return {
+      cpuMs: ((utime + stime + cutime + cstime) / CLOCK_TICKS) * 1000,
+      rssMb: Math.round(rssKb / 1024)
+    };
+  } catch (error) {
+    return null;
+  }
+}
+
+class ExtractionSandbox {
+  /**
+   * @param {Object} [options]
+   * @param {Object} [options.limits] - overrides readLimits()
+   * @param {string} [options.workerPath] - the worker module (tests substitute one)
+   * @param {boolean} [options.enabled] - default: EXTRACTION_SANDBOX is not 'off'
+   */
+  constructor({ limits = {}, workerPath = WORKER_PATH, enabled } = {}) {
+    this.options = { limits, workerPath, enabled };
+    this.workers = [];
+    this.queue = [];
+    this.nextId = 1;
+    this.stats = { extracted: 0, unresolved: 0, workersStarted: 0, byReason: {} };
+  }
+
+  get enabled() {
+    if (this.options.enabled !== undefined) return this.options.enabled;
+    return String(process.env.EXTRACTION_SANDBOX || 'process').toLowerCase() !== 'off';
+  }
+
+  get limits() {
+    return { ...readLimits(), ...this.options.limits };
+  }
+
+  /**
+   * textExtractionService.extract() in a worker process.
+   * @returns {Promise<Object>} the extraction result; 'unresolved' when a limit was hit
+   *   or the worker died. Never throws.
+   */
+  extract(input) {
+    if (!this.enabled) return textExtractionService.extract(input);
+    return new Promise(resolve => {
+      this.queue.push({ id: this.nextId++, input, context: runContext.getContext(), resolve });
+      this.dispatch();
+    });
+  }
+
+  /** extractFile() in a worker process. */
+  extractFile(filePath, options = {}) {
+    return this.extract({ ...options, fileName: options.fileName || path.basename(filePath), filePath });
+  }
+
+  dispatch() {
+    while (this.queue.length > 0) {
+      let worker = this.workers.find(w => !w.task);
+      if (!worker && this.workers.length < this.limits.workers) worker = this.startWorker();
+      if (!worker) return;
+      this.run(worker, this.queue.shift());
+    }
+  }
+
+  startWorker() {
+    const { memoryMb } = this.limits;
+    const execArgv = [`--max-old-space-size=${Math.max(64, Math.floor(memoryMb * 0.75))}`];
+    if (global.gc) execArgv.push('--expose-gc');
+
+    const child = fork(this.options.workerPath, [], {
+      execArgv,
+      // Its own process group, so a kill reaches the OCR tools it started
+      detached: true,
+      serialization: 'advanced',
+      stdio: ['ignore', 'inherit', 'pipe', 'ipc']
+    });
+    const worker = { child, task: null, served: 0, stderr: '' };
+
+    child.stderr.on('data', chunk => {
+      process.stderr.write(chunk);
+      worker.stderr = (worker.stderr + chunk.toString()).slice(-STDERR_TAIL);
+    });
+    child.on('message', message => this.onMessage(worker, message));
+    child.on('exit', (code, signal) => this.onExit(worker, code, signal));
+    child.on('error', error => logger.warn('extract sandbox: worker error', { pid: child.pid, err: error.message }));
+
+    this.workers.push(worker);
+    this.stats.workersStarted++;
+    this.idle(worker);
+    logger.debug('extract sandbox: worker started', { pid: child.pid, heapMB: execArgv[0].split('=')[1] });
+    return worker;
+  }
+
+  run(worker, task) {
+    const { timeoutMs, cpuMs, memoryMb } = this.limits;
+    worker.task = task;
+    worker.stderr = '';
+    this.busy(worker);
+
+    const started = Date.now();
+    const baseline = sampleUsage(worker.child.pid);
+    task.monitor = setInterval(() => {
+      if (Date.now() - started > timeoutMs) {
+        return this.stop(worker, 'timeout', { limit: timeoutMs / 1000, used: Math.round((Date.now() - started) / 1000) });
+      }
+      const usage = sampleUsage(worker.child.pid);
+      if (!usage) return;
+      const cpuUsed = usage.cpuMs - (baseline?.cpuMs || 0);
+      if (cpuUsed > cpuMs) {
+        return this.stop(worker, 'cpu-limit', { limit: cpuMs / 1000, used: Math.round(cpuUsed / 1000) });
+      }
+      if (usage.rssMb > memoryMb) {
+        return this.stop(worker, 'memory-limit', { limit: memoryMb, used: usage.rssMb });
+      }
+    }, SAMPLE_MS);
+
+    const budgetMs = extractionBudgetMs({ timeoutMs, cpuMs });
+    worker.child.send({ id: task.id, input: task.input, context: task.context, budgetMs }, error => {
+      if (error) this.stop(worker, 'crashed', { err: error.message });
+    });
+  }
+
+  onMessage(worker, { id, result }) {
+    const task = worker.task;
+    if (!task || task.id !== id) return;
+    this.finish(worker, result);
+    this.stats.extracted++;
+
+    worker.served++;
+    if (worker.served >= this.limits.recycleAfter) {
+      logger.debug('extract sandbox: recycling worker', { pid: worker.child.pid, served: worker.served });
+      this.retire(worker);
+    }
+    this.dispatch();
+  }
+
+  onExit(worker, code, signal) {
+    this.workers = this.workers.filter(w => w !== worker);
+    if (worker.task) {
+      // Died on its own mid-document: V8's heap cap, a native crash, an unhandled error
+      const outOfMemory = /heap out of memory|allocation failed/i.test(worker.stderr);
+      this.unresolve(worker, outOfMemory ? 'memory-limit' : 'crashed', {
+        exitCode: code ?? undefined,
+        signal: signal || undefined,
+        limit: outOfMemory ? this.limits.memoryMb : undefined
+      });
+    }
+    this.dispatch();
+  }
+
+  /** Kill a worker at a limit and answer its document as unresolved. */
+  stop(worker, reason, details) {
+    if (!worker.task) return;
+    this.unresolve(worker, reason, details);
+    this.retire(worker);
+    this.dispatch();
+  }
+
+  unresolve(worker, reason, details) {
+    const { input } = worker.task;
+    logger.warn('extract sandbox: document unresolved', {
+      file: input.fileName || path.basename(input.filePath || ''),
+      reason,
+      ...details
+    });
+    this.stats.unresolved++;
+    this.stats.byReason[reason] = (this.stats.byReason[reason] || 0) + 1;
+    this.finish(worker, textExtractionService.unresolvedResult(
+      textExtractionService.formatFor(input.fileName || input.filePath),
+      reason,
+      details
+    ));
+  }
+
+  finish(worker, result) {
+    const task = worker.task;
+    clearInterval(task.monitor);
+    worker.task = null;
+    this.idle(worker);
+    task.resolve(result);
+  }
+
+  /** Kill a worker and everything in its process group. */
+  retire(worker) {
+    this.workers = this.workers.filter(w => w !== worker);
+    try {
+      process.kill(-worker.child.pid, 'SIGKILL');
+    } catch (error) {
+      worker.child.kill('SIGKILL');
+    }
+  }
+
+  // An idle worker must not keep a script's event loop alive; a busy one must
+  idle(worker) {
+    worker.child.unref();
+    if (worker.child.channel) worker.child.channel.unref();
+  }
+
+  busy(worker) {
+    worker.child.ref();
+    if (worker.child.channel) worker.child.channel.ref();
+  }
+
+  /** Stop every worker; queued documents come back unresolved. */
+  async shutdown() {
+    for (const task of this.queue.splice(0)) {
+      task.resolve(textExtractionService.unresolvedResult(null, 'crashed', { err: 'sandbox shut down' }));
+    }
+    const exits = this.workers.map(worker => new Promise(resolve => {
+      worker.child.once('exit', resolve);
+      if (worker.task) this.unresolve(worker, 'crashed', { err: 'sandbox shut down' });
+      this.retire(worker);
+    }));
+    await Promise.all(exits);
+  }
+
+  getStats() {
+    return {
+      ...this.stats,
+      enabled: this.enabled,
+      workers: this.workers.length,
+      busy: this.workers.filter(w => w.task).length,
+      queued: this.queue.length,
+      limits: this.limits
+    };
+  }
+}
+
+const extractionSandbox = new ExtractionSandbox();
+
+extractionSandbox.ExtractionSandbox = ExtractionSandbox;
+extractionSandbox.readLimits = readLimits;
+extractionSandbox.extractionBudgetMs = extractionBudgetMs;
+extractionSandbox.sampleUsage = sampleUsage;
+
+module.exports = extractionSandbox;
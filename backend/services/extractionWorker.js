@@ -0,0 +1,35 @@
+/**
+ * Child-process entry point for services/extractionSandbox.js: runs one extraction at a
+ * time through textExtractionService and sends the result back over IPC.
+ *
+ * Started by the sandbox only, never required. Everything heavy an extraction does -
+ * pdfjs, mammoth, the pdftoppm/tesseract subprocesses - happens in this process, so
+ * when the sandbox kills it at a limit the scan process loses nothing but the one
+ * document.
+ */
+
+const textExtractionService = require('./textExtractionService');
+const runContext = require('../utils/runContext');
+const logger = require('../utils/logger');
+
+process.on('message', async ({ id, input, context, budgetMs }) => {
+  // IPC turns a Buffer into a Uint8Array; the extractors expect a Buffer
+  if (input.buffer && !Buffer.isBuffer(input.buffer)) {
+    input.buffer = Buffer.from(input.buffer.buffer, input.buffer.byteOffset, input.buffer.byteLength);
+  }
+  // Slow steps stop inside the sandbox's limits and keep what they have read
+  if (budgetMs) input.deadline = Date.now() + budgetMs;
+  let result;
+  try {
+    // Log lines carry the scan's runId, file and project as they would in-process
+    result = await runContext.runWith(context || {}, () => textExtractionService.extract(input));
+  } catch (error) {
+    // extract() never throws; this is a bug in the worker itself
+    logger.error('extract worker: unexpected error', { err: error.message });
+    result = textExtractionService.unresolvedResult(null, 'crashed', { err: error.message });
+  }
+  process.send({ id, result });
+});
+
+// The scan process went away (including being killed): nothing left to work for
+process.on('disconnect', () => process.exit(0));
@@ -0,0 +1,22 @@
+/**
+ * DOCX: mammoth's raw text. Word does not store page breaks it computes at layout
+ * time, so the document is one page.
+ */
+
+module.exports = {
+  format: 'docx',
+  extensions: ['.docx'],
+  method: 'mammoth',
+
+  async extract(buffer) {
+    const mammoth = require('mammoth');
+    const result = await mammoth.extractRawText({ buffer });
+    return {
+      pages: [result.value || ''],
+      diagnostics: {
+        paginated: false,
+        warnings: (result.messages || []).map(m => m.message).slice(0, 10)
+      }
+    };
+  }
+};
@@ -0,0 +1,234 @@
+/**
+ * Email: .eml (MIME) and Outlook .msg, as councils forward FI letters as either.
+ *
+ * Both come out as a short header block (From / To / Subject / Date) followed by the
+ * body - text/plain where the message has it, else its HTML stripped. Attachments that
+ * another plugin reads (usually the PDF letter itself) are extracted through the
+ * service and appended as further pages, one nesting level deep; anything else is
+ * listed in diagnostics.attachments and skipped.
+ *
+ * .msg is a compound file ([MS-OXMSG]): properties are __substg1.0_<tag><type>
+ * streams, type 001F being UTF-16LE, 001E 8-bit and 0102 binary.
+ */
+
+const path = require('path');
+const { CFB } = require('xlsx');
+const { htmlToText } = require('./html');
+
+const MAX_ATTACHMENTS = 5;
+
+// ---------------------------------------------------------------------------- MIME
+
+function decodeCharset(buffer, charset) {
+  const name = String(charset || 'utf-8').toLowerCase();
+  if (['utf-8', 'utf8', 'us-ascii', 'ascii'].includes(name)) return buffer.toString('utf8');
+  try {
+    return new TextDecoder(name).decode(buffer);
+  } catch (error) {
+    return buffer.toString('latin1');
+  }
+}
+
+function decodeQuotedPrintable(text) {
+  const bytes = [];
+  const source = text.replace(/=\r?\n/g, '');
+  for (let i = 0; i < source.length; i++) {
+    if (source[i] === '=' && /^[0-9A-F]{2}$/i.test(source.substr(i + 1, 2))) {
+      bytes.push(parseInt(source.substr(i + 1, 2), 16));
+      i += 2;
+    } else {
+      bytes.push(source.charCodeAt(i) & 0xff);
+    }
+  }
+  return Buffer.from(bytes);
+}
+
+/** RFC 2047 encoded words in headers. */
+function decodeHeader(value) {
+  return String(value || '').replace(/=\?([^?]+)\?([bq])\?([^?]*)\?=/gi, (word, charset, encoding, data) => {
+    const bytes = encoding.toLowerCase() === 'b'
+      ? Buffer.from(data, 'base64')
+      : decodeQuotedPrintable(data.replace(/_/g, ' '));
+    return decodeCharset(bytes, charset);
+  }).replace(/\s+/g, ' ').trim();
+}
+
+function parseHeaders(block) {
+  const headers = {};
+  for (const line of block.replace(/\r?\n[ \t]+/g, ' ').split(/\r?\n/)) {
+    const colon = line.indexOf(':');
+    if (colon > 0) headers[line.slice(0, colon).trim().toLowerCase()] = line.slice(colon + 1).trim();
+  }
+  return headers;
+}
+
+function headerParam(value, name) {
+  const match = new RegExp(`${name}\\*?=(?:"([^"]*)"|([^;\\s]+))`, 'i').exec(value || '');
+  if (!match) return null;
+  const raw = match[1] ?? match[2];
+  // RFC 2231 extended values: charset''percent-encoded
+  const extended = /^([\w-]+)''(.*)$/.exec(raw);
+  return extended ? decodeURIComponent(extended[2]) : decodeHeader(raw);
+}
+
+/**
+ * One MIME entity, walked into its leaf parts.
+ * @returns {Array<{ type, charset, fileName, disposition, body: Buffer }>}
+ */
+function mimeParts(raw) {
+  const split = /\r?\n\r?\n/.exec(raw);
+  const headerBlock = split ? raw.slice(0, split.index) : raw;
+  const bodyText = split ? raw.slice(split.index + split[0].length) : '';
+  const headers = parseHeaders(headerBlock);
+  const contentType = headers['content-type'] || 'text/plain';
+  const type = contentType.split(';')[0].trim().toLowerCase();
+
+  if (type.startsWith('multipart/')) {
+    const boundary = headerParam(contentType, 'boundary');
+    if (!boundary) return [];
+    return bodyText
+      .split(`--${boundary}`)
+      .slice(1)
+      .filter(part => !part.startsWith('--'))
+      .flatMap(part => mimeParts(part.replace(/^\r?\n/, '')));
+  }
+
+  const encoding = (headers['content-transfer-encoding'] || '').toLowerCase();
+  const body = encoding === 'base64'
+    ? Buffer.from(bodyText.replace(/\s+/g, ''), 'base64')
+    : encoding === 'quoted-printable'
+      ? decodeQuotedPrintable(bodyText)
+      : Buffer.from(bodyText, 'latin1');
+
+  return [{
+    type,
+    charset: headerParam(contentType, 'charset'),
+    fileName: headerParam(headers['content-disposition'], 'filename') || headerParam(contentType, 'name'),
+    disposition: (headers['content-disposition'] || '').split(';')[0].trim().toLowerCase(),
+    headers,
+    body
+  }];
+}
+
+function parseEml(buffer) {
+  const raw = buffer.toString('latin1');
+  const split = /\r?\n\r?\n/.exec(raw);
+  const headers = parseHeaders(split ? raw.slice(0, split.index) : raw);
+  const parts = mimeParts(raw);
+
+  const inline = parts.filter(p => p.disposition !== 'attachment' && !p.fileName);
+  const plain = inline.find(p => p.type === 'text/plain');
+  const html = inline.find(p => p.type === 'text/html');
+  let body = '';
+  if (plain) body = decodeCharset(plain.body, plain.charset);
+  else if (html) body = htmlToText(decodeCharset(html.body, html.charset));
+
+  return {
+    from: decodeHeader(headers.from),
+    to: decodeHeader(headers.to),
+    subject: decodeHeader(headers.subject),
+    date: headers.date || '',
+    body,
+    attachments: parts
+      .filter(p => p.fileName)
+      .map(p => ({ fileName: p.fileName, buffer: p.body }))
+  };
+}
+
+// ----------------------------------------------------------------------------- MSG
+
+function msgProperty(container, prefix, tag) {
+  const unicode = CFB.find(container, `${prefix}__substg1.0_${tag}001F`);
+  if (unicode?.content) return Buffer.from(unicode.content).toString('utf16le').replace(/\0+$/, '');
+  const ansi = CFB.find(container, `${prefix}__substg1.0_${tag}001E`);
+  if (ansi?.content) return Buffer.from(ansi.content).toString('latin1').replace(/\0+$/, '');
+  return '';
+}
+
+function parseMsg(buffer) {
+  const container = CFB.read(buffer, { type: 'buffer' });
+  const root = container.FullPaths[0];
+  if (!CFB.find(container, '__properties_version1.0') && !container.FullPaths.some(p => p.includes('__substg1.0_'))) {
+    throw new Error('Not an Outlook message');
+  }
+
+  let body = msgProperty(container, root, '1000');
+  if (!body.trim()) {
+    const html = CFB.find(container, `${root}__substg1.0_10130102`);
+    if (html?.content) body = htmlToText(Buffer.from(html.content).toString('utf8'));
+  }
+
+  const attachmentDirs = container.FullPaths
+    .filter(p => /__attach_version1\.0_#[0-9A-F]{8}\/$/i.test(p) && p.split('/').length === 3);
+  const attachments = attachmentDirs.map(dir => {
+    const data = CFB.find(container, `${dir}__substg1.0_37010102`);
+    return {
+      fileName: msgProperty(container, dir, '3707') || msgProperty(container, dir, '3704'),
+      buffer: data?.content ? Buffer.from(data.content) : null
+    };
+  }).filter(a => a.fileName && a.buffer);
+
+  return {
+    from: msgProperty(container, root, '0C1A') || msgProperty(container, root, '0C1F'),
+    to: msgProperty(container, root, '0E04'),
+    subject: msgProperty(container, root, '0037'),
+    date: '',
+    body,
+    attachments
+  };
+}
+
+// ---------------------------------------------------------------------------- plugin
+
+module.exports = {
+  format: 'email',
+  extensions: ['.eml', '.msg'],
+  method: 'mime',
+
+  async extract(buffer, context) {
+    const isMsg = path.extname(context.fileName).toLowerCase() === '.msg';
+    const message = isMsg ? parseMsg(buffer) : parseEml(buffer);
+
+    const header = [
+      message.from && `From: ${message.from}`,
+      message.to && `To: ${message.to}`,
+      message.subject && `Subject: ${message.subject}`,
+      message.date && `Date: ${message.date}`
+    ].filter(Boolean).join('\n');
+    const pages = [[header, message.body].filter(Boolean).join('\n\n')];
+
+    const attachments = [];
+    const warnings = [];
+    for (const attachment of message.attachments) {
+      const entry = { fileName: attachment.fileName, bytes: attachment.buffer.length };
+      attachments.push(entry);
+      if (attachments.length > MAX_ATTACHMENTS) {
+        entry.skipped = 'attachment limit';
+        continue;
+      }
+
+      const nested = await context.extractNested({ fileName: attachment.fileName, buffer: attachment.buffer });
+      entry.format = nested.format;
+      if (!nested.success) {
+        entry.skipped = nested.error;
+        if (nested.format) warnings.push(`attachment ${attachment.fileName}: ${nested.error}`);
+        continue;
+      }
+      entry.pages = nested.pages.length;
+      for (const page of nested.pages) pages.push(page.text);
+    }
+
+    return {
+      pages,
+      diagnostics: {
+        method: isMsg ? 'outlook-msg' : 'mime',
+        paginated: false,
+        attachments,
+        warnings
+      }
+    };
+  },
+
+  parseEml,
+  parseMsg
+};
@@ -0,0 +1,57 @@
+/**
+ * HTML: tags stripped, with block elements turned into line breaks so paragraphs do
+ * not run together, and entities decoded. Script, style and head content is dropped.
+ * Also used by the email plugin for HTML-only messages.
+ */
+
+const NAMED_ENTITIES = {
+  amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ',
+  ndash: '–', mdash: '—', lsquo: '‘', rsquo: '’',
+  ldquo: '“', rdquo: '”', hellip: '…', bull: '•',
+  euro: '€', pound: '£', copy: '©', reg: '®', deg: '°',
+  eacute: 'é', aacute: 'á', iacute: 'í', oacute: 'ó', uacute: 'ú',
+  Eacute: 'É', Aacute: 'Á', Iacute: 'Í', Oacute: 'Ó', Uacute: 'Ú'
+};
+
+const BLOCK_TAGS = 'p|div|br|tr|li|ul|ol|table|h[1-6]|section|article|header|footer|blockquote|pre|hr|title';
+
+function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+\d?);/gi, (entity, body) => {
+    if (body[0] === '#') {
+      const code = body[1] === 'x' || body[1] === 'X' ? parseInt(body.slice(2), 16) : parseInt(body.slice(1), 10);
+      return Number.isFinite(code) && code > 0 && code < 0x110000 ? String.fromCodePoint(code) : entity;
+    }
+    return NAMED_ENTITIES[body] ?? entity;
+  });
+}
+
+function htmlToText(html) {
+  const text = String(html)
+    .replace(/<!--[\s\S]*?-->/g, '')
+    .replace(/<(script|style|head|noscript)\b[^>]*>[\s\S]*?<\/\1\s*>/gi, '')
+    .replace(/<\/?(td|th)\b[^>]*>/gi, '\t')
+    .replace(new RegExp(`<\\/?(${BLOCK_TAGS})\\b[^>]*>`, 'gi'), '\n')
+    .replace(/<[^>]+>/g, '');
+
+  return decodeEntities(text)
+    .replace(/\r\n?/g, '\n')
+    .replace(/[ \t ]+/g, ' ')
+    .replace(/ ?\n ?/g, '\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+module.exports = {
+  format: 'html',
+  extensions: ['.html', '.htm'],
+  method: 'html-strip',
+
+  async extract(buffer) {
+    const source = buffer.toString('utf8');
+    const charset = /<meta[^>]+charset=["']?([\w-]+)/i.exec(source)?.[1]?.toLowerCase();
+    const html = charset && !['utf-8', 'utf8'].includes(charset) ? buffer.toString('latin1') : source;
+    return { pages: [htmlToText(html)], diagnostics: { paginated: false } };
+  },
+
+  htmlToText
+};
@@ -0,0 +1,351 @@
+/**
+ * PDF: pdfjs, one page at a time, so only one page's text objects are alive at once
+ * (the loop that used to live in optimizedPdfExtractor). Stops reading pages once
+ * maxChars are collected - the remaining pages are counted but not parsed.
+ *
+ * Every page read is checked on its own (ocrService.pageNeedsOCR); pages without a
+ * usable text layer are OCR'd and replace their native text, so a scanned letter
+ * bound behind typed pages is still read. Each page records where its text came
+ * from - source 'native' or 'ocr' - which evidence quotes carry through to the match.
+ * OCR needs a file; when only the buffer is held it is written to a temp file.
+ *
+ * Page text is pdfjs's items joined with spaces, which flattens two things planning
+ * documents carry structure in: the tables FI letters list their requested items in
+ * ("No. | Item | Department"), and the AcroForm fields of an application form
+ * (applicant, agent, site address). The text stays as it always was - evidence offsets
+ * and document hashes depend on it - and the structure comes back beside it:
+ *
+ *   tables       rows of aligned cells found from the items' positions, each row with
+ *                its [start, end) offsets in the page text (findTables)
+ *   formFields   filled AcroForm fields, read with pdf-lib (readFormFields)
+ */
+
+const ocrService = require('../ocrService');
+const logger = require('../../utils/logger');
+
+// Items on one line have baselines closer than this share of their text height
+const LINE_TOLERANCE = 0.5;
+// A gap wider than this many text heights between items on a line separates two cells
+const CELL_GAP = 1.5;
+// Cells starting within this many points of each other are in the same column
+const COLUMN_TOLERANCE = 6;
+// A line further below the previous one than this many text heights ends a table
+const ROW_GAP = 3;
+const MIN_TABLE_ROWS = 2;
+// pdf-lib parses the whole file; application forms are small, drawings and reports
+// above this are not parsed a second time for fields they do not have
+const FORM_MAX_BYTES = 10 * 1024 * 1024;
+const FORM_MAX_FIELDS = 500;
+const FORM_MAX_VALUE_CHARS = 1000;
+
+/**
+ * Size and orientation of the first page as displayed, and how much text it holds -
+ * what tells a drawing sheet from a letter (services/documentClassifier.js).
+ */
+function firstPageLayout(page, items) {
+  const [x0, y0, x1, y1] = page.view;
+  const turned = page.rotate % 180 !== 0;
+  const width = Math.round(Math.abs(turned ? y1 - y0 : x1 - x0));
+  const height = Math.round(Math.abs(turned ? x1 - x0 : y1 - y0));
+  const textItems = items.filter(item => item.str && item.str.trim());
+  return {
+    width,
+    height,
+    textItems: textItems.length,
+    avgItemChars: textItems.length
+      ? Math.round(textItems.reduce((sum, item) => sum + item.str.trim().length, 0) / textItems.length)
+      : 0
+  };
+}
+
+/**
+ * A page's text exactly as it has always been built, with each item's [start, end)
+ * offsets in it.
+ */
+function joinItems(items) {
+  let text = '';
+  const spans = items.map((item, i) => {
+    if (i > 0) text += ' ';
+    const start = text.length;
+    text += item.str;
+    return { start, end: text.length };
+  });
+  const lead = text.length - text.trimStart().length;
+  const trimmed = text.trim();
+  return {
+    text: trimmed,
+    spans: spans.map(({ start, end }) => ({
+      start: Math.max(0, start - lead),
+      end: Math.min(trimmed.length, Math.max(0, end - lead))
+    }))
+  };
+}
+
+/**
+ * The page's horizontal text items grouped into lines, top to bottom, and each line
+ * into cells: runs of items without a wide gap between them.
+ */
+function pageLines(items, spans) {
+  const placed = items
+    .map((item, i) => ({
+      str: (item.str || '').trim(),
+      x: item.transform[4],
+      y: item.transform[5],
+      width: item.width || 0,
+      height: Math.abs(item.height || item.transform[3]) || 10,
+      rotated: item.transform[1] !== 0 || item.transform[2] !== 0,
+      ...spans[i]
+    }))
+    .filter(item => item.str && !item.rotated)
+    .sort((a, b) => b.y - a.y || a.x - b.x);
+
+  const lines = [];
+  for (const item of placed) {
+    const line = lines[lines.length - 1];
+    if (line && Math.abs(line.y - item.y) <= LINE_TOLERANCE * Math.max(line.height, item.height)) {
+      line.items.push(item);
+    } else {
+      lines.push({ y: item.y, height: item.height, items: [item] });
+    }
+  }
+
+  return lines.map(line => {
+    const cells = [];
+    for (const item of line.items.sort((a, b) => a.x - b.x)) {
+      const cell = cells[cells.length - 1];
+      if (cell && item.x - cell.right <= CELL_GAP * line.height) {
+        cell.parts.push(item.str);
+        cell.right = Math.max(cell.right, item.x + item.width);
+        cell.start = Math.min(cell.start, item.start);
+        cell.end = Math.max(cell.end, item.end);
+      } else {
+        cells.push({ x: item.x, right: item.x + item.width, parts: [item.str], start: item.start, end: item.end });
+      }
+    }
+    return { y: line.y, height: line.height, cells };
+  });
+}
+
+/**
+ * Tables on a page: runs of two or more lines, each split into cells, whose cells
+ * start in the same columns. A line whose cells all sit in the table's columns but not
+ * its first is a wrapped continuation of the row above and is merged into it.
+ * @returns {Array<{ rows: Array<{ cells: string[], start: number, end: number }> }>}
+ */
+function findTables(lines) {
+  const tables = [];
+  const inColumn = (x, columns) => columns.some(column => Math.abs(column - x) <= COLUMN_TOLERANCE);
+  let run = null;
+  let previous = null;
+
+  const close = () => {
+    if (run && run.rows.length >= MIN_TABLE_ROWS) {
+      tables.push({
+        rows: run.rows.map(row => ({
+          cells: row.cells.map(cell => cell.parts.join(' ')),
+          start: Math.min(...row.cells.map(cell => cell.start)),
+          end: Math.max(...row.cells.map(cell => cell.end))
+        }))
+      });
+    }
+    run = null;
+  };
+
+  for (const line of lines) {
+    if (run && previous.y - line.y > ROW_GAP * Math.max(previous.height, line.height)) close();
+
+    if (run) {
+      const starts = line.cells.map(cell => cell.x);
+      const aligned = starts.filter(x => inColumn(x, run.columns)).length;
+      const firstColumn = Math.min(...run.columns);
+      const lastRow = run.rows[run.rows.length - 1];
+
+      if (line.cells.length >= 2 && aligned >= 2) {
+        run.rows.push({ cells: line.cells });
+        run.columns.push(...starts.filter(x => !inColumn(x, run.columns)));
+      } else if (aligned === line.cells.length && Math.abs(starts[0] - firstColumn) > COLUMN_TOLERANCE &&
+        line.cells.every(cell => lastRow.cells.some(above => Math.abs(above.x - cell.x) <= COLUMN_TOLERANCE))) {
+        for (const cell of line.cells) {
+          const above = lastRow.cells.find(candidate => Math.abs(candidate.x - cell.x) <= COLUMN_TOLERANCE);
+          above.parts.push(...cell.parts);
+          above.start = Math.min(above.start, cell.start);
+          above.end = Math.max(above.end, cell.end);
+        }
+      } else {
+        close();
+      }
+    }
+
+    if (!run && line.cells.length >= 2) {
+      run = { columns: line.cells.map(cell => cell.x), rows: [{ cells: line.cells }] };
+    }
+    previous = line;
+  }
+  close();
+  return tables;
+}
+
+/**
+ * Filled AcroForm fields: { name, type, value }, value a string (text, choice) or true
+ * (a ticked box). Empty and unticked fields are left out.
+ */
+async function readFormFields(buffer) {
+  if (buffer.length > FORM_MAX_BYTES) return [];
+  // A form needs an /AcroForm entry in the catalog, which is in plain sight unless the
+  // catalog is packed into a compressed object stream
+  if (buffer.indexOf('/AcroForm') === -1 && buffer.indexOf('/ObjStm') === -1) return [];
+
+  const {
+    PDFDocument, PDFTextField, PDFCheckBox, PDFDropdown, PDFOptionList, PDFRadioGroup
+  } = require('pdf-lib');
+  const pdfDoc = await PDFDocument.load(buffer, { ignoreEncryption: true, updateMetadata: false, throwOnInvalidObject: false });
+  const fields = [];
+
+  for (const field of pdfDoc.getForm().getFields().slice(0, FORM_MAX_FIELDS)) {
+    let type;
+    let value;
+    try {
+      if (field instanceof PDFTextField) {
+        type = 'text';
+        value = field.getText();
+      } else if (field instanceof PDFCheckBox) {
+        type = 'checkbox';
+        value = field.isChecked() || null;
+      } else if (field instanceof PDFDropdown || field instanceof PDFOptionList) {
+        type = 'choice';
+        value = field.getSelected().join(', ');
+      } else if (field instanceof PDFRadioGroup) {
+        type = 'radio';
+        value = field.getSelected();
+      } else {
+        continue; // buttons and signatures hold no answer
+      }
+    } catch (error) {
+      continue; // rich-text and malformed fields: nothing readable
+    }
+    if (typeof value === 'string') value = value.trim().slice(0, FORM_MAX_VALUE_CHARS);
+    if (!value) continue;
+    fields.push({ name: field.getName(), type, value });
+  }
+  return fields;
+}
+
+async function readPages(buffer, maxChars) {
+  // Loaded on first use: isSupported() checks should not pay for pdfjs
+  const pdfjsLib = require('pdfjs-dist/legacy/build/pdf.js');
+  const pages = [];
+  const failedPages = [];
+  let collected = 0;
+  let pdfDocument = null;
+  let layout = null;
+  const tables = [];
+
+  try {
+    pdfDocument = await pdfjsLib.getDocument({
+      data: new Uint8Array(buffer),
+      useSystemFonts: true,
+      standardFontDataUrl: null
+    }).promise;
+    const numPages = pdfDocument.numPages;
+
+    for (let pageNum = 1; pageNum <= numPages; pageNum++) {
+      if (collected >= maxChars) {
+        logger.debug('extract: pdf page limit reached', { page: pageNum, pages: numPages, chars: collected });
+        break;
+      }
+      await new Promise(resolve => setImmediate(resolve));
+
+      try {
+        const page = await pdfDocument.getPage(pageNum);
+        const textContent = await page.getTextContent();
+        const { text: pageText, spans } = joinItems(textContent.items);
+        pages.push(pageText);
+        for (const table of findTables(pageLines(textContent.items, spans))) {
+          tables.push({ page: pageNum, ...table });
+        }
+        if (pageNum === 1) layout = firstPageLayout(page, textContent.items);
+        collected += pageText.length + 1;
+        if (page.cleanup) await page.cleanup();
+        if (pageNum % 10 === 0 && global.gc) global.gc();
+      } catch (pageError) {
+        logger.warn('extract: pdf page failed', { page: pageNum, err: pageError.message });
+        pages.push('');
+        failedPages.push(pageNum);
+      }
+    }
+
+    return { pages, failedPages, pageCount: numPages, layout, tables };
+  } finally {
+    if (pdfDocument) await pdfDocument.destroy().catch(() => null);
+  }
+}
+
+module.exports = {
+  format: 'pdf',
+  extensions: ['.pdf'],
+  method: 'pdfjs',
+
+  async extract(buffer, context) {
+    const { pages, failedPages, pageCount, layout, tables } = await readPages(buffer, context.maxChars);
+    const diagnostics = {
+      pageCount,
+      failedPages,
+      layout,
+      paginated: true,
+      truncated: pages.length < pageCount,
+      warnings: []
+    };
+
+    let formFields = [];
+    try {
+      formFields = await readFormFields(buffer);
+    } catch (formError) {
+      logger.debug('extract: pdf form fields unreadable', { file: context.fileName, err: formError.message });
+      diagnostics.warnings.push(`Form fields unreadable: ${formError.message}`);
+    }
+
+    const candidates = pages
+      .map((text, i) => (ocrService.pageNeedsOCR(text) ? i + 1 : null))
+      .filter(Boolean);
+    if (candidates.length === 0) return { pages, diagnostics, tables, formFields };
+
+    if (!ocrService.canOCR()) {
+      diagnostics.warnings.push(`${candidates.length} page(s) without a text layer; OCR unavailable`);
+      // Lets a stored copy of this result be re-extracted once OCR is installed
+      diagnostics.ocrUnavailable = candidates.length;
+      return { pages, diagnostics, tables, formFields };
+    }
+
+    const sourced = pages.map(text => ({ text, source: 'native' }));
+    try {
+      const ocr = await ocrService.ocrPages(await context.getFilePath(), candidates, { deadline: context.deadline });
+      for (const [pageNum, ocrText] of ocr.pages) {
+        // OCR only replaces a page when it found more than the text layer had
+        if (ocrText.length > sourced[pageNum - 1].text.trim().length) {
+          sourced[pageNum - 1] = { text: ocrText, source: 'ocr' };
+        }
+      }
+      if (ocr.failed.length) diagnostics.warnings.push(`OCR failed on page(s) ${ocr.failed.join(', ')}`);
+      if (ocr.skipped.length) diagnostics.warnings.push(`OCR skipped page(s) ${ocr.skipped.join(', ')}`);
+      if (ocr.outOfTime) {
+        diagnostics.ocrOutOfTime = true;
+        diagnostics.warnings.push('OCR stopped at the extraction time budget');
+      }
+    } catch (ocrError) {
+      logger.warn('extract: OCR failed', { file: context.fileName, err: ocrError.message });
+      diagnostics.warnings.push(`OCR failed: ${ocrError.message}`);
+    }
+
+    diagnostics.ocrCandidates = candidates.length;
+    if (sourced.some(p => p.source === 'ocr')) {
+      diagnostics.method = sourced.every(p => p.source === 'ocr') ? 'ocr' : 'pdfjs+ocr';
+    }
+    // An OCR'd page's text replaced the one its tables' offsets point into
+    return {
+      pages: sourced,
+      diagnostics,
+      tables: tables.filter(table => sourced[table.page - 1].source === 'native'),
+      formFields
+    };
+  }
+};
@@ -0,0 +1,123 @@
+/**
+ * RTF: a small tokenizer rather than a renderer. Groups that hold no body text (font
+ * and colour tables, stylesheet, document info, pictures and every \* destination)
+ * are skipped; \par and \line become newlines, \cell a tab, and \page / \sect the page
+ * boundary. \'hh escapes are cp1252 and \uN is Unicode, followed by \ucN fallback
+ * characters that are dropped.
+ */
+
+const SKIPPED_DESTINATIONS = new Set([
+  'fonttbl', 'colortbl', 'stylesheet', 'info', 'pict', 'object', 'header', 'footer',
+  'headerl', 'headerr', 'headerf', 'footerl', 'footerr', 'footerf', 'listtable',
+  'listoverridetable', 'revtbl', 'rsidtbl', 'generator', 'xmlnstbl', 'themedata',
+  'colorschememapping', 'latentstyles', 'datastore', 'fldinst'
+]);
+
+const cp1252 = new TextDecoder('windows-1252');
+
+function rtfToPages(source) {
+  const pages = [];
+  let out = '';
+  const stack = [];
+  let state = { skip: false, uc: 1 };
+  let pendingSkip = 0; // fallback characters still to drop after \uN
+  let i = 0;
+
+  const emit = text => {
+    if (state.skip) return;
+    if (pendingSkip > 0) {
+      const dropped = Math.min(pendingSkip, text.length);
+      pendingSkip -= dropped;
+      text = text.slice(dropped);
+    }
+    out += text;
+  };
+
+  while (i < source.length) {
+    const ch = source[i];
+
+    if (ch === '{') {
+      stack.push(state);
+      state = { ...state };
+      i++;
+      if (source.startsWith('\\*', i)) state.skip = true;
+      continue;
+    }
+    if (ch === '}') {
+      state = stack.pop() || { skip: false, uc: 1 };
+      i++;
+      continue;
+    }
+    if (ch === '\r' || ch === '\n') { i++; continue; }
+    if (ch !== '\\') {
+      emit(ch);
+      i++;
+      continue;
+    }
+
+    // Control symbol or word
+    const next = source[i + 1];
+    if (next === '\\' || next === '{' || next === '}') { emit(next); i += 2; continue; }
+    if (next === "'") {
+      const byte = parseInt(source.substr(i + 2, 2), 16);
+      if (!Number.isNaN(byte)) emit(cp1252.decode(Buffer.from([byte])));
+      i += 4;
+      continue;
+    }
+    if (next === '~') { emit(' '); i += 2; continue; }
+    if (next === '-') { i += 2; continue; }
+    if (next === '_') { emit('-'); i += 2; continue; }
+    if (next === '\r' || next === '\n') { emit('\n'); i += 2; continue; }
+
+    const match = /^\\([a-zA-Z]+)(-?\d+)? ?/.exec(source.slice(i, i + 40));
+    if (!match) { i += 2; continue; }
+    i += match[0].length;
+    const [, word, param] = match;
+
+    if (SKIPPED_DESTINATIONS.has(word)) { state.skip = true; continue; }
+    if (state.skip) continue;
+
+    switch (word) {
+      case 'par': case 'line': case 'row': out += '\n'; break;
+      case 'tab': case 'cell': out += '\t'; break;
+      case 'page': case 'sect':
+        pages.push(out);
+        out = '';
+        break;
+      case 'uc': state.uc = parseInt(param, 10) || 0; break;
+      case 'u': {
+        let code = parseInt(param, 10);
+        if (code < 0) code += 65536;
+        out += String.fromCharCode(code);
+        pendingSkip = state.uc;
+        break;
+      }
+      case 'emdash': out += '—'; break;
+      case 'endash': out += '–'; break;
+      case 'bullet': out += '•'; break;
+      case 'lquote': out += '‘'; break;
+      case 'rquote': out += '’'; break;
+      case 'ldblquote': out += '“'; break;
+      case 'rdblquote': out += '”'; break;
+      default: break;
+    }
+  }
+
+  pages.push(out);
+  return pages.map(page => page.replace(/[ \t]+\n/g, '\n').replace(/\n{3,}/g, '\n\n'));
+}
+
+module.exports = {
+  format: 'rtf',
+  extensions: ['.rtf'],
+  method: 'rtf-tokenizer',
+
+  async extract(buffer) {
+    const source = buffer.toString('latin1');
+    if (!source.startsWith('{\\rtf')) throw new Error('Not an RTF document');
+    const pages = rtfToPages(source);
+    return { pages, diagnostics: { paginated: pages.length > 1 } };
+  },
+
+  rtfToPages
+};
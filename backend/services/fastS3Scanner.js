@@ -1,5 +1,7 @@
 const { S3Client, ListObjectsV2Command } = require('@aws-sdk/client-s3');
 const logger = require('../utils/logger');
+const textExtractionService = require('./textExtractionService');
+const s3Manifest = require('./s3Manifest');
 const { getBucket, getRegion } = require('../utils/awsConfig');
 
 /**
@@ -23,16 +25,27 @@ class FastS3Scanner {
     /**
      * STREAMING S3 SCANNER - No array accumulation, constant memory
      * Processes each document via callback to prevent OOM crashes
+     *
+     * The range is served from the nightly manifest (services/s3Manifest.js) when it
+     * covers it, in the same key order a listing has; maxObjects and timeoutSeconds
+     * only bound a live listing. The bucket is listed when the manifest cannot answer,
+     * or with options.live.
      * @param {Date} sinceDate - Get documents modified after this date
      * @param {Date} endDate - Get documents modified before this date (optional)
      * @param {Function} onDocument - Callback for each matching document: (doc) => void
-     * @param {Object} options - { maxObjects, timeoutSeconds }
-     * @returns {Promise<Object>} Stats only: { totalScanned, totalMatched, duration }
+     * @param {Object} options - { maxObjects, timeoutSeconds, live }
+     * @returns {Promise<Object>} Stats only: { totalScanned, totalMatched, duration, manifest? }
      */
     async streamDocumentsSince(sinceDate, endDate = null, onDocument, options = {}) {
         // Default: no timeout (null = infinite). Override with env var if needed for testing
-        const { maxObjects = null, timeoutSeconds = null } = options;
+        const { maxObjects = null, timeoutSeconds = null, live = false } = options;
         const startTime = Date.now();
+
+        if (!live) {
+            const served = await s3Manifest.streamObjects(sinceDate, endDate,
+                entry => onDocument(this.documentFromManifest(entry)));
+            if (served) return served;
+        }
         
         logger.debug('s3 scan: streaming', {
             from: sinceDate.toISOString(),
@@ -77,7 +90,7 @@ class FastS3Scanner {
                                         !fileName.startsWith('_baseline_') &&
                                         fileName.includes('.') &&
                                         fileName.toLowerCase() !== 'docfiles.txt' &&
-                                        (fileName.toLowerCase().endsWith('.pdf') || fileName.toLowerCase().endsWith('.docx'))) {
+                                        textExtractionService.isSupported(fileName)) {
                                         
                                         // Stream document immediately - NO MEMORY RETENTION
                                         const doc = {
@@ -239,13 +252,23 @@ class FastS3Scanner {
 
     /**
      * Count documents in a date range WITHOUT processing them
-     * Scans S3 for matching documents and returns only the count
+     * Scans S3 for matching documents and returns only the count - or asks the
+     * manifest, as streamDocumentsSince does
      * @param {Date} sinceDate - Get documents modified after this date
      * @param {Date} endDate - Get documents modified before this date (optional)
+     * @param {Object} options - { live }
      * @returns {Promise<number>} Total matching document count
      */
-    async countDocumentsSince(sinceDate, endDate = null) {
+    async countDocumentsSince(sinceDate, endDate = null, options = {}) {
         logger.debug('s3 scan: counting', { from: sinceDate.toISOString(), to: endDate ? endDate.toISOString() : 'now' });
+
+        if (!options.live) {
+            const counted = await s3Manifest.countObjects(sinceDate, endDate);
+            if (counted !== null) {
+                logger.info('s3 scan: documents in date range', { total: counted, source: 'manifest' });
+                return counted;
+            }
+        }
         
         let totalCount = 0;
         let continuationToken = null;
@@ -278,7 +301,7 @@ class FastS3Scanner {
                                         !fileName.startsWith('_baseline_') &&
                                         fileName.includes('.') &&
                                         fileName.toLowerCase() !== 'docfiles.txt' &&
-                                        (fileName.toLowerCase().endsWith('.pdf') || fileName.toLowerCase().endsWith('.docx'))) {
+                                        textExtractionService.isSupported(fileName)) {
                                         totalCount++;
                                     }
                                 }
@@ -300,6 +323,22 @@ class FastS3Scanner {
         return totalCount;
     }
 
+    /**
+     * A manifest entry in the shape streamDocumentsSince has always passed on, plus
+     * the ETag the manifest already holds.
+     */
+    documentFromManifest(entry) {
+        return {
+            projectId: entry.projectId,
+            fileName: entry.fileName,
+            filePath: entry.key,
+            lastModified: new Date(entry.lastModified).toISOString(),
+            size: entry.size || 0,
+            fileType: this.getFileType(entry.fileName),
+            etag: entry.etag || null
+        };
+    }
+
     /**
      * Get file type from filename
      */
@@ -311,6 +350,11 @@ class FastS3Scanner {
             'pdf': 'pdf',
             'doc': 'document',
             'docx': 'document',
+            'rtf': 'document',
+            'eml': 'email',
+            'msg': 'email',
+            'htm': 'web',
+            'html': 'web',
             'xls': 'spreadsheet',
             'xlsx': 'spreadsheet',
             'jpg': 'image',
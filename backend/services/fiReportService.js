@@ -1,6 +1,98 @@
 require('dotenv').config();
 const FIReport = require('../models/FIReport');
+const ScanJobDailyResult = require('../models/ScanJobDailyResult');
+const ProjectReportVeto = require('../models/ProjectReportVeto');
+const DetectorVersion = require('../models/DetectorVersion');
 const logger = require('../utils/logger');
+const { getVersionManifest, diffManifests } = require('./detectorVersion');
+
+// How many differing matches a comparison lists per side; the counts are always exact.
+const MAX_COMPARISON_EXAMPLES = 200;
+
+const matchKey = (m) => `${m.projectId}::${m.fileName}::${m.fiType}`;
+
+/**
+ * Compare the matches two detector versions produced. Pure, so it is testable without
+ * Mongo. Documents only one version matched are listed so a reviewer can open them;
+ * a version that never saw a document simply cannot have matched it, so the caller
+ * should restrict both sides to days both versions scanned.
+ */
+function compareVersionMatches(fromMatches = [], toMatches = []) {
+  const fromKeys = new Map(fromMatches.map(m => [matchKey(m), m]));
+  const toKeys = new Map(toMatches.map(m => [matchKey(m), m]));
+
+  const onlyFrom = fromMatches.filter(m => !toKeys.has(matchKey(m)));
+  const onlyTo = toMatches.filter(m => !fromKeys.has(matchKey(m)));
+
+  const byType = {};
+  for (const [side, matches] of [['from', fromMatches], ['to', toMatches]]) {
+    for (const m of matches) {
+      const type = m.fiType || 'unknown';
+      byType[type] = byType[type] || { from: 0, to: 0 };
+      byType[type][side]++;
+    }
+  }
+
+  const summarise = (matches) => ({
+    matches: matches.length,
+    projects: new Set(matches.map(m => m.projectId)).size
+  });
+
+  return {
+    from: summarise(fromMatches),
+    to: summarise(toMatches),
+    inBoth: fromMatches.length - onlyFrom.length,
+    onlyFromCount: onlyFrom.length,
+    onlyToCount: onlyTo.length,
+    onlyFrom: onlyFrom.slice(0, MAX_COMPARISON_EXAMPLES),
+    onlyTo: onlyTo.slice(0, MAX_COMPARISON_EXAMPLES),
+    byType
+  };
+}
+
+/** ScanJobDailyResult filter shared by the detector-version queries. */
+function dailyResultFilter({ dateFrom, dateTo, jobId } = {}) {
+  const filter = {};
+  if (jobId) filter.jobId = jobId;
+  if (dateFrom || dateTo) {
+    filter.scanDate = {};
+    if (dateFrom) filter.scanDate.$gte = new Date(dateFrom);
+    if (dateTo) filter.scanDate.$lte = new Date(dateTo);
+  }
+  return filter;
+}
+
+/**
+ * The FIReport.projectsFound entry for a match as the batch email sends it. Shared by
+ * scheduled delivery and review-queue approvals so both store the same shape.
+ */
+function projectFromMatch(match) {
+  return {
+    projectId: match.projectId,
+    planningTitle: match.projectMetadata?.planning_title || 'N/A',
+    planningStage: match.projectMetadata?.planning_stage || 'N/A',
+    planningValue: match.projectMetadata?.planning_value || 0,
+    planningCounty: match.projectMetadata?.planning_county || 'N/A',
+    planningRegion: match.projectMetadata?.planning_region || 'N/A',
+    biiUrl: match.projectMetadata?.bii_url || '',
+    fiIndicators: [match.reportType],
+    matchedKeywords: [],
+    // Calibrated (services/matchCalibration.js); 1 on reports from before calibration
+    confidence: match.confidence ?? 1,
+    detectorVersion: match.detectorVersion,
+    fiRequest: match.fiRequest,
+    metadata: {
+      documentName: match.documentName,
+      validationQuote: match.validationQuote,
+      summary: match.summary,
+      specificRequests: match.specificRequests,
+      planningSector: match.projectMetadata?.planning_sector || 'N/A',
+      evidenceBand: match.evidenceBand,
+      evidenceSource: match.evidenceSource,
+      duplicateOf: match.duplicateOf
+    }
+  };
+}
 
 class FIReportService {
   constructor() {
@@ -366,6 +458,10 @@ class FIReportService {
         query.reportType = options.reportType;
       }
 
+      if (options.detectorVersion) {
+        query['projectsFound.detectorVersion'] = options.detectorVersion;
+      }
+
       if (options.dateFrom || options.dateTo) {
         query.generatedAt = {};
         if (options.dateFrom) query.generatedAt.$gte = new Date(options.dateFrom);
@@ -511,6 +607,133 @@ class FIReportService {
       throw error;
     }
   }
+
+  /**
+   * Every detector version that has produced matches, vetoes or reports, with counts
+   * @param {Object} options - dateFrom, dateTo (scan dates), jobId
+   * @returns {Promise<Object>} { current, versions: [...] } newest first
+   */
+  async getDetectorVersionSummary(options = {}) {
+    try {
+      const [registered, matchCounts, vetoCounts, reportCounts] = await Promise.all([
+        DetectorVersion.find({}).lean(),
+        ScanJobDailyResult.aggregate([
+          { $match: dailyResultFilter(options) },
+          { $unwind: '$matches' },
+          {
+            $group: {
+              _id: '$matches.detectorVersion',
+              matches: { $sum: 1 },
+              projects: { $addToSet: '$matches.projectId' },
+              firstScanDate: { $min: '$scanDate' },
+              lastScanDate: { $max: '$scanDate' }
+            }
+          }
+        ]),
+        ProjectReportVeto.aggregate([{ $group: { _id: '$detectorVersion', vetoes: { $sum: 1 } } }]),
+        FIReport.aggregate([
+          { $unwind: '$projectsFound' },
+          { $group: { _id: '$projectsFound.detectorVersion', reportedMatches: { $sum: 1 } } }
+        ])
+      ]);
+
+      // Matches saved before versioning have no version; they are reported under null.
+      const versions = new Map();
+      const entry = (version) => {
+        const key = version || null;
+        if (!versions.has(key)) {
+          versions.set(key, {
+            version: key, components: null, label: null, firstSeenAt: null, lastSeenAt: null,
+            matches: 0, projects: 0, vetoes: 0, reportedMatches: 0, firstScanDate: null, lastScanDate: null
+          });
+        }
+        return versions.get(key);
+      };
+
+      for (const doc of registered) {
+        Object.assign(entry(doc.version), {
+          components: doc.components, label: doc.label || null, firstSeenAt: doc.firstSeenAt, lastSeenAt: doc.lastSeenAt
+        });
+      }
+      for (const row of matchCounts) {
+        Object.assign(entry(row._id), {
+          matches: row.matches, projects: row.projects.length, firstScanDate: row.firstScanDate, lastScanDate: row.lastScanDate
+        });
+      }
+      for (const row of vetoCounts) entry(row._id).vetoes = row.vetoes;
+      for (const row of reportCounts) entry(row._id).reportedMatches = row.reportedMatches;
+
+      const sortDate = (v) => new Date(v.firstSeenAt || v.firstScanDate || 0).getTime();
+      return {
+        current: getVersionManifest(),
+        versions: [...versions.values()].sort((a, b) => sortDate(b) - sortDate(a))
+      };
+    } catch (error) {
+      this.logger.error('❌ Error summarising detector versions:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Compare the matches and vetoes of two detector versions
+   * @param {string} fromVersion
+   * @param {string} toVersion
+   * @param {Object} options - dateFrom, dateTo (scan dates), jobId
+   * @returns {Promise<Object>} component diff plus compareVersionMatches output
+   */
+  async compareDetectorVersions(fromVersion, toVersion, options = {}) {
+    try {
+      const matchesFor = async (version) => {
+        return ScanJobDailyResult.aggregate([
+          { $match: dailyResultFilter(options) },
+          { $unwind: '$matches' },
+          { $match: { 'matches.detectorVersion': version } },
+          {
+            $project: {
+              _id: 0,
+              jobId: 1,
+              scanDate: 1,
+              projectId: '$matches.projectId',
+              fileName: '$matches.fileName',
+              fiType: '$matches.fiType',
+              validationQuote: '$matches.validationQuote'
+            }
+          }
+        ]);
+      };
+
+      const manifestFor = async (version) => {
+        const current = getVersionManifest();
+        if (version === current.version) return current;
+        return DetectorVersion.findOne({ version }).lean();
+      };
+
+      const [fromMatches, toMatches, fromManifest, toManifest, fromVetoes, toVetoes] = await Promise.all([
+        matchesFor(fromVersion),
+        matchesFor(toVersion),
+        manifestFor(fromVersion),
+        manifestFor(toVersion),
+        ProjectReportVeto.countDocuments({ detectorVersion: fromVersion }),
+        ProjectReportVeto.countDocuments({ detectorVersion: toVersion })
+      ]);
+
+      return {
+        fromVersion,
+        toVersion,
+        // null when a version's manifest was never recorded (e.g. it only ran in a script)
+        components: fromManifest && toManifest ? diffManifests(fromManifest, toManifest) : null,
+        vetoes: { from: fromVetoes, to: toVetoes },
+        ...compareVersionMatches(fromMatches, toMatches)
+      };
+    } catch (error) {
+      this.logger.error(`❌ Error comparing detector versions ${fromVersion} and ${toVersion}:`, error);
+      throw error;
+    }
+  }
 }
 
-module.exports = new FIReportService();
\ No newline at end of file
+const fiReportService = new FIReportService();
+fiReportService.compareVersionMatches = compareVersionMatches;
+fiReportService.projectFromMatch = projectFromMatch;
+
+module.exports = fiReportService;
\ No newline at end of file
@@ -0,0 +1,194 @@
+/**
+ * Structured FI request items.
+ *
+ * An FI letter is a numbered list: "1. The applicant is requested to submit a noise
+ * impact assessment ... 2. Submit a flood risk assessment ...", each item often
+ * attributed to a department (Environment Section, Roads Design), with a response
+ * window ("within 6 months of the date of this notice") and the statutory basis
+ * (Article 33 of the Planning and Development Regulations 2001). Customers price the
+ * work by how many items they can answer and how soon, so a match carries those
+ * fields rather than only the free-form summary and the validation quote.
+ *
+ * The model (fiDetectionService.extractFIRequestItems) does the reading. This module
+ * cleans its answer and fills the deadline and statutory reference from the document
+ * text when the model leaves them out - in practice both are usually stated once for
+ * the whole letter rather than per item.
+ */
+
+const {
+  CANONICAL_REPORT_TYPES,
+  normalizeReportType,
+  isKnownReportType,
+  textMentionsReportType
+} = require('./reportTypes');
+
+const MONTHS = [
+  'january', 'february', 'march', 'april', 'may', 'june',
+  'july', 'august', 'september', 'october', 'november', 'december'
+];
+
+const WORD_NUMBERS = {
+  one: 1, two: 2, three: 3, four: 4, five: 5, six: 6,
+  seven: 7, eight: 8, nine: 9, ten: 10, twelve: 12, fourteen: 14
+};
+
+// Words the model uses for "not stated". Stored as absent instead.
+const EMPTY_ANSWERS = ['', 'n/a', 'na', 'none', 'unknown', 'not specified', 'not stated', 'not mentioned'];
+
+// "within 6 months", "within a period of six (6) months beginning on the date of this
+// notice", "within four weeks from the date of this letter"
+const RELATIVE_DEADLINE = new RegExp(
+  '\\bwithin\\s+(?:a\\s+(?:further\\s+)?period\\s+of\\s+)?' +
+  `(\\d{1,3}|${Object.keys(WORD_NUMBERS).join('|')})\\s*(?:\\(\\d{1,3}\\)\\s*)?` +
+  '(days?|weeks?|months?)\\b[^.;\\n]{0,80}',
+  'i'
+);
+
+// "by 15 November 2026", "no later than 15th Nov 2026", "on or before 15/11/2026"
+const ABSOLUTE_DEADLINE = new RegExp(
+  '\\b(?:by|before|no later than|not later than|on or before)\\s+(?:the\\s+)?' +
+  `(\\d{1,2}(?:st|nd|rd|th)?\\s+(?:of\\s+)?(?:${MONTHS.map(m => m.slice(0, 3)).join('|')})[a-z]*,?\\s+\\d{4}` +
+  '|\\d{1,2}[/.-]\\d{1,2}[/.-]\\d{4})',
+  'i'
+);
+
+// "Article 33 of the Planning and Development Regulations 2001 (as amended)",
+// "Section 34(4) of the Planning and Development Act, 2000"
+const STATUTORY_REFERENCE = /\b(?:article|section|regulation)\s+\d+[a-z]?(?:\s*\(\w{1,4}\))*\s+of\s+the\s+[^.;\n]{3,80}?\b(?:act|regulations)\b(?:,?\s*\d{4}(?:\s*[-–]\s*\d{4})?)?(?:\s*\(as amended\))?/i;
+
+function clean(value) {
+  if (value === undefined || value === null) return null;
+  const text = String(value).replace(/\s+/g, ' ').trim();
+  return EMPTY_ANSWERS.includes(text.toLowerCase()) ? null : text;
+}
+
+function truncate(text, length) {
+  if (!text || text.length <= length) return text;
+  return `${text.slice(0, length - 3).trimEnd()}...`;
+}
+
+/** First response-window wording in the text, verbatim, or null. */
+function findDeadlineWording(text) {
+  if (!text) return null;
+  const match = String(text).match(RELATIVE_DEADLINE) || String(text).match(ABSOLUTE_DEADLINE);
+  return match ? clean(match[0]) : null;
+}
+
+/** First statutory reference in the text, verbatim, or null. */
+function findStatutoryReference(text) {
+  if (!text) return null;
+  const match = String(text).match(STATUTORY_REFERENCE);
+  return match ? clean(match[0]) : null;
+}
+
+/**
+ * Parse the date formats Irish planning letters use: "15 November 2026",
+ * "15th Nov, 2026" and day-first "15/11/2026". Null when unrecognised.
+ */
+function parseDocumentDate(value) {
+  if (!value) return null;
+  if (value instanceof Date) return Number.isNaN(value.getTime()) ? null : value;
+  const text = String(value).toLowerCase();
+
+  const named = text.match(/(\d{1,2})(?:st|nd|rd|th)?\s+(?:of\s+)?([a-z]{3,9}),?\s+(\d{4})/);
+  if (named) {
+    const month = MONTHS.findIndex(m => m.startsWith(named[2].slice(0, 3)));
+    if (month >= 0) return validDate(Number(named[3]), month, Number(named[1]));
+  }
+
+  const numeric = text.match(/(\d{1,2})[/.-](\d{1,2})[/.-](\d{4})/);
+  if (numeric) return validDate(Number(numeric[3]), Number(numeric[2]) - 1, Number(numeric[1]));
+
+  return null;
+}
+
+function validDate(year, month, day) {
+  const date = new Date(Date.UTC(year, month, day));
+  return date.getUTCMonth() === month && date.getUTCDate() === day ? date : null;
+}
+
+/**
+ * The date a deadline falls on: an absolute date as written, or a relative window
+ * counted from the letter's date. Null when neither can be worked out.
+ */
+function resolveDeadlineDate(wording, fromDate = null) {
+  if (!wording) return null;
+
+  const relative = String(wording).match(RELATIVE_DEADLINE);
+  if (relative) {
+    const start = parseDocumentDate(fromDate);
+    if (!start) return null;
+    const amount = WORD_NUMBERS[relative[1].toLowerCase()] || Number(relative[1]);
+    const due = new Date(start);
+    const unit = relative[2].toLowerCase();
+    if (unit.startsWith('month')) {
+      due.setUTCMonth(due.getUTCMonth() + amount);
+    } else {
+      due.setUTCDate(due.getUTCDate() + amount * (unit.startsWith('week') ? 7 : 1));
+    }
+    return due;
+  }
+
+  return parseDocumentDate(wording);
+}
+
+/**
+ * Canonical report type for an item. The model may answer with a type key, an alias
+ * or a description ("noise impact assessment"); anything that is not a report type
+ * (revised drawings, a site notice) is null.
+ */
+function resolveItemReportType(reportType, request) {
+  const canonical = normalizeReportType(clean(reportType));
+  if (canonical && isKnownReportType(canonical) && canonical !== 'other') return canonical;
+
+  const described = `${clean(reportType) || ''} ${request || ''}`;
+  return CANONICAL_REPORT_TYPES.find(type => type !== 'other' && textMentionsReportType(described, type)) || null;
+}
+
+/**
+ * Normalise the extract_fi_items answer into the shape stored on a match.
+ *
+ * @param {Object} raw           function-call arguments from the model
+ * @param {string} documentText  source text, for the deadline/reference fallbacks
+ * @returns {{ requestingAuthority, requestDate, responseDeadline, responseDueBy,
+ *             statutoryReference, items: Array }}
+ */
+function normaliseFIRequest(raw = {}, documentText = '') {
+  const requestDate = parseDocumentDate(clean(raw.requestDate));
+  const responseDeadline = clean(raw.responseDeadline) || findDeadlineWording(documentText);
+  const statutoryReference = clean(raw.statutoryReference) || findStatutoryReference(documentText);
+
+  const items = (Array.isArray(raw.items) ? raw.items : [])
+    .map((item, index) => {
+      const request = truncate(clean(item?.request), 500);
+      const deadline = clean(item?.deadline) || responseDeadline;
+      return {
+        itemNumber: clean(item?.itemNumber) || String(index + 1),
+        reportType: resolveItemReportType(item?.reportType, request),
+        request,
+        requestedBy: clean(item?.requestedBy),
+        deadline,
+        deadlineDate: resolveDeadlineDate(deadline, requestDate),
+        statutoryReference: clean(item?.statutoryReference) || statutoryReference
+      };
+    })
+    .filter(item => item.request);
+
+  return {
+    requestingAuthority: clean(raw.requestingAuthority),
+    requestDate,
+    responseDeadline,
+    responseDueBy: resolveDeadlineDate(responseDeadline, requestDate),
+    statutoryReference,
+    items
+  };
+}
+
+module.exports = {
+  normaliseFIRequest,
+  findDeadlineWording,
+  findStatutoryReference,
+  parseDocumentDate,
+  resolveDeadlineDate,
+  resolveItemReportType
+};
@@ -0,0 +1,234 @@
+/**
+ * Score FI detection against a labelled gold set.
+ *
+ * The 2026-08-10 audit (docs/fi-pipeline-audit-2026-08-10.md) was done by hand: pull the
+ * matches, read the documents, tally the mistakes. That cannot be repeated for every
+ * change to HARD_RESPONSE_MARKERS or the reportTypes vocabulary, so each change was
+ * judged on the handful of production examples someone remembered. This runs the same
+ * processFIRequest and classifyFIResponse the scan uses over a fixed corpus and reports
+ * where it is right and wrong.
+ *
+ * A corpus is a directory of documents plus manifest.json:
+ *
+ *   {
+ *     "reportTypes": ["acoustic", "transport", "flood"],      // types to evaluate
+ *     "documents": [
+ *       { "file": "383115-air-noise-report.pdf", "isFIRequest": true,
+ *         "reportTypes": ["acoustic"], "veto": false, "note": "consultee asks for NIA" },
+ *       { "file": "403501-rfi-note.pdf", "isFIRequest": false, "reportTypes": [], "veto": true }
+ *     ]
+ *   }
+ *
+ * `reportTypes` on a document lists what it requests (a single `reportType` string is
+ * accepted too). `veto` is whether the document should suppress the project for those
+ * types - it is evaluated against classifyFIResponse for each requested type, or for
+ * every evaluated type when the document requests none. Documents may be PDFs or
+ * plain .txt extracts.
+ *
+ * Every document is evaluated against every corpus report type: a transport FI letter
+ * is a true negative for acoustic, which is exactly the confusion worth measuring.
+ *
+ * Model calls go through fiDetectionService, so DETECTION_RECORD_MODE=replay scores a
+ * gold set offline with the model's answers held fixed.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const logger = require('../utils/logger');
+const fiDetectionService = require('./fiDetectionService');
+const { normalizeReportType } = require('./reportTypes');
+
+const MANIFEST_FILE = 'manifest.json';
+
+function emptyMatrix() {
+  return { tp: 0, fp: 0, fn: 0, tn: 0 };
+}
+
+function tally(matrix, expected, predicted) {
+  if (expected && predicted) matrix.tp++;
+  else if (!expected && predicted) matrix.fp++;
+  else if (expected && !predicted) matrix.fn++;
+  else matrix.tn++;
+}
+
+const ratio = (num, den) => (den > 0 ? Number((num / den).toFixed(4)) : null);
+
+/** Precision and recall for a confusion matrix; null where the denominator is zero. */
+function scoreMatrix(matrix) {
+  const precision = ratio(matrix.tp, matrix.tp + matrix.fp);
+  const recall = ratio(matrix.tp, matrix.tp + matrix.fn);
+  const f1 = precision !== null && recall !== null && precision + recall > 0
+    ? Number((2 * precision * recall / (precision + recall)).toFixed(4))
+    : null;
+  return { ...matrix, precision, recall, f1 };
+}
+
+/** detectionMethod without the cache suffix, so a warm run scores the same as a cold one. */
+function stageOf(result) {
+  return String(result?.detectionMethod || 'unknown').replace(/_cached$/, '');
+}
+
+/**
+ * Read and validate a corpus manifest.
+ * @throws {Error} when the manifest is missing, malformed, or names a missing file
+ */
+function loadManifest(corpusDir) {
+  const manifestPath = path.join(corpusDir, MANIFEST_FILE);
+  if (!fs.existsSync(manifestPath)) {
+    throw new Error(`No ${MANIFEST_FILE} in ${corpusDir}`);
+  }
+
+  const manifest = JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+  if (!Array.isArray(manifest.documents) || manifest.documents.length === 0) {
+    throw new Error(`${MANIFEST_FILE} has no documents`);
+  }
+
+  const documents = manifest.documents.map((doc, index) => {
+    if (!doc.file) throw new Error(`${MANIFEST_FILE} document ${index} has no "file"`);
+    if (!fs.existsSync(path.join(corpusDir, doc.file))) {
+      throw new Error(`${MANIFEST_FILE} names ${doc.file}, which is not in ${corpusDir}`);
+    }
+    const requested = doc.reportTypes || (doc.reportType ? [doc.reportType] : []);
+    return {
+      file: doc.file,
+      isFIRequest: Boolean(doc.isFIRequest),
+      reportTypes: [...new Set(requested.map(normalizeReportType).filter(Boolean))],
+      veto: Boolean(doc.veto),
+      note: doc.note || null
+    };
+  });
+
+  const reportTypes = [...new Set(
+    (manifest.reportTypes || documents.flatMap(doc => doc.reportTypes)).map(normalizeReportType)
+  )];
+
+  return { reportTypes, documents };
+}
+
+async function readDocumentText(corpusDir, file) {
+  const filePath = path.join(corpusDir, file);
+  if (/\.txt$/i.test(file)) return fs.promises.readFile(filePath, 'utf8');
+  return fiDetectionService.extractDocumentText(filePath);
+}
+
+/**
+ * Run the evaluation.
+ *
+ * @param {string} corpusDir
+ * @param {object} [opts]
+ * @param {string[]} [opts.reportTypes] override the manifest's evaluated types
+ * @param {Function} [opts.onProgress]  called with (done, total) after each document
+ * @returns {Promise<object>} report: overall, byReportType, byStage, veto, documents
+ */
+async function evaluateGoldSet(corpusDir, { reportTypes: typeOverride, onProgress } = {}) {
+  const manifest = loadManifest(corpusDir);
+  const reportTypes = typeOverride?.length
+    ? [...new Set(typeOverride.map(normalizeReportType))]
+    : manifest.reportTypes;
+
+  if (reportTypes.length === 0) {
+    throw new Error('No report types to evaluate - set "reportTypes" in the manifest or pass them explicitly');
+  }
+
+  const startedAt = new Date();
+  const overall = emptyMatrix();
+  const fiDetection = emptyMatrix();
+  const veto = emptyMatrix();
+  const byReportType = Object.fromEntries(reportTypes.map(type => [type, emptyMatrix()]));
+  const byStage = {};
+  const documents = [];
+
+  for (const [index, doc] of manifest.documents.entries()) {
+    const outcome = { file: doc.file, note: doc.note, expected: doc, results: {}, errors: [] };
+
+    let text = '';
+    try {
+      text = await readDocumentText(corpusDir, doc.file);
+    } catch (error) {
+      outcome.errors.push(`extract: ${error.message}`);
+    }
+
+    let predictedFI = false;
+    for (const type of reportTypes) {
+      const expected = doc.isFIRequest && doc.reportTypes.includes(type) && !doc.veto;
+
+      let result;
+      try {
+        result = await fiDetectionService.processFIRequest(text, type, doc.file);
+      } catch (error) {
+        outcome.errors.push(`${type}: ${error.message}`);
+        result = { isFIRequest: false, matchesTargetType: false, detectionMethod: 'error' };
+      }
+
+      const predicted = result.matchesTargetType === true;
+      const stage = stageOf(result);
+      predictedFI = predictedFI || result.isFIRequest === true;
+
+      tally(overall, expected, predicted);
+      tally(byReportType[type], expected, predicted);
+      byStage[stage] = byStage[stage] || emptyMatrix();
+      tally(byStage[stage], expected, predicted);
+
+      outcome.results[type] = {
+        expected,
+        predicted,
+        correct: expected === predicted,
+        stage,
+        validationQuote: result.validationQuote || null
+      };
+    }
+
+    tally(fiDetection, doc.isFIRequest, predictedFI);
+
+    // The veto is about the types the document concerns. A transport response says
+    // nothing about acoustic, so checking it against every type would score noise.
+    const vetoTypes = doc.reportTypes.length > 0 ? doc.reportTypes : reportTypes;
+    let predictedVeto = false;
+    for (const type of vetoTypes) {
+      const verdict = await fiDetectionService.classifyFIResponse(text, doc.file, type);
+      if (verdict.isResponse) {
+        predictedVeto = true;
+        outcome.vetoVerdict = { reportType: type, source: verdict.source, reason: verdict.reason };
+        break;
+      }
+    }
+    tally(veto, doc.veto, predictedVeto);
+    outcome.vetoCorrect = doc.veto === predictedVeto;
+
+    documents.push(outcome);
+    if (onProgress) onProgress(index + 1, manifest.documents.length);
+  }
+
+  const report = {
+    corpusDir,
+    startedAt,
+    finishedAt: new Date(),
+    model: fiDetectionService.MODEL,
+    recordMode: fiDetectionService.recorder?.mode || 'off',
+    reportTypes,
+    documentCount: manifest.documents.length,
+    overall: scoreMatrix(overall),
+    fiDetection: scoreMatrix(fiDetection),
+    veto: scoreMatrix(veto),
+    byReportType: Object.fromEntries(Object.entries(byReportType).map(([type, m]) => [type, scoreMatrix(m)])),
+    byStage: Object.fromEntries(Object.entries(byStage).map(([stage, m]) => [stage, scoreMatrix(m)])),
+    documents
+  };
+
+  logger.info('gold set: evaluation complete', {
+    docs: report.documentCount,
+    types: reportTypes.join(','),
+    precision: report.overall.precision,
+    recall: report.overall.recall
+  });
+
+  return report;
+}
+
+module.exports = {
+  evaluateGoldSet,
+  loadManifest,
+  scoreMatrix,
+  stageOf,
+  MANIFEST_FILE
+};
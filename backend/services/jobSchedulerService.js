@@ -6,6 +6,7 @@ const s3Service = require('./s3Service');
 const buildingInfoService = require('./buildingInfoService');
 const fiDetectionService = require('./fiDetectionService');
 const documentProcessor = require('./documentProcessor');
+const extractedTextStore = require('./extractedTextStore');
 const emailService = require('./emailService');
 const Project = require('../models/Project');
 const Customer = require('../models/Customer');
@@ -77,6 +78,7 @@ class JobSchedulerService {
       try {
         await s3Service.cleanupDownloads(24);
         await documentProcessor.cleanupOCRCache(7);
+        await extractedTextStore.prune();
         logger.info('Daily cleanup job completed');
       } catch (error) {
         logger.error('Daily cleanup job failed:', error);
@@ -335,7 +337,7 @@ class JobSchedulerService {
     }
 
     // Log optimization statistics
-    const cacheStats = fiDetectionService.getCacheStats();
+    const cacheStats = await fiDetectionService.getCacheStats();
     logger.info(`BATCH OPTIMIZATION RESULTS:
       - Projects processed: ${batchResults.completedProjects}/${batchResults.totalProjects}
       - Documents processed: ${batchResults.totalDocumentsProcessed}
@@ -0,0 +1,218 @@
+/**
+ * LLM provider selection for every service that talks to a chat model.
+ *
+ * fiDetectionService, docfilesService and aiVisionService each constructed their own
+ * `new OpenAI(...)` at require time. That hard-wired the whole detection pipeline to
+ * api.openai.com, made comparing a second model a three-file edit, and meant merely
+ * requiring scanJobProcessor without OPENAI_API_KEY set threw from the OpenAI
+ * constructor - which is why nothing that touches detection could run offline.
+ *
+ * Every provider returns an object with the one surface the services use,
+ * `chat.completions.create(params)`, so runFunctionChat and the raw completions in
+ * cheapFIFilter and aiVisionService work unchanged against any of them:
+ *
+ *   openai             api.openai.com                       OPENAI_API_KEY
+ *   azure              Azure OpenAI deployment              AZURE_OPENAI_ENDPOINT, AZURE_OPENAI_API_KEY,
+ *                                                           AZURE_OPENAI_DEPLOYMENT, AZURE_OPENAI_API_VERSION
+ *   openai-compatible  llama.cpp / vLLM / Ollama server     LLM_BASE_URL, LLM_API_KEY (optional)
+ *   fixture            deterministic in-process responses   LLM_FIXTURE_FILE (optional)
+ *
+ * LLM_PROVIDER picks one per environment and defaults to openai, so an existing
+ * deployment behaves exactly as before. LLM_MODEL overrides the model for any provider;
+ * OPENAI_MODEL is still honoured as the legacy spelling.
+ */
+
+const fs = require('fs');
+const { OpenAI, AzureOpenAI } = require('openai');
+
+const DEFAULT_PROVIDER = 'openai';
+const DEFAULT_MODEL = 'gpt-4o-mini';
+const DEFAULT_AZURE_API_VERSION = '2024-06-01';
+
+const PROVIDERS = ['openai', 'azure', 'openai-compatible', 'fixture'];
+
+// Spellings people actually type into .env files.
+const PROVIDER_ALIASES = {
+  'azure-openai': 'azure',
+  local: 'openai-compatible',
+  compatible: 'openai-compatible',
+  ollama: 'openai-compatible',
+  vllm: 'openai-compatible',
+  llamacpp: 'openai-compatible',
+  'llama.cpp': 'openai-compatible',
+  test: 'fixture'
+};
+
+/** The model replied with no configured fixture for the requested function. */
+class FixtureMissError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'FixtureMissError';
+  }
+}
+
+/**
+ * Canonical provider name from the environment.
+ * @throws {Error} on an unknown provider - a typo must not silently fall back to the
+ *   paid API.
+ */
+function resolveProviderName(env = process.env) {
+  const raw = String(env.LLM_PROVIDER || '').toLowerCase().trim();
+  if (!raw) return DEFAULT_PROVIDER;
+
+  const name = PROVIDER_ALIASES[raw] || raw;
+  if (!PROVIDERS.includes(name)) {
+    throw new Error(`Unknown LLM_PROVIDER "${env.LLM_PROVIDER}". Expected one of: ${PROVIDERS.join(', ')}`);
+  }
+  return name;
+}
+
+/**
+ * Model (or, for Azure, deployment) name sent with every completion.
+ * @param {object} env - defaults to process.env; injectable for tests
+ */
+function getModel(env = process.env) {
+  const explicit = env.LLM_MODEL || env.OPENAI_MODEL;
+  if (explicit && String(explicit).trim()) return String(explicit).trim();
+
+  if (resolveProviderName(env) === 'azure' && env.AZURE_OPENAI_DEPLOYMENT) {
+    return String(env.AZURE_OPENAI_DEPLOYMENT).trim();
+  }
+  return DEFAULT_MODEL;
+}
+
+/**
+ * Model for the first-page vision check. Kept separate because a local text model
+ * usually cannot read images, while the detection prompts run fine on it.
+ */
+function getVisionModel(env = process.env) {
+  const explicit = env.LLM_VISION_MODEL;
+  if (explicit && String(explicit).trim()) return String(explicit).trim();
+  return getModel(env);
+}
+
+/**
+ * Deterministic stand-in for the OpenAI client.
+ *
+ * Responders are keyed by function name for function-calling requests, and by `text`
+ * for plain completions such as the cheap YES/NO filter. A responder is either a
+ * static value or `(params) => value`, so a test can answer from the prompt content.
+ * An unconfigured function throws FixtureMissError rather than inventing an answer -
+ * a default "false" would quietly turn a missing fixture into a non-match.
+ *
+ * Every request is kept in `calls` so tests can assert on what was sent.
+ */
+class FixtureChatClient {
+  constructor({ functions = {}, text = null } = {}) {
+    this.responders = { functions: { ...functions }, text };
+    this.calls = [];
+    this.chat = { completions: { create: (params) => this.create(params) } };
+  }
+
+  /** Register or replace the answer for one function name. */
+  respond(functionName, responder) {
+    this.responders.functions[functionName] = responder;
+    return this;
+  }
+
+  /** Register or replace the answer for plain (non-function) completions. */
+  respondText(responder) {
+    this.responders.text = responder;
+    return this;
+  }
+
+  async create(params) {
+    this.calls.push(params);
+    const functionName = params.function_call?.name;
+
+    if (functionName) {
+      const responder = this.responders.functions[functionName];
+      if (responder === undefined) {
+        throw new FixtureMissError(`No fixture response configured for ${functionName}`);
+      }
+      const args = typeof responder === 'function' ? await responder(params) : responder;
+      return {
+        model: params.model,
+        choices: [{
+          message: {
+            role: 'assistant',
+            content: null,
+            function_call: { name: functionName, arguments: JSON.stringify(args) }
+          }
+        }]
+      };
+    }
+
+    const responder = this.responders.text;
+    if (responder === null || responder === undefined) {
+      throw new FixtureMissError('No fixture response configured for plain completions');
+    }
+    const content = typeof responder === 'function' ? await responder(params) : responder;
+    return {
+      model: params.model,
+      choices: [{ message: { role: 'assistant', content: String(content) } }]
+    };
+  }
+}
+
+function loadFixtureFile(filePath) {
+  if (!filePath) return {};
+  const parsed = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  return { functions: parsed.functions || {}, text: parsed.text ?? null };
+}
+
+/**
+ * Build a chat client for the configured provider.
+ *
+ * @param {object} [opts]
+ * @param {number} [opts.timeout]    Request timeout in ms (network providers only)
+ * @param {number} [opts.maxRetries] SDK-level retries (network providers only)
+ * @param {object} [opts.env]        defaults to process.env; injectable for tests
+ * @returns {{ chat: { completions: { create: Function } } }}
+ */
+function createChatClient({ timeout, maxRetries, env = process.env } = {}) {
+  const provider = resolveProviderName(env);
+  const sdkOptions = {};
+  if (timeout !== undefined) sdkOptions.timeout = timeout;
+  if (maxRetries !== undefined) sdkOptions.maxRetries = maxRetries;
+
+  switch (provider) {
+    case 'azure':
+      return new AzureOpenAI({
+        ...sdkOptions,
+        endpoint: env.AZURE_OPENAI_ENDPOINT,
+        apiKey: env.AZURE_OPENAI_API_KEY,
+        deployment: env.AZURE_OPENAI_DEPLOYMENT,
+        apiVersion: env.AZURE_OPENAI_API_VERSION || DEFAULT_AZURE_API_VERSION
+      });
+
+    case 'openai-compatible':
+      if (!env.LLM_BASE_URL) {
+        throw new Error('LLM_PROVIDER=openai-compatible requires LLM_BASE_URL (e.g. http://localhost:11434/v1)');
+      }
+      return new OpenAI({
+        ...sdkOptions,
+        baseURL: env.LLM_BASE_URL,
+        // Local servers ignore the key, but the SDK refuses to construct without one.
+        apiKey: env.LLM_API_KEY || 'not-needed'
+      });
+
+    case 'fixture':
+      return new FixtureChatClient(loadFixtureFile(env.LLM_FIXTURE_FILE));
+
+    default:
+      return new OpenAI({ ...sdkOptions, apiKey: env.OPENAI_API_KEY });
+  }
+}
+
+module.exports = {
+  createChatClient,
+  resolveProviderName,
+  getModel,
+  getVisionModel,
+  FixtureChatClient,
+  FixtureMissError,
+  PROVIDERS,
+  DEFAULT_PROVIDER,
+  DEFAULT_MODEL
+};
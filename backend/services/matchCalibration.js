@@ -0,0 +1,251 @@
+/**
+ * Calibrated match confidence, and the per-customer threshold it is checked against.
+ *
+ * A match used to carry a fixed confidence - 0.95 for every validated match - so the
+ * number said nothing, and every customer received every surviving match however thin
+ * its evidence. What does vary is the validation quote: one that asks for the report
+ * ("the applicant is requested to submit a noise impact assessment") is a far better
+ * lead than one that merely mentions the topic. evidenceBand() sorts quotes into those
+ * bands; scoreMatchEvidence in scanJobProcessor ranks on the same analysis.
+ *
+ * Each band's confidence is then measured against outcomes we already learn about
+ * (models/MatchOutcome.js):
+ *
+ *   resend           an admin resent the match            confirmed
+ *   resend-excluded  an admin left it out of a resend     rejected
+ *   review           approved / rejected in the queue     either
+ *   veto             the project turned out to be vetoed  rejected
+ *   weak-evidence    the AI said yes, the quote failed    rejected
+ *
+ * Counts are shrunk towards a prior, per band first and then per report type within
+ * the band, so a type with three outcomes does not swing to 0% or 100% on them.
+ *
+ * The threshold is the job-customer link's minConfidence, else the customer's
+ * minMatchConfidence, else MATCH_MIN_CONFIDENCE (default 0: send everything). Matches
+ * below it wait in the review queue (services/matchReviewService.js) instead of being
+ * emailed.
+ */
+
+const mongoose = require('mongoose');
+const logger = require('../utils/logger');
+const { getQuoteTerms, normalizeReportType } = require('./reportTypes');
+
+// Quotes that carry no evidence. Matches holding only these are already dropped before
+// the customer email; they also rank last when choosing a project's best match.
+const PLACEHOLDER_QUOTES = [
+  'Match confirmed by AI',
+  'No specific quote extracted',
+  'No quote captured'
+];
+
+const REQUEST_VERBS = [
+  'requested to', 'required to', 'is requested', 'is required',
+  'shall submit', 'shall provide', 'should submit', 'should provide',
+  'must submit', 'must provide', 'please submit', 'please provide',
+  'carry out', 'undertake', 'prepare and submit', 'recommend', 'recommends'
+];
+
+// Where a band starts before any outcomes are known. Roughly what an audit of sent
+// matches showed: quotes that ask for the report are nearly always real leads.
+const BAND_PRIORS = {
+  request: 0.9,
+  mention: 0.7,
+  topic: 0.4,
+  placeholder: 0.1
+};
+
+// Outcomes a prior is worth. Twenty reviewed matches move a band halfway.
+const PRIOR_WEIGHT = 20;
+
+const OUTCOME_SOURCES = ['resend', 'resend-excluded', 'review', 'veto', 'weak-evidence'];
+
+const DEFAULT_WINDOW_DAYS = 180;
+const CACHE_TTL_MS = 10 * 60 * 1000;
+
+let cached = null;
+
+/**
+ * What a validation quote says about the report type.
+ * @returns {{ quote: string, placeholder: boolean, mentionsType: boolean, hasRequestVerb: boolean }}
+ */
+function analyseQuote(validationQuote, reportType) {
+  const quote = String(validationQuote || '').toLowerCase().replace(/\s+/g, ' ').trim();
+  const placeholder = !quote || PLACEHOLDER_QUOTES.some(p => quote.includes(p.toLowerCase()));
+  if (placeholder) return { quote, placeholder, mentionsType: false, hasRequestVerb: false };
+
+  return {
+    quote,
+    placeholder,
+    mentionsType: getQuoteTerms(reportType).some(term => quote.includes(term)),
+    hasRequestVerb: REQUEST_VERBS.some(verb => quote.includes(verb))
+  };
+}
+
+/**
+ * 'request'     names the report type and asks for it
+ * 'mention'     names the report type only
+ * 'topic'       a real quote that does not name the type
+ * 'placeholder' no quote at all
+ */
+function evidenceBand(validationQuote, reportType) {
+  const { placeholder, mentionsType, hasRequestVerb } = analyseQuote(validationQuote, reportType);
+  if (placeholder) return 'placeholder';
+  if (mentionsType && hasRequestVerb) return 'request';
+  return mentionsType ? 'mention' : 'topic';
+}
+
+const shrink = (confirmed, rejected, prior) => (confirmed + prior * PRIOR_WEIGHT) / (confirmed + rejected + PRIOR_WEIGHT);
+const round = value => Math.round(value * 1000) / 1000;
+
+/**
+ * Turn outcome counts into confidences. Pure, so it is testable without Mongo.
+ * @param {Array<{ reportType, band, outcome: 'confirmed'|'rejected', count }>} rows
+ * @returns {{ bands: Object, types: Object }} bands[band] and types[type][band], each
+ *   { confirmed, rejected, confidence }
+ */
+function calibrate(rows = []) {
+  const bands = {};
+  const types = {};
+  const cell = () => ({ confirmed: 0, rejected: 0 });
+
+  for (const { reportType, band, outcome, count } of rows) {
+    if (!BAND_PRIORS[band] || !['confirmed', 'rejected'].includes(outcome)) continue;
+    const type = normalizeReportType(reportType);
+    bands[band] = bands[band] || cell();
+    types[type] = types[type] || {};
+    types[type][band] = types[type][band] || cell();
+    bands[band][outcome] += count;
+    types[type][band][outcome] += count;
+  }
+
+  for (const [band, prior] of Object.entries(BAND_PRIORS)) {
+    bands[band] = bands[band] || cell();
+    bands[band].confidence = round(shrink(bands[band].confirmed, bands[band].rejected, prior));
+  }
+  for (const byBand of Object.values(types)) {
+    for (const [band, counts] of Object.entries(byBand)) {
+      counts.confidence = round(shrink(counts.confirmed, counts.rejected, bands[band].confidence));
+    }
+  }
+
+  return { bands, types };
+}
+
+/** Confidence for a band, from the type's own outcomes where there are any. */
+function confidenceFor(table, reportType, band) {
+  const typeCell = table?.types?.[normalizeReportType(reportType)]?.[band];
+  if (typeCell) return typeCell.confidence;
+  return table?.bands?.[band]?.confidence ?? BAND_PRIORS[band] ?? 0;
+}
+
+/**
+ * Calibrated confidence for a match.
+ * @returns {{ band: string, confidence: number }}
+ */
+function calibrateMatch(table, validationQuote, reportType) {
+  const band = evidenceBand(validationQuote, reportType);
+  return { band, confidence: confidenceFor(table, reportType, band) };
+}
+
+function windowDays(env = process.env) {
+  const days = parseInt(env.MATCH_CALIBRATION_WINDOW_DAYS || DEFAULT_WINDOW_DAYS, 10);
+  return days > 0 ? days : DEFAULT_WINDOW_DAYS;
+}
+
+/**
+ * The calibration table from recorded outcomes, cached for ten minutes. Falls back to
+ * the priors when the outcomes cannot be read - delivery must not stop for this.
+ */
+async function loadCalibration({ refresh = false } = {}) {
+  if (!refresh && cached && Date.now() - cached.at < CACHE_TTL_MS) return cached.table;
+
+  let rows = [];
+  if (mongoose.connection && mongoose.connection.readyState === 1) {
+    try {
+      const MatchOutcome = require('../models/MatchOutcome');
+      const since = new Date(Date.now() - windowDays() * 24 * 60 * 60 * 1000);
+      const grouped = await MatchOutcome.aggregate([
+        { $match: { recordedAt: { $gte: since } } },
+        { $group: { _id: { reportType: '$reportType', band: '$band', outcome: '$outcome' }, count: { $sum: 1 } } }
+      ]);
+      rows = grouped.map(g => ({ ...g._id, count: g.count }));
+    } catch (error) {
+      logger.warn('calibration: could not load match outcomes, using priors', { err: error.message });
+    }
+  }
+
+  const table = calibrate(rows);
+  cached = { at: Date.now(), table };
+  return table;
+}
+
+/**
+ * Record reviewed outcomes. Upserted per match, customer and source, so the same
+ * resend recorded twice counts once. Never throws.
+ * @param {Array<{ projectId, fileName, reportType, validationQuote, outcome, source,
+ *   customerId, detectorVersion }>} entries
+ */
+async function recordOutcomes(entries = []) {
+  if (entries.length === 0 || !mongoose.connection || mongoose.connection.readyState !== 1) return;
+
+  const MatchOutcome = require('../models/MatchOutcome');
+  const ops = entries.map(entry => {
+    const reportType = normalizeReportType(entry.reportType);
+    return {
+      updateOne: {
+        filter: {
+          projectId: entry.projectId,
+          fileName: entry.fileName || null,
+          reportType,
+          source: entry.source,
+          customerId: entry.customerId ? String(entry.customerId) : null
+        },
+        update: {
+          $set: {
+            outcome: entry.outcome,
+            band: evidenceBand(entry.validationQuote, reportType),
+            detectorVersion: entry.detectorVersion,
+            recordedAt: new Date()
+          }
+        },
+        upsert: true
+      }
+    };
+  });
+
+  try {
+    await MatchOutcome.bulkWrite(ops, { ordered: false });
+  } catch (error) {
+    logger.warn('calibration: could not record match outcomes', { outcomes: entries.length, err: error.message });
+  }
+}
+
+const asThreshold = value => (typeof value === 'number' && value >= 0 && value <= 1 ? value : null);
+
+/**
+ * Minimum confidence for a customer on a job: the job-customer link's own setting,
+ * then the customer's, then MATCH_MIN_CONFIDENCE.
+ * @param {Object} link      ScanJob.customers entry (customerId may be populated)
+ * @param {Object} [customer] the Customer, if not populated on the link
+ */
+function resolveThreshold(link = {}, customer = link.customerId, env = process.env) {
+  return asThreshold(link.minConfidence)
+    ?? asThreshold(customer?.minMatchConfidence)
+    ?? asThreshold(parseFloat(env.MATCH_MIN_CONFIDENCE))
+    ?? 0;
+}
+
+module.exports = {
+  PLACEHOLDER_QUOTES,
+  REQUEST_VERBS,
+  BAND_PRIORS,
+  OUTCOME_SOURCES,
+  analyseQuote,
+  evidenceBand,
+  calibrate,
+  confidenceFor,
+  calibrateMatch,
+  loadCalibration,
+  recordOutcomes,
+  resolveThreshold
+};
@@ -0,0 +1,174 @@
+/**
+ * The review queue for matches below a customer's confidence threshold.
+ *
+ * Delivery (scanJobProcessor.sendMatchEmails) queues a match here per customer instead
+ * of emailing it. An admin then approves it - it is emailed to that customer on its
+ * own and recorded in an FIReport like any delivered match - or rejects it. Both
+ * decisions are recorded as MatchOutcomes, so the queue is also how the calibration in
+ * services/matchCalibration.js learns which bands are worth sending.
+ *
+ * Decided reviews are never re-opened: a later delivery run that meets the same match
+ * for the same customer leaves the decision alone.
+ */
+
+const MatchReview = require('../models/MatchReview');
+const emailService = require('./emailService');
+const fiReportService = require('./fiReportService');
+const logger = require('../utils/logger');
+const { recordOutcomes } = require('./matchCalibration');
+
+class MatchReviewService {
+  /**
+   * Hold matches back from one customer.
+   * @param {Object} job
+   * @param {{ customerId, email, name }} customer
+   * @param {Array} matches - email-shaped matches carrying confidence, evidenceBand, threshold
+   * @returns {Promise<number>} reviews newly queued
+   */
+  async queueReviews(job, customer, matches) {
+    let queued = 0;
+    for (const match of matches) {
+      try {
+        const result = await MatchReview.updateOne(
+          {
+            customerId: customer.customerId,
+            projectId: match.projectId,
+            fileName: match.documentName,
+            reportType: match.reportType
+          },
+          {
+            $setOnInsert: {
+              jobId: job.jobId,
+              customerEmail: customer.email,
+              customerName: customer.name,
+              documentPath: match.documentPath,
+              validationQuote: match.validationQuote,
+              evidenceSource: match.evidenceSource,
+              confidence: match.confidence,
+              band: match.evidenceBand,
+              threshold: match.threshold,
+              detectorVersion: match.detectorVersion,
+              fiRequest: match.fiRequest,
+              projectMetadata: match.projectMetadata,
+              status: 'PENDING'
+            }
+          },
+          { upsert: true }
+        );
+        queued += result.upsertedCount || 0;
+      } catch (error) {
+        logger.warn('review: could not queue match', { proj: match.projectId, to: customer.email, err: error.message });
+      }
+    }
+    return queued;
+  }
+
+  async getReview(id) {
+    return MatchReview.findById(id);
+  }
+
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.status='PENDING']
+   * @param {string} [options.jobId]
+   * @param {string} [options.customerId]
+   * @param {number} [options.limit=100]
+   */
+  async listReviews({ status = 'PENDING', jobId, customerId, limit = 100 } = {}) {
+    const filter = {};
+    if (status) filter.status = status;
+    if (jobId) filter.jobId = jobId;
+    if (customerId) filter.customerId = customerId;
+
+    return MatchReview.find(filter)
+      .sort({ createdAt: -1 })
+      .limit(Math.min(Math.max(limit, 1), 500))
+      .lean();
+  }
+
+  /**
+   * Email an approved match to its customer and record it as delivered.
+   * @returns {Promise<{ review, sendResult }>}
+   */
+  async approveReview(review, reviewer, note) {
+    const match = {
+      reportType: review.reportType,
+      projectId: review.projectId,
+      documentName: review.fileName,
+      documentPath: review.documentPath,
+      validationQuote: review.validationQuote,
+      evidenceSource: review.evidenceSource,
+      confidence: review.confidence,
+      evidenceBand: review.band,
+      detectorVersion: review.detectorVersion,
+      requestingAuthority: review.fiRequest?.requestingAuthority || 'Planning Authority',
+      deadline: review.fiRequest?.responseDeadline || 'See document for details',
+      fiRequest: review.fiRequest,
+      summary: `FI request detected for ${review.reportType} report`,
+      specificRequests: 'See document for specific requirements',
+      projectMetadata: review.projectMetadata
+    };
+
+    const sendResult = await emailService.sendBatchFINotification(
+      review.customerEmail,
+      review.customerName,
+      { matches: [match], reportTypes: [review.reportType], jobId: review.jobId, generatedAt: new Date() }
+    );
+    if (!sendResult?.success) {
+      throw new Error(sendResult?.error || 'Failed to send email');
+    }
+
+    const sent = !sendResult.skipped;
+    const report = await fiReportService.createReport({
+      customerId: review.customerId,
+      customerEmail: review.customerEmail,
+      customerName: review.customerName,
+      reportType: 'BATCH_FI_NOTIFICATION',
+      status: sent ? 'SENT' : 'SKIPPED',
+      searchCriteria: {
+        projectTypes: [review.reportType],
+        customFilters: { jobId: review.jobId, reviewId: String(review._id) }
+      },
+      projectsFound: [fiReportService.projectFromMatch(match)],
+      totalProjectsScanned: 1,
+      totalFIMatches: 1,
+      source: 'MANUAL',
+      deliveryAttempts: sent ? [{
+        attemptNumber: 1,
+        timestamp: new Date(),
+        status: 'SUCCESS',
+        recipientEmail: review.customerEmail,
+        messageId: sendResult.messageId
+      }] : [],
+      sentAt: sent ? new Date() : undefined
+    });
+
+    await this.decide(review, 'APPROVED', reviewer, note, { reportId: report?.reportId });
+    return { review, sendResult };
+  }
+
+  async rejectReview(review, reviewer, note) {
+    await this.decide(review, 'REJECTED', reviewer, note);
+    return { review };
+  }
+
+  async decide(review, status, reviewer, note, extra = {}) {
+    Object.assign(review, { status, reviewedBy: reviewer, reviewedAt: new Date(), note, ...extra });
+    await review.save();
+
+    await recordOutcomes([{
+      projectId: review.projectId,
+      fileName: review.fileName,
+      reportType: review.reportType,
+      validationQuote: review.validationQuote,
+      outcome: status === 'APPROVED' ? 'confirmed' : 'rejected',
+      source: 'review',
+      customerId: review.customerId,
+      detectorVersion: review.detectorVersion
+    }]);
+
+    logger.info('review: match decided', { proj: review.projectId, to: review.customerEmail, status, by: reviewer });
+  }
+}
+
+module.exports = new MatchReviewService();
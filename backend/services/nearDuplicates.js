@@ -0,0 +1,353 @@
+/**
+ * Near-duplicate documents, clustered by MinHash over their extracted text.
+ *
+ * Councils publish the same FI text several times over: the FI letter itself, the
+ * planner's report that recommends it, an environment or roads report that repeats the
+ * request, and the same letter again on a linked application. Each copy was sent to the
+ * model and each came back a match, and everything downstream - selectBestMatchPerProject
+ * keeping one match per project, the resend flow narrowing what goes out again - existed
+ * largely to absorb that.
+ *
+ * Every document that reaches the AI layers is signed here first. Its text is cut into
+ * overlapping five-word shingles and reduced to a MinHash signature, whose slots agree
+ * between two documents about as often as their shingle sets overlap (Jaccard
+ * similarity). Signatures are kept in document_signatures (models/DocumentSignature.js)
+ * with their locality-sensitive hashing bands, so finding a document's likely
+ * duplicates among every project scanned in the last NEAR_DUPLICATE_RETENTION_DAYS is one
+ * indexed query; the candidates are then compared slot by slot.
+ *
+ * At NEAR_DUPLICATE_THRESHOLD (default 0.85) or above, the document joins the earlier
+ * document's cluster. The first document of a cluster is its canonical: the only one
+ * sent to the model, and the one whose AI verdicts are kept per report type. A
+ * near-duplicate takes those verdicts instead (scanJobProcessor.duplicateVerdict) and
+ * records which document they came from (duplicateOf). Only verdicts the AI layers
+ * reached are shared; the vetoes and structural checks before them are cheap and still
+ * run on every document, since they record per-project state.
+ *
+ * Becoming a canonical is a claim, not a lookup. Two copies of a letter scanned at the
+ * same moment - by the two PM2 forks, or by two jobs in one pass - would each find no
+ * canonical stored and each register as one, so both went to the model. A document that
+ * finds none claims its band keys in document_band_claims (models/DocumentBandClaim.js)
+ * with atomic upserts, in band order; the first band held by a near-duplicate makes it
+ * that document's duplicate, and a pair racing meets on the first band they share.
+ *
+ * NEAR_DUPLICATE_DETECTION=off turns clustering off. Like the detection cache, it never
+ * fails a scan: a store error, or Mongo not being connected, leaves the document
+ * unclustered and it is judged as before.
+ */
+
+const mongoose = require('mongoose');
+const DocumentSignature = require('../models/DocumentSignature');
+const DocumentBandClaim = require('../models/DocumentBandClaim');
+const logger = require('../utils/logger');
+
+const SHINGLE_WORDS = 5;
+const NUM_HASHES = 64;
+// 16 bands of 4: a pair at 0.85 similarity shares a band all but certainly, a pair at
+// 0.3 rarely does
+const ROWS_PER_BAND = 4;
+// Fewer shingles than this and a signature says little about the text
+const MIN_SHINGLES = 10;
+// Candidates compared per document
+const MAX_CANDIDATES = 25;
+const DEFAULT_THRESHOLD = 0.85;
+const DEFAULT_RETENTION_DAYS = 90;
+
+// The stages scanJobProcessor.detectDocument reaches through the AI layers; the only
+// verdicts a near-duplicate takes from its canonical
+const MODEL_STAGES = ['cheap-ai-reject', 'not-fi-request', 'fi-detection', 'weak-evidence', 'wrong-report-type'];
+
+/** 32-bit FNV-1a of a string. */
+function fnv1a(value) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < value.length; i++) {
+    hash ^= value.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+/** MurmurHash3's finaliser: spreads a 32-bit value over all 32 bits. */
+function mix32(value) {
+  let h = value;
+  h ^= h >>> 16;
+  h = Math.imul(h, 0x85ebca6b);
+  h ^= h >>> 13;
+  h = Math.imul(h, 0xc2b2ae35);
+  h ^= h >>> 16;
+  return h >>> 0;
+}
+
+// One seed per hash function. Fixed, because signatures are stored and compared across
+// processes and runs.
+const SEEDS = Array.from({ length: NUM_HASHES }, (_, i) => mix32(Math.imul(i + 1, 0x9e3779b9)));
+
+function threshold() {
+  const value = parseFloat(process.env.NEAR_DUPLICATE_THRESHOLD || DEFAULT_THRESHOLD);
+  return Number.isFinite(value) && value > 0 && value <= 1 ? value : DEFAULT_THRESHOLD;
+}
+
+function retentionMs() {
+  const days = parseInt(process.env.NEAR_DUPLICATE_RETENTION_DAYS || DEFAULT_RETENTION_DAYS, 10);
+  return (days > 0 ? days : DEFAULT_RETENTION_DAYS) * 24 * 60 * 60 * 1000;
+}
+
+function enabled() {
+  return process.env.NEAR_DUPLICATE_DETECTION !== 'off';
+}
+
+function storeAvailable() {
+  return mongoose.connection && mongoose.connection.readyState === 1;
+}
+
+/**
+ * Hashes of the text's overlapping word shingles. Case, punctuation, accents and
+ * whitespace are ignored, so the same text laid out by two extractors - or one page
+ * OCR'd - shingles the same.
+ * @returns {Set<number>}
+ */
+function shingleHashes(text) {
+  const words = String(text || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .match(/[a-z0-9]+/g) || [];
+  const hashes = new Set();
+  for (let i = 0; i + SHINGLE_WORDS <= words.length; i++) {
+    hashes.add(fnv1a(words.slice(i, i + SHINGLE_WORDS).join(' ')));
+  }
+  return hashes;
+}
+
+/**
+ * The MinHash signature of a text: for each of NUM_HASHES hash functions, the smallest
+ * hash of any of its shingles.
+ * @returns {number[]|null} null when the text is too short to sign
+ */
+function minhashSignature(text) {
+  const shingles = shingleHashes(text);
+  if (shingles.size < MIN_SHINGLES) return null;
+
+  const signature = new Array(NUM_HASHES).fill(0xffffffff);
+  for (const shingle of shingles) {
+    for (let i = 0; i < NUM_HASHES; i++) {
+      const value = mix32(shingle ^ SEEDS[i]);
+      if (value < signature[i]) signature[i] = value;
+    }
+  }
+  return signature;
+}
+
+/** Estimated Jaccard similarity of two signatures' texts, 0-1. */
+function similarity(a, b) {
+  if (!a || !b || a.length !== b.length || a.length === 0) return 0;
+  let same = 0;
+  for (let i = 0; i < a.length; i++) {
+    if (a[i] === b[i]) same++;
+  }
+  return same / a.length;
+}
+
+/** The signature's LSH band keys, "band:hash". */
+function bandKeys(signature) {
+  const keys = [];
+  for (let start = 0; start < signature.length; start += ROWS_PER_BAND) {
+    const rows = signature.slice(start, start + ROWS_PER_BAND).join(',');
+    keys.push(`${start / ROWS_PER_BAND}:${fnv1a(rows).toString(36)}`);
+  }
+  return keys;
+}
+
+/**
+ * The canonical document most like this signature, among those stored.
+ * @returns {Promise<{ entry: Object, similarity: number } | null>} null below the threshold
+ */
+async function findCanonical(filePath, signature) {
+  const candidates = await DocumentSignature.find({
+    bands: { $in: bandKeys(signature) },
+    duplicateOf: null,
+    filePath: { $ne: filePath }
+  })
+    .select('filePath fileName projectId signature verdicts')
+    .limit(MAX_CANDIDATES)
+    .lean();
+
+  let best = null;
+  for (const entry of candidates) {
+    const score = similarity(signature, entry.signature);
+    if (score >= threshold() && (!best || score > best.similarity)) {
+      best = { entry, similarity: score };
+    }
+  }
+  return best;
+}
+
+/** Hold a band for a document, or read who already holds it. */
+async function claimBand(band, claim) {
+  const upsert = () => DocumentBandClaim.findOneAndUpdate(
+    { band },
+    { $setOnInsert: { band, ...claim } },
+    { upsert: true, new: true }
+  ).lean();
+  try {
+    return await upsert();
+  } catch (error) {
+    // Two upserts racing on an unclaimed band: one inserts and the other hits the
+    // unique index. Reading again finds the winner.
+    if (error.code !== 11000) throw error;
+    return upsert();
+  }
+}
+
+/**
+ * Claim the signature's bands as a canonical, in band order. Stops at the first band a
+ * near-duplicate already holds and gives up the bands claimed so far, so this document
+ * never holds a band against a later copy.
+ * @returns {Promise<{ entry: Object, similarity: number } | null>} the near-duplicate
+ *   holding a band, or null when this document is canonical
+ */
+async function claimCanonical(document, signature, expiresAt) {
+  const claimed = [];
+  for (const band of bandKeys(signature)) {
+    const holder = await claimBand(band, {
+      filePath: document.filePath,
+      fileName: document.fileName,
+      projectId: document.projectId,
+      signature,
+      expiresAt
+    });
+    if (holder.filePath === document.filePath) {
+      claimed.push(band);
+      continue;
+    }
+
+    const score = similarity(signature, holder.signature);
+    if (score < threshold()) continue;
+    // A holder that has since joined another cluster is not a canonical
+    const stored = await DocumentSignature.findOne({ filePath: holder.filePath })
+      .select('duplicateOf verdicts')
+      .lean();
+    if (stored?.duplicateOf) continue;
+
+    if (claimed.length > 0) {
+      await DocumentBandClaim.deleteMany({ band: { $in: claimed }, filePath: document.filePath });
+    }
+    // The holder's verdicts are empty while it is still being judged; this document is
+    // then judged too, but stays linked to it
+    return {
+      entry: {
+        filePath: holder.filePath,
+        fileName: holder.fileName,
+        projectId: holder.projectId,
+        verdicts: stored?.verdicts || {}
+      },
+      similarity: score
+    };
+  }
+
+  // Bands held from an earlier scan keep their first expiry otherwise
+  await DocumentBandClaim.updateMany({ band: { $in: claimed }, filePath: document.filePath }, { $set: { expiresAt } });
+  return null;
+}
+
+/**
+ * Sign a document, find the cluster it belongs to and record it there.
+ * @param {{ filePath: string, fileName: string, projectId: string }} document
+ * @param {string} text - the extracted text
+ * @returns {Promise<{ filePath: string, canonical: Object|null, duplicateOf: Object|null } | null>}
+ *   canonical is the stored entry of the cluster's canonical document (with its
+ *   verdicts) and duplicateOf the link recorded against this one; both null when this
+ *   document is the canonical. Null when clustering is off or unavailable, or the text
+ *   too short to sign.
+ */
+async function clusterDocument(document, text) {
+  if (!enabled() || !document?.filePath || !storeAvailable()) return null;
+  const signature = minhashSignature(text);
+  if (!signature) return null;
+
+  try {
+    const expiresAt = new Date(Date.now() + retentionMs());
+    const match = (await findCanonical(document.filePath, signature)) ||
+      (await claimCanonical(document, signature, expiresAt));
+    const duplicateOf = match
+      ? {
+        filePath: match.entry.filePath,
+        fileName: match.entry.fileName,
+        projectId: match.entry.projectId,
+        similarity: Math.round(match.similarity * 100) / 100
+      }
+      : null;
+
+    const $set = {
+      projectId: document.projectId,
+      fileName: document.fileName,
+      signature,
+      bands: bandKeys(signature),
+      chars: String(text).length,
+      expiresAt
+    };
+    const update = duplicateOf
+      ? { $set: { ...$set, duplicateOf }, $unset: { verdicts: '' } }
+      : { $set, $unset: { duplicateOf: '' } };
+    await DocumentSignature.updateOne({ filePath: document.filePath }, update, { upsert: true });
+
+    if (duplicateOf) {
+      logger.debug('near-duplicate: clustered', { of: duplicateOf.filePath, similarity: duplicateOf.similarity });
+    }
+    return { filePath: document.filePath, canonical: match ? match.entry : null, duplicateOf };
+  } catch (error) {
+    logger.warn('near-duplicate: clustering failed, document judged alone', { err: error.message });
+    return null;
+  }
+}
+
+/**
+ * The canonical's verdicts a near-duplicate can take: those the AI layers reached, under
+ * the current detector version, for the report types asked about.
+ * @returns {Object} { [reportType]: verdict }
+ */
+function sharedVerdicts(cluster, reportTypes, detectorVersion) {
+  const stored = cluster?.canonical?.verdicts || {};
+  const shared = {};
+  for (const type of reportTypes) {
+    const verdict = stored[type];
+    if (verdict && MODEL_STAGES.includes(verdict.stage) && verdict.detectorVersion === detectorVersion) {
+      const { detectorVersion: _version, ...rest } = verdict;
+      shared[type] = rest;
+    }
+  }
+  return shared;
+}
+
+/**
+ * Keep a canonical document's AI verdicts for its near-duplicates. Verdicts from before
+ * the AI layers, and any a duplicate inherited, are not kept. Never throws.
+ * @param {Object|null} cluster - clusterDocument() result
+ * @param {Object} verdicts - { [reportType]: verdict }
+ */
+async function recordVerdicts(cluster, verdicts, detectorVersion) {
+  if (!cluster || cluster.duplicateOf) return;
+  const $set = {};
+  for (const [type, verdict] of Object.entries(verdicts || {})) {
+    if (!verdict || verdict.duplicateOf || !MODEL_STAGES.includes(verdict.stage)) continue;
+    $set[`verdicts.${type}`] = { ...verdict, detectorVersion };
+  }
+  if (Object.keys($set).length === 0) return;
+  try {
+    await DocumentSignature.updateOne({ filePath: cluster.filePath }, { $set });
+  } catch (error) {
+    logger.warn('near-duplicate: could not keep verdicts', { err: error.message });
+  }
+}
+
+module.exports = {
+  MODEL_STAGES,
+  shingleHashes,
+  minhashSignature,
+  similarity,
+  bandKeys,
+  threshold,
+  clusterDocument,
+  sharedVerdicts,
+  recordVerdicts
+};
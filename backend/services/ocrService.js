@@ -1,18 +1,30 @@
 const { execFile } = require('child_process');
 const { promisify } = require('util');
 const fs = require('fs');
+const os = require('os');
 const path = require('path');
 const logger = require('../utils/logger');
 
 const execFileAsync = promisify(execFile);
 
+// Below this much time left before the caller's deadline, no new page is started
+const MIN_PAGE_MS = 1000;
+
 /**
- * OCR Service - Falls back to Tesseract when PDF text extraction is insufficient
- * Used for scanned documents that contain images instead of text
+ * OCR Service - page-level Tesseract OCR for PDF pages that have no usable text layer.
+ *
+ * It used to decide once per document (total characters and lines) and then OCR the
+ * first ten pages. A typed cover letter followed by a scanned council letter on page
+ * 14 therefore had plenty of text, was never OCR'd, and the letter was never read.
+ * Now the PDF extractor asks pageNeedsOCR() for every page and hands only the
+ * image-only ones to ocrPages(), wherever they are in the document.
  */
 class OCRService {
     constructor() {
-        this.minCharThreshold = parseInt(process.env.OCR_MIN_CHAR_THRESHOLD || '100');
+        // A page with fewer characters than this is treated as image-only
+        this.minPageChars = parseInt(process.env.OCR_PAGE_MIN_CHARS || '40', 10);
+        // Pages OCR'd per document at most (cost control), whichever pages they are
+        this.maxPagesPerDocument = parseInt(process.env.OCR_MAX_PAGES || '40', 10);
         this.tesseractPath = process.env.TESSERACT_PATH || 'tesseract';
         this.pdftoppmAvailable = false;
         // Check dependencies asynchronously but don't block
@@ -46,150 +58,120 @@ class OCRService {
         }
     }
 
+    /** Whether pages can be OCR'd at all on this machine. */
+    canOCR() {
+        return this.pdftoppmAvailable;
+    }
+
     /**
-     * Check if text extraction looks insufficient (likely a scanned image)
-     * @param {string} extractedText - Text extracted from PDF
-     * @returns {boolean} True if OCR should be attempted
+     * Whether a page's native text is too thin to be the page's content: a scanned
+     * page has none, or only a stamp or page number from an overlay.
+     * @param {string} pageText - text extracted from the page's text layer
+     * @returns {boolean}
      */
-    shouldUseOCR(extractedText) {
-        if (!this.pdftoppmAvailable) return false; // OCR not available
-        if (!extractedText) return true;
-        
-        const charCount = extractedText.trim().length;
-        const lineCount = extractedText.split('\n').length;
-        
-        // Use OCR if:
-        // 1. Very little text was extracted
-        // 2. Or suspiciously few lines (likely image-based)
-        const needsOCR = charCount < this.minCharThreshold || (lineCount < 3 && charCount < 500);
-        
-        if (needsOCR && charCount > 0) {
-            logger.debug(`📸 OCR suggested: ${charCount} chars, ${lineCount} lines (threshold: ${this.minCharThreshold})`);
-        }
-        
-        return needsOCR;
+    pageNeedsOCR(pageText) {
+        const text = (pageText || '').replace(/\s+/g, ' ').trim();
+        if (text.length < this.minPageChars) return true;
+        // A text layer of stray glyphs (broken font encodings) is no better than none
+        const letters = (text.match(/\p{L}/gu) || []).length;
+        return letters / text.length < 0.3;
     }
 
     /**
-     * Extract text from PDF using Tesseract OCR
-     * Tesseract cannot read PDFs directly - must convert to images first using pdftoppm
+     * OCR the given pages of a PDF, one page at a time, so only one page image exists
+     * on disk at once.
      * @param {string} pdfPath - Path to PDF file
-     * @param {number} maxPages - Maximum pages to OCR (cost control)
-     * @returns {Promise<string>} Extracted text
+     * @param {number[]} pageNumbers - 1-based pages to OCR
+     * @param {Object} [options]
+     * @param {number} [options.deadline] - epoch ms by which OCR must have stopped (the
+     *   extraction sandbox's time budget); pages not reached by then are skipped
+     * @returns {Promise<{ pages: Map<number, string>, failed: number[], skipped: number[],
+     *   outOfTime: boolean }>} pages: text per page OCR'd; failed: rasterise or Tesseract
+     *   errors; skipped: pages over maxPagesPerDocument, left out for low memory, or not
+     *   reached before the deadline
      */
-    async extractTextViaOCR(pdfPath, maxPages = 10) {
-        const tempImages = [];
-        try {
-            // SAFETY CHECK: Skip OCR if low on memory
-            const memUsage = process.memoryUsage();
-            const rssMemMB = memUsage.rss / 1024 / 1024;
-            const minFreeMemMB = 512; // Require 512MB free for OCR safety
-            const totalMemMB = 4096; // System total (adjust if needed)
-            const estimatedFreeMB = totalMemMB - rssMemMB;
+    async ocrPages(pdfPath, pageNumbers, { deadline = null } = {}) {
+        const pages = new Map();
+        const failed = [];
+        let outOfTime = false;
+        const wanted = [...new Set(pageNumbers)].sort((x, y) => x - y);
+        const skipped = wanted.slice(this.maxPagesPerDocument);
+        const toRead = wanted.slice(0, this.maxPagesPerDocument);
+
+        if (!fs.existsSync(pdfPath)) {
+            throw new Error(`PDF file not found: ${pdfPath}`);
+        }
 
-            if (estimatedFreeMB < minFreeMemMB) {
-                logger.warn(`📸 Skipping OCR: Low memory (${rssMemMB.toFixed(0)}MB RSS, only ${estimatedFreeMB.toFixed(0)}MB free)`);
-                return '';
+        const fileName = path.basename(pdfPath);
+        const imagePrefix = path.join(
+            path.dirname(pdfPath),
+            `ocr_${path.basename(pdfPath, path.extname(pdfPath))}_${process.pid}_${Date.now()}`
+        );
+        logger.info(`📸 Running OCR on ${fileName}: pages ${toRead.join(', ')}` +
+            (skipped.length ? ` (${skipped.length} more over the ${this.maxPagesPerDocument}-page limit)` : ''));
+
+        for (let i = 0; i < toRead.length; i++) {
+            const pageNum = toRead[i];
+
+            // SAFETY CHECK: Skip OCR if the machine is low on memory. pdftoppm and
+            // tesseract run outside the extraction sandbox's RSS limit, so this asks the
+            // OS what is actually free rather than guessing from this process's RSS.
+            const freeMemMB = os.freemem() / 1024 / 1024;
+            const minFreeMemMB = 512; // Require 512MB free for OCR safety
+            if (freeMemMB < minFreeMemMB) {
+                logger.warn(`📸 Stopping OCR: Low memory (${freeMemMB.toFixed(0)}MB free)`);
+                skipped.unshift(...toRead.slice(i));
+                break;
             }
 
-            if (!fs.existsSync(pdfPath)) {
-                throw new Error(`PDF file not found: ${pdfPath}`);
+            // Out of time: stop with the pages read so far rather than be killed by the
+            // sandbox with nothing. Each tool's timeout is also cut to what is left.
+            const remaining = () => (deadline ? deadline - Date.now() : Infinity);
+            if (remaining() < MIN_PAGE_MS) {
+                logger.warn(`📸 Stopping OCR: time budget spent after ${pages.size} page(s) of ${fileName}`);
+                outOfTime = true;
+                skipped.unshift(...toRead.slice(i));
+                break;
             }
 
-            const fileName = path.basename(pdfPath);
-            const tempDir = path.dirname(pdfPath);
-            const baseName = path.basename(pdfPath, '.pdf');
-            const imagePrefix = path.join(tempDir, `ocr_${baseName}`);
-            
-            logger.info(`📸 Running OCR on ${fileName} (${estimatedFreeMB.toFixed(0)}MB free, max ${maxPages} pages)`);
-
-            // Step 1: Convert PDF to PNG images using pdftoppm (from poppler-utils)
-            // -png: output PNG images
-            // -r 150: 150 DPI (balance between quality and speed)
-            // -l maxPages: limit to first N pages
+            const imagePath = `${imagePrefix}_${pageNum}.png`;
             try {
+                // -singlefile writes exactly <prefix>_<page>.png for the one page
                 await execFileAsync(
                     'pdftoppm',
-                    ['-png', '-r', '150', '-l', String(maxPages), pdfPath, imagePrefix],
-                    { timeout: 60000 } // 60s timeout for conversion
+                    ['-png', '-r', '150', '-f', String(pageNum), '-l', String(pageNum), '-singlefile', pdfPath, `${imagePrefix}_${pageNum}`],
+                    { timeout: Math.min(60000, remaining()) }
                 );
-            } catch (pdfError) {
-                // pdftoppm not available or failed - skip OCR gracefully
-                logger.warn(`📸 PDF to image conversion failed: ${pdfError.message.substring(0, 100)}`);
-                return '';
-            }
-
-            // Step 2: Find all generated images
-            const files = fs.readdirSync(tempDir);
-            const imageFiles = files
-                .filter(f => f.startsWith(`ocr_${baseName}`) && f.endsWith('.png'))
-                .sort()
-                .map(f => path.join(tempDir, f));
-            
-            if (imageFiles.length === 0) {
-                logger.warn(`📸 No images generated from ${fileName}`);
-                return '';
-            }
-
-            tempImages.push(...imageFiles);
-            logger.debug(`📸 Converted ${fileName} to ${imageFiles.length} images`);
-
-            // Step 3: Run Tesseract on each image and combine results
-            let combinedText = '';
-            for (let i = 0; i < imageFiles.length; i++) {
-                try {
-                    const { stdout } = await execFileAsync(
-                        this.tesseractPath,
-                        [imageFiles[i], 'stdout', '-l', 'eng', '--psm', '3'],
-                        { maxBuffer: 10 * 1024 * 1024, timeout: 30000 } // 30s per page
-                    );
-                    combinedText += (stdout || '') + '\n';
-                } catch (tessError) {
-                    logger.warn(`📸 OCR failed on page ${i + 1}: ${tessError.message.substring(0, 50)}`);
+                const { stdout } = await execFileAsync(
+                    this.tesseractPath,
+                    [imagePath, 'stdout', '-l', 'eng', '--psm', '3'],
+                    {
+                        maxBuffer: 10 * 1024 * 1024,
+                        timeout: Math.max(1, Math.min(30000, remaining())), // 30s per page
+                        // One thread, so CPU time tracks the wall clock the budget is set in
+                        env: { ...process.env, OMP_THREAD_LIMIT: '1' }
+                    }
+                );
+                pages.set(pageNum, (stdout || '').trim());
+            } catch (error) {
+                if (remaining() <= 0) {
+                    logger.warn(`📸 Stopping OCR: time budget spent on page ${pageNum} of ${fileName}`);
+                    outOfTime = true;
+                    skipped.unshift(...toRead.slice(i));
+                    break;
                 }
-            }
-
-            const ocrText = combinedText.trim();
-            const charCount = ocrText.length;
-
-            if (charCount === 0) {
-                logger.warn(`📸 OCR returned no text from ${fileName}`);
-                return '';
-            }
-
-            logger.info(`📸 OCR extracted ${charCount} chars from ${fileName} (${imageFiles.length} pages)`);
-            return ocrText;
-        } catch (error) {
-            logger.warn(`📸 OCR failed on ${pdfPath}: ${error.message}`);
-            return ''; // Return empty string on failure, don't crash
-        } finally {
-            // Clean up temp images
-            for (const img of tempImages) {
+                logger.warn(`📸 OCR failed on page ${pageNum} of ${fileName}: ${error.message.substring(0, 100)}`);
+                failed.push(pageNum);
+            } finally {
                 try {
-                    if (fs.existsSync(img)) fs.unlinkSync(img);
+                    if (fs.existsSync(imagePath)) fs.unlinkSync(imagePath);
                 } catch (e) { /* ignore cleanup errors */ }
             }
         }
-    }
-
-    /**
-     * Intelligently extract text: try normal extraction first, fallback to OCR
-     * @param {string} extractedText - Text from normal PDF extraction
-     * @param {string} pdfPath - Path to PDF for OCR fallback
-     * @returns {Promise<string>} Best available text
-     */
-    async extractWithFallback(extractedText, pdfPath) {
-        // If normal extraction got good text, use it
-        if (extractedText && extractedText.trim().length >= this.minCharThreshold) {
-            return extractedText;
-        }
-
-        // Otherwise try OCR
-        logger.info(`🔄 Normal extraction insufficient (${(extractedText || '').length} chars), trying OCR...`);
-        const ocrText = await this.extractTextViaOCR(pdfPath);
 
-        // Return OCR text if successful, otherwise return original (even if short)
-        return ocrText || extractedText || '';
+        const chars = [...pages.values()].reduce((sum, text) => sum + text.length, 0);
+        logger.info(`📸 OCR extracted ${chars} chars from ${pages.size} page(s) of ${fileName}`);
+        return { pages, failed, skipped: skipped.sort((x, y) => x - y), outOfTime };
     }
 
     /**
@@ -2,8 +2,10 @@ const logger = require('../utils/logger');
 const documentRegisterService = require('./documentRegisterService');
 const documentFilterService = require('./documentFilterService');
 const documentProcessor = require('./documentProcessor');
+const extractedTextStore = require('./extractedTextStore');
 const s3Service = require('./s3Service');
 const Customer = require('../models/Customer');
+const { REPORT_TYPE_ALIASES } = require('./reportTypes');
 
 class RegisterFiService {
   constructor() {
@@ -23,9 +25,21 @@ class RegisterFiService {
    * @returns {Promise<Object>} - Scan results with detected acoustic reports
    */
   async scanForAcousticReports(options = {}) {
+    return this.scanForDeliverables('acoustic', options);
+  }
+
+  /**
+   * Scan document register for deliverables of one report type from a specific date range
+   * @param {string} reportType - any spelling of a type with a deliverable profile
+   * @param {Object} options - { from: Date, to: Date, projectIds: string[] }
+   * @returns {Promise<Object>} - Scan results with detected deliverables
+   */
+  async scanForDeliverables(reportType, options = {}) {
     if (this.processingState.isProcessing) {
       throw new Error('A scan is already in progress');
     }
+    // Throws for 'other' and unknown types before any state is touched
+    const { reportType: type, label } = documentFilterService.profileFor(reportType);
 
     try {
       this.processingState.isProcessing = true;
@@ -37,7 +51,7 @@ class RegisterFiService {
       const to = options.to || new Date();
       const from = options.from || new Date(Date.now() - 24 * 60 * 60 * 1000); // Yesterday
 
-      logger.info(`🚀 Starting acoustic report scan: ${scanId}`, {
+      logger.info(`🚀 Starting ${type} report scan: ${scanId}`, {
         from: from.toISOString(),
         to: to.toISOString(),
         projectIds: options.projectIds?.length || 'all'
@@ -46,6 +60,7 @@ class RegisterFiService {
       // Initialize scan state
       this.processingState.currentScan = {
         scanId,
+        reportType: type,
         startTime,
         from,
         to,
@@ -53,7 +68,7 @@ class RegisterFiService {
         stats: {
           documentsScanned: 0,
           projectsScanned: 0,
-          acousticReportsFound: 0,
+          reportsFound: 0,
           highConfidence: 0,
           mediumConfidence: 0,
           lowConfidence: 0,
@@ -72,16 +87,16 @@ class RegisterFiService {
       logger.info(`📊 Found ${recentDocuments.length} documents from ${this.processingState.currentScan.stats.projectsScanned} projects`);
 
       // Step 2: Filter documents through multi-stage pipeline
-      const filteredResults = await this.filterDocumentsForAcoustic(recentDocuments);
+      const filteredResults = await this.filterDocumentsForReportType(recentDocuments, type);
 
       // Step 3: Categorize results by confidence
       const categorized = this.categorizeResults(filteredResults);
 
-      // Step 4: Get customer subscriptions for acoustic reports
-      const customers = await this.getAcousticCustomers();
+      // Step 4: Get customer subscriptions for the report type
+      const customers = await this.getSubscribedCustomers(type);
 
       // Update scan stats
-      this.processingState.currentScan.stats.acousticReportsFound = categorized.highConfidence.length + categorized.mediumConfidence.length;
+      this.processingState.currentScan.stats.reportsFound = categorized.highConfidence.length + categorized.mediumConfidence.length;
       this.processingState.currentScan.stats.highConfidence = categorized.highConfidence.length;
       this.processingState.currentScan.stats.mediumConfidence = categorized.mediumConfidence.length;
       this.processingState.currentScan.stats.lowConfidence = categorized.lowConfidence.length;
@@ -95,6 +110,7 @@ class RegisterFiService {
 
       const result = {
         scanId,
+        reportType: type,
         status: 'completed',
         dateRange: { from, to },
         stats: this.processingState.currentScan.stats,
@@ -115,14 +131,15 @@ class RegisterFiService {
 
       logger.info(`✅ Scan completed: ${scanId}`, {
         duration: `${(result.duration / 1000).toFixed(1)}s`,
-        acousticReports: result.stats.acousticReportsFound,
+        reportType: type,
+        reports: result.stats.reportsFound,
         customers: customers.length
       });
 
       return result;
 
     } catch (error) {
-      logger.error('❌ Acoustic report scan failed:', error);
+      logger.error(`❌ ${label} report scan failed:`, error);
 
       if (this.processingState.currentScan) {
         this.processingState.currentScan.status = 'failed';
@@ -179,6 +196,13 @@ class RegisterFiService {
    * Filter documents through the multi-stage acoustic detection pipeline
    */
   async filterDocumentsForAcoustic(documents) {
+    return this.filterDocumentsForReportType(documents, 'acoustic');
+  }
+
+  /**
+   * Filter documents through the multi-stage deliverable detection pipeline for one type
+   */
+  async filterDocumentsForReportType(documents, reportType) {
     const results = [];
 
     logger.info(`🔬 Processing ${documents.length} documents through filter pipeline`);
@@ -194,10 +218,10 @@ class RegisterFiService {
         try {
           // Stage 1 & 2: Fast filtering (filename + content)
           // Only download document if Stage 1 passes
-          const stage1Result = documentFilterService.stage1FilenameFilter(doc.fileName);
+          const stage1Result = documentFilterService.stage1FilenameFilter(doc.fileName, reportType);
 
           if (stage1Result.reject) {
-            // Skip documents that clearly aren't acoustic reports
+            // Skip documents that clearly aren't deliverables
             continue;
           }
 
@@ -207,31 +231,35 @@ class RegisterFiService {
             // High confidence from filename alone
             filterResult = {
               ...doc,
-              isAcoustic: true,
+              isMatch: true,
+              isAcoustic: reportType === 'acoustic',
+              reportType,
               confidence: stage1Result.confidence,
               stage: 'stage1',
               reason: stage1Result.reason,
               reviewNeeded: false
             };
           } else {
-            // Need content analysis - download and extract text
-            const docBuffer = await s3Service.getDocumentBuffer(doc.filePath);
-            const processedDoc = await documentProcessor.processDocumentFromMemory(
-              docBuffer.buffer,
-              doc.fileName
-            );
-
-            // Run full filter pipeline
+            // Need content analysis - text from the extracted-text store, which only
+            // downloads the document when nobody has extracted it yet
+            const extraction = await extractedTextStore.extractS3Document(doc.filePath, {
+              fileName: doc.fileName,
+              maxChars: documentProcessor.maxTextChars
+            });
+            const processedDoc = documentProcessor.toProcessedDocument(extraction, doc.fileName);
+
+            // Run full filter pipeline; the vision stage fetches the file only if it runs
             filterResult = await documentFilterService.filterDocument(
               {
                 ...doc,
-                buffer: docBuffer.buffer
+                loadBuffer: async () => (await s3Service.getDocumentBuffer(doc.filePath)).buffer
               },
-              processedDoc.text
+              processedDoc.text,
+              reportType
             );
           }
 
-          if (filterResult.isAcoustic || filterResult.reviewNeeded) {
+          if (filterResult.isMatch || filterResult.reviewNeeded) {
             results.push(filterResult);
           }
 
@@ -240,7 +268,9 @@ class RegisterFiService {
           // Add to review queue on error
           results.push({
             ...doc,
+            isMatch: false,
             isAcoustic: false,
+            reportType,
             confidence: 0,
             stage: 'error',
             reason: `Processing error: ${error.message}`,
@@ -262,13 +292,13 @@ class RegisterFiService {
   categorizeResults(results) {
     return {
       highConfidence: results.filter(r =>
-        r.isAcoustic && r.confidence >= this.confidenceThreshold
+        r.isMatch && r.confidence >= this.confidenceThreshold
       ),
       mediumConfidence: results.filter(r =>
-        r.isAcoustic && r.confidence >= this.reviewThreshold && r.confidence < this.confidenceThreshold
+        r.isMatch && r.confidence >= this.reviewThreshold && r.confidence < this.confidenceThreshold
       ),
       lowConfidence: results.filter(r =>
-        !r.isAcoustic && r.confidence > 0.2 && r.confidence < this.reviewThreshold
+        !r.isMatch && r.confidence > 0.2 && r.confidence < this.reviewThreshold
       ),
       reviewQueue: results.filter(r => r.reviewNeeded)
     };
@@ -278,33 +308,46 @@ class RegisterFiService {
    * Get all customers subscribed to acoustic reports
    */
   async getAcousticCustomers() {
+    return this.getSubscribedCustomers('acoustic');
+  }
+
+  /**
+   * Get all customers subscribed to a report type, under any of its spellings
+   */
+  async getSubscribedCustomers(reportType) {
+    const spellings = [
+      reportType,
+      ...Object.keys(REPORT_TYPE_ALIASES).filter(alias => REPORT_TYPE_ALIASES[alias] === reportType)
+    ];
+
     try {
       const customers = await Customer.find({
-        reportTypes: 'acoustic',
+        reportTypes: { $in: spellings },
         isActive: true
       });
 
-      logger.info(`👥 Found ${customers.length} customers subscribed to acoustic reports`);
+      logger.info(`👥 Found ${customers.length} customers subscribed to ${reportType} reports`);
 
       return customers;
 
     } catch (error) {
-      logger.error('Error fetching acoustic customers:', error);
+      logger.error(`Error fetching ${reportType} customers:`, error);
       return [];
     }
   }
 
   /**
    * Run daily scan (scans yesterday's documents)
+   * @param {string} [reportType='acoustic']
    */
-  async runDailyScan() {
+  async runDailyScan(reportType = 'acoustic') {
     const yesterday = new Date(Date.now() - 24 * 60 * 60 * 1000);
     const today = new Date();
 
     yesterday.setHours(0, 0, 0, 0);
     today.setHours(0, 0, 0, 0);
 
-    return await this.scanForAcousticReports({
+    return await this.scanForDeliverables(reportType, {
       from: yesterday,
       to: today
     });
@@ -0,0 +1,65 @@
+/**
+ * Keeps the in-memory report-type taxonomy (services/reportTypes.js) in step with the
+ * ReportType collection.
+ *
+ * The lookups in reportTypes.js are synchronous and run per document, so they cannot
+ * read Mongo. Instead every process loads the collection once it connects and then
+ * re-reads it every REPORT_TYPES_SYNC_MS (default 60s). The fork that serves an admin
+ * edit reloads straight away; the other PM2 fork and worker.js catch up on their next
+ * sync, which is well inside the gap between an edit and the next nightly scan.
+ */
+
+const ReportType = require('../models/ReportType');
+const { setReportTypeOverrides } = require('./reportTypes');
+const logger = require('../utils/logger');
+
+const DEFAULT_SYNC_MS = 60 * 1000;
+
+let syncTimer = null;
+let lastSignature = null;
+
+/**
+ * Load the collection and apply it. Skips the rebuild when nothing changed, so the
+ * detector version is not rehashed every minute.
+ * @returns {Promise<number>} number of ReportType documents applied
+ */
+async function loadReportTypes() {
+  const docs = await ReportType.find({}).sort({ createdAt: 1 }).lean();
+  const signature = docs.map(doc => `${doc.key}@${new Date(doc.updatedAt || 0).getTime()}`).join('|');
+
+  if (signature !== lastSignature) {
+    setReportTypeOverrides(docs);
+    lastSignature = signature;
+    logger.info('report types: taxonomy loaded', { overrides: docs.length });
+  }
+  return docs.length;
+}
+
+/** Load now and keep re-syncing. Safe to call more than once. */
+async function startReportTypeSync({ intervalMs = parseInt(process.env.REPORT_TYPES_SYNC_MS || DEFAULT_SYNC_MS, 10) } = {}) {
+  try {
+    await loadReportTypes();
+  } catch (error) {
+    logger.error('report types: initial load failed, using built-in taxonomy', { err: error.message });
+  }
+
+  if (!syncTimer && intervalMs > 0) {
+    syncTimer = setInterval(() => {
+      loadReportTypes().catch(error => logger.warn('report types: sync failed', { err: error.message }));
+    }, intervalMs);
+    syncTimer.unref();
+  }
+}
+
+function stopReportTypeSync() {
+  if (syncTimer) {
+    clearInterval(syncTimer);
+    syncTimer = null;
+  }
+}
+
+module.exports = {
+  loadReportTypes,
+  startReportTypeSync,
+  stopReportTypeSync
+};
@@ -17,10 +17,25 @@
  *   quoteTerms    - high precision, used to validate the short quote shown to the
  *                   customer. Deliberately excludes the loose terms above.
  *   filenameTerms - matched against a filename only.
+ *
+ * A fourth list, irishTerms, names the type in Irish for Irish-language and bilingual
+ * notices (services/documentLanguage.js). It stands in for both documentTerms and
+ * quoteTerms in Irish text, so it holds only terms precise enough to validate a quote.
+ * Irish is matched with fadas folded away; the lists keep them for readability. A type
+ * without Irish terms has its Irish-only documents excluded, with the reason recorded.
+ *
+ * The constants below are the built-in taxonomy. Admins extend and override it through
+ * the ReportType collection (routes/report-types.js); services/reportTypeStore.js loads
+ * those documents into setReportTypeOverrides(), so a new type such as air quality
+ * reaches detection, schema validation and the UI without a deploy. The lookups stay
+ * synchronous because they run per document inside the scan loop.
  */
 
-// Canonical spelling for each report type. Aliases resolve to these.
-const CANONICAL_REPORT_TYPES = [
+const { registerDetectorComponent } = require('./detectorVersion');
+const { foldIrish } = require('./documentLanguage');
+
+// Canonical spelling for each built-in report type. Aliases resolve to these.
+const BUILT_IN_REPORT_TYPES = [
   'acoustic',
   'transport',
   'ecological',
@@ -35,7 +50,7 @@ const CANONICAL_REPORT_TYPES = [
 
 // ScanJob.documentType and the UI use `ecology`; Customer.reportTypes uses `ecological`.
 // Both must resolve to the same vocabulary or the two never match.
-const REPORT_TYPE_ALIASES = {
+const BUILT_IN_ALIASES = {
   ecology: 'ecological',
   ecologic: 'ecological',
   biodiversity: 'ecological',
@@ -51,7 +66,21 @@ const REPORT_TYPE_ALIASES = {
   'contaminated land': 'contamination'
 };
 
-const VOCABULARY = {
+// Display names for the UI. Icons match the document-scan page.
+const BUILT_IN_DISPLAY = {
+  acoustic: { label: 'Acoustic', icon: '🔊' },
+  transport: { label: 'Transport', icon: '🚗' },
+  ecological: { label: 'Ecological', icon: '🌿' },
+  flood: { label: 'Flood', icon: '🌊' },
+  heritage: { label: 'Heritage', icon: '🏛️' },
+  arboricultural: { label: 'Arboricultural', icon: '🌳' },
+  waste: { label: 'Waste', icon: '♻️' },
+  lighting: { label: 'Lighting', icon: '💡' },
+  contamination: { label: 'Contamination', icon: '⚠️' },
+  other: { label: 'Other', icon: '📄' }
+};
+
+const BUILT_IN_VOCABULARY = {
   acoustic: {
     documentTerms: [
       'noise', 'sound', 'decibel', 'db', 'vibration', 'noise assessment', 'sound level', 'acoustic',
@@ -59,7 +88,8 @@ const VOCABULARY = {
       'sound insulation', 'noise mitigation', 'ambient noise', 'plant noise'
     ],
     quoteTerms: ['noise', 'sound', 'acoustic', 'decibel', 'db', 'vibration'],
-    filenameTerms: ['noise', 'sound', 'acoustic', 'decibel', 'audio', 'vibration']
+    filenameTerms: ['noise', 'sound', 'acoustic', 'decibel', 'audio', 'vibration'],
+    irishTerms: ['torann', 'torainn', 'fuaim', 'fuaime', 'creathadh', 'creathaidh', 'measúnú torainn', 'deicibeil']
   },
   transport: {
     documentTerms: [
@@ -67,7 +97,8 @@ const VOCABULARY = {
       'transport', 'ta', 'tia', 'traffic impact', 'travel plan', 'tp', 'access', 'junction', 'pedestrian', 'cycle'
     ],
     quoteTerms: ['traffic', 'vehicle', 'highway', 'road', 'parking', 'transport', 'mobility'],
-    filenameTerms: ['traffic', 'transport', 'parking', 'vehicle', 'highway', 'road', 'mobility']
+    filenameTerms: ['traffic', 'transport', 'parking', 'vehicle', 'highway', 'road', 'mobility'],
+    irishTerms: ['trácht', 'tráchta', 'iompar', 'iompair', 'páirceáil', 'páirceála', 'plean taistil']
   },
   ecological: {
     documentTerms: [
@@ -76,7 +107,8 @@ const VOCABULARY = {
       'bat', 'newt', 'dormouse', 'protected species', 'nesting birds', 'breeding birds'
     ],
     quoteTerms: ['ecology', 'ecological', 'habitat', 'species', 'biodiversity', 'wildlife'],
-    filenameTerms: ['ecology', 'ecological', 'wildlife', 'habitat', 'species', 'biodiversity', 'environment']
+    filenameTerms: ['ecology', 'ecological', 'wildlife', 'habitat', 'species', 'biodiversity', 'environment'],
+    irishTerms: ['éiceolaíocht', 'éiceolaíoch', 'bithéagsúlacht', 'gnáthóg', 'speiceas', 'speicis', 'fiadhúlra', 'ialtóg']
   },
   flood: {
     documentTerms: [
@@ -84,7 +116,8 @@ const VOCABULARY = {
       'fra', 'flood risk', 'hydrology', 'runoff', 'soakaway', 'infiltration', 'watercourse', 'pluvial'
     ],
     quoteTerms: ['flood', 'drainage', 'suds', 'hydrology', 'water', 'surface water'],
-    filenameTerms: ['flood', 'drainage', 'water', 'sewage', 'storm', 'surface water', 'suds']
+    filenameTerms: ['flood', 'drainage', 'water', 'sewage', 'storm', 'surface water', 'suds'],
+    irishTerms: ['tuile', 'tuilte', 'riosca tuile', 'draenáil', 'draenála', 'uisce dromchla']
   },
   heritage: {
     documentTerms: [
@@ -92,7 +125,8 @@ const VOCABULARY = {
       'hia', 'heritage impact', 'wsi', 'written scheme', 'desk-based assessment', 'dba', 'historic environment'
     ],
     quoteTerms: ['heritage', 'archaeological', 'historic', 'conservation', 'listed'],
-    filenameTerms: ['heritage', 'archaeological', 'historic', 'conservation', 'listed', 'cultural']
+    filenameTerms: ['heritage', 'archaeological', 'historic', 'conservation', 'listed', 'cultural'],
+    irishTerms: ['oidhreacht', 'seandálaíocht', 'seandálaíoch', 'séadchomhartha', 'caomhnú', 'stairiúil']
   },
   arboricultural: {
     documentTerms: [
@@ -100,7 +134,8 @@ const VOCABULARY = {
       'aia', 'arboricultural impact', 'tree survey', 'root protection', 'rpa', 'tree protection'
     ],
     quoteTerms: ['tree', 'arboricultural', 'woodland', 'hedgerow', 'root protection'],
-    filenameTerms: ['tree', 'arboricultural', 'vegetation', 'landscape', 'planting', 'forestry']
+    filenameTerms: ['tree', 'arboricultural', 'vegetation', 'landscape', 'planting', 'forestry'],
+    irishTerms: ['crann', 'crainn', 'crannta', 'coillearnach', 'fálta']
   },
   waste: {
     documentTerms: [
@@ -108,7 +143,8 @@ const VOCABULARY = {
       'waste management', 'skip', 'compactor'
     ],
     quoteTerms: ['waste', 'refuse', 'recycling', 'disposal'],
-    filenameTerms: ['waste', 'refuse', 'recycling', 'disposal', 'bin']
+    filenameTerms: ['waste', 'refuse', 'recycling', 'disposal', 'bin'],
+    irishTerms: ['dramhaíl', 'dramhaíola', 'athchúrsáil', 'athchúrsála']
   },
   lighting: {
     documentTerms: [
@@ -116,7 +152,8 @@ const VOCABULARY = {
       'light pollution', 'spillage', 'luminaire', 'obtrusive light', 'sky glow'
     ],
     quoteTerms: ['lighting', 'light', 'illumination', 'luminaire', 'lux'],
-    filenameTerms: ['lighting', 'light', 'illumination', 'lumens', 'lux', 'lamp']
+    filenameTerms: ['lighting', 'light', 'illumination', 'lumens', 'lux', 'lamp'],
+    irishTerms: ['soilsiú', 'soilsithe', 'solas', 'solais', 'truailliú solais']
   },
   // Previously had no entry in any map, so `quickKeywordFilter` degraded to a
   // literal substring test for the word "contamination".
@@ -130,14 +167,16 @@ const VOCABULARY = {
       'contamination', 'contaminated', 'remediation', 'ground investigation',
       'geoenvironmental', 'asbestos', 'landfill gas'
     ],
-    filenameTerms: ['contamination', 'contaminated', 'remediation', 'geoenvironmental', 'ground-investigation']
+    filenameTerms: ['contamination', 'contaminated', 'remediation', 'geoenvironmental', 'ground-investigation'],
+    irishTerms: ['éilliú', 'éillithe', 'talamh éillithe', 'athleasú', 'imscrúdú talún']
   },
   // Catch-all. No meaningful vocabulary exists; callers fall back to the literal
   // type string, which is the pre-existing behaviour made explicit.
   other: {
     documentTerms: [],
     quoteTerms: [],
-    filenameTerms: []
+    filenameTerms: [],
+    irishTerms: []
   }
 };
 
@@ -147,6 +186,78 @@ const VOCABULARY = {
  * new report type added to an enum degrades to literal matching instead of
  * silently matching nothing.
  */
+// Live taxonomy: the built-ins with the database overrides applied. The array and the
+// alias map are updated in place so references taken at require time stay current.
+const CANONICAL_REPORT_TYPES = [];
+const REPORT_TYPE_ALIASES = {};
+const VOCABULARY = {};
+const DETAILS = {};
+
+const VOCABULARY_KEYS = ['documentTerms', 'quoteTerms', 'filenameTerms', 'irishTerms'];
+
+const cleanTerms = (terms) => [...new Set((terms || []).map(t => String(t).toLowerCase().trim()).filter(Boolean))];
+
+/**
+ * Rebuild the live taxonomy from the built-ins plus ReportType documents.
+ *
+ * A document for a built-in type overrides only what it sets: a non-empty term list
+ * replaces the built-in one, aliases are added, and `active: false` retires the type.
+ * Retired types still normalise and keep their vocabulary, so existing customers and
+ * jobs on them keep validating and matching; they are only hidden from pickers.
+ *
+ * @param {Array<object>} overrides - plain ReportType documents
+ */
+function setReportTypeOverrides(overrides = []) {
+  CANONICAL_REPORT_TYPES.length = 0;
+  for (const key of Object.keys(REPORT_TYPE_ALIASES)) delete REPORT_TYPE_ALIASES[key];
+  for (const key of Object.keys(VOCABULARY)) delete VOCABULARY[key];
+  for (const key of Object.keys(DETAILS)) delete DETAILS[key];
+
+  for (const key of BUILT_IN_REPORT_TYPES) {
+    VOCABULARY[key] = { ...BUILT_IN_VOCABULARY[key] };
+    DETAILS[key] = { ...BUILT_IN_DISPLAY[key], active: true, builtIn: true, overridden: false };
+  }
+  Object.assign(REPORT_TYPE_ALIASES, BUILT_IN_ALIASES);
+
+  for (const doc of overrides) {
+    const key = String(doc.key || '').toLowerCase().trim();
+    if (!key) continue;
+
+    const builtIn = BUILT_IN_REPORT_TYPES.includes(key);
+    const base = VOCABULARY[key] || { documentTerms: [], quoteTerms: [], filenameTerms: [], irishTerms: [] };
+    VOCABULARY[key] = { ...base };
+    for (const vocabulary of VOCABULARY_KEYS) {
+      const terms = cleanTerms(doc[vocabulary]);
+      if (terms.length > 0) VOCABULARY[key][vocabulary] = terms;
+    }
+
+    DETAILS[key] = {
+      label: doc.label || DETAILS[key]?.label || key,
+      icon: doc.icon || DETAILS[key]?.icon || '📄',
+      active: doc.active !== false,
+      builtIn,
+      overridden: builtIn
+    };
+
+    for (const alias of cleanTerms(doc.aliases)) {
+      REPORT_TYPE_ALIASES[alias] = key;
+    }
+  }
+
+  // An alias can never shadow a type's own key.
+  for (const key of Object.keys(DETAILS)) delete REPORT_TYPE_ALIASES[key];
+
+  CANONICAL_REPORT_TYPES.push(...Object.keys(DETAILS).filter(key => DETAILS[key].active));
+
+  // Part of the detector version stamped on every match (services/detectorVersion.js);
+  // re-registering makes the next version lookup rehash it.
+  registerDetectorComponent('vocabulary', () => ({
+    types: CANONICAL_REPORT_TYPES,
+    aliases: REPORT_TYPE_ALIASES,
+    vocabulary: VOCABULARY
+  }));
+}
+
 function normalizeReportType(reportType) {
   if (!reportType) return null;
   const key = String(reportType).toLowerCase().trim();
@@ -173,6 +284,22 @@ const getQuoteTerms = (reportType) => lookup(reportType, 'quoteTerms');
 /** Vocabulary for matching against a filename. */
 const getFilenameTerms = (reportType) => lookup(reportType, 'filenameTerms');
 
+/**
+ * The type's Irish terms. Unlike the lookups above there is no fallback to the type's
+ * own (English) name: a type without Irish terms has none.
+ */
+function getIrishTerms(reportType) {
+  const canonical = normalizeReportType(reportType);
+  return (canonical && VOCABULARY[canonical]?.irishTerms) || [];
+}
+
+/** True if `text` names the report type in Irish, fadas or not. */
+function textMentionsIrishTerm(text, reportType) {
+  if (!text) return false;
+  const folded = foldIrish(text);
+  return getIrishTerms(reportType).some(term => folded.includes(foldIrish(term)));
+}
+
 /** True if `text` contains any term from the given vocabulary for this report type. */
 function textMentionsReportType(text, reportType, vocabulary = 'quoteTerms') {
   if (!text) return false;
@@ -180,12 +307,59 @@ function textMentionsReportType(text, reportType, vocabulary = 'quoteTerms') {
   return lookup(reportType, vocabulary).some(term => lower.includes(term));
 }
 
+/** True if the type, in any spelling, is defined - active or retired. */
+function isKnownReportType(reportType) {
+  const canonical = normalizeReportType(reportType);
+  return Boolean(canonical && DETAILS[canonical]);
+}
+
+/** True if the type is defined and not retired. */
+function isActiveReportType(reportType) {
+  const canonical = normalizeReportType(reportType);
+  return Boolean(canonical && DETAILS[canonical]?.active);
+}
+
+/**
+ * The taxonomy as the UI and the admin routes see it, built-ins first.
+ * @param {object}  [opts]
+ * @param {boolean} [opts.includeInactive=false]
+ */
+function getReportTypes({ includeInactive = false } = {}) {
+  return Object.keys(DETAILS)
+    .filter(key => includeInactive || DETAILS[key].active)
+    .map(key => ({
+      key,
+      ...DETAILS[key],
+      aliases: Object.keys(REPORT_TYPE_ALIASES).filter(alias => REPORT_TYPE_ALIASES[alias] === key),
+      documentTerms: VOCABULARY[key].documentTerms,
+      quoteTerms: VOCABULARY[key].quoteTerms,
+      filenameTerms: VOCABULARY[key].filenameTerms,
+      irishTerms: VOCABULARY[key].irishTerms || []
+    }));
+}
+
+/** Mongoose validator for report-type fields; accepts any spelling of a known type. */
+const reportTypeValidator = {
+  validator: (value) => value === undefined || value === null || isKnownReportType(value),
+  message: (props) => `${props.value} is not a known report type`
+};
+
+setReportTypeOverrides();
+
 module.exports = {
+  BUILT_IN_REPORT_TYPES,
   CANONICAL_REPORT_TYPES,
   REPORT_TYPE_ALIASES,
+  setReportTypeOverrides,
+  getReportTypes,
+  isKnownReportType,
+  isActiveReportType,
+  reportTypeValidator,
   normalizeReportType,
   getDocumentTerms,
   getQuoteTerms,
   getFilenameTerms,
-  textMentionsReportType
+  getIrishTerms,
+  textMentionsReportType,
+  textMentionsIrishTerm
 };
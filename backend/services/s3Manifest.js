@@ -0,0 +1,363 @@
+/**
+ * A shared manifest of the objects under planning-docs/, built once a night.
+ *
+ * S3 cannot list by date. fastS3Scanner.streamDocumentsSince listed the whole prefix -
+ * about 570k objects - and filtered on LastModified itself, and every caller paid for
+ * that walk separately: each ScanJob twice (countDocumentsSince, then the stream), each
+ * backfill day enqueued by scanJobProcessor.enqueueBackfill, dailyRunService.executeScan
+ * and documentRegisterService.getQuickCount. A night with five jobs and a backfill day
+ * listed the bucket a dozen times to find the same few thousand keys.
+ *
+ * build() lists the prefix once and keeps every object's key, size, ETag and
+ * LastModified in s3_manifest (models/S3ManifestObject.js), partitioned by local day.
+ * Builds are incremental: each page of the listing is compared with the stored keys in
+ * the same key range, and only new, changed and vanished objects are written, so the
+ * nightly build costs one listing and a few thousand writes. Each build is recorded in
+ * s3_manifest_builds with the time its listing started.
+ *
+ * Scanners ask streamObjects()/countObjects() for a date range. A build answers for a
+ * range that ended at least a minute before its listing started; when the latest
+ * does not, the first caller builds a fresh one under the 's3-manifest' lock and the
+ * others wait for it (up to S3_MANIFEST_WAIT_MINUTES) rather than list the bucket
+ * themselves. An open-ended range ("up to now") accepts a build up to
+ * S3_MANIFEST_MAX_AGE_MINUTES old. Objects come back in key order, which is what a
+ * ScanJob checkpoint resumes by.
+ *
+ * The nightly build runs at 00:01 on the scheduling process, ahead of the document
+ * register (00:05) and the scans (00:10). The manifest never fails a scan: with Mongo
+ * down, S3_MANIFEST=off, or a build that failed, both methods return null and the caller
+ * lists the bucket as before.
+ */
+
+const schedule = require('node-schedule');
+const mongoose = require('mongoose');
+const { S3Client, ListObjectsV2Command } = require('@aws-sdk/client-s3');
+const S3ManifestObject = require('../models/S3ManifestObject');
+const S3ManifestBuild = require('../models/S3ManifestBuild');
+const logger = require('../utils/logger');
+const textExtractionService = require('./textExtractionService');
+const { withLock } = require('./jobLock');
+const { getBucket, getRegion } = require('../utils/awsConfig');
+
+const PREFIX = 'planning-docs/';
+const LOCK_NAME = 's3-manifest';
+const BUILD_TTL_MS = 2 * 60 * 60 * 1000;
+const BUILD_RETENTION_MS = 30 * 24 * 60 * 60 * 1000;
+// An upload in flight as a range closes shows up a moment later. The 00:01 build
+// still covers the day before.
+const SETTLE_MS = 60 * 1000;
+// Entries read from the manifest per query while streaming
+const PAGE_SIZE = 500;
+
+function minutesFromEnv(name, fallback) {
+  const minutes = parseInt(process.env[name] || fallback, 10);
+  return (minutes > 0 ? minutes : fallback) * 60 * 1000;
+}
+
+/** YYYY-MM-DD from a Date's local parts, as scanJobProcessor.toLocalDateKey. */
+function localDay(date) {
+  const d = new Date(date);
+  return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+}
+
+/**
+ * The manifest entry for a listed object. `document` applies the filename rules the
+ * scanners always applied: a file inside a project folder, not a dotfile, baseline
+ * marker or docfiles.txt. Whether its format is readable is decided at query time, so
+ * a format added later needs no rebuild.
+ */
+function manifestEntry(object) {
+  const parts = object.Key.split('/');
+  const fileName = parts[parts.length - 1];
+  const dot = fileName.lastIndexOf('.');
+  return {
+    key: object.Key,
+    projectId: parts.length >= 3 ? parts[1] : null,
+    fileName,
+    ext: dot > 0 ? fileName.slice(dot).toLowerCase() : '',
+    document: parts.length >= 3 &&
+      !!fileName &&
+      !fileName.startsWith('.') &&
+      !fileName.startsWith('_baseline_') &&
+      fileName.includes('.') &&
+      fileName.toLowerCase() !== 'docfiles.txt',
+    size: object.Size || 0,
+    etag: object.ETag || null,
+    lastModified: new Date(object.LastModified),
+    day: localDay(object.LastModified)
+  };
+}
+
+function unchanged(stored, entry) {
+  return stored.etag === entry.etag &&
+    stored.size === entry.size &&
+    new Date(stored.lastModified).getTime() === entry.lastModified.getTime();
+}
+
+class S3Manifest {
+  constructor() {
+    this.s3Client = new S3Client({
+      region: getRegion(),
+      credentials: {
+        accessKeyId: process.env.AWS_ACCESS_KEY_ID,
+        secretAccessKey: process.env.AWS_SECRET_ACCESS_KEY
+      }
+    });
+    this.bucketName = getBucket();
+    this.scheduledJob = null;
+    // How often a caller waiting on another process's build checks for it
+    this.pollMs = 15000;
+  }
+
+  get enabled() {
+    return process.env.S3_MANIFEST !== 'off' &&
+      mongoose.connection && mongoose.connection.readyState === 1;
+  }
+
+  /** Build the manifest nightly at 00:01, ahead of everything that reads it. */
+  initialize() {
+    if (process.env.S3_MANIFEST === 'off') {
+      logger.info('s3 manifest disabled (S3_MANIFEST=off)');
+      return;
+    }
+    this.scheduledJob = schedule.scheduleJob('1 0 * * *', async () => {
+      const outcome = await withLock(LOCK_NAME, { ttlMs: BUILD_TTL_MS, heartbeat: true }, () => this.build());
+      if (outcome.ran === false && outcome.reason === 'lock-error') {
+        logger.warn('s3 manifest: nightly build skipped, lock unavailable');
+      }
+    });
+    logger.info('s3 manifest ready', { nightly: '00:01' });
+  }
+
+  stop() {
+    if (this.scheduledJob) this.scheduledJob.cancel();
+    this.scheduledJob = null;
+  }
+
+  /**
+   * List planning-docs/ once and bring the manifest up to date with it. Callers other
+   * than tests hold the 's3-manifest' lock.
+   * @returns {Promise<Object>} the completed build record
+   */
+  async build() {
+    const startedAt = Date.now();
+    const listedFrom = new Date(startedAt);
+    const buildId = `manifest-${startedAt.toString(36)}-${Math.random().toString(36).slice(2, 6)}`;
+    await S3ManifestBuild.create({
+      buildId,
+      listedFrom,
+      expiresAt: new Date(startedAt + BUILD_RETENTION_MS)
+    });
+    logger.info('s3 manifest: build started', { build: buildId });
+
+    const counts = { objects: 0, added: 0, changed: 0, removed: 0 };
+    try {
+      let continuationToken;
+      let previousKey = '';
+      do {
+        const response = await this.s3Client.send(new ListObjectsV2Command({
+          Bucket: this.bucketName,
+          Prefix: PREFIX,
+          MaxKeys: 1000,
+          ContinuationToken: continuationToken
+        }));
+        const objects = response.Contents || [];
+
+        if (objects.length > 0) {
+          // The listing is in key order, so the stored keys in this page's range are
+          // exactly the ones this page should contain
+          const lastKey = objects[objects.length - 1].Key;
+          const stored = await S3ManifestObject.find({ key: { $gt: previousKey, $lte: lastKey } })
+            .select('key etag size lastModified')
+            .lean();
+          const storedByKey = new Map(stored.map(entry => [entry.key, entry]));
+          const operations = [];
+
+          for (const object of objects) {
+            const entry = manifestEntry(object);
+            const existing = storedByKey.get(entry.key);
+            storedByKey.delete(entry.key);
+            if (existing && unchanged(existing, entry)) continue;
+            counts[existing ? 'changed' : 'added']++;
+            operations.push({ updateOne: { filter: { key: entry.key }, update: { $set: entry }, upsert: true } });
+          }
+          for (const key of storedByKey.keys()) {
+            counts.removed++;
+            operations.push({ deleteOne: { filter: { key } } });
+          }
+          if (operations.length > 0) {
+            await S3ManifestObject.bulkWrite(operations, { ordered: false });
+          }
+
+          counts.objects += objects.length;
+          previousKey = lastKey;
+        }
+
+        continuationToken = response.IsTruncated ? response.NextContinuationToken : undefined;
+        if (counts.objects % 50000 < 1000 && counts.objects >= 50000) {
+          logger.debug('s3 manifest: listing', { listed: counts.objects, changed: counts.added + counts.changed + counts.removed });
+        }
+      } while (continuationToken);
+
+      // Keys after the last one listed are gone from the bucket
+      const tail = await S3ManifestObject.deleteMany({ key: { $gt: previousKey } });
+      counts.removed += tail.deletedCount || 0;
+
+      const seconds = Math.round((Date.now() - startedAt) / 1000);
+      const build = await S3ManifestBuild.findOneAndUpdate(
+        { buildId },
+        { $set: { status: 'complete', completedAt: new Date(), seconds, ...counts } },
+        { new: true }
+      ).lean();
+      logger.info('s3 manifest: build complete', { build: buildId, ...counts, sec: seconds });
+      return build;
+    } catch (error) {
+      logger.error('s3 manifest: build FAILED', { build: buildId, listed: counts.objects, err: error.message });
+      await S3ManifestBuild.updateOne({ buildId }, { $set: { status: 'failed', error: error.message, ...counts } })
+        .catch(() => null);
+      throw error;
+    }
+  }
+
+  /** Whether a completed build has every object modified up to endDate (null: now). */
+  covers(build, endDate) {
+    if (!build || build.status !== 'complete') return false;
+    const listedFrom = new Date(build.listedFrom).getTime();
+    if (!endDate) return Date.now() - listedFrom <= minutesFromEnv('S3_MANIFEST_MAX_AGE_MINUTES', 60);
+    return listedFrom >= new Date(endDate).getTime() + SETTLE_MS;
+  }
+
+  latestBuild() {
+    return S3ManifestBuild.findOne({ status: 'complete' }).sort({ listedFrom: -1 }).lean();
+  }
+
+  /**
+   * A build that covers the range ending at endDate: the latest, a fresh one built now,
+   * or one another process is building. Null when none can be had.
+   */
+  async ready(endDate) {
+    if (!this.enabled) return null;
+    try {
+      const latest = await this.latestBuild();
+      if (this.covers(latest, endDate)) return latest;
+
+      const outcome = await withLock(
+        LOCK_NAME,
+        { ttlMs: BUILD_TTL_MS, heartbeat: true, skipMessage: false },
+        () => this.build()
+      );
+      if (outcome.ran) return this.covers(outcome.result, endDate) ? outcome.result : null;
+      if (outcome.reason !== 'locked') return null;
+
+      logger.info('s3 manifest: waiting for the build in progress');
+      const deadline = Date.now() + minutesFromEnv('S3_MANIFEST_WAIT_MINUTES', 30);
+      while (Date.now() < deadline) {
+        await new Promise(resolve => setTimeout(resolve, this.pollMs));
+        const build = await this.latestBuild();
+        if (this.covers(build, endDate)) return build;
+        const inProgress = await S3ManifestBuild.exists({ status: 'building', listedFrom: { $gt: new Date(Date.now() - BUILD_TTL_MS) } });
+        if (!inProgress) break;
+      }
+      logger.warn('s3 manifest: no build covers the range, listing the bucket instead');
+      return null;
+    } catch (error) {
+      logger.warn('s3 manifest: unavailable, listing the bucket instead', { err: error.message });
+      return null;
+    }
+  }
+
+  /** Manifest filter for the planning documents modified in a range. */
+  rangeFilter(sinceDate, endDate) {
+    const lastModified = { $gte: new Date(sinceDate) };
+    if (endDate) lastModified.$lte = new Date(endDate);
+    return {
+      lastModified,
+      document: true,
+      ext: { $in: textExtractionService.supportedExtensions() }
+    };
+  }
+
+  /**
+   * Call onObject for each planning document modified in the range, in key order.
+   * @param {Date} sinceDate
+   * @param {Date|null} endDate - null for "up to now"
+   * @param {Function} onObject - (entry) => Promise; entry: { key, projectId, fileName,
+   *   size, etag, lastModified }
+   * @param {Object} [options]
+   * @param {number} [options.limit] - stop after this many
+   * @returns {Promise<{ totalScanned: number, totalMatched: number, duration: number, manifest: string } | null>}
+   *   totalScanned is the object count of the build; null when the manifest cannot
+   *   answer and the caller should list the bucket
+   */
+  async streamObjects(sinceDate, endDate, onObject, { limit = null } = {}) {
+    const startTime = Date.now();
+    const build = await this.ready(endDate);
+    if (!build) return null;
+
+    const filter = this.rangeFilter(sinceDate, endDate);
+    let totalMatched = 0;
+    let afterKey = null;
+    // Paged by key rather than one cursor: a scan spends hours between reads, and an
+    // idle cursor is closed by the server after ten minutes
+    for (;;) {
+      const pageFilter = afterKey ? { ...filter, key: { $gt: afterKey } } : filter;
+      const page = await S3ManifestObject.find(pageFilter)
+        .select('key projectId fileName size etag lastModified')
+        .sort({ key: 1 })
+        .limit(PAGE_SIZE)
+        .lean();
+      for (const entry of page) {
+        if (limit !== null && totalMatched >= limit) break;
+        await onObject(entry);
+        totalMatched++;
+      }
+      if (page.length < PAGE_SIZE || (limit !== null && totalMatched >= limit)) break;
+      afterKey = page[page.length - 1].key;
+    }
+
+    const duration = parseFloat(((Date.now() - startTime) / 1000).toFixed(2));
+    logger.info('s3 manifest: range served', { build: build.buildId, matched: totalMatched, sec: duration });
+    return { totalScanned: build.objects, totalMatched, duration, manifest: build.buildId };
+  }
+
+  /**
+   * How many planning documents were modified in the range.
+   * @returns {Promise<number|null>} null when the manifest cannot answer
+   */
+  async countObjects(sinceDate, endDate) {
+    const build = await this.ready(endDate);
+    if (!build) return null;
+    try {
+      return await S3ManifestObject.countDocuments(this.rangeFilter(sinceDate, endDate));
+    } catch (error) {
+      logger.warn('s3 manifest: count failed, listing the bucket instead', { err: error.message });
+      return null;
+    }
+  }
+
+  /**
+   * The local day a project's earliest planning document was last modified - the day its
+   * back-catalogue was copied in, long after the baseline marker for it has been cleaned
+   * up. Null when the manifest is off, unbuilt or has no documents for the project.
+   * @returns {Promise<string|null>} YYYY-MM-DD
+   */
+  async firstDay(projectId) {
+    if (!this.enabled) return null;
+    try {
+      const first = await S3ManifestObject.findOne({ projectId, document: true })
+        .select('day')
+        .sort({ lastModified: 1 })
+        .lean();
+      return first ? first.day : null;
+    } catch (error) {
+      logger.warn('s3 manifest: first day lookup failed', { proj: projectId, err: error.message });
+      return null;
+    }
+  }
+}
+
+const s3Manifest = new S3Manifest();
+s3Manifest.manifestEntry = manifestEntry;
+s3Manifest.localDay = localDay;
+
+module.exports = s3Manifest;
@@ -19,6 +19,7 @@ function getBaselineRetentionDays() {
 }
 
 const logger = require('../utils/logger');
+const textExtractionService = require('./textExtractionService');
 
 class S3Service {
   constructor() {
@@ -110,8 +111,7 @@ class S3Service {
 
         const documents = response.Contents
           .filter(obj => {
-            const key = obj.Key.toLowerCase();
-            return key.endsWith('.pdf') || key.endsWith('.docx');
+            return textExtractionService.isSupported(obj.Key);
           })
           .map(obj => ({
             key: obj.Key,
@@ -484,8 +484,7 @@ class S3Service {
 
               const documents = response.Contents
                 .filter(obj => {
-                  const key = obj.Key.toLowerCase();
-                  return key.endsWith('.pdf') || key.endsWith('.docx');
+                  return textExtractionService.isSupported(obj.Key);
                 })
                 .map(obj => ({
                   key: obj.Key,
@@ -553,8 +552,7 @@ class S3Service {
 
       const documents = response.Contents
         .filter(obj => {
-          const key = obj.Key.toLowerCase();
-          return key.endsWith('.pdf') || key.endsWith('.docx');
+          return textExtractionService.isSupported(obj.Key);
         })
         .map(obj => ({
           key: obj.Key,
@@ -628,6 +626,28 @@ class S3Service {
     }
   }
 
+  /**
+   * Size and ETag of an object without downloading it (null when it does not exist)
+   */
+  async getObjectHead(key) {
+    try {
+      const head = await this.s3.headObject({
+        Bucket: this.bucket,
+        Key: key
+      }).promise();
+      return {
+        etag: head.ETag ? head.ETag.replace(/"/g, '') : null,
+        size: head.ContentLength || 0,
+        lastModified: head.LastModified
+      };
+    } catch (error) {
+      if (error.code === 'NotFound' || error.statusCode === 404) {
+        return null;
+      }
+      throw error;
+    }
+  }
+
   /**
    * Ensure root filter-docs sentinel exists so the prefix remains visible
    */
@@ -688,6 +708,16 @@ class S3Service {
         params.ContentType = 'application/pdf';
       } else if (ext === '.docx') {
         params.ContentType = 'application/vnd.openxmlformats-officedocument.wordprocessingml.document';
+      } else if (ext === '.doc') {
+        params.ContentType = 'application/msword';
+      } else if (ext === '.rtf') {
+        params.ContentType = 'application/rtf';
+      } else if (ext === '.eml') {
+        params.ContentType = 'message/rfc822';
+      } else if (ext === '.msg') {
+        params.ContentType = 'application/vnd.ms-outlook';
+      } else if (ext === '.html' || ext === '.htm') {
+        params.ContentType = 'text/html';
       } else if (ext === '.txt') {
         params.ContentType = 'text/plain';
       } else if (ext === '.json') {
@@ -1125,14 +1155,14 @@ class S3Service {
 
   /**
    * Check whether a planning-docs file is a scan-eligible source document.
-   * Source documents are the primary files we scan for FI (PDF/DOCX).
+   * Source documents are the primary files we scan for FI: any format the text
+   * extraction service reads.
    * @param {string} fileName - File name to evaluate
    * @returns {boolean}
    */
   isSourceDocumentFile(fileName) {
     if (!fileName) return false;
-    const lower = fileName.toLowerCase();
-    return lower.endsWith('.pdf') || lower.endsWith('.docx');
+    return textExtractionService.isSupported(fileName);
   }
 
   /**
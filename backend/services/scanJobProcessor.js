@@ -4,6 +4,8 @@ const Customer = require('../models/Customer');
 const ScanJobDailyResult = require('../models/ScanJobDailyResult');
 const PendingMetadataMatch = require('../models/PendingMetadataMatch');
 const ProjectReportVeto = require('../models/ProjectReportVeto');
+const ShadowProjectReportVeto = require('../models/ShadowProjectReportVeto');
+const FIReport = require('../models/FIReport');
 const fastS3Scanner = require('./fastS3Scanner');
 const fiDetectionService = require('./fiDetectionService');
 const s3Service = require('./s3Service');
@@ -17,27 +19,40 @@ const runContext = require('../utils/runContext');
 // Always called through the module object, never destructured: a destructured binding
 // is captured at require time and silently bypasses a test's spy on the module.
 const scanJobQueue = require('./scanJobQueue');
-const optimizedPdfExtractor = require('./optimizedPdfExtractor');
-const StreamingDocumentProcessor = require('./streamingDocumentProcessor');
+const textExtractionService = require('./textExtractionService');
+const extractedTextStore = require('./extractedTextStore');
 const fs = require('fs');
 const fsp = require('fs').promises;
 const path = require('path');
 const { pipeline } = require('stream/promises');
-const { normalizeReportType, getQuoteTerms } = require('./reportTypes');
+const { normalizeReportType } = require('./reportTypes');
 const { getBucket } = require('../utils/awsConfig');
 const { withLock } = require('./jobLock');
+const { recordDetectorVersion, getDetectorVersion } = require('./detectorVersion');
+const { DetectionCache } = require('./detectionCache');
+const { readApplicationForm, recordApplicationForm } = require('./applicationFormFields');
+const nearDuplicates = require('./nearDuplicates');
+const scanPools = require('./scanPools');
+const { DocumentTrace, withTrace, traceStep, saveTrace, flushTraces, appendTraceSteps } = require('./documentTrace');
+const {
+    analyseQuote,
+    calibrateMatch,
+    loadCalibration,
+    recordOutcomes,
+    resolveThreshold
+} = require('./matchCalibration');
+const matchReviewService = require('./matchReviewService');
+const shadowJobs = require('./shadowJobs');
+const {
+    classifyDocument,
+    minConfidence: classifierMinConfidence,
+    isDecidedApplication,
+    recordClassification
+} = require('./documentClassifier');
 
 // Delivery-run attempts before an unfound-metadata match is permanently expired
 const MAX_METADATA_RETRIES = 4;
 
-// Quotes that carry no evidence. Matches holding only these are already dropped before
-// the customer email; here they also rank last when choosing a project's best match.
-const PLACEHOLDER_QUOTES = [
-    'Match confirmed by AI',
-    'No specific quote extracted',
-    'No quote captured'
-];
-
 // Outcomes where the document could not actually be judged, as opposed to being judged
 // and found not to match. Counted separately so a night of API or OCR failures cannot
 // masquerade as a night with no FI requests in it.
@@ -47,18 +62,20 @@ const UNRESOLVED_STAGES = [
     'pdf-stream-parse-error',
     'pdf-parse-error',
     'docx-parse-error',
+    'doc-parse-error',
+    'rtf-parse-error',
+    'email-parse-error',
+    'html-parse-error',
     'text-extraction',
+    'extraction-unresolved',
     'download-error',
     'detection-error',
     'error'
 ];
 
-const REQUEST_VERBS = [
-    'requested to', 'required to', 'is requested', 'is required',
-    'shall submit', 'shall provide', 'should submit', 'should provide',
-    'must submit', 'must provide', 'please submit', 'please provide',
-    'carry out', 'undertake', 'prepare and submit', 'recommend', 'recommends'
-];
+// Unresolved outcomes that another attempt may well fix. In multi-label mode these are
+// not shared with the other jobs, which judge the document themselves instead.
+const TRANSIENT_STAGES = ['download-error', 'detection-error', 'error'];
 
 class ScanJobProcessor {
     constructor() {
@@ -67,6 +84,13 @@ class ScanJobProcessor {
         this.deliverySweepJob = null;
         this.stuckJobSweepJob = null;
         this.lastProcessedDate = null; // Track last processed date to run once per day
+        // Per-document, per-type verdicts shared between jobs in multi-label mode. The
+        // memory backend caps each namespace on its own, so fiDetectionService's per-step
+        // entries do not evict these
+        this.documentVerdicts = new DetectionCache({ namespace: 'doc-verdict', version: getDetectorVersion });
+        // verdictKey -> the judgement in progress, so jobs reaching a document at the
+        // same moment wait for it instead of judging it twice
+        this.judging = new Map();
     }
 
     /**
@@ -158,11 +182,12 @@ class ScanJobProcessor {
     async enqueueDueJobs(today) {
         this.isRunning = true;
         let enqueued = 0, resumed = 0, skipped = 0, failed = 0;
+        const due = [];
 
         try {
             // Get all active and running jobs
             const activeJobs = await ScanJob.find({ status: { $in: ['ACTIVE', 'RUNNING'] } })
-                .populate('customers.customerId', 'email company name projectId filters');
+                .populate('customers.customerId', 'email company name projectId filters minMatchConfidence');
 
             // One line per job in the database, every night. Useful when a job has gone
             // missing, noise the rest of the time - so it lands in debug-DATE.log only.
@@ -258,20 +283,29 @@ class ScanJobProcessor {
                         continue;
                     }
 
-                    // SCHEDULED DAILY RUN: Pass null - processJob will use lookback (yesterday)
-                    await scanJobQueue.enqueueScanJob(job.jobId, { targetDate: null });
-                    enqueued++;
-
-                    // Then top up any earlier day this job never covered. Deliberately not
-                    // reached from the resume branches above: a job that is mid-way through
-                    // a day should finish it before being handed a second one.
-                    await this.enqueueBackfill(job);
+                    // SCHEDULED DAILY RUN: queued below, together with every other job due
+                    due.push(job);
                 } catch (error) {
                     failed++;
                     logger.error('nightly: enqueue failed', { job: job.jobId, err: error.message, stack: error.stack });
                 }
             }
 
+            const queued = await this.enqueueNightlyScans(due);
+            enqueued += queued.length;
+            failed += due.length - queued.length;
+
+            // Then top up any earlier day these jobs never covered. Deliberately not
+            // reached from the resume branches above: a job that is mid-way through a
+            // day should finish it before being handed a second one.
+            for (const job of queued) {
+                try {
+                    await this.enqueueBackfill(job);
+                } catch (error) {
+                    logger.error('nightly: backfill enqueue failed', { job: job.jobId, err: error.message });
+                }
+            }
+
             // Mark that we've processed today
             this.lastProcessedDate = today;
 
@@ -284,12 +318,48 @@ class ScanJobProcessor {
         }
     }
 
+    /**
+     * Queue the scheduled runs of the jobs due tonight: one shared pass over yesterday's
+     * documents when more than one is due (services/sharedScanPass.js), otherwise a run
+     * per job. SCAN_SHARED_PASS=off queues a run per job regardless. Each job's run still
+     * uses the lookback (yesterday) in processJob. Shadow jobs always run alone, so no
+     * live job judges for them or takes their verdicts.
+     * @returns {Promise<Object[]>} the jobs that were queued
+     */
+    async enqueueNightlyScans(jobs) {
+        const live = jobs.filter(job => !job.shadow);
+        let separate = jobs;
+        if (live.length > 1 && process.env.SCAN_SHARED_PASS !== 'off') {
+            try {
+                await scanJobQueue.enqueueScanPass(live.map(job => job.jobId));
+                separate = jobs.filter(job => job.shadow);
+            } catch (error) {
+                logger.error('nightly: shared pass enqueue failed, queueing each job', { err: error.message });
+            }
+        }
+
+        const queued = jobs.filter(job => !separate.includes(job));
+        for (const job of separate) {
+            try {
+                await scanJobQueue.enqueueScanJob(job.jobId, { targetDate: null });
+                queued.push(job);
+            } catch (error) {
+                logger.error('nightly: enqueue failed', { job: job.jobId, err: error.message, stack: error.stack });
+            }
+        }
+        return queued;
+    }
+
     /**
      * Process a single scan job
      * @param {Object} job - The scan job to process
      * @param {string} targetDate - Optional target date (YYYY-MM-DD) to scan documents from
+     * @param {Object} [options] - set by a shared nightly pass (services/sharedScanPass.js)
+     * @param {Function} [options.stream] - replaces fastS3Scanner.streamDocumentsSince
+     * @param {string[]} [options.coveredTypes] - report types to judge each document for
+     * @param {Map} [options.baselineCache] - baseline checks shared with the other members
      */
-    async processJob(job, targetDate = null) {
+    async processJob(job, targetDate = null, options = {}) {
         // The individual setup facts below are debug; what the run was configured to do
         // is reported as one 'scan config' record once the dates are resolved.
         logger.debug('scan: job loaded', { name: job.name, type: job.documentType });
@@ -340,13 +410,22 @@ class ScanJobProcessor {
             scanMode = `lookback-${lookbackDays}d`;
         }
 
+        // Registers the manifest so matches stamped with this version can later be
+        // compared against another one component by component.
+        const { version: detectorVersion } = await recordDetectorVersion();
+        const coveredTypes = options.coveredTypes || await this.resolveCoveredReportTypes(job);
+        const streamDocuments = options.stream ||
+            ((...args) => fastS3Scanner.streamDocumentsSince(...args));
+
         // Stream documents directly from S3 and process inline (no array accumulation)
         logger.info('scan config', {
             mode: scanMode,
             type: job.documentType,
             from: scanStartDate.toISOString().split('T')[0],
             to: scanEndDate.toISOString().split('T')[0],
-            customers: (job.customers || []).length
+            customers: (job.customers || []).length,
+            detector: detectorVersion,
+            covers: coveredTypes ? coveredTypes.join(',') : undefined
         });
 
         // Use all customers assigned to this job
@@ -434,12 +513,13 @@ class ScanJobProcessor {
         let matches = []; // Use let instead of const so we can clear after sending
         let totalProcessed = isResuming ? job.checkpoint.processedCount : 0;
         let totalDocuments = job.checkpoint.totalDocuments; // Use stored count, don't increment
-        let skippedNonPdf = 0;
+        let skippedUnsupported = 0;
         let skippedBaseline = 0; // Track documents skipped due to baseline markers
         let weakEvidenceCount = 0;  // AI matched but evidence validation failed
         let vetoedDocuments = 0;    // Response documents that suppressed their project
         let unresolvedCount = 0;    // Could not be judged: parse/OCR/timeout/API failures
-        const baselineProjectCache = new Map(); // Cache baseline check results per project
+        let nearDuplicateCount = 0; // Took their verdict from an earlier near-duplicate
+        const baselineProjectCache = options.baselineCache || new Map(); // Cache baseline check results per project
         // Baseline checks fail closed (an S3 error reports "baselined"), which is right
         // per-project but hides a bulk failure: a 403 on the prefix would make every
         // project look baselined and the night would scan nothing.
@@ -468,296 +548,411 @@ class ScanJobProcessor {
         // Helper to calculate actual eligible documents (excluding baselined)
         const getEligibleCount = () => totalDocuments - skippedBaseline;
 
-        let streamStats;
-        try {
-            streamStats = await fastS3Scanner.streamDocumentsSince(
-                scanStartDate,
-                scanEndDate,
-                async (document) => {
-                    try {
-                        // CHECK FOR CANCELLATION before processing each document
-                        const currentJob = await ScanJob.findOne({ jobId: job.jobId });
-                        if (currentJob && currentJob.status === 'CANCELLING') {
-                            logger.warn('scan: cancelled by user, aborting');
-
-                            // Reset job status and checkpoint
-                            currentJob.status = 'ACTIVE';
-                            currentJob.checkpoint = {
-                                lastProcessedIndex: 0,
-                                lastProcessedFile: '',
-                                lastProcessedPath: '',
-                                processedCount: 0,
-                                matchesFound: 0,
-                                isResuming: false,
-                                totalDocuments: 0
-                            };
-                            await currentJob.save();
-
-                            // Throw error to break out of streaming loop
-                            throw new Error('JOB_CANCELLED_BY_USER');
-                        }
+        // Documents are judged SCAN_DOCUMENT_CONCURRENCY at a time, their downloads,
+        // extraction and model calls each going through a pool of its own
+        // (services/scanPools.js). They are committed - counted, recorded, checkpointed -
+        // one at a time in stream order, so the checkpoint only ever names a document
+        // before which every document is done. A resume judges again whatever had
+        // finished out of order beyond it.
+        const documentConcurrency = scanPools.documentConcurrency();
+        const cancellation = this.watchCancellation(job.jobId);
+        const inFlight = new Set();
+        const finished = new Map();     // dispatch order -> { document, result, error }
+        let dispatched = 0;
+        let committed = 0;
+        let commits = Promise.resolve();
+        let documentFailure = null;     // the first failed commit, rethrown into the stream
+        let aborted = false;            // cancelled or failed: commit nothing more
+
+        const judgeDocument = async (document) => {
+            // Yield before heavy processing
+            await new Promise(resolve => setImmediate(resolve));
 
-                        // Only process PDF and DOCX files
-                        const fileName = document.fileName ? document.fileName.toLowerCase() : '';
-                        if (!fileName.endsWith('.pdf') && !fileName.endsWith('.docx')) {
-                            skippedNonPdf++;
-                            return;
-                        }
+            // Everything the document touches - extraction, OCR, AI detection -
+            // is tagged with the file and project, so no downstream message has
+            // to repeat them and an error can be traced to one document.
+            //
+            // Its path through the pipeline is kept as a DocumentTrace, queryable
+            // through GET /api/document-scan/jobs/:jobId/trace.
+            const trace = new DocumentTrace({
+                jobId: job.jobId,
+                runId: runContext.getRunId(),
+                projectId: document.projectId,
+                fileName: document.fileName,
+                filePath: document.filePath,
+                reportTypes: coveredTypes || [normalizeReportType(job.documentType)],
+                detectorVersion: fiDetectionService.detectorVersion
+            });
+            let result;
+            try {
+                result = await runContext.runWith(
+                    { file: document.fileName, proj: document.projectId },
+                    () => withTrace(trace, () => this.processDocument(document, job, { coveredTypes }))
+                );
+            } catch (error) {
+                // The document that fails the scan is the one whose trace is wanted most
+                trace.step('scan', 'error', { err: error.message });
+                trace.finish({ stage: 'failed' });
+                await saveTrace(trace);
+                throw error;
+            }
+            trace.finish(result);
+            await saveTrace(trace);
 
-                        // Check if project is baselined (first-time ingestion, skip FI scan)
-                        const projectId = document.projectId;
-                        if (projectId) {
-                            // Use cache to avoid repeated S3 checks for same project
-                            if (!baselineProjectCache.has(projectId)) {
-                                const isBaselined = await documentIngestionService.shouldSkipFIScan(projectId);
-                                baselineProjectCache.set(projectId, isBaselined);
-                                if (isBaselined) {
-                                    logger.debug('scan: project baselined, skipping its documents', { proj: projectId });
-                                }
-                            }
+            // Yield after processing each document
+            await new Promise(resolve => setImmediate(resolve));
 
-                            if (baselineProjectCache.get(projectId)) {
-                                skippedBaseline++;
-                                return; // Skip this document - project is newly baselined
-                            }
-                        }
+            // AGGRESSIVE memory cleanup after each document
+            if (result && result.extractedText) {
+                delete result.extractedText;
+            }
 
-                        if (skipping) {
-                            const currentKey = document.filePath || document.fileName;
-
-                            // S3 returns keys in lexicographic order, so anything at or
-                            // before the checkpoint has already been processed.
-                            //
-                            // Comparing by order rather than waiting to re-encounter the
-                            // exact checkpoint key matters: if that key is gone from the
-                            // stream - deleted, or the window shifted - equality never
-                            // holds, every document is skipped, and the job "completes"
-                            // having processed nothing and then clears its checkpoint.
-                            if (resumePath) {
-                                if (currentKey > resumePath) {
-                                    skipping = false;
-                                } else {
-                                    resumeSkipped++;
-                                    return;
-                                }
-                            } else if (resumeFile) {
-                                resumeSkipped++;
-                                if (document.fileName === resumeFile) {
-                                    skipping = false;
-                                }
-                                return;
-                            } else {
-                                skipping = false;
-                            }
-                        }
+            if (document.buffer) {
+                document.buffer = null;
+            }
 
-                        // Yield control to event loop EVERY document to prevent health check timeouts
-                        await new Promise(resolve => setImmediate(resolve));
+            return result;
+        };
 
-                        totalProcessed++;
-                        const eligibleCount = getEligibleCount();
+        // Count, record and checkpoint one judged document
+        const commitDocument = async (document, result) => {
+            // Force garbage collection every 10 documents
+            if (totalProcessed % 10 === 0 && global.gc) {
+                global.gc();
+                logger.debug('scan: forced GC', { at: totalProcessed });
+            }
 
-                        // Additional yield before heavy processing
-                        await new Promise(resolve => setImmediate(resolve));
+            // Check memory usage and pause if approaching limit
+            const memUsage = process.memoryUsage();
+            if (memUsage.heapUsed > 1500 * 1024 * 1024) {
+                logger.warn('scan: high memory, pausing briefly', { heapMB: Math.round(memUsage.heapUsed / 1048576), at: totalProcessed });
+                await new Promise(resolve => setTimeout(resolve, 2000));
+                if (global.gc) global.gc();
+            }
 
-                        // Everything the document touches - extraction, OCR, AI detection -
-                        // is tagged with the file and project, so no downstream message has
-                        // to repeat them and an error can be traced to one document.
-                        const result = await runContext.runWith(
-                            { file: document.fileName, proj: document.projectId },
-                            () => this.processDocument(document, job)
-                        );
+            if (result.duplicateOf) nearDuplicateCount++;
 
-                        // Yield after processing each document
-                        await new Promise(resolve => setImmediate(resolve));
+            if (result.isMatch) {
+                logger.info('MATCH', { type: job.documentType, confidence: (result.confidence * 100).toFixed(1) + '%' });
+                matches.push({
+                    document,
+                    result,
+                    customers: job.customers
+                });
 
-                        // AGGRESSIVE memory cleanup after each document
-                        if (result && result.extractedText) {
-                            delete result.extractedText;
-                        }
+                job.checkpoint.matchesFound = (job.checkpoint.matchesFound || 0) + 1;
 
-                        if (document.buffer) {
-                            document.buffer = null;
-                        }
+                // Track match details for final summary email
+                if (!job.checkpoint.allMatchDetails) {
+                    job.checkpoint.allMatchDetails = [];
+                }
+                job.checkpoint.allMatchDetails.push({
+                    projectId: document.projectId,
+                    fileName: document.fileName,
+                    filePath: document.filePath,
+                    fiType: job.documentType,
+                    validationQuote: result.validationQuote || 'No quote captured',
+                    evidenceSource: result.evidenceSource,
+                    confidence: result.confidence,
+                    detectorVersion: fiDetectionService.detectorVersion,
+                    fiRequest: result.fiRequest,
+                    duplicateOf: result.duplicateOf,
+                    timestamp: new Date()
+                });
+            } else {
+                // Count the outcomes that indicate a possible recall problem
+                // rather than a genuine non-match, so they are measurable
+                // instead of being visible only as a log line.
+                if (result.needsReview || result.stage === 'weak-evidence') {
+                    weakEvidenceCount++;
+                    logger.warn('NEEDS REVIEW: AI matched but evidence validation failed', { type: job.documentType });
+                    // A failed quote is a reviewed negative for its evidence band. A
+                    // shadow job's are left out of the live calibration.
+                    if (!job.shadow) {
+                        await recordOutcomes([{
+                            projectId: document.projectId,
+                            fileName: document.fileName,
+                            reportType: job.documentType,
+                            validationQuote: result.validationQuote,
+                            outcome: 'rejected',
+                            source: 'weak-evidence',
+                            detectorVersion: fiDetectionService.detectorVersion
+                        }]);
+                    }
+                } else if (result.stage === 'fi-response-veto') {
+                    vetoedDocuments++;
+                } else if (UNRESOLVED_STAGES.includes(result.stage)) {
+                    unresolvedCount++;
+                }
+                logger.debug('no match', { stage: result.stage });
+            }
 
-                        // Force garbage collection every 10 documents
-                        if (totalProcessed % 10 === 0 && global.gc) {
-                            global.gc();
-                            logger.debug('scan: forced GC', { at: totalProcessed });
-                        }
+            // Update checkpoint after each document
+            job.checkpoint.lastProcessedIndex = totalProcessed - 1;
+            job.checkpoint.lastProcessedFile = document.fileName;
+            job.checkpoint.lastProcessedPath = document.filePath;
+            job.checkpoint.processedCount = totalProcessed;
+            // Store eligible count (excludes baselined/new-project docs) so progress denominator is accurate
+            job.checkpoint.totalDocuments = getEligibleCount();
+            job.checkpoint.totalDocumentsRaw = totalDocuments;
 
-                        // Check memory usage and pause if approaching limit
-                        const memUsage = process.memoryUsage();
-                        if (memUsage.heapUsed > 1500 * 1024 * 1024) {
-                            logger.warn('scan: high memory, pausing briefly', { heapMB: Math.round(memUsage.heapUsed / 1048576), at: totalProcessed });
-                            await new Promise(resolve => setTimeout(resolve, 2000));
-                            if (global.gc) global.gc();
-                        }
+            // The one line per PROGRESS_INTERVAL documents that replaces the
+            // four per document: enough to see the run moving and how fast,
+            // without burying everything else. Deliberately outside the
+            // checkpoint branch below, which only fires on multiples of 100.
+            if (totalProcessed % PROGRESS_INTERVAL === 0) {
+                const elapsedSec = (Date.now() - scanStartedAt) / 1000;
+                logger.info('scan: progress', {
+                    done: totalProcessed,
+                    of: getEligibleCount(),
+                    matched: job.checkpoint.matchesFound || 0,
+                    unresolved: unresolvedCount,
+                    perSec: elapsedSec > 0 ? (totalProcessed / elapsedSec).toFixed(1) : '0',
+                    rssMB: Math.round(process.memoryUsage().rss / 1048576)
+                });
+            }
 
-                        if (result.isMatch) {
-                            logger.info('MATCH', { type: job.documentType, confidence: (result.confidence * 100).toFixed(1) + '%' });
-                            matches.push({
-                                document,
-                                result,
-                                customers: job.customers
-                            });
+            const shouldSave = totalProcessed <= 100 ||
+                             totalProcessed % SAVE_INTERVAL === 0 ||
+                             totalProcessed % CHECKPOINT_INTERVAL === 0;
 
-                            job.checkpoint.matchesFound = (job.checkpoint.matchesFound || 0) + 1;
+            if (shouldSave) {
+                job.checkpoint.lastCheckpointTime = new Date();
 
-                            // Track match details for final summary email
-                            if (!job.checkpoint.allMatchDetails) {
-                                job.checkpoint.allMatchDetails = [];
-                            }
-                            job.checkpoint.allMatchDetails.push({
-                                projectId: document.projectId,
-                                fileName: document.fileName,
-                                filePath: document.filePath,
-                                fiType: job.documentType,
-                                validationQuote: result.validationQuote || 'No quote captured',
-                                confidence: result.confidence,
-                                timestamp: new Date()
-                            });
-                        } else {
-                            // Count the outcomes that indicate a possible recall problem
-                            // rather than a genuine non-match, so they are measurable
-                            // instead of being visible only as a log line.
-                            if (result.needsReview || result.stage === 'weak-evidence') {
-                                weakEvidenceCount++;
-                                logger.warn('NEEDS REVIEW: AI matched but evidence validation failed', { type: job.documentType });
-                            } else if (result.stage === 'fi-response-veto') {
-                                vetoedDocuments++;
-                            } else if (UNRESOLVED_STAGES.includes(result.stage)) {
-                                unresolvedCount++;
-                            }
-                            logger.debug('no match', { stage: result.stage });
-                        }
+                const memUsage = process.memoryUsage();
+                const rssInMB = memUsage.rss / 1024 / 1024;
+                logger.debug('scan: checkpoint memory', {
+                    heapMB: Math.round(memUsage.heapUsed / 1048576),
+                    rssMB: Math.round(rssInMB)
+                });
 
-                        // Update checkpoint after each document
-                        job.checkpoint.lastProcessedIndex = totalProcessed - 1;
-                        job.checkpoint.lastProcessedFile = document.fileName;
-                        job.checkpoint.lastProcessedPath = document.filePath;
-                        job.checkpoint.processedCount = totalProcessed;
-                        // Store eligible count (excludes baselined/new-project docs) so progress denominator is accurate
-                        job.checkpoint.totalDocuments = getEligibleCount();
-                        job.checkpoint.totalDocumentsRaw = totalDocuments;
-
-                        // The one line per PROGRESS_INTERVAL documents that replaces the
-                        // four per document: enough to see the run moving and how fast,
-                        // without burying everything else. Deliberately outside the
-                        // checkpoint branch below, which only fires on multiples of 100.
-                        if (totalProcessed % PROGRESS_INTERVAL === 0) {
-                            const elapsedSec = (Date.now() - scanStartedAt) / 1000;
-                            logger.info('scan: progress', {
-                                done: totalProcessed,
-                                of: getEligibleCount(),
-                                matched: job.checkpoint.matchesFound || 0,
-                                unresolved: unresolvedCount,
-                                perSec: elapsedSec > 0 ? (totalProcessed / elapsedSec).toFixed(1) : '0',
-                                rssMB: Math.round(process.memoryUsage().rss / 1048576)
-                            });
-                        }
+                // Circuit breaker: Stop if memory exceeds 1700MB (85% of 2GB Render limit)
+                if (rssInMB > 1700) {
+                    logger.error('scan: memory limit approaching, pausing scan', {
+                        rssMB: Math.round(rssInMB),
+                        limitMB: 2048,
+                        at: totalProcessed
+                    });
+                    job.checkpoint.isResuming = true;
+                    job.status = 'PAUSED';
+                    await job.save();
+                    throw new Error(`Memory limit reached at ${rssInMB.toFixed(2)}MB - scan paused for safety`);
+                }
 
-                        const shouldSave = totalProcessed <= 100 ||
-                                         totalProcessed % SAVE_INTERVAL === 0 ||
-                                         totalProcessed % CHECKPOINT_INTERVAL === 0;
+                // Force garbage collection if available (run with --expose-gc flag)
+                if (global.gc && totalProcessed % 100 === 0) {
+                    global.gc();
+                    logger.debug('scan: forced garbage collection');
+                }
 
-                if (shouldSave) {
-                    job.checkpoint.lastCheckpointTime = new Date();
+                await job.save();
 
-                    const memUsage = process.memoryUsage();
-                    const rssInMB = memUsage.rss / 1024 / 1024;
-                    logger.debug('scan: checkpoint memory', {
-                        heapMB: Math.round(memUsage.heapUsed / 1048576),
-                        rssMB: Math.round(rssInMB)
-                    });
+                // Only send progress email at CHECKPOINT_INTERVAL milestones
+                if (totalProcessed % CHECKPOINT_INTERVAL === 0) {
 
-                    // Circuit breaker: Stop if memory exceeds 1700MB (85% of 2GB Render limit)
-                    if (rssInMB > 1700) {
-                        logger.error('scan: memory limit approaching, pausing scan', {
-                            rssMB: Math.round(rssInMB),
-                            limitMB: 2048,
-                            at: totalProcessed
+                    // Never send customer emails at checkpoint milestones.
+                    // Matches are persisted in checkpoint/allMatchDetails and delivered on delivery day.
+                    // Clear local match buffer — matches are persisted in allMatchDetails (checkpoint)
+                    // and will be delivered on the configured delivery day via deliverResultsForJob()
+                    if (matches.length > 0) {
+                        logger.info('scan: matches buffered for delivery day', { matches: matches.length, at: totalProcessed });
+                        matches = [];
+                    }
+
+                    // Send progress email to admin (internal progress update)
+                    const triggeredByEmail = job.checkpoint.triggeredBy?.email || adminEmail;
+
+                    if (job.shadow) {
+                        logger.debug('scan: shadow job, progress email skipped');
+                    } else if (triggeredByEmail) {
+                        // Collect recent match details for the progress email
+                        const recentMatches = (job.checkpoint.allMatchDetails || []).slice(-10); // Last 10 matches
+
+                        await emailService.sendScanProgressEmail([triggeredByEmail], {
+                            jobName: job.name,
+                            documentType: job.documentType,
+                            startTime: job.checkpoint.scanStartTime,
+                            processedCount: totalProcessed,
+                            totalDocuments: getEligibleCount(), // Use eligible count (excluding baselined)
+                            matchesFound: job.checkpoint.matchesFound || 0,
+                            lastProcessedFile: document.fileName,
+                            isCheckpoint: true,
+                            skippedBaseline: skippedBaseline, // Include baseline skip count for transparency
+                            baselinedProjects: baselineProjectCache.size,
+                            // Include match details for visibility
+                            recentMatches: recentMatches.map(m => ({
+                                fileName: m.fileName,
+                                fiType: m.fiType,
+                                validationQuote: m.validationQuote?.substring(0, 150) + (m.validationQuote?.length > 150 ? '...' : '')
+                            }))
                         });
-                        job.checkpoint.isResuming = true;
-                        job.status = 'PAUSED';
-                        await job.save();
-                        throw new Error(`Memory limit reached at ${rssInMB.toFixed(2)}MB - scan paused for safety`);
+                        logger.info('scan: progress email sent', { to: triggeredByEmail, done: totalProcessed, matched: job.checkpoint.matchesFound || 0 });
+                    } else {
+                        logger.warn('scan: no triggeredBy address, progress email skipped');
                     }
+                } else {
+                    logger.debug('scan: checkpoint saved', { at: totalProcessed });
+                }
+            }
+        };
+
+        // A document that failed - or whose commit did - fails the scan with the
+        // checkpoint on it, as it always has, so a resume moves past it
+        const failDocument = async (document, error) => {
+            logger.error('scan: document FAILED', { err: error.message, stack: error.stack });
+
+            // Save checkpoint even on error to allow resume
+            job.checkpoint.lastProcessedIndex = totalProcessed - 1;
+            job.checkpoint.lastProcessedFile = document.fileName;
+            job.checkpoint.lastProcessedPath = document.filePath;
+            job.checkpoint.processedCount = totalProcessed;
+            // Store eligible count (excludes baselined/new-project docs) so progress denominator is accurate
+            job.checkpoint.totalDocuments = getEligibleCount();
+            job.checkpoint.totalDocumentsRaw = totalDocuments;
+            job.checkpoint.isResuming = true;
+            await job.save();
+        };
+
+        const commitFinished = async () => {
+            while (!aborted && finished.has(committed)) {
+                const { document, result, error } = finished.get(committed);
+                finished.delete(committed);
+                committed++;
+                totalProcessed++;
+                try {
+                    if (error) throw error;
+                    await commitDocument(document, result);
+                } catch (commitError) {
+                    aborted = true;
+                    await failDocument(document, commitError);
+                    throw commitError;
+                }
+            }
+        };
+
+        let streamStats;
+        try {
+            streamStats = await streamDocuments(
+                scanStartDate,
+                scanEndDate,
+                async (document) => {
+                    if (documentFailure) throw documentFailure;
+
+                    // CHECK FOR CANCELLATION before dispatching each document
+                    if (await cancellation.requested()) {
+                        logger.warn('scan: cancelled by user, aborting');
+                        aborted = true;
+
+                        // Documents still being judged, and a commit already saving the
+                        // job, finish first: a checkpoint saved after the reset below
+                        // would bring the cancelled run back as a resume
+                        await Promise.allSettled([...inFlight]);
+                        await commits;
+
+                        // Reset job status and checkpoint on the job this run saves
+                        // through, which its caller saves again once the run returns
+                        job.status = 'ACTIVE';
+                        job.checkpoint = {
+                            lastProcessedIndex: 0,
+                            lastProcessedFile: '',
+                            lastProcessedPath: '',
+                            processedCount: 0,
+                            matchesFound: 0,
+                            isResuming: false,
+                            totalDocuments: 0
+                        };
+                        await job.save();
 
-                    // Force garbage collection if available (run with --expose-gc flag)
-                    if (global.gc && totalProcessed % 100 === 0) {
-                        global.gc();
-                        logger.debug('scan: forced garbage collection');
+                        // Throw error to break out of streaming loop
+                        throw new Error('JOB_CANCELLED_BY_USER');
                     }
 
-                    await job.save();
+                    // Only process formats the text extraction service reads
+                    if (!textExtractionService.isSupported(document.fileName)) {
+                        skippedUnsupported++;
+                        return;
+                    }
 
-                    // Only send progress email at CHECKPOINT_INTERVAL milestones
-                    if (totalProcessed % CHECKPOINT_INTERVAL === 0) {
+                    // Check if project is baselined (first-time ingestion, skip FI scan)
+                    const projectId = document.projectId;
+                    if (projectId) {
+                        // Use cache to avoid repeated S3 checks for same project
+                        if (!baselineProjectCache.has(projectId)) {
+                            const isBaselined = await documentIngestionService.shouldSkipFIScan(projectId);
+                            baselineProjectCache.set(projectId, isBaselined);
+                            if (isBaselined) {
+                                logger.debug('scan: project baselined, skipping its documents', { proj: projectId });
+                            }
+                        }
 
-                        // Never send customer emails at checkpoint milestones.
-                        // Matches are persisted in checkpoint/allMatchDetails and delivered on delivery day.
-                        // Clear local match buffer — matches are persisted in allMatchDetails (checkpoint)
-                        // and will be delivered on the configured delivery day via deliverResultsForJob()
-                        if (matches.length > 0) {
-                            logger.info('scan: matches buffered for delivery day', { matches: matches.length, at: totalProcessed });
-                            matches = [];
+                        if (baselineProjectCache.get(projectId)) {
+                            skippedBaseline++;
+                            return; // Skip this document - project is newly baselined
                         }
+                    }
 
-                        // Send progress email to admin (internal progress update)
-                        const triggeredByEmail = job.checkpoint.triggeredBy?.email || adminEmail;
-
-                        if (triggeredByEmail) {
-                            // Collect recent match details for the progress email
-                            const recentMatches = (job.checkpoint.allMatchDetails || []).slice(-10); // Last 10 matches
-
-                            await emailService.sendScanProgressEmail([triggeredByEmail], {
-                                jobName: job.name,
-                                documentType: job.documentType,
-                                startTime: job.checkpoint.scanStartTime,
-                                processedCount: totalProcessed,
-                                totalDocuments: getEligibleCount(), // Use eligible count (excluding baselined)
-                                matchesFound: job.checkpoint.matchesFound || 0,
-                                lastProcessedFile: document.fileName,
-                                isCheckpoint: true,
-                                skippedBaseline: skippedBaseline, // Include baseline skip count for transparency
-                                baselinedProjects: baselineProjectCache.size,
-                                // Include match details for visibility
-                                recentMatches: recentMatches.map(m => ({
-                                    fileName: m.fileName,
-                                    fiType: m.fiType,
-                                    validationQuote: m.validationQuote?.substring(0, 150) + (m.validationQuote?.length > 150 ? '...' : '')
-                                }))
-                            });
-                            logger.info('scan: progress email sent', { to: triggeredByEmail, done: totalProcessed, matched: job.checkpoint.matchesFound || 0 });
+                    if (skipping) {
+                        const currentKey = document.filePath || document.fileName;
+
+                        // S3 returns keys in lexicographic order, so anything at or
+                        // before the checkpoint has already been processed.
+                        //
+                        // Comparing by order rather than waiting to re-encounter the
+                        // exact checkpoint key matters: if that key is gone from the
+                        // stream - deleted, or the window shifted - equality never
+                        // holds, every document is skipped, and the job "completes"
+                        // having processed nothing and then clears its checkpoint.
+                        if (resumePath) {
+                            if (currentKey > resumePath) {
+                                skipping = false;
+                            } else {
+                                resumeSkipped++;
+                                return;
+                            }
+                        } else if (resumeFile) {
+                            resumeSkipped++;
+                            if (document.fileName === resumeFile) {
+                                skipping = false;
+                            }
+                            return;
                         } else {
-                            logger.warn('scan: no triggeredBy address, progress email skipped');
+                            skipping = false;
                         }
-                    } else {
-                        logger.debug('scan: checkpoint saved', { at: totalProcessed });
                     }
-                }
 
-                    } catch (error) {
-                        logger.error('scan: document FAILED', { err: error.message, stack: error.stack });
-
-                        // Save checkpoint even on error to allow resume
-                        job.checkpoint.lastProcessedIndex = totalProcessed - 1;
-                        job.checkpoint.lastProcessedFile = document.fileName;
-                        job.checkpoint.lastProcessedPath = document.filePath;
-                        job.checkpoint.processedCount = totalProcessed;
-                        // Store eligible count (excludes baselined/new-project docs) so progress denominator is accurate
-                        job.checkpoint.totalDocuments = getEligibleCount();
-                        job.checkpoint.totalDocumentsRaw = totalDocuments;
-                        job.checkpoint.isResuming = true;
-                        await job.save();
-
-                        throw error;
+                    // Wait for a free slot; the stream waits with it
+                    while (inFlight.size >= documentConcurrency) {
+                        await Promise.race(inFlight);
                     }
+                    if (documentFailure) throw documentFailure;
+
+                    const order = dispatched++;
+                    const task = judgeDocument(document)
+                        .then(result => ({ result }), error => ({ error }))
+                        .then(outcome => {
+                            finished.set(order, { document, ...outcome });
+                            commits = commits.then(commitFinished).catch(error => {
+                                documentFailure = documentFailure || error;
+                            });
+                            return commits;
+                        })
+                        .finally(() => inFlight.delete(task));
+                    inFlight.add(task);
                 },
                 { maxObjects: null, timeoutSeconds: null } // No timeout - allows continuous scanning of large projects
             );
+
+            // The last documents of the stream are still being judged
+            while (inFlight.size > 0) {
+                await Promise.race(inFlight);
+            }
+            await commits;
+            if (documentFailure) throw documentFailure;
         } catch (scanError) {
+            // Nothing is left running behind a scan that has stopped
+            aborted = true;
+            await Promise.allSettled([...inFlight]);
+
             // Handle user-initiated cancellation gracefully
             if (scanError.message === 'JOB_CANCELLED_BY_USER') {
                 logger.info('run end: scan cancelled by user');
@@ -766,6 +961,10 @@ class ScanJobProcessor {
 
             logger.error('scan: S3 stream failed', scanError);
             throw scanError;
+        } finally {
+            // Up to a batch of traces is still buffered; a failed or cancelled scan needs
+            // them most, the failing document's among them
+            await flushTraces();
         }
 
         // Final checkpoint save on completion
@@ -801,11 +1000,12 @@ class ScanJobProcessor {
             matched: totalMatchesFound,
             baselineSkipped: skippedBaseline,
             baselineProjects: baselineProjectCache.size,
-            unsupportedSkipped: skippedNonPdf,
+            unsupportedSkipped: skippedUnsupported,
             resumeSkipped,
             vetoed: vetoedDocuments,
             weakEvidence: weakEvidenceCount,
-            unresolved: unresolvedCount
+            unresolved: unresolvedCount,
+            nearDuplicates: nearDuplicateCount
         });
 
         // Promoted out of the summary because each means the counts above overstate what
@@ -898,7 +1098,9 @@ class ScanJobProcessor {
 
         // SEND FINAL SUMMARY EMAIL TO ADMIN (always, even if zero matches)
         const triggeredByEmail = job.checkpoint.triggeredBy?.email || adminEmail;
-        if (triggeredByEmail) {
+        if (job.shadow) {
+            logger.debug('scan: shadow job, final summary email skipped');
+        } else if (triggeredByEmail) {
             const duration = ((Date.now() - startTime) / 1000).toFixed(2);
             const allMatchDetails = job.checkpoint.allMatchDetails || [];
 
@@ -1016,10 +1218,31 @@ class ScanJobProcessor {
         logger.info('scan: job reset to ACTIVE', { sec: Math.round(Number(duration)) });
     }
 
+    /**
+     * Whether the user has asked to cancel a running job. With several documents in
+     * flight the stream callback runs far more often than once per file's processing
+     * time, so Mongo is read at most every SCAN_CANCEL_CHECK_MS (5s) and the answer
+     * reused in between. Once CANCELLING has been seen it stays seen.
+     */
+    watchCancellation(jobId) {
+        const intervalMs = parseInt(process.env.SCAN_CANCEL_CHECK_MS || '5000', 10);
+        let checkedAt = 0;
+        let cancelling = false;
+
+        return {
+            requested: async () => {
+                if (cancelling || Date.now() - checkedAt < intervalMs) return cancelling;
+                checkedAt = Date.now();
+                cancelling = !!(await ScanJob.exists({ jobId, status: 'CANCELLING' }));
+                return cancelling;
+            }
+        };
+    }
+
     /**
      * Process a single document - check if it's an FI request for the report type
      */
-    async processDocument(document, job) {
+    async processDocument(document, job, options = {}) {
         try {
             const fileName = document.fileName;
             const documentType = job.documentType; // e.g., 'acoustic'
@@ -1029,22 +1252,13 @@ class ScanJobProcessor {
             // Add processing timeout to prevent health check timeouts
             const PROCESSING_TIMEOUT = 25000; // 25 seconds (less than 30s health check timeout)
 
-            const processWithTimeout = new Promise(async (resolve, reject) => {
-                const timeout = setTimeout(() => {
-                    reject(new Error(`Processing timeout: ${fileName} took longer than ${PROCESSING_TIMEOUT/1000}s`));
-                }, PROCESSING_TIMEOUT);
-
-                try {
-                    const result = await this.processDocumentInternal(document, job, fileName, documentType);
-                    clearTimeout(timeout);
-                    resolve(result);
-                } catch (error) {
-                    clearTimeout(timeout);
-                    reject(error);
-                }
-            });
-
-            return await processWithTimeout;
+            // Time spent queued for a download, extraction or model slot is not counted:
+            // with other documents (and jobs) in flight it says nothing about this one
+            return await scanPools.withWorkTimeout(
+                PROCESSING_TIMEOUT,
+                () => this.processDocumentInternal(document, job, fileName, documentType, options),
+                () => new Error(`Processing timeout: ${fileName} took longer than ${PROCESSING_TIMEOUT/1000}s`)
+            );
 
         } catch (error) {
             if (error.message.includes('Processing timeout')) {
@@ -1061,7 +1275,90 @@ class ScanJobProcessor {
         }
     }
 
-    async processDocumentInternal(document, job, fileName, documentType) {
+    async processDocumentInternal(document, job, fileName, documentType, { coveredTypes = null } = {}) {
+        if (!coveredTypes) {
+            const verdicts = await this.detectDocument(document, job, fileName, [documentType]);
+            this.traceVerdicts(verdicts);
+            return verdicts[documentType];
+        }
+
+        // Multi-label mode: the first job to reach this document judges it for every
+        // covered type, and the jobs after it take their verdict from the shared store
+        // without downloading the file again.
+        const reportType = normalizeReportType(documentType);
+        const verdictKey = document.filePath || fileName;
+        let shared;
+        for (;;) {
+            if (this.judging.has(verdictKey)) {
+                // Its failure is that job's to report; this one judges the document itself
+                await this.judging.get(verdictKey).catch(() => {});
+            }
+            shared = (await this.documentVerdicts.get(verdictKey)) || {};
+            // Another job may have started judging it while the store was read
+            if (shared[reportType] || !this.judging.has(verdictKey)) break;
+        }
+        if (shared[reportType]) {
+            logger.debug('doc: verdict shared from another job', { type: reportType, by: shared[reportType].detectedByJobId });
+            traceStep('shared-verdict', shared[reportType].stage, { by: shared[reportType].detectedByJobId }, reportType);
+            return { ...shared[reportType], sharedVerdict: true };
+        }
+
+        // Only the types nobody has judged yet; a job created mid-night adds its own.
+        const missing = [...new Set([reportType, ...coveredTypes.filter(type => !shared[type])])];
+        const judging = this.detectDocument(document, job, fileName, missing);
+        this.judging.set(verdictKey, judging);
+        let verdicts;
+        try {
+            verdicts = await judging;
+        } finally {
+            if (this.judging.get(verdictKey) === judging) this.judging.delete(verdictKey);
+        }
+        this.traceVerdicts(verdicts);
+
+        const settled = {};
+        for (const [type, result] of Object.entries(verdicts)) {
+            if (!TRANSIENT_STAGES.includes(result.stage)) {
+                settled[type] = { ...result, detectedByJobId: job.jobId };
+            }
+        }
+        if (Object.keys(settled).length > 0) {
+            await this.documentVerdicts.set(verdictKey, { ...shared, ...settled });
+        }
+        return verdicts[reportType];
+    }
+
+    /** Close the document trace with the stage each report type ended at. */
+    traceVerdicts(verdicts) {
+        for (const [type, result] of Object.entries(verdicts)) {
+            traceStep('verdict', result.stage, {
+                isMatch: result.isMatch,
+                reasoning: result.reasoning,
+                error: result.error
+            }, type);
+        }
+    }
+
+    /**
+     * Run the detection pipeline once over a document for one or more report types.
+     *
+     * Download, extraction, the structural rejects and the two FI-detection calls do not
+     * depend on the report type, so they run once and their outcome applies to every type
+     * still open. The response vetoes and the final match are per type; with more than
+     * one type open the match is a single multi-label call (matchFIRequestTypes).
+     *
+     * @returns {Promise<Object>} { [reportType]: result } for every type in `reportTypes`
+     */
+    async detectDocument(document, job, fileName, reportTypes) {
+        const verdicts = {};
+        let pending = [...reportTypes];
+        // The document's near-duplicate cluster, once it reaches the AI layers
+        let cluster = null;
+        // Settle every type still open with one shared outcome
+        const settle = result => {
+            for (const type of pending) verdicts[type] = result;
+            return verdicts;
+        };
+
         try {
             // VETO CHECK (filename): a response document suppresses the whole project for
             // this report type. Done before the download so a known response costs nothing.
@@ -1069,31 +1366,43 @@ class ScanJobProcessor {
             // Only decisive verdicts act here. A filename that merely looks like a
             // deliverable is tentative and needs the content to confirm it, because
             // councils name their own consultee reports the same way.
-            const filenameVerdict = fiDetectionService.classifyFIResponseByFilename(
-                fileName,
-                normalizeReportType(documentType)
-            );
-            if (filenameVerdict && !filenameVerdict.tentative) {
-                await this.recordProjectVeto({
-                    projectId: document.projectId,
-                    reportType: documentType,
-                    jobId: job.jobId,
+            for (const documentType of reportTypes) {
+                const filenameVerdict = fiDetectionService.classifyFIResponseByFilename(
                     fileName,
-                    filePath: document.filePath,
-                    ...filenameVerdict
-                });
-                return {
-                    isMatch: false,
-                    stage: 'fi-response-veto',
-                    confidence: 0,
-                    reasoning: filenameVerdict.reason,
-                    vetoedProject: true
-                };
+                    normalizeReportType(documentType)
+                );
+                traceStep(
+                    'filename-veto',
+                    !filenameVerdict ? 'pass' : filenameVerdict.tentative ? 'tentative' : 'veto',
+                    filenameVerdict ? { reason: filenameVerdict.reason } : {},
+                    documentType
+                );
+                if (filenameVerdict && !filenameVerdict.tentative) {
+                    await this.recordProjectVeto({
+                        projectId: document.projectId,
+                        reportType: documentType,
+                        jobId: job.jobId,
+                        fileName,
+                        filePath: document.filePath,
+                        shadow: !!job.shadow,
+                        ...filenameVerdict
+                    });
+                    verdicts[documentType] = {
+                        isMatch: false,
+                        stage: 'fi-response-veto',
+                        confidence: 0,
+                        reasoning: filenameVerdict.reason,
+                        vetoedProject: true
+                    };
+                }
             }
+            pending = pending.filter(type => !verdicts[type]);
+            if (pending.length === 0) return verdicts;
 
             // Download and extract text from the document
             const s3Key = document.filePath;
             let documentText = '';
+            let extraction = null;
 
             try {
                 // Yield before heavy S3 download
@@ -1113,155 +1422,217 @@ class ScanJobProcessor {
                 const maxBytes = maxDocMb * 1024 * 1024;
                 const streamThresholdBytes = streamThresholdMb * 1024 * 1024;
 
-                // Define tempDir at function scope for OCR fallback
+                // Large documents are written here rather than held in memory
                 const tempDir = path.join(__dirname, '..', 'temp');
 
                 let sizeBytes = 0;
+                let etag = null;
                 try {
-                    const head = await s3.headObject(params).promise();
+                    const head = await scanPools.download(() => s3.headObject(params).promise());
                     sizeBytes = head.ContentLength || 0;
+                    etag = head.ETag || null;
                     if (sizeBytes > maxBytes) {
                         logger.warn('doc: skipped, over size limit', { sizeMB: (sizeBytes / 1048576).toFixed(1), limitMB: maxDocMb });
-                        return {
+                        return settle({
                             isMatch: false,
                             stage: 'file-too-large',
                             confidence: 0,
                             reasoning: `File size ${(sizeBytes / 1024 / 1024).toFixed(1)}MB exceeds ${maxDocMb}MB limit`
-                        };
+                        });
                     }
                 } catch (headError) {
                     logger.warn('doc: could not read size', { err: headError.message });
                 }
 
-                const isDocx = fileName.toLowerCase().endsWith('.docx');
-
-                if (!isDocx && sizeBytes > streamThresholdBytes) {
-                    await fsp.mkdir(tempDir, { recursive: true });
-                    const tempPath = path.join(
-                        tempDir,
-                        `scan-${Date.now()}-${Math.random().toString(36).slice(2)}.pdf`
-                    );
-
-                    const s3Stream = s3.getObject(params).createReadStream();
-                    await pipeline(s3Stream, fs.createWriteStream(tempPath));
-
-                    const streamingProcessor = new StreamingDocumentProcessor();
-                    const streamingResult = await streamingProcessor.extractTextWithStreamingAndLimits(tempPath);
-
-                    await fsp.unlink(tempPath).catch(() => null);
-
-                    if (!streamingResult?.text) {
-                        logger.error('doc: text extraction failed, streaming extractor returned empty text');
-                        return {
-                            isMatch: false,
-                            stage: 'pdf-stream-parse-error',
-                            confidence: 0,
-                            reasoning: 'PDF streaming extraction returned empty text'
-                        };
-                    }
-
-                    documentText = streamingResult.text;
-                } else {
-                    const s3Response = await s3.getObject(params).promise();
-                    let fileBuffer = s3Response.Body;
-
-                    // Clean up S3 response object
-                    s3Response.Body = null;
-
-                    // Yield after S3 download
-                    await new Promise(resolve => setImmediate(resolve));
-
-                    // Extract text using optimized zero-copy extractor
-                    // For PDFs, write to disk for OCR fallback support
-                    let extractionResult;
-                    let tempFilePath = null;
-
-                    if (isDocx) {
-                        extractionResult = await optimizedPdfExtractor.extractDocxOptimized(fileBuffer, fileName);
-                    } else {
-                        // Write PDF to temp directory for OCR fallback
+                // Text another job (or last night's run) already extracted from these
+                // bytes comes from the store without a download. Otherwise large files go
+                // to disk rather than being held in memory whole; the extractor reads them
+                // from there (and OCR needs a file anyway).
+                const streamed = sizeBytes > streamThresholdBytes;
+                extraction = await extractedTextStore.extract({
+                    fileName,
+                    etag,
+                    schedule: scanPools.extraction,
+                    load: () => scanPools.download(async () => {
+                        if (!streamed) {
+                            const s3Response = await s3.getObject(params).promise();
+                            return { buffer: s3Response.Body };
+                        }
                         await fsp.mkdir(tempDir, { recursive: true });
-                        tempFilePath = path.join(tempDir, fileName);
-                        await fsp.writeFile(tempFilePath, fileBuffer);
-
-                        extractionResult = await optimizedPdfExtractor.extractTextOptimized(fileBuffer, fileName, tempFilePath);
-
-                        // Clean up temp file after extraction
+                        const tempPath = path.join(
+                            tempDir,
+                            `scan-${Date.now()}-${Math.random().toString(36).slice(2)}${path.extname(fileName)}`
+                        );
+                        const cleanup = () => fsp.unlink(tempPath).catch(() => null);
                         try {
-                            await fsp.unlink(tempFilePath);
-                        } catch (unlinkError) {
-                            logger.debug('doc: could not delete temp file', { err: unlinkError.message });
+                            await pipeline(s3.getObject(params).createReadStream(), fs.createWriteStream(tempPath));
+                        } catch (downloadError) {
+                            await cleanup();
+                            throw downloadError;
                         }
-                    }
+                        return { filePath: tempPath, cleanup };
+                    })
+                });
 
-                    // Null out buffer immediately after extraction
-                    fileBuffer = null;
+                if (extraction.outcome === 'unresolved') {
+                    // Stopped by the extraction sandbox at a resource limit, or its worker
+                    // crashed. Not a verdict on the document; the scan moves on.
+                    traceStep('extract', 'unresolved', { format: extraction.format, ...extraction.unresolved });
+                    return settle({
+                        isMatch: false,
+                        stage: 'extraction-unresolved',
+                        confidence: 0,
+                        reasoning: `Extraction did not finish (${extraction.unresolved.reason})`,
+                        error: extraction.error,
+                        unresolved: extraction.unresolved
+                    });
+                }
 
-                    if (!extractionResult.success) {
-                        logger.error('doc: text extraction failed', { err: extractionResult.error });
-                        return {
-                            isMatch: false,
-                            stage: isDocx ? 'docx-parse-error' : 'pdf-parse-error',
-                            confidence: 0,
-                            reasoning: isDocx ? 'DOCX is corrupted or malformed' : 'PDF is corrupted or malformed',
-                            error: extractionResult.error
-                        };
-                    }
+                if (!extraction.success) {
+                    logger.error('doc: text extraction failed', { format: extraction.format, err: extraction.error });
+                    traceStep('extract', 'error', { format: extraction.format, err: extraction.error });
+                    return settle({
+                        isMatch: false,
+                        stage: `${extraction.format || 'unsupported'}-parse-error`,
+                        confidence: 0,
+                        reasoning: `${(extraction.format || 'document').toUpperCase()} is corrupted or malformed`,
+                        error: extraction.error
+                    });
+                }
 
-                    documentText = extractionResult.text;
+                documentText = extraction.text;
+                const { diagnostics } = extraction;
+
+                // An application form's fields name the applicant and agent; the project
+                // record takes them where Building Info cannot supply them. Read before
+                // the text check - a filled-in form can hold little printed text. A
+                // shadow job reads it but leaves the live project record alone.
+                const applicationForm = readApplicationForm(extraction.formFields);
+                if (applicationForm) {
+                    const filled = job.shadow ? [] : await recordApplicationForm(document.projectId, applicationForm, { fileName });
+                    traceStep('application-form', filled.length ? 'filled' : 'read', { filled: filled.length ? filled : undefined });
                 }
 
                 if (!documentText || documentText.length < 100) {
                     logger.debug('doc: insufficient text extracted', { chars: documentText.length });
-                    return {
+                    traceStep('extract', 'insufficient', { format: extraction.format, method: diagnostics.method, chars: documentText.length });
+                    return settle({
                         isMatch: false,
                         stage: 'text-extraction',
                         confidence: 0,
                         reasoning: 'Could not extract sufficient text from document'
-                    };
+                    });
                 }
 
                 logger.debug('doc: text extracted', { chars: documentText.length });
+                traceStep('extract', 'ok', {
+                    format: extraction.format,
+                    method: diagnostics.method,
+                    chars: documentText.length,
+                    pages: `${diagnostics.pagesExtracted}/${diagnostics.pageCount}`,
+                    ocrPages: diagnostics.ocrPages.length ? diagnostics.ocrPages : undefined,
+                    language: diagnostics.language,
+                    tables: extraction.tables?.length || undefined,
+                    formFields: extraction.formFields?.length || undefined,
+                    truncated: diagnostics.truncated || undefined,
+                    warnings: diagnostics.warnings.length ? diagnostics.warnings : undefined,
+                    stored: extraction.stored,
+                    streamed: extraction.stored ? undefined : streamed
+                });
 
             } catch (error) {
                 logger.error('doc: download/extract failed', { err: error.message, stack: error.stack });
-                return {
+                return settle({
                     isMatch: false,
                     stage: 'download-error',
                     confidence: 0,
                     error: error.message
-                };
+                });
             }
 
             // LAYER 1: Fast structural rejection (no AI cost)
             const filenameLower = fileName.toLowerCase();
 
+            // 1. Document type (services/documentClassifier.js), kept for every document.
+            // Only confident labels act: drawings never reach the AI, and a decision
+            // notice vetoes the project below.
+            const classification = classifyDocument(fileName, extraction);
+            const actOnClass = classification.confidence >= classifierMinConfidence();
+            traceStep('classify', classification.label, { confidence: classification.confidence, signals: classification.signals });
+            // The stored labels are shared by every job; a shadow job's classifier may be on trial
+            if (!job.shadow) await recordClassification(document, classification);
+
+            if (actOnClass && classification.label === 'drawing') {
+                return settle({
+                    isMatch: false,
+                    stage: 'drawing-skip',
+                    confidence: 0,
+                    reasoning: `Document is a drawing sheet (classifier confidence ${classification.confidence})`,
+                    documentClass: classification.label
+                });
+            }
+
+            // Language (services/documentLanguage.js): an Irish-only document is read for the
+            // types with Irish terms and excluded, with the reason, for the rest.
+            for (const documentType of pending) {
+                const gate = fiDetectionService.languageGateFor(documentText, documentType, extraction.diagnostics.language);
+                if (gate.reason) traceStep('language', gate.excluded ? 'excluded' : 'english-only', { language: gate.language, reason: gate.reason }, documentType);
+                if (gate.excluded) {
+                    verdicts[documentType] = {
+                        isMatch: false,
+                        stage: 'language-excluded',
+                        confidence: 0,
+                        reasoning: gate.reason,
+                        language: gate.language
+                    };
+                }
+            }
+            pending = pending.filter(type => !verdicts[type]);
+            if (pending.length === 0) return verdicts;
+
             // 1a. VETO CHECK (content): the target report has already been commissioned,
             // submitted or reviewed, so the project is no longer a lead for this type.
             // Runs before the AI layers - a response must never reach the customer, and
             // the AI reads the request text quoted inside it as a request.
-            const responseVerdict = await fiDetectionService.classifyFIResponse(
-                documentText,
-                fileName,
-                normalizeReportType(documentType)
-            );
-            if (responseVerdict.isResponse) {
-                await this.recordProjectVeto({
-                    projectId: document.projectId,
-                    reportType: documentType,
-                    jobId: job.jobId,
-                    fileName,
-                    filePath: document.filePath,
-                    ...responseVerdict
-                });
-                return {
-                    isMatch: false,
-                    stage: 'fi-response-veto',
-                    confidence: 0,
-                    reasoning: responseVerdict.reason,
-                    vetoedProject: true
-                };
+            //
+            // A decision notice settles the application, so it vetoes every type as a
+            // response would - only when its body says so, never on the file name alone.
+            const decided = isDecidedApplication(classification);
+            for (const documentType of pending) {
+                const responseVerdict = decided
+                    ? {
+                        isResponse: true,
+                        source: 'decision-notice',
+                        reason: `Decision notice (classifier confidence ${classification.confidence}): the application is past the FI stage`,
+                        quote: documentText.slice(0, 400)
+                    }
+                    : await scanPools.ai(() => fiDetectionService.classifyFIResponse(
+                        documentText,
+                        fileName,
+                        normalizeReportType(documentType)
+                    ));
+                traceStep('response-veto', responseVerdict.isResponse ? 'veto' : 'pass', { reason: responseVerdict.reason }, documentType);
+                if (responseVerdict.isResponse) {
+                    await this.recordProjectVeto({
+                        projectId: document.projectId,
+                        reportType: documentType,
+                        jobId: job.jobId,
+                        fileName,
+                        filePath: document.filePath,
+                        shadow: !!job.shadow,
+                        ...responseVerdict
+                    });
+                    verdicts[documentType] = {
+                        isMatch: false,
+                        stage: 'fi-response-veto',
+                        confidence: 0,
+                        reasoning: responseVerdict.reason,
+                        vetoedProject: true
+                    };
+                }
             }
+            pending = pending.filter(type => !verdicts[type]);
+            if (pending.length === 0) return verdicts;
 
             // 1b. Decision notices - the application is past the FI stage. Rejects the
             // document only; it does not veto the project.
@@ -1272,12 +1643,13 @@ class ScanJobProcessor {
             ];
 
             if (decisionIndicators.some(indicator => filenameLower.includes(indicator))) {
-                return {
+                traceStep('structure', 'reject', { rule: 'decision-filename' });
+                return settle({
                     isMatch: false,
                     stage: 'filename-reject',
                     confidence: 0,
                     reasoning: 'Filename indicates a decision document, not an FI request'
-                };
+                });
             }
 
             // 1c. Document length rejection - reports are typically >100 pages
@@ -1285,12 +1657,13 @@ class ScanJobProcessor {
             const estimatedPages = Math.ceil(documentText.length / 2500); // ~2500 chars per page
             if (estimatedPages > 100) {
                 logger.debug('doc: rejected, too long', { estPages: estimatedPages });
-                return {
+                traceStep('structure', 'reject', { rule: 'length', estPages: estimatedPages });
+                return settle({
                     isMatch: false,
                     stage: 'length-reject',
                     confidence: 0,
                     reasoning: `Document too long (${estimatedPages} pages) - likely a report, not FI request letter`
-                };
+                });
             }
 
             // 1d. Report structure markers - consultant reports have specific formatting
@@ -1302,29 +1675,57 @@ class ScanJobProcessor {
                 /prepared on behalf of/i
             ];
 
-            const hasReportStructure = reportStructureMarkers.some(pattern => pattern.test(documentText));
-            if (hasReportStructure) {
+            const structureMarker = reportStructureMarkers.find(pattern => pattern.test(documentText));
+            if (structureMarker) {
                 logger.debug('doc: rejected, has report structure markers');
-                return {
+                traceStep('structure', 'reject', { rule: 'structure', marker: structureMarker.source });
+                return settle({
                     isMatch: false,
                     stage: 'structure-reject',
                     confidence: 0,
                     reasoning: 'Document has consultant report structure (TOC, exec summary, etc.)'
-                };
+                });
+            }
+
+            traceStep('structure', 'pass', { estPages: estimatedPages });
+
+            // 1e. NEAR-DUPLICATES (services/nearDuplicates.js): text the AI has already
+            // judged - an FI letter repeated in the planner's report, the same letter on a
+            // linked application - takes the verdicts of the first document of its
+            // cluster instead of going to the model again. A shadow job stays out of the
+            // clusters: its verdicts are the trial detector's, and a canonical it
+            // registered would hand them to every live job reaching a copy.
+            cluster = job.shadow ? null : await nearDuplicates.clusterDocument(document, documentText);
+            if (cluster?.duplicateOf) {
+                const shared = nearDuplicates.sharedVerdicts(cluster, pending, fiDetectionService.detectorVersion);
+                for (const documentType of pending) {
+                    const verdict = shared[documentType] &&
+                        this.duplicateVerdict(shared[documentType], cluster.duplicateOf, document, extraction);
+                    if (verdict) verdicts[documentType] = verdict;
+                }
+                const reused = pending.filter(type => verdicts[type]);
+                traceStep('near-duplicate', reused.length ? 'reused' : 'judged', {
+                    of: cluster.duplicateOf.filePath,
+                    similarity: cluster.duplicateOf.similarity,
+                    reused: reused.length ? reused : undefined
+                });
+                pending = pending.filter(type => !verdicts[type]);
+                if (pending.length === 0) return verdicts;
             }
 
             // LAYER 2: Cheap AI pre-filter (uses only first 5k chars)
             // Yield before AI processing
             await new Promise(resolve => setImmediate(resolve));
 
-            const shouldProcessFully = await fiDetectionService.cheapFIFilter(documentText);
+            const shouldProcessFully = await scanPools.ai(() => fiDetectionService.cheapFIFilter(documentText));
+            traceStep('quick-filter', shouldProcessFully ? 'pass' : 'reject');
             if (!shouldProcessFully) {
-                return {
+                return settle({
                     isMatch: false,
                     stage: 'cheap-ai-reject',
                     confidence: 0,
                     reasoning: 'Document unlikely to be FI request (cheap AI filter)'
-                };
+                });
             }
 
             // 🔍 LOG: Document passed Layer 2 - will process with full AI
@@ -1335,75 +1736,161 @@ class ScanJobProcessor {
                 // Yield before expensive AI call
                 await new Promise(resolve => setImmediate(resolve));
 
-                const isFIRequest = await fiDetectionService.detectFIRequest(documentText);
+                const isFIRequest = await scanPools.ai(() => fiDetectionService.detectFIRequest(documentText));
+                traceStep('fi-detect', isFIRequest ? 'yes' : 'no');
 
                 if (!isFIRequest) {
-                    return {
+                    return settle({
                         isMatch: false,
                         stage: 'not-fi-request',
                         confidence: 0,
                         reasoning: 'Document is not an FI request'
-                    };
+                    });
                 }
 
                 // Yield before final AI call
                 await new Promise(resolve => setImmediate(resolve));
 
-                // Check if it specifically requests the target report type (e.g., acoustic)
-                const matchResult = await fiDetectionService.matchFIRequestType(documentText, documentType);
-                const isValidatedMatch = matchResult.matches === true && matchResult.hasValidEvidence === true;
-
-                if (isValidatedMatch) {
-                    logger.debug('doc: FI request match', { type: documentType });
-                    return {
-                        isMatch: true,
-                        stage: 'fi-detection',
-                        confidence: 0.95,
-                        reasoning: `Document is an FI request asking for ${documentType} report`,
-                        needsReview: false,
-                        validationQuote: matchResult.validationQuote || 'No quote captured',
-                        hasValidEvidence: true
-                    };
-                } else if (matchResult.aiConfirmedMatchButWeakEvidence) {
-                    // AI said yes but evidence failed - log but don't emit to customer
-                    logger.debug('doc: AI matched but evidence validation failed', { type: documentType });
-                    return {
-                        isMatch: false,
-                        stage: 'weak-evidence',
-                        confidence: 0.5,
-                        reasoning: `AI detected ${documentType} request but evidence validation failed`,
-                        needsReview: true, // Flag for internal review
-                        validationQuote: matchResult.validationQuote,
-                        hasValidEvidence: false
-                    };
-                } else {
-                    return {
-                        isMatch: false,
-                        stage: 'wrong-report-type',
-                        confidence: 0,
-                        reasoning: `FI request does not ask for ${documentType} report`
-                    };
+                // Check if it specifically requests the target report type(s) (e.g., acoustic)
+                const matchResults = pending.length === 1
+                    ? { [pending[0]]: await scanPools.ai(() => fiDetectionService.matchFIRequestType(documentText, pending[0])) }
+                    : await scanPools.ai(() => fiDetectionService.matchFIRequestTypes(documentText, pending));
+
+                for (const documentType of pending) {
+                    verdicts[documentType] = this.matchVerdict(documentType, matchResults[documentType], extraction);
                 }
 
+                // Break a matched letter into its numbered items once, for every type it
+                // matched. Only enriches the match - a failure here must not lose it.
+                const matchedTypes = pending.filter(type => verdicts[type].isMatch);
+                if (matchedTypes.length > 0) {
+                    try {
+                        const fiRequest = await scanPools.ai(() => fiDetectionService.extractFIRequestItems(documentText));
+                        traceStep('fi-items', 'ok', { items: fiRequest.items.length, deadline: fiRequest.responseDeadline });
+                        for (const type of matchedTypes) {
+                            verdicts[type] = { ...verdicts[type], fiRequest };
+                        }
+                    } catch (error) {
+                        logger.warn('doc: FI item extraction failed, match kept without items', { err: error.message });
+                        traceStep('fi-items', 'error', { err: error.message });
+                    }
+                }
+                return verdicts;
+
             } catch (error) {
                 logger.error('doc: FI detection failed', { err: error.message, stack: error.stack });
-                return {
+                return settle({
                     isMatch: false,
                     stage: 'detection-error',
                     confidence: 0,
                     error: error.message
-                };
+                });
             }
 
         } catch (error) {
             logger.error('doc: processing failed', { err: error.message, stack: error.stack });
-            return {
+            return settle({
                 isMatch: false,
                 stage: 'error',
                 confidence: 0,
                 error: error.message
+            });
+        } finally {
+            // A canonical document's AI verdicts, for the near-duplicates that follow it
+            // (never a shadow job's: it has no cluster)
+            await nearDuplicates.recordVerdicts(cluster, verdicts, fiDetectionService.detectorVersion);
+        }
+    }
+
+    /**
+     * A near-duplicate's verdict from its canonical document's (services/nearDuplicates.js).
+     *
+     * In the canonical's own project the copy adds nothing - the project's lead, or its
+     * absence, is the canonical's - so it settles as 'near-duplicate'. In another project
+     * it takes the canonical's verdict, with the quote located in this document's own
+     * pages. Null when a matched quote is not in this document: it is then judged itself.
+     */
+    duplicateVerdict(shared, duplicateOf, document, extraction) {
+        if (duplicateOf.projectId && duplicateOf.projectId === document.projectId) {
+            return {
+                isMatch: false,
+                stage: 'near-duplicate',
+                confidence: 0,
+                reasoning: `Near-duplicate (similarity ${duplicateOf.similarity}) of ${duplicateOf.fileName} in the same project, judged there`,
+                duplicateOf
             };
         }
+        const evidenceSource = shared.validationQuote
+            ? textExtractionService.quoteSource(extraction, shared.validationQuote) || undefined
+            : undefined;
+        if (shared.isMatch && !evidenceSource) return null;
+        return { ...shared, evidenceSource, duplicateOf };
+    }
+
+    /**
+     * The scan result for one report type from its matchFIRequestType-shaped answer.
+     * With the extraction result, a quoted verdict also records the page its quote is
+     * on and whether that page was read natively or by OCR (evidenceSource).
+     */
+    matchVerdict(documentType, matchResult, extraction = null) {
+        const evidenceSource = extraction && matchResult.validationQuote
+            ? textExtractionService.quoteSource(extraction, matchResult.validationQuote) || undefined
+            : undefined;
+
+        const isValidatedMatch = matchResult.matches === true && matchResult.hasValidEvidence === true;
+
+        if (isValidatedMatch) {
+            logger.debug('doc: FI request match', { type: documentType });
+            return {
+                isMatch: true,
+                stage: 'fi-detection',
+                confidence: 0.95,
+                reasoning: `Document is an FI request asking for ${documentType} report`,
+                needsReview: false,
+                validationQuote: matchResult.validationQuote || 'No quote captured',
+                evidenceSource,
+                hasValidEvidence: true
+            };
+        } else if (matchResult.aiConfirmedMatchButWeakEvidence) {
+            // AI said yes but evidence failed - log but don't emit to customer
+            logger.debug('doc: AI matched but evidence validation failed', { type: documentType });
+            return {
+                isMatch: false,
+                stage: 'weak-evidence',
+                confidence: 0.5,
+                reasoning: `AI detected ${documentType} request but evidence validation failed`,
+                needsReview: true, // Flag for internal review
+                validationQuote: matchResult.validationQuote,
+                evidenceSource,
+                hasValidEvidence: false
+            };
+        }
+        return {
+            isMatch: false,
+            stage: 'wrong-report-type',
+            confidence: 0,
+            reasoning: `FI request does not ask for ${documentType} report`
+        };
+    }
+
+    /**
+     * Report types to judge in one pass when SCAN_DETECTION_MODE=multi: this job's type
+     * plus the type of every other active job, so whichever job reaches a document first
+     * classifies it for all of them. Null in the default single-type mode.
+     */
+    async resolveCoveredReportTypes(job) {
+        if (process.env.SCAN_DETECTION_MODE !== 'multi') return null;
+        // A shadow job's verdicts are its own; live jobs never take them from the cache
+        if (job.shadow) return null;
+
+        const ownType = normalizeReportType(job.documentType);
+        try {
+            const types = await ScanJob.distinct('documentType', { status: { $in: ['ACTIVE', 'RUNNING'] }, shadow: { $ne: true } });
+            return [...new Set([ownType, ...types.filter(Boolean).map(normalizeReportType)])].sort();
+        } catch (error) {
+            logger.warn('scan: could not list covered report types, detecting own type only', { err: error.message });
+            return [ownType];
+        }
     }
 
     /**
@@ -1417,14 +1904,46 @@ class ScanJobProcessor {
         );
     }
 
+    /**
+     * A stored match (ScanJobDailyResult.matches) in the format sendMatchEmails expects,
+     * addressed to the given job customers.
+     */
+    deliveryMatch(m, job, customers) {
+        return {
+            document: { projectId: m.projectId, fileName: m.fileName, filePath: m.filePath || '' },
+            result: {
+                isMatch: true,
+                validationQuote: m.validationQuote || 'No quote captured',
+                evidenceSource: m.evidenceSource,
+                confidence: m.confidence || 0.95,
+                reasoning: `FI request for ${m.fiType || job.documentType} detected`,
+                detectorVersion: m.detectorVersion,
+                fiRequest: m.fiRequest,
+                duplicateOf: m.duplicateOf
+            },
+            customers
+        };
+    }
+
     /**
      * Send batch email notifications for matched documents
      * Groups matches by customer and fetches project metadata from Building Info API
+     *
+     * @param {Object} [options]
+     * @param {string} [options.subject] - replaces the usual subject line
+     * @param {string} [options.source] - FIReport.source, SCHEDULED by default
+     * @param {Object} [options.reportFilters] - added to each FIReport's customFilters
+     * @returns {Promise<Array|undefined>} for a shadow job, what each customer would have
+     *   been sent; nothing is emailed, queued for review or written to FIReport
      */
-    async sendMatchEmails(matches, job, prefetchedMetadataMap = null) {
+    async sendMatchEmails(matches, job, prefetchedMetadataMap = null, options = {}) {
+        const { subject = null, source = 'SCHEDULED', reportFilters = {} } = options;
         logger.info('delivery: preparing batch notifications', { matches: matches.length });
 
         try {
+            // Confidence per evidence band, measured against reviewed outcomes
+            const calibration = await loadCalibration();
+
             // Group matches by customer email
             const customerMatchesMap = new Map();
 
@@ -1453,6 +1972,8 @@ class ScanJobProcessor {
                             email: email,
                             name: customer.customerId.name,
                             filters: customerFilters, // Store customer's subscription filters
+                            // Below this calibrated confidence a match waits for review
+                            threshold: resolveThreshold(customer),
                             matches: []
                         });
                     }
@@ -1465,13 +1986,21 @@ class ScanJobProcessor {
                                           validationQuote === 'No quote captured';
 
                     if (!isPlaceholder) {
+                        const { band, confidence } = calibrateMatch(calibration, validationQuote, job.documentType);
                         customerMatchesMap.get(email).matches.push({
                             reportType: job.documentType,
                             projectId: document.projectId,
                             documentName: document.fileName,
+                            documentPath: document.filePath,
                             validationQuote: validationQuote,
-                            requestingAuthority: 'Planning Authority',
-                            deadline: 'See document for details',
+                            evidenceSource: result.evidenceSource,
+                            confidence,
+                            evidenceBand: band,
+                            detectorVersion: result.detectorVersion || fiDetectionService.detectorVersion,
+                            requestingAuthority: result.fiRequest?.requestingAuthority || 'Planning Authority',
+                            deadline: result.fiRequest?.responseDeadline || 'See document for details',
+                            fiRequest: result.fiRequest,
+                            duplicateOf: result.duplicateOf,
                             summary: result.reasoning || `FI request detected for ${job.documentType} report`,
                             specificRequests: result.reasoning || 'See document for specific requirements',
                             projectMetadata: null // Will be populated below
@@ -1588,9 +2117,31 @@ class ScanJobProcessor {
                 }
             }
 
+            // Matches below the customer's confidence threshold go to the review queue
+            // instead of the email. Applied last, so only matches the customer would
+            // otherwise have received are queued.
+            let heldForReview = 0;
+            for (const customerData of customerMatchesMap.values()) {
+                const below = customerData.matches.filter(match => match.confidence < customerData.threshold);
+                if (below.length === 0) continue;
+
+                customerData.matches = customerData.matches.filter(match => match.confidence >= customerData.threshold);
+                customerData.heldForReview = below.length;
+                heldForReview += below.length;
+                if (job.shadow) continue;
+
+                const queued = await matchReviewService.queueReviews(
+                    job,
+                    customerData,
+                    below.map(match => ({ ...match, threshold: customerData.threshold }))
+                );
+                logger.info('delivery: low-confidence matches held for review', { to: customerData.email, held: below.length, queued, threshold: customerData.threshold });
+            }
+
             // Send batch emails to each customer (only if they have eligible matches)
             let emailsSent = 0;
             let customersSkipped = 0;
+            const wouldSend = [];
             for (const customerData of customerMatchesMap.values()) {
                 // Skip if no matches remain after filtering
                 if (customerData.matches.length === 0) {
@@ -1599,6 +2150,21 @@ class ScanJobProcessor {
                     continue;
                 }
 
+                if (job.shadow) {
+                    wouldSend.push({
+                        customerId: customerData.customerId,
+                        email: customerData.email,
+                        projects: customerData.matches.map(match => ({
+                            projectId: match.projectId,
+                            documentName: match.documentName,
+                            confidence: match.confidence,
+                            evidenceBand: match.evidenceBand
+                        })),
+                        heldForReview: customerData.heldForReview || 0
+                    });
+                    continue;
+                }
+
                 const startTime = Date.now();
                 let emailStatus = 'FAILED';
                 let emailError = null;
@@ -1612,7 +2178,8 @@ class ScanJobProcessor {
                             reportTypes: [job.documentType],
                             jobId: job.jobId,
                             generatedAt: new Date()
-                        }
+                        },
+                        subject ? { subject } : {}
                     );
 
                     // sendBatchFINotification returns {skipped:true} when every match was
@@ -1652,25 +2219,7 @@ class ScanJobProcessor {
 
                 // Create FIReport record to track what was sent
                 try {
-                    const projectsFound = customerData.matches.map(match => ({
-                        projectId: match.projectId,
-                        planningTitle: match.projectMetadata?.planning_title || 'N/A',
-                        planningStage: match.projectMetadata?.planning_stage || 'N/A',
-                        planningValue: match.projectMetadata?.planning_value || 0,
-                        planningCounty: match.projectMetadata?.planning_county || 'N/A',
-                        planningRegion: match.projectMetadata?.planning_region || 'N/A',
-                        biiUrl: match.projectMetadata?.bii_url || '',
-                        fiIndicators: [match.reportType],
-                        matchedKeywords: [],
-                        confidence: 1,
-                        metadata: {
-                            documentName: match.documentName,
-                            validationQuote: match.validationQuote,
-                            summary: match.summary,
-                            specificRequests: match.specificRequests,
-                            planningSector: match.projectMetadata?.planning_sector || 'N/A'
-                        }
-                    }));
+                    const projectsFound = customerData.matches.map(fiReportService.projectFromMatch);
 
                     await fiReportService.createReport({
                         customerId: customerData.customerId,
@@ -1683,14 +2232,15 @@ class ScanJobProcessor {
                             customFilters: {
                                 jobId: job.jobId,
                                 allowedCounties: customerData.filters?.allowedCounties || [],
-                                allowedSectors: customerData.filters?.allowedSectors || []
+                                allowedSectors: customerData.filters?.allowedSectors || [],
+                                ...reportFilters
                             }
                         },
                         projectsFound: projectsFound,
                         totalProjectsScanned: matches.length,
                         totalFIMatches: customerData.matches.length,
                         processingTime: Date.now() - startTime,
-                        source: 'SCHEDULED',
+                        source,
                         deliveryAttempts: emailStatus === 'SENT' ? [{
                             attemptNumber: 1,
                             timestamp: new Date(),
@@ -1713,11 +2263,16 @@ class ScanJobProcessor {
                 }
             }
 
+            if (job.shadow) {
+                logger.info('delivery summary (shadow, nothing sent)', { job: job.jobId, wouldEmail: wouldSend.length, matches: matches.length, customersSkippedByFilters: customersSkipped, heldForReview });
+                return wouldSend;
+            }
+
             // Update job statistics
             job.statistics.totalEmailsSent = (job.statistics.totalEmailsSent || 0) + emailsSent;
             await job.save();
 
-            logger.info('delivery summary', { emailsSent, matches: matches.length, customersSkippedByFilters: customersSkipped });
+            logger.info('delivery summary', { emailsSent, matches: matches.length, customersSkippedByFilters: customersSkipped, heldForReview });
 
         } catch (error) {
             logger.error('delivery: batch email send FAILED', error);
@@ -2155,7 +2710,7 @@ class ScanJobProcessor {
     async refreshJobCustomers(job) {
         try {
             const fresh = await ScanJob.findOne({ jobId: job.jobId })
-                .populate('customers.customerId', 'email company name projectId filters')
+                .populate('customers.customerId', 'email company name projectId filters minMatchConfidence')
                 .select('customers');
             if (fresh) {
                 job.customers = fresh.customers;
@@ -2218,7 +2773,7 @@ class ScanJobProcessor {
             const pendingJobs = await ScanJob.find({
                 status: { $in: ['ACTIVE', 'RUNNING'] },
                 'deliveryState.pendingForDate': today
-            }).populate('customers.customerId', 'email company name filters');
+            }).populate('customers.customerId', 'email company name filters minMatchConfidence');
 
             if (!pendingJobs.length) {
                 return;
@@ -2345,6 +2900,9 @@ class ScanJobProcessor {
      * After MAX_EMPTY_ATTEMPTS the day is accepted as genuinely empty, so a bank
      * holiday is not re-scanned every night forever.
      *
+     * A startDate replaces the horizon: a catch-up (services/catchUpScan.js) asks about
+     * an exact range, however far back, and judges only the days it gets back.
+     *
      * @returns {Promise<string[]>} YYYY-MM-DD, oldest first
      */
     /**
@@ -2362,7 +2920,7 @@ class ScanJobProcessor {
         return `${d.getFullYear()}-${month}-${day}`;
     }
 
-    async findCoverageGaps(job, { horizonDays, endDate } = {}) {
+    async findCoverageGaps(job, { horizonDays, startDate, endDate } = {}) {
         const MAX_EMPTY_ATTEMPTS = 2;
 
         // How far back to look for gaps. Deliberately NOT job.schedule.lookbackDays:
@@ -2381,8 +2939,8 @@ class ScanJobProcessor {
         if (!endDate) windowEnd.setDate(windowEnd.getDate() - 1);
         windowEnd.setHours(0, 0, 0, 0);
 
-        const windowStart = new Date(windowEnd);
-        windowStart.setDate(windowStart.getDate() - horizon + 1);
+        const windowStart = startDate ? new Date(startDate) : new Date(windowEnd);
+        if (!startDate) windowStart.setDate(windowStart.getDate() - horizon + 1);
         windowStart.setHours(0, 0, 0, 0);
 
         const rows = await ScanJobDailyResult.find({
@@ -2413,10 +2971,11 @@ class ScanJobProcessor {
     /**
      * Queue a bounded number of missed days for this job.
      *
-     * fastS3Scanner.streamDocumentsSince lists the whole planning-docs prefix and filters
-     * on LastModified client-side, so every backfill day costs a full bucket walk
-     * (~570k objects) regardless of how little it finds. One day per night by default;
-     * the oldest gap goes first so nothing starves.
+     * A backfill day is served from the nightly S3 manifest (services/s3Manifest.js),
+     * so it costs a query rather than a bucket walk - unless the manifest is off or
+     * unavailable, when fastS3Scanner lists the whole planning-docs prefix (~570k
+     * objects) for it. One day per night by default; the oldest gap goes first so
+     * nothing starves.
      */
     async enqueueBackfill(job, { maxDays } = {}) {
         if (process.env.SCAN_BACKFILL_ENABLED !== 'true') {
@@ -2537,15 +3096,13 @@ class ScanJobProcessor {
      * repeat of the same request does not displace the original.
      */
     scoreMatchEvidence(match, reportType) {
-        const quote = String(match.validationQuote || '').toLowerCase().replace(/\s+/g, ' ').trim();
+        // Same quote analysis as the evidence bands in services/matchCalibration.js
+        const { quote, placeholder, mentionsType, hasRequestVerb } = analyseQuote(match.validationQuote, reportType);
 
-        if (!quote || PLACEHOLDER_QUOTES.some(p => quote.includes(p.toLowerCase()))) {
+        if (placeholder) {
             return 0;
         }
 
-        const mentionsType = getQuoteTerms(reportType).some(term => quote.includes(term));
-        const hasRequestVerb = REQUEST_VERBS.some(verb => quote.includes(verb));
-
         let score = 1;
         if (mentionsType) score += 2;
         if (mentionsType && hasRequestVerb) score += 3;
@@ -2568,13 +3125,15 @@ class ScanJobProcessor {
      *
      * Upserted, so the first observation wins and repeat sightings are cheap. Failures
      * are logged but never thrown: a veto that cannot be written must not abort a scan.
+     * A shadow job's vetoes go to their own collection and never touch live delivery.
      */
-    async recordProjectVeto({ projectId, reportType, jobId, fileName, filePath, source, reason, quote }) {
+    async recordProjectVeto({ projectId, reportType, jobId, fileName, filePath, source, reason, quote, shadow = false }) {
         if (!projectId) return;
 
         const canonicalType = normalizeReportType(reportType);
+        const Veto = shadow ? ShadowProjectReportVeto : ProjectReportVeto;
         try {
-            const result = await ProjectReportVeto.findOneAndUpdate(
+            const result = await Veto.findOneAndUpdate(
                 { projectId, reportType: canonicalType },
                 {
                     $setOnInsert: {
@@ -2586,14 +3145,15 @@ class ScanJobProcessor {
                         evidenceFilePath: filePath,
                         evidenceQuote: (quote || '').slice(0, 1000),
                         detectedAt: new Date(),
-                        detectedByJobId: jobId
+                        detectedByJobId: jobId,
+                        detectorVersion: fiDetectionService.detectorVersion
                     }
                 },
                 { upsert: true, new: false }
             );
 
             if (!result) {
-                logger.debug('veto: project vetoed', { proj: projectId, type: canonicalType, source, reason, file: fileName });
+                logger.debug('veto: project vetoed', { proj: projectId, type: canonicalType, source, reason, file: fileName, shadow: shadow || undefined });
             }
         } catch (error) {
             logger.warn('veto: could not record', { proj: projectId, type: canonicalType, err: error.message });
@@ -2601,14 +3161,47 @@ class ScanJobProcessor {
     }
 
     /**
-     * Load the set of vetoed "projectId::reportType" keys for the given matches.
+     * customerId -> "projectId::reportType" of every project each customer has been sent
+     * in a SENT or RESENT FIReport matching `filter`. A project's type is its
+     * fiIndicators, or else the types the report was searched for.
+     * @param {string[]} customerIds
+     * @param {Object} [filter] - narrows the FIReports read
+     */
+    async loadSentProjectKeys(customerIds, filter = {}) {
+        const sent = new Map(customerIds.map(id => [String(id), new Set()]));
+        if (customerIds.length === 0) return sent;
+
+        const reports = await FIReport.find({
+            ...filter,
+            customerId: { $in: customerIds },
+            status: { $in: ['SENT', 'RESENT'] }
+        }).select('customerId searchCriteria.projectTypes projectsFound.projectId projectsFound.fiIndicators').lean();
+
+        for (const report of reports) {
+            const keys = sent.get(String(report.customerId));
+            if (!keys) continue;
+            for (const project of report.projectsFound || []) {
+                const types = project.fiIndicators?.length ? project.fiIndicators : (report.searchCriteria?.projectTypes || []);
+                for (const type of types) keys.add(`${project.projectId}::${normalizeReportType(type)}`);
+            }
+        }
+        return sent;
+    }
+
+    /**
+     * Load the set of vetoed "projectId::reportType" keys for the given matches. A shadow
+     * job also honours the vetoes shadow jobs have recorded.
      */
-    async loadVetoKeys(matches) {
+    async loadVetoKeys(matches, { shadow = false } = {}) {
         const projectIds = [...new Set(matches.map(m => m.projectId).filter(Boolean))];
         if (projectIds.length === 0) return new Set();
 
         try {
-            const vetoes = await ProjectReportVeto.find({ projectId: { $in: projectIds } }).lean();
+            const filter = { projectId: { $in: projectIds } };
+            const vetoes = [
+                ...await ProjectReportVeto.find(filter).lean(),
+                ...(shadow ? await ShadowProjectReportVeto.find(filter).lean() : [])
+            ];
             return new Set(vetoes.map(v => `${v.projectId}::${v.reportType}`));
         } catch (error) {
             // Fail open: if the veto store is unreadable we deliver as before rather
@@ -2626,8 +3219,10 @@ class ScanJobProcessor {
      * typically arrives well after the request - 28 days later for project 384778. Only
      * the filename layer is used here: it needs no download, so the sweep stays cheap
      * even for projects with hundreds of documents.
+     *
+     * For a shadow job the vetoes it finds are recorded as shadow vetoes.
      */
-    async sweepProjectsForResponses(projectIds, reportType) {
+    async sweepProjectsForResponses(projectIds, reportType, { shadow = false } = {}) {
         const canonicalType = normalizeReportType(reportType);
         let vetoed = 0;
 
@@ -2635,10 +3230,11 @@ class ScanJobProcessor {
         // S3 prefix every delivery run would be pure waste.
         let alreadyVetoed = new Set();
         try {
-            const existing = await ProjectReportVeto
-                .find({ projectId: { $in: projectIds }, reportType: canonicalType })
-                .select('projectId')
-                .lean();
+            const filter = { projectId: { $in: projectIds }, reportType: canonicalType };
+            const existing = await ProjectReportVeto.find(filter).select('projectId').lean();
+            if (shadow) {
+                existing.push(...await ShadowProjectReportVeto.find(filter).select('projectId').lean());
+            }
             alreadyVetoed = new Set(existing.map(v => v.projectId));
         } catch (error) {
             logger.warn('veto: could not read existing vetoes before sweep', { err: error.message });
@@ -2657,6 +3253,7 @@ class ScanJobProcessor {
                             reportType: canonicalType,
                             fileName: doc.fileName,
                             filePath: doc.key,
+                            shadow,
                             ...verdict
                         });
                         vetoed++;
@@ -2771,7 +3368,11 @@ class ScanJobProcessor {
                         filePath: p.filePath,
                         fiType: p.fiType,
                         validationQuote: p.validationQuote,
+                        evidenceSource: p.evidenceSource,
                         confidence: p.confidence,
+                        detectorVersion: p.detectorVersion,
+                        fiRequest: p.fiRequest,
+                        duplicateOf: p.duplicateOf,
                         timestamp: p.timestamp
                     });
                 }
@@ -2791,22 +3392,51 @@ class ScanJobProcessor {
             // The sweep first looks for response documents that no daily scan ever saw,
             // since a scan only covers a single day's uploads.
             const candidateProjectIds = [...new Set(allMatches.map(m => m.projectId).filter(Boolean))];
-            await this.sweepProjectsForResponses(candidateProjectIds, job.documentType);
+            await this.sweepProjectsForResponses(candidateProjectIds, job.documentType, { shadow: !!job.shadow });
 
-            const vetoKeys = await this.loadVetoKeys(allMatches);
+            const vetoKeys = await this.loadVetoKeys(allMatches, { shadow: !!job.shadow });
             const survivingMatches = [];
             const vetoedProjects = new Set();
+            // What delivery decided for each match, appended to its document trace
+            const traceEntries = [];
+            const traceDelivery = (match, step, outcome, detail = {}) => traceEntries.push({
+                projectId: match.projectId,
+                fileName: match.fileName,
+                reportType: normalizeReportType(match.fiType || job.documentType),
+                step,
+                outcome,
+                detail
+            });
 
             for (const match of allMatches) {
                 const matchType = normalizeReportType(match.fiType || job.documentType);
                 if (vetoKeys.has(`${match.projectId}::${matchType}`)) {
                     vetoedProjects.add(match.projectId);
+                    traceDelivery(match, 'delivery-veto', 'veto');
                     continue;
                 }
+                traceDelivery(match, 'delivery-veto', 'pass');
                 survivingMatches.push(match);
             }
 
             if (vetoedProjects.size > 0) {
+                // A match on a project that turned out to be answered already was a
+                // dead lead; it counts against its evidence band (a live job's only).
+                const surviving = new Set(survivingMatches);
+                if (!job.shadow) {
+                    await recordOutcomes(allMatches
+                        .filter(m => !surviving.has(m))
+                        .map(m => ({
+                            projectId: m.projectId,
+                            fileName: m.fileName,
+                            reportType: m.fiType || job.documentType,
+                            validationQuote: m.validationQuote,
+                            outcome: 'rejected',
+                            source: 'veto',
+                            detectorVersion: m.detectorVersion
+                        })));
+                }
+
                 logger.info(
                     `🚫 Suppressed ${allMatches.length - survivingMatches.length} match(es) across ` +
                     `${vetoedProjects.size} vetoed project(s) for job ${job.jobId}: ${[...vetoedProjects].join(', ')}`
@@ -2830,6 +3460,10 @@ class ScanJobProcessor {
 
             if (survivingMatches.length === 0) {
                 logger.info('delivery: no deliverable matches remain after project vetoes', { job: job.jobId });
+                await appendTraceSteps(job.jobId, traceEntries);
+                if (job.shadow) {
+                    await shadowJobs.recordDelivery(job, { windowStart, windowEnd, deliverable: [], held: [], vetoedProjects });
+                }
                 await ScanJobDailyResult.updateMany(
                     deliveryWindow.filter,
                     { $set: { delivered: true, deliveredAt: new Date() } }
@@ -2844,6 +3478,14 @@ class ScanJobProcessor {
             // Partition once at project level: deliverable vs held (no metadata yet)
             const { deliverable, held, metadataMap } = await this.partitionMatchesByMetadata(dedupedMatches);
 
+            const kept = new Set(dedupedMatches);
+            for (const m of survivingMatches) {
+                if (!kept.has(m)) traceDelivery(m, 'dedupe', 'superseded');
+            }
+            for (const m of deliverable) traceDelivery(m, 'metadata', 'deliverable');
+            for (const m of held) traceDelivery(m, 'metadata', 'held');
+            await appendTraceSteps(job.jobId, traceEntries);
+
             // Persist held matches BEFORE emailing (crash-safe)
             const now = new Date();
             for (const m of held) {
@@ -2866,7 +3508,11 @@ class ScanJobProcessor {
                                 filePath: m.filePath,
                                 fiType: m.fiType,
                                 validationQuote: m.validationQuote,
+                                evidenceSource: m.evidenceSource,
                                 confidence: m.confidence,
+                                detectorVersion: m.detectorVersion,
+                                fiRequest: m.fiRequest,
+                                duplicateOf: m.duplicateOf,
                                 timestamp: m.timestamp,
                                 firstSeenAt: now,
                                 retryCount: 1,
@@ -2886,24 +3532,41 @@ class ScanJobProcessor {
 
             logger.info('delivery: delivering deduplicated matches', { job: job.jobId, matches: deliverable.length, dailyResults: dailyResults.length });
 
+            // A catch-up over days in this window that had not gone out yet has already
+            // sent their matches to the customers it served; they are not sent twice
+            const customerIds = (job.customers || []).filter(c => c.customerId).map(c => String(c.customerId._id));
+            const sentByCatchUp = job.shadow || deliverable.length === 0 ? new Map() : await this.loadSentProjectKeys(customerIds, {
+                'searchCriteria.customFilters.jobId': job.jobId,
+                'searchCriteria.customFilters.catchUpId': { $exists: true },
+                generatedAt: { $gte: deliveryWindow.backfillFloor }
+            }).catch(error => {
+                logger.warn('delivery: could not read catch-up reports, delivering to every customer', { job: job.jobId, err: error.message });
+                return new Map();
+            });
+
+            let wouldSend = [];
             if (deliverable.length > 0) {
-                // Reconstruct matches in the format sendMatchEmails expects
-                const reconstructedMatches = deliverable.map(m => ({
-                    document: { projectId: m.projectId, fileName: m.fileName, filePath: m.filePath || '' },
-                    result: {
-                        isMatch: true,
-                        validationQuote: m.validationQuote || 'No quote captured',
-                        confidence: m.confidence || 0.95,
-                        reasoning: `FI request for ${m.fiType || job.documentType} detected`
-                    },
-                    customers: job.customers
-                }));
+                const reconstructedMatches = [];
+                for (const m of deliverable) {
+                    const key = `${m.projectId}::${normalizeReportType(m.fiType || job.documentType)}`;
+                    const to = job.customers.filter(c => !(c.customerId && sentByCatchUp.get(String(c.customerId._id))?.has(key)));
+                    if (to.length < job.customers.length) {
+                        logger.debug('delivery: already sent by a catch-up', { proj: m.projectId, customers: job.customers.length - to.length });
+                    }
+                    if (to.length > 0) reconstructedMatches.push(this.deliveryMatch(m, job, to));
+                }
 
-                await this.sendMatchEmails(reconstructedMatches, job, metadataMap);
+                wouldSend = (await this.sendMatchEmails(reconstructedMatches, job, metadataMap)) || [];
             } else {
                 logger.info('delivery: no matches to deliver in this window', { job: job.jobId });
             }
 
+            // A shadow job's delivery stops here: what it would have sent is stored for
+            // comparison with the live jobs of its type
+            if (job.shadow) {
+                await shadowJobs.recordDelivery(job, { windowStart, windowEnd, deliverable, held, vetoedProjects, customers: wouldSend });
+            }
+
             // Resolve pending docs whose project metadata is now available
             const resolvedIds = pendingDocs
                 .filter(p => {
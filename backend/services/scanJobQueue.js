@@ -107,42 +107,55 @@ function buildJobKey(jobId, targetDate) {
   return targetDate ? `scan:${jobId}:${targetDate}` : `scan:${jobId}`;
 }
 
+/**
+ * The queued Bull job under jobKey if it is still waiting or running, so the caller
+ * should not queue another. A finished job, or one abandoned by a dead worker, is
+ * removed to make way for the new one.
+ */
+async function findLiveQueueJob(queue, jobKey) {
+  const existing = await queue.getJob(jobKey);
+  if (!existing) return null;
+
+  // Check the state of the existing job
+  const state = await existing.getState();
+  const progress = await existing.progress();
+
+  logger.debug('queue: job already exists', { key: jobKey, state, progress });
+
+  // If job is waiting or active, don't re-queue - unless it has clearly been
+  // abandoned, in which case leaving it would block this job permanently.
+  if (state === 'waiting' || state === 'active') {
+    const startedAt = existing.processedOn || existing.timestamp || 0;
+    const ageMs = startedAt ? Date.now() - startedAt : 0;
+
+    if (startedAt && ageMs > STALE_QUEUE_JOB_MS) {
+      logger.warn(
+        `🧹 Queue job ${jobKey} has been ${state} for ${(ageMs / 3600000).toFixed(1)}h ` +
+        `(limit ${(STALE_QUEUE_JOB_MS / 3600000).toFixed(1)}h) - its worker is presumed dead. ` +
+        `Removing and re-queueing.`
+      );
+      await existing.remove();
+      return null;
+    }
+    logger.info('queue: skip enqueue, already queued', { key: jobKey, state });
+    return existing;
+  }
+
+  if (state === 'completed' || state === 'failed') {
+    // If job is completed/failed, remove it and re-queue
+    logger.warn('queue: removing abandoned job and re-queueing', { key: jobKey, state });
+    await existing.remove();
+  }
+  return null;
+}
+
 async function enqueueScanJob(jobId, options = {}) {
   const queue = getScanQueue();
   const targetDate = options.targetDate || null;
   const jobKey = buildJobKey(jobId, targetDate);
 
-  const existing = await queue.getJob(jobKey);
-  if (existing) {
-    // Check the state of the existing job
-    const state = await existing.getState();
-    const progress = await existing.progress();
-
-    logger.debug('queue: job already exists', { key: jobKey, state, progress });
-
-    // If job is waiting or active, don't re-queue - unless it has clearly been
-    // abandoned, in which case leaving it would block this job permanently.
-    if (state === 'waiting' || state === 'active') {
-      const startedAt = existing.processedOn || existing.timestamp || 0;
-      const ageMs = startedAt ? Date.now() - startedAt : 0;
-
-      if (startedAt && ageMs > STALE_QUEUE_JOB_MS) {
-        logger.warn(
-          `🧹 Queue job ${jobKey} has been ${state} for ${(ageMs / 3600000).toFixed(1)}h ` +
-          `(limit ${(STALE_QUEUE_JOB_MS / 3600000).toFixed(1)}h) - its worker is presumed dead. ` +
-          `Removing and re-queueing.`
-        );
-        await existing.remove();
-      } else {
-        logger.info('queue: skip enqueue, already queued', { key: jobKey, state });
-        return existing;
-      }
-    } else if (state === 'completed' || state === 'failed') {
-      // If job is completed/failed, remove it and re-queue
-      logger.warn('queue: removing abandoned job and re-queueing', { key: jobKey, state });
-      await existing.remove();
-    }
-  }
+  const existing = await findLiveQueueJob(queue, jobKey);
+  if (existing) return existing;
 
   logger.info('queue: enqueued scan job', { key: jobKey });
   return queue.add(
@@ -152,9 +165,58 @@ async function enqueueScanJob(jobId, options = {}) {
   );
 }
 
+/**
+ * Queue one shared nightly pass for several ScanJobs (services/sharedScanPass.js),
+ * keyed by the local day it was queued on so a restart cannot queue the night twice.
+ *
+ * A single attempt: the pass never fails as a whole. A member that fails is paused
+ * with its checkpoint like any failed run, and recovered on its own by sweepStuckJobs.
+ */
+async function enqueueScanPass(jobIds, now = new Date()) {
+  const queue = getScanQueue();
+  const day = [
+    now.getFullYear(),
+    String(now.getMonth() + 1).padStart(2, '0'),
+    String(now.getDate()).padStart(2, '0')
+  ].join('-');
+  const jobKey = `scan-pass:${day}`;
+
+  const existing = await findLiveQueueJob(queue, jobKey);
+  if (existing) return existing;
+
+  logger.info('queue: enqueued shared scan pass', { key: jobKey, jobs: jobIds.length });
+  return queue.add(
+    'scan-pass',
+    { jobIds },
+    { jobId: jobKey, attempts: 1 }
+  );
+}
+
+/**
+ * Queue a historical catch-up (services/catchUpScan.js). A single attempt: the run
+ * records its own failure on the ScanCatchUp, and a retry could send the digest twice.
+ */
+async function enqueueCatchUpScan(catchUpId) {
+  const queue = getScanQueue();
+  const jobKey = `catch-up:${catchUpId}`;
+
+  const existing = await findLiveQueueJob(queue, jobKey);
+  if (existing) return existing;
+
+  logger.info('queue: enqueued catch-up', { key: jobKey });
+  return queue.add(
+    'scan-catchup',
+    { catchUpId },
+    { jobId: jobKey, attempts: 1 }
+  );
+}
+
 module.exports = {
   getScanQueue,
   enqueueScanJob,
+  enqueueScanPass,
+  enqueueCatchUpScan,
+  getRedisConfig,
   buildJobKey,
   STALE_QUEUE_JOB_MS
 };
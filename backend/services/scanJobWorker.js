@@ -3,6 +3,9 @@ const logger = require('../utils/logger');
 const runContext = require('../utils/runContext');
 const scanJobProcessor = require('./scanJobProcessor');
 const { getScanQueue } = require('./scanJobQueue');
+const { SharedScanPass } = require('./sharedScanPass');
+const catchUpScan = require('./catchUpScan');
+const { normalizeReportType } = require('./reportTypes');
 
 /**
  * One Bull job = one run. Everything below inherits this runId, including the several
@@ -19,8 +22,91 @@ async function runScanJob(job) {
   const startedAt = Date.now();
   logger.info('run start: scan job', { target: targetDate || 'auto' });
 
+  const scanJob = await startRun(jobId);
+
+  try {
+    await scanJobProcessor.processJob(scanJob, targetDate || null);
+    await finishRun(scanJob, startedAt);
+  } catch (error) {
+    await failRun(scanJob, error);
+    throw error;   // let Bull run its remaining attempts
+  }
+}
+
+/**
+ * One Bull job for every ScanJob due tonight (scanJobProcessor.enqueueNightlyScans):
+ * each member runs processJob in its own log context, reading the documents from one
+ * shared pass. A member's failure pauses that member only, as a failed run would, and
+ * never fails the pass - sweepStuckJobs recovers it on its own.
+ */
+function processScanPass(job) {
+  const runId = runContext.newRunId('PASS');
+  return runContext.runWith({ runId }, () => runScanPass(job));
+}
+
+async function runScanPass(job) {
+  const { jobIds } = job.data;
+  const startedAt = Date.now();
+  logger.info('run start: shared scan pass', { jobs: jobIds.length });
+
+  const members = [];
+  for (const jobId of jobIds) {
+    try {
+      members.push(await startRun(jobId));
+    } catch (error) {
+      logger.error('scan pass: member could not start', { job: jobId, err: error.message });
+    }
+  }
+
+  const pass = new SharedScanPass(members.map(member => member.jobId));
+  // Each member judges its own type with the single-type prompt, sharing only the
+  // download and extraction; SCAN_DETECTION_MODE=multi asks once for all of them
+  const coveredTypes = process.env.SCAN_DETECTION_MODE === 'multi'
+    ? [...new Set(members.map(member => normalizeReportType(member.documentType)))].sort()
+    : null;
+
+  const outcomes = await Promise.all(members.map(scanJob =>
+    runContext.runWith({ job: scanJob.jobId }, async () => {
+      try {
+        await scanJobProcessor.processJob(scanJob, null, {
+          stream: pass.streamFor(scanJob.jobId),
+          coveredTypes,
+          baselineCache: pass.baselineCache
+        });
+        await finishRun(scanJob, startedAt);
+        return true;
+      } catch (error) {
+        await failRun(scanJob, error).catch(saveError =>
+          logger.error('scan pass: could not record member failure', { err: saveError.message }));
+        return false;
+      } finally {
+        pass.leave(scanJob.jobId);
+      }
+    })
+  ));
+
+  const stats = await pass.done;
+  logger.info('run end: shared scan pass', {
+    jobs: members.length,
+    ok: outcomes.filter(Boolean).length,
+    documents: stats ? stats.totalMatched : 0,
+    sec: Math.round((Date.now() - startedAt) / 1000)
+  });
+}
+
+/**
+ * A historical catch-up for customers new to a job. It never touches the job's status
+ * or checkpoint, so it can run alongside the job's own nightly scan.
+ */
+function processCatchUp(job) {
+  const runId = runContext.newRunId('CATCHUP');
+  return runContext.runWith({ runId, catchUp: job.data.catchUpId }, () => catchUpScan.run(job.data.catchUpId));
+}
+
+/** Load a ScanJob and mark it RUNNING, resuming if it has a checkpoint. */
+async function startRun(jobId) {
   const scanJob = await ScanJob.findOne({ jobId })
-    .populate('customers.customerId', 'email company name projectId filters');
+    .populate('customers.customerId', 'email company name projectId filters minMatchConfidence');
 
   if (!scanJob) {
     throw new Error(`Scan job not found: ${jobId}`);
@@ -30,41 +116,42 @@ async function runScanJob(job) {
   scanJob.checkpoint = scanJob.checkpoint || {};
   scanJob.checkpoint.isResuming = !!scanJob.checkpoint.processedCount;
   await scanJob.save();
+  return scanJob;
+}
 
-  try {
-    await scanJobProcessor.processJob(scanJob, targetDate || null);
-    scanJob.status = 'ACTIVE';
-    scanJob.checkpoint.isResuming = false;
-
-    // A success clears the failure history, so an occasional transient error never
-    // accumulates toward the auto-recovery cap.
-    scanJob.recovery = scanJob.recovery || {};
-    scanJob.recovery.consecutiveFailures = 0;
-    scanJob.recovery.needsAttention = false;
-    scanJob.recovery.pausedAt = null;
-
-    await scanJob.save();
-    logger.info('run end: scan job ok', {
-      processed: scanJob.checkpoint.processedCount || 0,
-      matched: scanJob.checkpoint.matchesFound || 0,
-      sec: Math.round((Date.now() - startedAt) / 1000)
-    });
-  } catch (error) {
-    logger.error('run end: scan job FAILED', error);
-    scanJob.status = 'PAUSED';
-    scanJob.checkpoint.isResuming = true;
-
-    // Recorded so sweepStuckJobs can tell a first failure (retry it) from a job that
-    // has been failing all week (alert instead of looping).
-    scanJob.recovery = scanJob.recovery || {};
-    scanJob.recovery.consecutiveFailures = (scanJob.recovery.consecutiveFailures || 0) + 1;
-    scanJob.recovery.lastFailureAt = new Date();
-    scanJob.recovery.lastFailureReason = String(error && error.message ? error.message : error).slice(0, 500);
-    scanJob.recovery.pausedAt = new Date();
-
-    await scanJob.save();
-    throw error;   // let Bull run its remaining attempts
-  }
+async function finishRun(scanJob, startedAt) {
+  scanJob.status = 'ACTIVE';
+  scanJob.checkpoint.isResuming = false;
+
+  // A success clears the failure history, so an occasional transient error never
+  // accumulates toward the auto-recovery cap.
+  scanJob.recovery = scanJob.recovery || {};
+  scanJob.recovery.consecutiveFailures = 0;
+  scanJob.recovery.needsAttention = false;
+  scanJob.recovery.pausedAt = null;
+
+  await scanJob.save();
+  logger.info('run end: scan job ok', {
+    processed: scanJob.checkpoint.processedCount || 0,
+    matched: scanJob.checkpoint.matchesFound || 0,
+    sec: Math.round((Date.now() - startedAt) / 1000)
+  });
+}
+
+async function failRun(scanJob, error) {
+  logger.error('run end: scan job FAILED', error);
+  scanJob.status = 'PAUSED';
+  scanJob.checkpoint.isResuming = true;
+
+  // Recorded so sweepStuckJobs can tell a first failure (retry it) from a job that
+  // has been failing all week (alert instead of looping).
+  scanJob.recovery = scanJob.recovery || {};
+  scanJob.recovery.consecutiveFailures = (scanJob.recovery.consecutiveFailures || 0) + 1;
+  scanJob.recovery.lastFailureAt = new Date();
+  scanJob.recovery.lastFailureReason = String(error && error.message ? error.message : error).slice(0, 500);
+  scanJob.recovery.pausedAt = new Date();
+
+  await scanJob.save();
 }
 
 async function startScanWorker() {
@@ -72,6 +159,8 @@ async function startScanWorker() {
   const concurrency = parseInt(process.env.SCAN_WORKER_CONCURRENCY || '1', 10);
 
   queue.process('scan-job', concurrency, processScanJob);
+  queue.process('scan-pass', 1, processScanPass);
+  queue.process('scan-catchup', 1, processCatchUp);
 
   // Bull emits these outside the run's async context, so they carry no runId and cannot
   // be filtered with the rest of a run. waiting/active/progress/completed all restate
@@ -97,5 +186,6 @@ async function startScanWorker() {
 }
 
 module.exports = {
-  startScanWorker
+  startScanWorker,
+  runScanPass
 };
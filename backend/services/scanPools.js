@@ -0,0 +1,153 @@
+/**
+ * Concurrency pools for the scan pipeline.
+ *
+ * processJob used to judge one document at a time, so a night's run time was the sum of
+ * every download, extraction and model call in it. It now keeps up to
+ * SCAN_DOCUMENT_CONCURRENCY documents in flight, and each stage they go through has its
+ * own pool so the stages are limited separately:
+ *
+ *   download    S3 HEAD and GET of the document            SCAN_DOWNLOAD_CONCURRENCY   (4)
+ *   extraction  text extraction, in or out of the sandbox  SCAN_EXTRACTION_CONCURRENCY (EXTRACTION_WORKERS, 1)
+ *   ai          every model call made while judging it     SCAN_AI_CONCURRENCY         (4)
+ *
+ * The pools belong to the process, not to a job, so jobs scanning side by side (a
+ * shared nightly pass, SCAN_WORKER_CONCURRENCY above 1) share the limits rather than
+ * multiplying them. Limits are read from the environment when a task is queued.
+ *
+ * A document's processing timeout (processDocument) is a withWorkTimeout: its clock
+ * stops while the document waits for a slot in any pool. Otherwise, with many documents
+ * in flight - several jobs in a shared pass above all - a document could spend its
+ * whole timeout queued and come back as 'processing-timeout' before any work started.
+ */
+
+const { AsyncLocalStorage } = require('node:async_hooks');
+const logger = require('../utils/logger');
+
+// The WorkClock of the document a pool task is queued for
+const clocks = new AsyncLocalStorage();
+
+/**
+ * A timer that stops counting while its document is waiting for a pool slot. Waits can
+ * overlap (parallel model calls), so it runs again only when the last one ends.
+ */
+class WorkClock {
+  constructor(ms, onExpire) {
+    this.remainingMs = ms;
+    this.onExpire = onExpire;
+    this.waits = 0;
+    this.stopped = false;
+    this.start();
+  }
+
+  start() {
+    this.startedAt = Date.now();
+    this.timer = setTimeout(() => {
+      this.stopped = true;
+      this.onExpire();
+    }, Math.max(0, this.remainingMs));
+  }
+
+  pause() {
+    if (this.stopped || this.waits++ > 0) return;
+    clearTimeout(this.timer);
+    this.remainingMs -= Date.now() - this.startedAt;
+  }
+
+  resume() {
+    if (this.stopped || --this.waits > 0) return;
+    this.start();
+  }
+
+  stop() {
+    this.stopped = true;
+    clearTimeout(this.timer);
+  }
+}
+
+/**
+ * fn(), rejected with timeoutError() once it has spent ms working - time its pool tasks
+ * spend queued for a slot not counted. fn itself is not stopped.
+ * @param {number} ms
+ * @param {Function} fn
+ * @param {Function} timeoutError - () => Error
+ */
+function withWorkTimeout(ms, fn, timeoutError) {
+  return new Promise((resolve, reject) => {
+    const clock = new WorkClock(ms, () => reject(timeoutError()));
+    clocks.run(clock, () => Promise.resolve().then(fn))
+      .then(resolve, reject)
+      .finally(() => clock.stop());
+  });
+}
+
+function limitFromEnv(name, fallback) {
+  const limit = parseInt(process.env[name] || '', 10);
+  return limit > 0 ? limit : fallback;
+}
+
+/**
+ * A FIFO pool: run(fn) starts fn once fewer than size() tasks of this pool are running,
+ * and resolves or rejects as fn does.
+ */
+function createPool(name, size) {
+  let active = 0;
+  const queue = [];
+
+  const next = () => {
+    while (active < size() && queue.length > 0) {
+      const { fn, resolve, reject, waitingClock } = queue.shift();
+      active++;
+      if (waitingClock) waitingClock.resume();
+      Promise.resolve()
+        .then(fn)
+        .then(resolve, reject)
+        .finally(() => {
+          active--;
+          next();
+        });
+    }
+  };
+
+  const run = fn => new Promise((resolve, reject) => {
+    let waitingClock = null;
+    if (active >= size()) {
+      // The document's timeout stands still until this task gets its slot
+      waitingClock = clocks.getStore() || null;
+      if (waitingClock) waitingClock.pause();
+      logger.debug('scan pool: waiting for a slot', { pool: name, active, queued: queue.length + 1 });
+    }
+    queue.push({ fn, resolve, reject, waitingClock });
+    next();
+  });
+  run.stats = () => ({ size: size(), active, queued: queue.length });
+  return run;
+}
+
+const download = createPool('download', () => limitFromEnv('SCAN_DOWNLOAD_CONCURRENCY', 4));
+const extraction = createPool('extraction', () =>
+  limitFromEnv('SCAN_EXTRACTION_CONCURRENCY', limitFromEnv('EXTRACTION_WORKERS', 1)));
+const ai = createPool('ai', () => limitFromEnv('SCAN_AI_CONCURRENCY', 4));
+
+/** Documents a scan job keeps in flight at once. */
+function documentConcurrency() {
+  return limitFromEnv('SCAN_DOCUMENT_CONCURRENCY', 4);
+}
+
+function getStats() {
+  return {
+    documents: documentConcurrency(),
+    download: download.stats(),
+    extraction: extraction.stats(),
+    ai: ai.stats()
+  };
+}
+
+module.exports = {
+  download,
+  extraction,
+  ai,
+  documentConcurrency,
+  createPool,
+  withWorkTimeout,
+  getStats
+};
@@ -0,0 +1,157 @@
+/**
+ * Shadow ScanJobs (ScanJob.shadow): a job that runs the whole pipeline - detection,
+ * project vetoes, metadata partitioning, customer filters and thresholds - but sends
+ * nothing.
+ *
+ * Its delivery runs stop at scanJobProcessor.sendMatchEmails, which returns what each
+ * customer would have been emailed instead of emailing it; recordDelivery stores that
+ * as a ShadowDelivery. Its vetoes go to shadow_project_report_vetoes, so a shadow job
+ * never suppresses a live job's leads; it records no calibration outcomes, queues no
+ * reviews, and takes no part in near-duplicate clustering, so no live job reuses one
+ * of its verdicts. Nor does it write the project record (application form fields) or
+ * the stored document classifications. compare() then sets what the shadow job would have sent against
+ * what the live jobs of the same report type actually sent over the same days, which
+ * is how a new prompt, detector or filter is trialled before it reaches a customer.
+ */
+
+const ScanJob = require('../models/ScanJob');
+const FIReport = require('../models/FIReport');
+const ShadowDelivery = require('../models/ShadowDelivery');
+const logger = require('../utils/logger');
+const { normalizeReportType } = require('./reportTypes');
+
+// Project ids listed per side of a comparison; the counts are always complete
+const EXAMPLE_LIMIT = 50;
+
+class ShadowJobService {
+  /**
+   * Project-level differences between what a shadow job would have sent and what the live
+   * jobs sent.
+   * @param {Array} deliveries - ShadowDelivery documents
+   * @param {Array} reports - the live jobs' sent FIReports (customerEmail, projectsFound)
+   */
+  compareDeliveries(deliveries, reports) {
+    const shadowByEmail = new Map();
+    const liveByEmail = new Map();
+    const add = (byEmail, email, projectId) => {
+      const key = String(email || '').toLowerCase();
+      if (!byEmail.has(key)) byEmail.set(key, new Set());
+      byEmail.get(key).add(String(projectId));
+    };
+
+    let wouldEmail = 0;
+    let heldForReview = 0;
+    let heldForMetadata = 0;
+    const vetoed = new Set();
+    for (const delivery of deliveries) {
+      heldForMetadata += delivery.heldForMetadata || 0;
+      (delivery.vetoedProjects || []).forEach(projectId => vetoed.add(String(projectId)));
+      for (const customer of delivery.customers || []) {
+        wouldEmail++;
+        heldForReview += customer.heldForReview || 0;
+        (customer.projects || []).forEach(project => add(shadowByEmail, customer.email, project.projectId));
+      }
+    }
+    for (const report of reports) {
+      (report.projectsFound || []).forEach(project => add(liveByEmail, report.customerEmail, project.projectId));
+    }
+
+    const split = (shadow, live) => {
+      const inBoth = [...shadow].filter(projectId => live.has(projectId));
+      const onlyShadow = [...shadow].filter(projectId => !live.has(projectId));
+      const onlyLive = [...live].filter(projectId => !shadow.has(projectId));
+      return { shadow: shadow.size, live: live.size, inBoth: inBoth.length, onlyShadow, onlyLive };
+    };
+    const union = byEmail => new Set([...byEmail.values()].flatMap(projects => [...projects]));
+
+    const projects = split(union(shadowByEmail), union(liveByEmail));
+    const customers = [...new Set([...shadowByEmail.keys(), ...liveByEmail.keys()])].sort().map(email => {
+      const { onlyShadow, onlyLive, ...counts } = split(shadowByEmail.get(email) || new Set(), liveByEmail.get(email) || new Set());
+      return { email, ...counts, onlyShadow: onlyShadow.length, onlyLive: onlyLive.length };
+    });
+
+    return {
+      projects: {
+        ...projects,
+        onlyShadow: projects.onlyShadow.length,
+        onlyLive: projects.onlyLive.length,
+        examples: {
+          onlyShadow: projects.onlyShadow.slice(0, EXAMPLE_LIMIT),
+          onlyLive: projects.onlyLive.slice(0, EXAMPLE_LIMIT)
+        }
+      },
+      emails: { shadow: wouldEmail, live: reports.length },
+      shadowOnly: { vetoedProjects: vetoed.size, heldForMetadata, heldForReview },
+      customers
+    };
+  }
+
+  /**
+   * Store what one delivery run of a shadow job would have sent. Never throws: a lost
+   * record costs one night of comparison, not the run.
+   * @param {Object} job - the shadow ScanJob
+   * @param {Object} delivery - from scanJobProcessor.deliverResultsForJob
+   */
+  async recordDelivery(job, { windowStart, windowEnd, deliverable = [], held = [], vetoedProjects = [], customers = [] }) {
+    try {
+      return await ShadowDelivery.create({
+        jobId: job.jobId,
+        reportType: normalizeReportType(job.documentType),
+        windowStart,
+        windowEnd,
+        matches: deliverable.map(m => ({
+          projectId: m.projectId,
+          fileName: m.fileName,
+          confidence: m.confidence,
+          detectorVersion: m.detectorVersion
+        })),
+        vetoedProjects: [...vetoedProjects].map(String),
+        heldForMetadata: held.length,
+        customers: customers.map(customer => ({ ...customer, customerId: String(customer.customerId) }))
+      });
+    } catch (error) {
+      logger.error('shadow: could not record delivery', { job: job.jobId, err: error.message });
+      return null;
+    }
+  }
+
+  /**
+   * What a shadow job would have sent against what the live jobs of its report type sent.
+   * Catch-up digests are left out: a shadow job has none.
+   * @param {Object} shadowJob
+   * @param {Object} options
+   * @param {Date} options.from
+   * @param {Date} options.to
+   * @param {string} [options.liveJobId] - compare with this job only
+   */
+  async compare(shadowJob, { from, to, liveJobId = null }) {
+    const reportType = normalizeReportType(shadowJob.documentType);
+    const candidates = await ScanJob.find({
+      shadow: { $ne: true },
+      ...(liveJobId ? { jobId: liveJobId } : {})
+    }).select('jobId name documentType status').lean();
+    const liveJobs = candidates.filter(job => normalizeReportType(job.documentType) === reportType);
+
+    const [deliveries, reports] = await Promise.all([
+      ShadowDelivery.find({ jobId: shadowJob.jobId, deliveredAt: { $gte: from, $lte: to } }).lean(),
+      liveJobs.length === 0 ? [] : FIReport.find({
+        'searchCriteria.customFilters.jobId': { $in: liveJobs.map(job => job.jobId) },
+        'searchCriteria.customFilters.catchUpId': { $exists: false },
+        status: { $in: ['SENT', 'RESENT'] },
+        generatedAt: { $gte: from, $lte: to }
+      }).select('customerEmail projectsFound.projectId generatedAt').lean()
+    ]);
+
+    return {
+      jobId: shadowJob.jobId,
+      reportType,
+      from,
+      to,
+      liveJobs: liveJobs.map(({ jobId, name, status }) => ({ jobId, name, status })),
+      deliveryRuns: deliveries.length,
+      ...this.compareDeliveries(deliveries, reports)
+    };
+  }
+}
+
+module.exports = new ShadowJobService();
@@ -0,0 +1,129 @@
+/**
+ * One nightly pass over the day's documents, shared by every ScanJob that is due.
+ *
+ * Every due job used to be its own Bull job that listed, downloaded and extracted the
+ * same night's documents independently - five jobs, five passes over identical files,
+ * differing only in documentType and the customers the matches go to. A pass streams
+ * the documents once and hands each one to every member job in turn.
+ *
+ * Each member is still a full scanJobProcessor.processJob: it counts its range, keeps
+ * its own checkpoint, checks for CANCELLING as it goes, skips past its resume
+ * point, and writes its own ScanJobDailyResult and deliveries. The pass only replaces
+ * the stream processJob reads from (options.stream). The first member to reach a
+ * document downloads and extracts it and the rest take the text from extractedTextStore,
+ * but each judges the document for its own type with the single-type prompt, exactly
+ * as when it ran alone. Only with SCAN_DETECTION_MODE=multi is it told to judge every
+ * member's type at once (options.coveredTypes), the rest then taking their verdicts
+ * from the shared verdict store. Baseline checks are shared too.
+ *
+ * The stream starts once every member has either asked for it or finished without it
+ * (no customers, a failure during setup). A member whose handler throws - cancelled,
+ * paused on memory, a document error - leaves the pass with that error, exactly as its
+ * own stream would have failed it, and the others carry on. A member asking for a
+ * different range (resuming from an older checkpoint) streams alone.
+ */
+
+const fastS3Scanner = require('./fastS3Scanner');
+const logger = require('../utils/logger');
+const runContext = require('../utils/runContext');
+
+// Thrown into the stream to stop it once every member has left
+const PASS_EMPTY = 'SCAN_PASS_EMPTY';
+
+function sameTime(a, b) {
+  return (a ? new Date(a).getTime() : null) === (b ? new Date(b).getTime() : null);
+}
+
+class SharedScanPass {
+  /**
+   * @param {string[]} jobIds - the ScanJobs taking part
+   */
+  constructor(jobIds) {
+    this.waiting = new Set(jobIds);
+    this.members = new Map();
+    this.range = null;
+    this.started = false;
+    // projectId -> baselined, shared by the members' processJob calls
+    this.baselineCache = new Map();
+    this.done = new Promise(resolve => { this.finish = resolve; });
+  }
+
+  /**
+   * A drop-in for fastS3Scanner.streamDocumentsSince that joins the pass. Resolves with
+   * the pass's stream stats once every document has been handed to this member, or
+   * rejects with the error its handler threw.
+   */
+  streamFor(jobId) {
+    return (sinceDate, endDate, onDocument, options = {}) => {
+      const joinable = !this.started && this.waiting.has(jobId) &&
+        (!this.range || (sameTime(this.range.sinceDate, sinceDate) && sameTime(this.range.endDate, endDate)));
+      if (!joinable) {
+        logger.info('scan pass: member streams alone', { job: jobId });
+        this.leave(jobId);
+        return fastS3Scanner.streamDocumentsSince(sinceDate, endDate, onDocument, options);
+      }
+
+      this.range = this.range || { sinceDate, endDate };
+      return new Promise((resolve, reject) => {
+        // The handler runs inside this member's log context, not the stream's
+        this.members.set(jobId, { onDocument, resolve, reject, context: runContext.getContext() });
+        this.waiting.delete(jobId);
+        this.startWhenReady();
+      });
+    };
+  }
+
+  /** The member is done with the pass, whether or not it ever streamed. */
+  leave(jobId) {
+    this.waiting.delete(jobId);
+    this.startWhenReady();
+  }
+
+  startWhenReady() {
+    if (this.started || this.waiting.size > 0) return;
+    this.started = true;
+    if (this.members.size === 0) {
+      this.finish(null);
+      return;
+    }
+    this.run().then(this.finish);
+  }
+
+  async run() {
+    const { sinceDate, endDate } = this.range;
+    logger.info('scan pass: streaming', { members: [...this.members.keys()].join(',') });
+
+    let stats;
+    try {
+      stats = await fastS3Scanner.streamDocumentsSince(sinceDate, endDate, async (document) => {
+        for (const [jobId, member] of this.members) {
+          try {
+            // A copy each: processJob releases the document's buffer when it is done
+            await runContext.runWith(member.context, () => member.onDocument({ ...document }));
+          } catch (error) {
+            logger.warn('scan pass: member left', { job: jobId, err: error.message });
+            this.members.delete(jobId);
+            member.reject(error);
+          }
+        }
+        if (this.members.size === 0) throw new Error(PASS_EMPTY);
+      }, { maxObjects: null, timeoutSeconds: null });
+    } catch (error) {
+      if (error.message !== PASS_EMPTY) {
+        logger.error('scan pass: stream failed', { err: error.message });
+        for (const member of this.members.values()) member.reject(error);
+      }
+      this.members.clear();
+      return null;
+    }
+
+    logger.info('scan pass: complete', { documents: stats.totalMatched, members: this.members.size });
+    for (const member of this.members.values()) member.resolve(stats);
+    this.members.clear();
+    return stats;
+  }
+}
+
+module.exports = {
+  SharedScanPass
+};
@@ -0,0 +1,419 @@
+/**
+ * One text-extraction pipeline for every document format the scans read.
+ *
+ * Extraction used to be split three ways: optimizedPdfExtractor (pdfjs page by page,
+ * plus mammoth for .docx), streamingDocumentProcessor (a second pdfjs path for large
+ * files, which silently parsed only the first 5MB), and fiDetectionService.extractPdfText
+ * (pdf-parse, with ocrmypdf in front). Each returned a different shape, applied a
+ * different size cap and handled OCR its own way, and anything that was not a PDF or a
+ * .docx was skipped outright.
+ *
+ * Formats are now plugins (services/extractors/*.js), each answering with page texts
+ * and diagnostics; this service turns those into one result:
+ *
+ *   {
+ *     success, format, error,
+ *     outcome: 'extracted' | 'failed' | 'unresolved',   failed: the document could not
+ *                                  be read; unresolved: it was never finished - the
+ *                                  extraction sandbox stopped it at a resource limit or
+ *                                  the extractor crashed (services/extractionSandbox.js)
+ *     text,                        pages joined by PAGE_SEPARATOR, capped at maxChars
+ *     pages: [{ page, text, start, end, source, language }],   offsets into `text`;
+ *                                  source 'native' or 'ocr'; language 'en', 'ga',
+ *                                  'mixed' or 'unknown' (services/documentLanguage.js)
+ *     diagnostics: { method, pageCount, pagesExtracted, failedPages, paginated,
+ *                    ocrPages, charCount, truncated, warnings, bytes, durationMs,
+ *                    language (the document's), languages (pages per language),
+ *                    layout (PDF first page: width, height, textItems), ... },
+ *     tables: [{ page, rows: [{ cells, start, end }] }],   rows of aligned cells,
+ *                                  offsets into that page's text (PDF text layers only)
+ *     formFields: [{ name, type, value }]   filled AcroForm fields (PDF)
+ *   }
+ *
+ * Formats without real pages (DOCX, HTML, email) come back as one page with
+ * `paginated: false`; DOC and RTF split on their explicit page breaks.
+ *
+ * A plugin is { format, extensions, method, extract(buffer, context) } returning
+ * { pages, diagnostics, tables?, formFields? }, each page a string or { text, source }. context
+ * carries fileName, maxChars, a lazily written temp file (getFilePath) for tools that
+ * need one, extractNested() for attachments, and the deadline (epoch ms, or null) by
+ * which slow steps such as OCR must stop. register() adds a plugin.
+ */
+
+const fs = require('fs');
+const fsp = fs.promises;
+const path = require('path');
+const logger = require('../utils/logger');
+const { detectLanguage, documentLanguage } = require('./documentLanguage');
+
+const DEFAULT_MAX_CHARS = 32000;
+// Bump when any plugin's output changes, so texts kept by services/extractedTextStore.js
+// are extracted again rather than served from the old extractor.
+const EXTRACTION_VERSION = 5;
+// Pages were always joined with a single newline; keeping it keeps the text - and so
+// the document hash the detection cache and recordings key on - unchanged for PDFs.
+const PAGE_SEPARATOR = '\n';
+const MAX_NESTING = 1;
+// Forced GC every N documents when node runs with --expose-gc; pdfjs in particular
+// leaves a lot behind for the collector on long scans.
+const GC_INTERVAL = parseInt(process.env.EXTRACT_GC_INTERVAL || '5', 10);
+
+const TEMP_DIR = path.join(__dirname, '..', 'temp');
+
+/**
+ * Assemble the common result from a plugin's page texts.
+ * @param {string} format
+ * @param {Array<string|{text, source}>} pageTexts - one entry per page, '' for a page
+ *   with no text; plain strings are native text
+ * @param {Object} [options]
+ * @param {number} [options.maxChars]
+ * @param {Object} [options.diagnostics] - plugin diagnostics, merged in
+ * @param {Array} [options.tables] - plugin tables; rows past the kept text are dropped
+ * @param {Array} [options.formFields]
+ */
+function buildResult(format, pageTexts, { maxChars = DEFAULT_MAX_CHARS, diagnostics = {}, tables = [], formFields = [] } = {}) {
+  const pages = [];
+  let text = '';
+  let truncated = false;
+
+  for (let i = 0; i < pageTexts.length; i++) {
+    const entry = pageTexts[i];
+    const pageText = (typeof entry === 'string' ? entry : entry?.text || '').trim();
+    const source = entry?.source || 'native';
+    if (!pageText) continue;
+
+    const start = text.length === 0 ? 0 : text.length + PAGE_SEPARATOR.length;
+    if (start >= maxChars) {
+      truncated = true;
+      break;
+    }
+    const kept = pageText.slice(0, maxChars - start);
+    text = text.length === 0 ? kept : `${text}${PAGE_SEPARATOR}${kept}`;
+    pages.push({ page: i + 1, text: kept, start, end: start + kept.length, source, language: detectLanguage(kept).language });
+    if (kept.length < pageText.length) {
+      truncated = true;
+      break;
+    }
+  }
+
+  const kept = new Map(pages.map(p => [p.page, p.text.length]));
+  const keptTables = tables
+    .filter(table => kept.has(table.page))
+    .map(table => ({ ...table, rows: table.rows.filter(row => row.end <= kept.get(table.page)) }))
+    .filter(table => table.rows.length > 0);
+
+  return {
+    success: true,
+    outcome: 'extracted',
+    format,
+    text,
+    pages,
+    tables: keptTables,
+    formFields,
+    diagnostics: {
+      pageCount: pageTexts.length,
+      pagesExtracted: pages.length,
+      failedPages: [],
+      paginated: pageTexts.length > 1,
+      warnings: [],
+      ...diagnostics,
+      ocrPages: pages.filter(p => p.source === 'ocr').map(p => p.page),
+      language: documentLanguage(pages),
+      languages: pages.reduce((counts, p) => ({ ...counts, [p.language]: (counts[p.language] || 0) + 1 }), {}),
+      charCount: text.length,
+      truncated: truncated || Boolean(diagnostics.truncated)
+    }
+  };
+}
+
+function failedResult(format, error, diagnostics = {}) {
+  return {
+    success: false,
+    outcome: 'failed',
+    format,
+    text: '',
+    pages: [],
+    tables: [],
+    formFields: [],
+    error,
+    diagnostics: { warnings: [], ...diagnostics, charCount: 0, truncated: false }
+  };
+}
+
+/**
+ * A document whose extraction never finished.
+ * @param {string|null} format
+ * @param {string} reason - 'timeout', 'cpu-limit', 'memory-limit' or 'crashed'
+ * @param {Object} [details] - what was measured: limit, used, exitCode, signal
+ */
+function unresolvedResult(format, reason, details = {}) {
+  return {
+    ...failedResult(format, `Extraction ${reason === 'crashed' ? 'crashed' : `stopped: ${reason}`}`, { method: 'sandbox' }),
+    outcome: 'unresolved',
+    unresolved: { reason, ...details }
+  };
+}
+
+/**
+ * A result cut down to a smaller maxChars, as if it had been extracted with it.
+ * Results already within the budget come back unchanged.
+ */
+function narrowResult(result, maxChars) {
+  if (!result.success || result.text.length <= maxChars) return result;
+  const pageTexts = [];
+  for (const page of result.pages) pageTexts[page.page - 1] = { text: page.text, source: page.source };
+  const narrowed = buildResult(result.format, Array.from(pageTexts, entry => entry || ''), {
+    maxChars,
+    diagnostics: { ...result.diagnostics, truncated: true },
+    tables: result.tables,
+    formFields: result.formFields
+  });
+  return {
+    ...result,
+    text: narrowed.text,
+    pages: narrowed.pages,
+    tables: narrowed.tables,
+    diagnostics: narrowed.diagnostics
+  };
+}
+
+/** The page an offset into `result.text` falls on, or null. */
+function pageAt(result, offset) {
+  const hit = (result?.pages || []).find(p => offset >= p.start && offset <= p.end);
+  return hit ? hit.page : null;
+}
+
+const squash = text => String(text || '').toLowerCase().replace(/\s+/g, ' ').trim();
+
+/**
+ * squash() that remembers, for every character it keeps, the offset it came from in
+ * the original text - so a match in the squashed text maps back to exact offsets.
+ */
+function squashWithOffsets(text) {
+  let squashed = '';
+  const offsets = [];
+  const source = String(text || '');
+  for (let i = 0; i < source.length; i++) {
+    if (/\s/.test(source[i])) {
+      if (squashed && !squashed.endsWith(' ')) {
+        squashed += ' ';
+        offsets.push(i);
+      }
+      continue;
+    }
+    for (const ch of source[i].toLowerCase()) {
+      squashed += ch;
+      offsets.push(i);
+    }
+  }
+  if (squashed.endsWith(' ')) {
+    squashed = squashed.slice(0, -1);
+    offsets.pop();
+  }
+  return { squashed, offsets };
+}
+
+/**
+ * The table row a passage of a page sits in - the row it overlaps most - as
+ * { table, row, cells }, both numbers 1-based (table in document order). Null outside
+ * every table.
+ */
+function tableRowAt(result, page, start, end) {
+  let best = null;
+  (result?.tables || []).forEach((table, t) => {
+    if (table.page !== page) return;
+    table.rows.forEach((row, r) => {
+      const overlap = Math.min(end, row.end) - Math.max(start, row.start);
+      if (overlap > 0 && (!best || overlap > best.overlap)) {
+        best = { overlap, table: t + 1, row: r + 1, cells: row.cells };
+      }
+    });
+  });
+  if (!best) return null;
+  const { overlap, ...tableRow } = best;
+  return tableRow;
+}
+
+/**
+ * Where a quote from the text came from: its page, whether that page was read natively
+ * or by OCR, and the quote's character offsets in that page's text (`pages[].text`).
+ * Quotes are the model's copy of the text, so whitespace and case are ignored, and a
+ * quote that does not match whole is looked up by its opening words - its end is then
+ * estimated from the quote's length. A quote inside a table also names its row
+ * (tableRow), so an item listed in a table is cited as that row. Null when it cannot be
+ * found.
+ * @returns {{ page: number, source: 'native'|'ocr', start: number, end: number,
+ *   tableRow?: { table: number, row: number, cells: string[] } } | null}
+ */
+function quoteSource(result, quote) {
+  const needle = squash(quote).replace(/^["'“‘]+|["'”’.…]+$/g, '');
+  if (needle.length < 10) return null;
+  const probes = [needle, needle.slice(0, 60)];
+
+  for (const page of result?.pages || []) {
+    const { squashed, offsets } = squashWithOffsets(page.text);
+    for (const probe of probes) {
+      const at = squashed.indexOf(probe);
+      if (at === -1) continue;
+      const matchedEnd = offsets[at + probe.length - 1] + 1;
+      const start = offsets[at];
+      const end = Math.min(page.text.length, matchedEnd + needle.length - probe.length);
+      const tableRow = tableRowAt(result, page.page, start, end);
+      return {
+        page: page.page,
+        source: page.source || 'native',
+        start,
+        end,
+        ...(tableRow && { tableRow })
+      };
+    }
+  }
+  return null;
+}
+
+class TextExtractionService {
+  constructor() {
+    this.plugins = new Map();
+    this.byExtension = new Map();
+    this.processedDocuments = 0;
+  }
+
+  register(plugin) {
+    this.plugins.set(plugin.format, plugin);
+    for (const ext of plugin.extensions) this.byExtension.set(ext, plugin);
+    return this;
+  }
+
+  /** Plugin for a file name, by extension; null when no plugin reads it. */
+  pluginFor(fileName) {
+    const ext = path.extname(String(fileName || '')).toLowerCase();
+    return this.byExtension.get(ext) || null;
+  }
+
+  formatFor(fileName) {
+    return this.pluginFor(fileName)?.format || null;
+  }
+
+  /** Whether a scan should pick the file up at all. */
+  isSupported(fileName) {
+    return this.pluginFor(fileName) !== null;
+  }
+
+  supportedExtensions() {
+    return [...this.byExtension.keys()];
+  }
+
+  /**
+   * Extract a document held in memory or on disk.
+   * @param {Object} input
+   * @param {string} input.fileName - decides the plugin
+   * @param {Buffer} [input.buffer]
+   * @param {string} [input.filePath] - read when no buffer is given; reused for OCR
+   * @param {number} [input.maxChars=32000]
+   * @param {number} [input.depth=0] - attachment nesting, for email
+   * @param {number} [input.deadline] - epoch ms; OCR stops there and keeps what it read
+   * @returns {Promise<Object>} the page-annotated result; never throws
+   */
+  async extract({ fileName, buffer, filePath, maxChars = DEFAULT_MAX_CHARS, depth = 0, deadline = null }) {
+    const started = Date.now();
+    const plugin = this.pluginFor(fileName || filePath);
+    if (!plugin) {
+      return failedResult(null, `Unsupported document format: ${path.extname(String(fileName || filePath || '')) || 'none'}`, {
+        method: 'none'
+      });
+    }
+
+    let tempPath = null;
+    const context = {
+      fileName: fileName || path.basename(filePath || ''),
+      maxChars,
+      deadline,
+      // Some tools (pdftoppm, tesseract) only read files. Written on first request.
+      getFilePath: async () => {
+        if (filePath) return filePath;
+        if (!tempPath) {
+          await fsp.mkdir(TEMP_DIR, { recursive: true });
+          tempPath = path.join(TEMP_DIR, `extract-${Date.now()}-${Math.random().toString(36).slice(2)}${path.extname(context.fileName)}`);
+          await fsp.writeFile(tempPath, buffer);
+        }
+        return tempPath;
+      },
+      extractNested: (nested) => depth >= MAX_NESTING
+        ? Promise.resolve(failedResult(null, 'Attachment nesting too deep'))
+        : this.extract({ ...nested, maxChars, depth: depth + 1, deadline })
+    };
+
+    try {
+      if (!buffer) buffer = await fsp.readFile(filePath);
+      // Yield before the heavy part, as every extractor here always has
+      await new Promise(resolve => setImmediate(resolve));
+
+      const { pages, diagnostics = {}, tables, formFields } = await plugin.extract(buffer, context);
+      const result = buildResult(plugin.format, pages, {
+        maxChars,
+        diagnostics: { method: plugin.method, ...diagnostics, bytes: buffer.length },
+        tables,
+        formFields
+      });
+      result.diagnostics.durationMs = Date.now() - started;
+
+      logger.debug('extract: done', {
+        format: plugin.format,
+        method: result.diagnostics.method,
+        pages: `${result.diagnostics.pagesExtracted}/${result.diagnostics.pageCount}`,
+        chars: result.diagnostics.charCount,
+        ocr: result.diagnostics.ocrPages.length || undefined,
+        tables: result.tables.length || undefined,
+        fields: result.formFields.length || undefined,
+        ms: result.diagnostics.durationMs
+      });
+      return result;
+    } catch (error) {
+      logger.warn('extract: failed', { format: plugin.format, err: error.message });
+      return failedResult(plugin.format, error.message, {
+        method: plugin.method,
+        bytes: buffer ? buffer.length : undefined,
+        durationMs: Date.now() - started
+      });
+    } finally {
+      buffer = null;
+      if (tempPath) await fsp.unlink(tempPath).catch(() => null);
+      this.collectGarbage();
+    }
+  }
+
+  collectGarbage() {
+    this.processedDocuments++;
+    if (global.gc && GC_INTERVAL > 0 && this.processedDocuments % GC_INTERVAL === 0) {
+      global.gc();
+      logger.debug(`🗑️ Forced GC after ${this.processedDocuments} documents`, {
+        rssMB: Math.round(process.memoryUsage().rss / 1048576)
+      });
+    }
+  }
+
+  /** extract() for a file on disk. */
+  async extractFile(filePath, options = {}) {
+    return this.extract({ ...options, fileName: options.fileName || path.basename(filePath), filePath });
+  }
+}
+
+const textExtractionService = new TextExtractionService()
+  .register(require('./extractors/pdf'))
+  .register(require('./extractors/docx'))
+  .register(require('./extractors/doc'))
+  .register(require('./extractors/rtf'))
+  .register(require('./extractors/email'))
+  .register(require('./extractors/html'));
+
+textExtractionService.buildResult = buildResult;
+textExtractionService.narrowResult = narrowResult;
+textExtractionService.unresolvedResult = unresolvedResult;
+textExtractionService.EXTRACTION_VERSION = EXTRACTION_VERSION;
+textExtractionService.pageAt = pageAt;
+textExtractionService.quoteSource = quoteSource;
+textExtractionService.tableRowAt = tableRowAt;
+textExtractionService.DEFAULT_MAX_CHARS = DEFAULT_MAX_CHARS;
+textExtractionService.PAGE_SEPARATOR = PAGE_SEPARATOR;
+
+module.exports = textExtractionService;
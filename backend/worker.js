@@ -24,6 +24,9 @@ mongoose.connect(MONGODB_URI)
   .then(async () => {
     logger.info('✅ Worker connected to MongoDB');
 
+    // Admin-defined report types, before the first scan validates or detects against them
+    await require('./services/reportTypeStore').startReportTypeSync();
+
     // Initialize disk cleanup service (runs every 30 minutes)
     await diskCleanupService.initialize();
 
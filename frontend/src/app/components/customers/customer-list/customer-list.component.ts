@@ -39,14 +39,7 @@ import { IconComponent } from '../../shared/icon/icon.component';
         </div>
         <select [(ngModel)]="selectedReportType" (change)="onFilterChange()" class="filter-select">
           <option value="">All Report Types</option>
-          <option value="acoustic">Acoustic</option>
-          <option value="transport">Transport</option>
-          <option value="ecological">Ecological</option>
-          <option value="flood">Flood</option>
-          <option value="heritage">Heritage</option>
-          <option value="arboricultural">Arboricultural</option>
-          <option value="waste">Waste</option>
-          <option value="lighting">Lighting</option>
+          <option *ngFor="let reportType of availableReportTypes" [value]="reportType.value">{{ reportType.label }}</option>
         </select>
         <select [(ngModel)]="selectedStatus" (change)="onFilterChange()" class="filter-select">
           <option value="">All Statuses</option>
@@ -2026,6 +2019,7 @@ export class CustomerListComponent implements OnInit {
   isUpdating = false;
   isCreatingCustomer = false;
   showAddCustomer = false;
+  // Replaced by the live taxonomy in loadReportTypes(); kept as the offline fallback
   availableReportTypes = [
     { value: 'acoustic', label: 'Acoustic' },
     { value: 'transport', label: 'Transport' },
@@ -2119,6 +2113,20 @@ export class CustomerListComponent implements OnInit {
   ngOnInit() {
     this.loadCustomers();
     this.loadDropdownData();
+    this.loadReportTypes();
+  }
+
+  loadReportTypes() {
+    this.customerService.getReportTypes().subscribe({
+      next: (types) => {
+        if (types.length > 0) {
+          this.availableReportTypes = types.map(type => ({ value: type.key, label: type.label }));
+        }
+      },
+      error: (error) => {
+        console.error('Error loading report types:', error);
+      }
+    });
   }
 
   loadDropdownData() {
@@ -51,6 +51,7 @@ interface DocumentType {
   value: string;
   label: string;
   icon: string;
+  aliases?: string[];
 }
 
 interface Customer {
@@ -558,13 +559,18 @@ export class DocumentScanComponent implements OnInit {
     return this.expandedJobId === job.jobId;
   }
 
+  /** Older jobs store alias spellings such as `ecology`; resolve them too. */
+  private findDocumentType(type: string): DocumentType | undefined {
+    return this.documentTypes.find(dt => dt.value === type || dt.aliases?.includes(type));
+  }
+
   getDocumentTypeLabel(type: string): string {
-    const docType = this.documentTypes.find(dt => dt.value === type);
+    const docType = this.findDocumentType(type);
     return docType ? docType.label : type;
   }
 
   getDocumentTypeIcon(type: string): string {
-    const docType = this.documentTypes.find(dt => dt.value === type);
+    const docType = this.findDocumentType(type);
     return docType ? docType.icon : '📄';
   }
 
@@ -580,7 +586,7 @@ export class DocumentScanComponent implements OnInit {
       waste: 'trash',
       lighting: 'bulb'
     };
-    return map[type] || 'file-text';
+    return map[this.findDocumentType(type)?.value || type] || 'file-text';
   }
 
   async generateRegister() {
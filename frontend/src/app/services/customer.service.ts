@@ -90,6 +90,15 @@ export interface CustomerRequest {
   };
 }
 
+export interface ReportTypeOption {
+  key: string;
+  label: string;
+  icon?: string;
+  active: boolean;
+  builtIn: boolean;
+  aliases: string[];
+}
+
 export interface CustomerResponse {
   success: boolean;
   data: Customer | Customer[];
@@ -207,4 +216,11 @@ export class CustomerService {
     return this.http.post<CustomerResponse>(`${this.baseUrl}/${id}/toggle-status`, {}, { headers })
       .pipe(map(response => response.data as Customer));
   }
+
+  // Active report types from the admin-editable taxonomy
+  getReportTypes(): Observable<ReportTypeOption[]> {
+    const headers = this.authService.getAuthHeaders();
+    return this.http.get<{ success: boolean; data: ReportTypeOption[] }>(`${environment.apiUrl}/api/report-types`, { headers })
+      .pipe(map(response => response.data));
+  }
 }